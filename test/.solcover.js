@@ -0,0 +1,46 @@
+/**
+ * Settings of `truffle run coverage`, see https://github.com/sc-forks/solidity-coverage/tree/0.7/docs
+ *
+ * The contracts are instrumented and the whole mocha suite runs against the in-process Ganache chain of the plugin.
+ * The run fails when the line or branch coverage of the contracts is below the thresholds.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Minimum coverage in percent, overridden by `COVERAGE_LINES` and `COVERAGE_BRANCHES`
+const THRESHOLDS = {
+  lines: Number(process.env.COVERAGE_LINES || 95),
+  branches: Number(process.env.COVERAGE_BRANCHES || 85),
+};
+
+module.exports = {
+  istanbulReporter: ['html', 'lcov', 'text', 'json-summary'],
+
+  // Test-only contracts, deployed by the tests but not part of the tutorial
+  skipFiles: ['mocks/'],
+
+  // Instrumented contracts are several times slower
+  mocha: {
+    timeout: 1800000,
+  },
+
+  // Fewer random sequences for the property tests, unless `FUZZ_RUNS` is set
+  onServerReady: async () => {
+    process.env.FUZZ_RUNS = process.env.FUZZ_RUNS || '5';
+  },
+
+  // Instrumented contracts cost more gas, the budgets of `test/helpers/gas_reporter.js` don't apply
+  onCompileComplete: async (config) => {
+    delete config.mocha.rootHooks;
+  },
+
+  onIstanbulComplete: async (config) => {
+    const summary = JSON.parse(fs.readFileSync(path.join(config.working_directory, 'coverage', 'coverage-summary.json'), 'utf8'));
+    const failures = Object.entries(THRESHOLDS)
+      .filter(([metric, threshold]) => summary.total[metric].pct < threshold)
+      .map(([metric, threshold]) => `${metric} ${summary.total[metric].pct}% < ${threshold}%`);
+    if (failures.length > 0) {
+      throw new Error(`Coverage below the threshold: ${failures.join(', ')}`);
+    }
+  },
+};
@@ -0,0 +1,235 @@
+/**
+ * ABI encoding of contract calls and decoding of their results and events, for the types used by the tutorial
+ * contracts: integers, `address`, `bool`, fixed bytes, `bytes`, `string`, dynamic arrays and tuples. Integers are
+ * returned as `BigInt`. Function selectors and event topics are computed by the server (see `lib/dapp.js`).
+ */
+
+// Selector of `Error(string)`, the ABI encoding of `require(condition, "reason")` failures
+const ERROR_SELECTOR = "0x08c379a0";
+
+const strip = (hex) => (hex.startsWith("0x") ? hex.slice(2) : hex);
+const padLeft = (hex) => hex.padStart(64, "0");
+const padRight = (hex) => hex.padEnd(Math.ceil(hex.length / 64) * 64, "0");
+const word = (value) => padLeft(BigInt(value).toString(16));
+const utf8 = new TextEncoder();
+const fromUtf8 = new TextDecoder();
+
+function isDynamic(param) {
+    if (param.type === "string" || param.type === "bytes" || param.type.endsWith("[]")) {
+        return true;
+    }
+    return param.type === "tuple" && param.components.some(isDynamic);
+}
+
+// Number of bytes a parameter takes in the head of the encoding
+function headSize(param) {
+    if (param.type === "tuple" && !isDynamic(param)) {
+        return param.components.reduce((size, component) => size + headSize(component), 0);
+    }
+    return 32;
+}
+
+const elementOf = (param) => ({ ...param, type: param.type.slice(0, -2) });
+
+function encodeBytes(hex) {
+    return word(hex.length / 2) + padRight(hex);
+}
+
+function encodeValue(param, value) {
+    const { type } = param;
+    if (type.endsWith("[]")) {
+        const element = elementOf(param);
+        return word(value.length) + encodeParams(value.map(() => element), value);
+    }
+    if (type === "tuple") {
+        const values = Array.isArray(value) ? value : param.components.map((component) => value[component.name]);
+        return encodeParams(param.components, values);
+    }
+    if (type === "address") {
+        if (!/^0x[0-9a-fA-F]{40}$/.test(value)) {
+            throw new Error(`Invalid address: ${value}`);
+        }
+        return padLeft(strip(value).toLowerCase());
+    }
+    if (type === "bool") {
+        return word(value ? 1 : 0);
+    }
+    if (type === "string") {
+        return encodeBytes([...utf8.encode(value)].map((byte) => byte.toString(16).padStart(2, "0")).join(""));
+    }
+    if (type === "bytes") {
+        return encodeBytes(strip(value));
+    }
+    if (/^bytes\d+$/.test(type)) {
+        return padRight(strip(value));
+    }
+    const integer = /^(u?)int(\d*)$/.exec(type);
+    if (integer) {
+        const bits = BigInt(integer[2] || 256);
+        let number = BigInt(value);
+        if (integer[1] === "u" ? number < 0n || number >= 2n ** bits : number < -(2n ** (bits - 1n)) || number >= 2n ** (bits - 1n)) {
+            throw new Error(`${value} is out of the range of ${type}`);
+        }
+        if (number < 0n) {
+            number += 2n ** 256n;
+        }
+        return word(number);
+    }
+    throw new Error(`Unsupported ABI type ${type}`);
+}
+
+/**
+ * Encodes a list of values
+ *
+ * @param params - ABI parameters, e.g. the `inputs` of a function
+ * @param values - Values in the order of the parameters
+ * @return - Hexadecimal encoding, without `0x`
+ */
+function encodeParams(params, values) {
+    if (values.length !== params.length) {
+        throw new Error(`Expected ${params.length} values, got ${values.length}`);
+    }
+    const headLength = params.reduce((size, param) => size + headSize(param), 0);
+    let head = "";
+    let tail = "";
+    params.forEach((param, i) => {
+        const encoded = encodeValue(param, values[i]);
+        if (isDynamic(param)) {
+            head += word(headLength + tail.length / 2);
+            tail += encoded;
+        } else {
+            head += encoded;
+        }
+    });
+    return head + tail;
+}
+
+const readWord = (data, offset) => data.slice(offset * 2, offset * 2 + 64);
+
+function decodeValue(param, data, offset) {
+    const { type } = param;
+    if (type.endsWith("[]")) {
+        const length = Number(BigInt(`0x${readWord(data, offset)}`));
+        const element = elementOf(param);
+        return decodeParams(Array(length).fill(element), data.slice((offset + 32) * 2));
+    }
+    if (type === "tuple") {
+        const values = decodeParams(param.components, data.slice(offset * 2));
+        return Object.fromEntries(param.components.map((component, i) => [component.name || i, values[i]]));
+    }
+    const value = readWord(data, offset);
+    if (type === "address") {
+        return `0x${value.slice(24)}`;
+    }
+    if (type === "bool") {
+        return BigInt(`0x${value}`) !== 0n;
+    }
+    if (type === "string" || type === "bytes") {
+        const length = Number(BigInt(`0x${value}`));
+        const hex = data.slice((offset + 32) * 2, (offset + 32 + length) * 2);
+        if (type === "bytes") {
+            return `0x${hex}`;
+        }
+        return fromUtf8.decode(new Uint8Array((hex.match(/../g) || []).map((pair) => parseInt(pair, 16))));
+    }
+    const fixedBytes = /^bytes(\d+)$/.exec(type);
+    if (fixedBytes) {
+        return `0x${value.slice(0, Number(fixedBytes[1]) * 2)}`;
+    }
+    const integer = /^(u?)int(\d*)$/.exec(type);
+    if (integer) {
+        const number = BigInt(`0x${value}`);
+        const bits = BigInt(integer[2] || 256);
+        return integer[1] === "" && number >= 2n ** (bits - 1n) ? number - 2n ** 256n : number;
+    }
+    throw new Error(`Unsupported ABI type ${type}`);
+}
+
+/**
+ * Decodes a list of values
+ *
+ * @param params - ABI parameters, e.g. the `outputs` of a function
+ * @param hex - Hexadecimal data, with or without `0x`
+ * @return - List of values in the order of the parameters
+ */
+function decodeParams(params, hex) {
+    const data = strip(hex);
+    const values = [];
+    let offset = 0;
+    for (const param of params) {
+        if (isDynamic(param)) {
+            values.push(decodeValue(param, data, Number(BigInt(`0x${readWord(data, offset)}`))));
+            offset += 32;
+        } else {
+            values.push(decodeValue(param, data, offset));
+            offset += headSize(param);
+        }
+    }
+    return values;
+}
+
+/**
+ * Encodes the data of a function call
+ *
+ * @param fn - ABI of the function, with its `selector`
+ * @param args - Arguments of the call
+ * @return - Call data, with `0x`
+ */
+function encodeCall(fn, args) {
+    return fn.selector + encodeParams(fn.inputs, args);
+}
+
+/**
+ * Decodes the result of a function call: the value itself for a single output, a list otherwise
+ */
+function decodeResult(fn, hex) {
+    const values = decodeParams(fn.outputs, hex);
+    return fn.outputs.length === 1 ? values[0] : values;
+}
+
+/**
+ * Decodes a log emitted by an event of the ABI
+ *
+ * @param abi - ABI of the contract, with the `topic` of each event
+ * @param log - Log of a receipt or of `eth_getLogs`
+ * @return - `{ event, args }` with the arguments by name, or `null` if no event of the ABI matches
+ */
+function decodeLog(abi, log) {
+    const event = abi.find((item) => item.type === "event" && item.topic === log.topics[0]);
+    if (!event) {
+        return null;
+    }
+    const indexed = event.inputs.filter((input) => input.indexed);
+    const others = event.inputs.filter((input) => !input.indexed);
+    const values = decodeParams(others, log.data);
+    const args = {};
+    indexed.forEach((input, i) => {
+        // Indexed dynamic values are only stored as their hash
+        args[input.name] = isDynamic(input) ? log.topics[i + 1] : decodeValue(input, strip(log.topics[i + 1]), 0);
+    });
+    others.forEach((input, i) => {
+        args[input.name] = values[i];
+    });
+    return { event: event.name, args };
+}
+
+/**
+ * Decodes the revert string from the `Error(string)` data of a failed call
+ *
+ * @return - Revert string, or `null` if the data is not an `Error(string)`
+ */
+function decodeRevert(data) {
+    if (typeof data !== "string" || !data.startsWith(ERROR_SELECTOR)) {
+        return null;
+    }
+    return decodeParams([{ type: "string" }], data.slice(ERROR_SELECTOR.length))[0];
+}
+
+/**
+ * Encodes a value as an indexed topic, to filter logs
+ */
+function encodeTopic(type, value) {
+    return `0x${encodeValue({ type }, value)}`;
+}
+
+export { decodeLog, decodeParams, decodeResult, decodeRevert, encodeCall, encodeParams, encodeTopic };
@@ -0,0 +1,223 @@
+/**
+ * Connection of the pages to the chain, through the EIP-1193 provider injected by a wallet (`window.ethereum`) or
+ * through the JSON-RPC proxy of the development server (`/rpc`), which signs with the unlocked accounts of the node
+ */
+import { decodeLog, decodeResult, decodeRevert, encodeCall, encodeTopic } from "./abi.js";
+
+// Interval between two polls of the node, in milliseconds
+const POLL_INTERVAL = 1500;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const toHex = (value) => `0x${BigInt(value).toString(16)}`;
+
+/**
+ * Gives the revert string of a failed call, wherever the wallet or the node put the `Error(string)` data
+ */
+function revertReason(error) {
+    const candidates = [error.data, error.data && error.data.data, error.data && error.data.originalError && error.data.originalError.data];
+    for (const data of candidates) {
+        const reason = decodeRevert(data);
+        if (reason !== null) {
+            return reason;
+        }
+    }
+    return null;
+}
+
+// Rethrows the errors of a reverted call with their revert string as message
+async function withRevertReason(promise) {
+    try {
+        return await promise;
+    } catch (error) {
+        const reason = revertReason(error);
+        throw reason !== null ? Object.assign(new Error(reason), { reason }) : error;
+    }
+}
+
+async function rpcRequest(method, params) {
+    const response = await fetch("/rpc", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ jsonrpc: "2.0", id: Date.now(), method, params }),
+    });
+    const body = await response.json();
+    if (!response.ok && !body.error) {
+        throw new Error(`RPC proxy answered ${response.status}`);
+    }
+    if (body.error) {
+        throw Object.assign(new Error(typeof body.error === "string" ? body.error : body.error.message), { data: body.error.data });
+    }
+    return body.result;
+}
+
+class Chain {
+    /**
+     * Connects to the chain of the configuration
+     *
+     * @param config - Configuration served as `/contracts.json`
+     * @param mode - `"wallet"` to use the injected provider, `"rpc"` to use the proxy of the development server
+     * @return - Connected `Chain`
+     */
+    static async connect(config, mode) {
+        let request;
+        let accounts;
+        if (mode === "wallet") {
+            if (!window.ethereum) {
+                throw new Error("No wallet found in this browser");
+            }
+            request = (method, params = []) => window.ethereum.request({ method, params });
+            accounts = await request("eth_requestAccounts");
+        } else {
+            if (!config.rpc) {
+                throw new Error(`The development server has no local RPC for ${config.network}, use a wallet`);
+            }
+            request = (method, params = []) => rpcRequest(method, params);
+            accounts = await request("eth_accounts");
+        }
+        if (!accounts.length) {
+            throw new Error("No account available");
+        }
+
+        const chainId = parseInt(await request("eth_chainId"), 16);
+        if (config.chainId && chainId !== config.chainId) {
+            if (mode !== "wallet") {
+                throw new Error(`The node is on chain ${chainId}, expected ${config.chainId}`);
+            }
+            try {
+                await request("wallet_switchEthereumChain", [{ chainId: toHex(config.chainId) }]);
+            } catch (error) {
+                throw new Error(`Switch the wallet to chain ${config.chainId} (${config.network}), it is on chain ${chainId}`);
+            }
+        }
+        return new Chain(request, accounts, config, mode);
+    }
+
+    constructor(request, accounts, config, mode) {
+        this.request = request;
+        this.accounts = accounts;
+        this.account = accounts[0];
+        this.config = config;
+        this.mode = mode;
+    }
+
+    /**
+     * Gives the address and ABI of a contract, throws an error if it isn't deployed on this network
+     */
+    contract(name) {
+        const contract = this.config.contracts[name];
+        if (!contract || !contract.address) {
+            throw new Error(`${name} isn't deployed on ${this.config.network}, run \`truffle migrate\` first`);
+        }
+        return contract;
+    }
+
+    // Finds the function called `method` taking `args.length` arguments, to pick among overloads
+    fn(name, method, args) {
+        const fn = this.contract(name).abi.find((item) => item.type === "function" && item.name === method && item.inputs.length === args.length);
+        if (!fn) {
+            throw new Error(`${name} has no function ${method} taking ${args.length} arguments`);
+        }
+        return fn;
+    }
+
+    /**
+     * Calls a view function
+     *
+     * @param name - Name of the contract
+     * @param method - Name of the function
+     * @param args - Arguments of the function
+     * @return - Decoded result: the value for a single output, a list otherwise
+     */
+    async call(name, method, args = []) {
+        const fn = this.fn(name, method, args);
+        const tx = { from: this.account, to: this.contract(name).address, data: encodeCall(fn, args) };
+        return decodeResult(fn, await withRevertReason(this.request("eth_call", [tx, "latest"])));
+    }
+
+    /**
+     * Sends a transaction from the selected account and waits for its receipt. The call is simulated first, so a
+     * transaction that would revert is refused with its revert string before the wallet asks for a signature.
+     *
+     * @param name - Name of the contract
+     * @param method - Name of the function
+     * @param args - Arguments of the function
+     * @param onHash - Optional function called with the transaction hash once it is sent
+     * @return - Object with the `hash`, the `receipt` and the decoded `events` of the contract
+     */
+    async send(name, method, args = [], onHash = () => {}) {
+        const { address, abi } = this.contract(name);
+        const tx = { from: this.account, to: address, data: encodeCall(this.fn(name, method, args), args) };
+        await withRevertReason(this.request("eth_call", [tx, "latest"]));
+        // 20% above the estimate, the estimate can fall short when the state changes before the transaction is mined
+        tx.gas = toHex((BigInt(await this.request("eth_estimateGas", [tx])) * 12n) / 10n);
+
+        const hash = await this.request("eth_sendTransaction", [tx]);
+        onHash(hash);
+        let receipt = null;
+        while (!receipt) {
+            receipt = await this.request("eth_getTransactionReceipt", [hash]);
+            if (!receipt) {
+                await sleep(POLL_INTERVAL);
+            }
+        }
+        if (receipt.status !== "0x1") {
+            throw new Error(`Transaction ${hash} reverted`);
+        }
+        const events = receipt.logs
+            .filter((log) => log.address.toLowerCase() === address.toLowerCase())
+            .map((log) => decodeLog(abi, log))
+            .filter(Boolean);
+        return { hash, receipt, events };
+    }
+
+    /**
+     * Gives the events of a contract since its deployment
+     *
+     * @param name - Name of the contract
+     * @param event - Name of the event
+     * @param filters - Values of the indexed arguments, `null` to match any value
+     * @return - List of `{ event, args, blockNumber, transactionHash }`
+     */
+    async getLogs(name, event, filters = []) {
+        const { address, abi, blockNumber } = this.contract(name);
+        const item = abi.find((candidate) => candidate.type === "event" && candidate.name === event);
+        const indexed = item.inputs.filter((input) => input.indexed);
+        const topics = [item.topic, ...filters.map((value, i) => (value === null ? null : encodeTopic(indexed[i].type, value)))];
+        const logs = await this.request("eth_getLogs", [{ address, topics, fromBlock: toHex(blockNumber || 0), toBlock: "latest" }]);
+        return logs.map((log) => ({
+            ...decodeLog(abi, log),
+            blockNumber: parseInt(log.blockNumber, 16),
+            transactionHash: log.transactionHash,
+        }));
+    }
+
+    /**
+     * Calls a function on each new block
+     *
+     * @param callback - Function called with the block number, awaited before the next poll
+     * @return - Function stopping the polling
+     */
+    onBlock(callback) {
+        let stopped = false;
+        let last = null;
+        (async () => {
+            while (!stopped) {
+                try {
+                    const block = parseInt(await this.request("eth_blockNumber"), 16);
+                    if (block !== last && !stopped) {
+                        last = block;
+                        await callback(block);
+                    }
+                } catch (error) {
+                    console.error(error);
+                }
+                await sleep(POLL_INTERVAL);
+            }
+        })();
+        return () => {
+            stopped = true;
+        };
+    }
+}
+
+export { Chain, revertReason };
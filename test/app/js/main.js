@@ -0,0 +1,100 @@
+/**
+ * Entry point of the front-end: loads the configuration of the contracts, connects to the chain and shows the page
+ * of the location hash (`#hello`, `#token`, `#ballot`, `#nft`)
+ */
+import { Chain } from "./chain.js";
+import { el } from "./ui.js";
+import ballot from "./pages/ballot.js";
+import hello from "./pages/hello.js";
+import nft from "./pages/nft.js";
+import token from "./pages/token.js";
+
+const PAGES = { hello, token, ballot, nft };
+
+const connection = document.getElementById("connection");
+const nav = document.getElementById("pages");
+const main = document.getElementById("page");
+
+let config;
+let chain = null;
+let stopPage = null;
+
+function message(text, className = "") {
+    main.replaceChildren(el(`p.output.${className || "pending"}`, {}, text));
+}
+
+async function showPage() {
+    const key = PAGES[location.hash.slice(1)] ? location.hash.slice(1) : "hello";
+    const page = PAGES[key];
+    for (const link of nav.querySelectorAll("a")) {
+        link.classList.toggle("active", link.hash === `#${key}`);
+    }
+    if (stopPage) {
+        stopPage();
+        stopPage = null;
+    }
+    if (!chain) {
+        return message("Connect with a wallet or with the local node to use the contracts.");
+    }
+
+    const root = el("div.page");
+    main.replaceChildren(el("h2", {}, page.title), root);
+    try {
+        const address = chain.contract(page.contract).address;
+        root.before(el("p.address", {}, `${page.contract} at ${address}`));
+        stopPage = (await page.render(root, chain)) || null;
+    } catch (error) {
+        root.replaceChildren(el("p.output.error", {}, error.reason !== undefined ? `Reverted: ${error.reason}` : error.message));
+    }
+}
+
+function showConnection() {
+    const status = el("span.status", {}, chain
+        ? `Connected to ${config.network} (chain ${config.chainId}) through ${chain.mode === "wallet" ? "the wallet" : "the local node"}`
+        : `${config.network} (chain ${config.chainId || "unknown"}), not connected`);
+    const connect = (mode) => async () => {
+        try {
+            chain = await Chain.connect(config, mode);
+        } catch (error) {
+            return message(error.message, "error");
+        }
+        showConnection();
+        showPage();
+    };
+
+    let accounts = null;
+    if (chain && chain.accounts.length > 1 && chain.mode === "rpc") {
+        accounts = el("select", {
+            onchange: (event) => {
+                chain.account = event.target.value;
+                showPage();
+            },
+        }, chain.accounts.map((account) => el("option", { value: account, selected: account === chain.account }, account)));
+    } else if (chain) {
+        accounts = el("span.account", {}, chain.account);
+    }
+
+    connection.replaceChildren(status,
+        el("button", { onclick: connect("wallet"), disabled: !window.ethereum }, "Connect wallet"),
+        el("button", { onclick: connect("rpc"), disabled: !config.rpc }, "Use local node"),
+        accounts);
+}
+
+async function start() {
+    const response = await fetch("/contracts.json");
+    config = await response.json();
+    if (!response.ok) {
+        throw new Error(config.error);
+    }
+    nav.replaceChildren(...Object.entries(PAGES).map(([key, page]) => el("a", { href: `#${key}` }, page.title)));
+    showConnection();
+    window.addEventListener("hashchange", showPage);
+    if (window.ethereum) {
+        // The wallet decides the account and the chain, start over when they change
+        window.ethereum.on("accountsChanged", () => location.reload());
+        window.ethereum.on("chainChanged", () => location.reload());
+    }
+    showPage();
+}
+
+start().catch((error) => message(`Can't load the contracts: ${error.message}`, "error"));
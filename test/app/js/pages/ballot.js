@@ -0,0 +1,75 @@
+/**
+ * Page of `Ballot`: live tallies refreshed on each block, the vote and delegation of the selected account, and the
+ * rights to vote given by the chairperson
+ */
+import { el, form, pending } from "../ui.js";
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Describes the state of a voter returned by `getVoterDetails`
+function describeVoter(voter, representatives) {
+    if (voter.weight === 0n) {
+        return "no right to vote";
+    }
+    if (!voter.voted) {
+        return `may vote, weight ${voter.weight}`;
+    }
+    if (voter.delegate !== ZERO_ADDRESS) {
+        return `delegated to ${voter.delegate}`;
+    }
+    return `voted for ${representatives[Number(voter.vote)].name}, weight ${voter.weight}`;
+}
+
+async function render(root, chain) {
+    const [representatives, chairperson] = await Promise.all([
+        chain.call("Ballot", "getRepresentatives"),
+        chain.call("Ballot", "getChairperson"),
+    ]);
+    const isChairperson = chairperson.toLowerCase() === chain.account.toLowerCase();
+    const tallies = el("tbody");
+    const summary = el("p");
+    const status = el("dd");
+
+    const refresh = async (block) => {
+        const [current, voterAddresses, nbrVotes, voter] = await Promise.all([
+            chain.call("Ballot", "getRepresentatives"),
+            chain.call("Ballot", "getVoterAddress"),
+            chain.call("Ballot", "nbrVotes"),
+            chain.call("Ballot", "getVoterDetails", [chain.account]),
+        ]);
+        const winner = await chain.call("Ballot", "winnerName").then((name) => name, (error) => `none (${error.reason || error.message})`);
+        tallies.replaceChildren(...current.map(({ name, voteCount }, i) => el("tr", {}, el("td", {}, i), el("td", {}, name), el("td", {}, voteCount))));
+        summary.textContent = `Block ${block}: ${nbrVotes} votes cast by ${voterAddresses.length} voters, winner: ${winner}`;
+        status.textContent = describeVoter(voter, current);
+    };
+
+    root.append(
+        el("section.card", {},
+            el("h3", {}, "Tallies"),
+            el("table", {}, el("thead", {}, el("tr", {}, el("th", {}, "#"), el("th", {}, "Representative"), el("th", {}, "Votes"))), tallies),
+            summary,
+            el("dl", {},
+                el("dt", {}, "Chairperson"), el("dd", {}, chairperson),
+                el("dt", {}, "You"), status)),
+        form("Vote", [
+            { name: "index", label: "Representative", options: representatives.map(({ name }, i) => ({ value: i, label: name })) },
+        ], "Vote", async ({ index }, progress) => {
+            const { events } = await chain.send("Ballot", "vote", [index], pending(progress));
+            return `Voted for ${events[0].args.representativeName}`;
+        }),
+        form("Delegate", [{ name: "to", label: "Delegate to", placeholder: "0x..." }], "Delegate", async ({ to }, progress) => {
+            await chain.send("Ballot", "delegate", [to], pending(progress));
+            return `Vote delegated to ${to}`;
+        }),
+        isChairperson && form("Give right to vote", [{ name: "voter", label: "Voter", placeholder: "0x..." }], "Give right",
+            async ({ voter }, progress) => {
+                await chain.send("Ballot", "giveRightToVote", [voter], pending(progress));
+                return `${voter} may vote`;
+            }),
+        form("Voter", [{ name: "address", label: "Address", placeholder: "0x..." }], "Get details",
+            async ({ address }) => describeVoter(await chain.call("Ballot", "getVoterDetails", [address]), representatives)));
+
+    return chain.onBlock(refresh);
+}
+
+export default { title: "Ballot", contract: "Ballot", render };
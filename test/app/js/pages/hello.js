@@ -0,0 +1,28 @@
+/**
+ * Page of `HelloWorld`: the pure `sayHelloWorld` call and the `logMessage` transaction with its `PrintHelloWorld` event
+ */
+import { el, pending, run } from "../ui.js";
+
+function render(root, chain) {
+    const callOutput = el("p.output");
+    const logOutput = el("p.output");
+
+    root.append(
+        el("section.card", {},
+            el("h3", {}, "sayHelloWorld"),
+            el("p", {}, "Calls the pure function, no transaction is sent."),
+            el("button", { onclick: () => run(callOutput, () => chain.call("HelloWorld", "sayHelloWorld")) }, "Call"),
+            callOutput),
+        el("section.card", {},
+            el("h3", {}, "logMessage"),
+            el("p", {}, "Sends a transaction emitting the PrintHelloWorld event."),
+            el("button", {
+                onclick: () => run(logOutput, async (progress) => {
+                    const { events } = await chain.send("HelloWorld", "logMessage", [], pending(progress));
+                    return events.map(({ event, args }) => `${event}: ${args.message}`).join("\n");
+                }),
+            }, "Send"),
+            logOutput));
+}
+
+export default { title: "Hello World", contract: "HelloWorld", render };
@@ -0,0 +1,49 @@
+/**
+ * Page of `NFT`: minting, safe transfers and the gallery of the tokens held by the selected account, found from the
+ * `Transfer` events to the account and confirmed with `ownerOf`
+ */
+import { el, form, pending } from "../ui.js";
+
+// Card of a token, its color derived from its id
+function card(id) {
+    const hue = Number((BigInt(id) * 137n) % 360n);
+    return el("figure.token", {}, el("div.swatch", { style: `background: hsl(${hue} 70% 55%)` }), el("figcaption", {}, `#${id}`));
+}
+
+async function render(root, chain) {
+    const gallery = el("div.gallery");
+    const count = el("p");
+
+    const refresh = async () => {
+        const received = await chain.getLogs("NFT", "Transfer", [null, chain.account]);
+        const ids = [...new Set(received.map(({ args }) => args.id))].sort((a, b) => (a < b ? -1 : 1));
+        const owners = await Promise.all(ids.map((id) => chain.call("NFT", "ownerOf", [id]).catch(() => null)));
+        const held = ids.filter((id, i) => owners[i] && owners[i].toLowerCase() === chain.account.toLowerCase());
+        gallery.replaceChildren(...held.map(card));
+        count.textContent = `${held.length} token${held.length === 1 ? "" : "s"} held by ${chain.account}`;
+    };
+
+    root.append(
+        el("section.card", {}, el("h3", {}, "Gallery"), count, gallery),
+        form("Mint", [
+            { name: "to", label: "Owner", placeholder: "0x...", value: chain.account },
+            { name: "id", label: "Token id", placeholder: "1" },
+        ], "Mint", async ({ to, id }, progress) => {
+            const { hash } = await chain.send("NFT", "mint", [to, id], pending(progress));
+            await refresh();
+            return `Token #${id} minted to ${to} in ${hash}`;
+        }),
+        form("Transfer", [
+            { name: "to", label: "Recipient", placeholder: "0x..." },
+            { name: "id", label: "Token id", placeholder: "1" },
+        ], "Transfer", async ({ to, id }, progress) => {
+            const { hash } = await chain.send("NFT", "safeTransferFrom", [chain.account, to, id], pending(progress));
+            await refresh();
+            return `Token #${id} transferred to ${to} in ${hash}`;
+        }),
+        form("Owner", [{ name: "id", label: "Token id", placeholder: "1" }], "Get owner",
+            async ({ id }) => chain.call("NFT", "ownerOf", [id])));
+    await refresh();
+}
+
+export default { title: "NFT", contract: "NFT", render };
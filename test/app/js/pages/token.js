@@ -0,0 +1,50 @@
+/**
+ * Page of `FungibleToken`: details of the token, balances, transfers, approvals and allowances. Amounts are entered
+ * and shown in whole tokens, converted with the `decimals` of the token.
+ */
+import { formatUnits, parseUnits } from "../units.js";
+import { el, form, pending } from "../ui.js";
+
+async function render(root, chain) {
+    const [name, symbol, decimals, totalSupply] = await Promise.all(
+        ["name", "symbol", "decimals", "totalSupply"].map((method) => chain.call("FungibleToken", method)));
+    const digits = Number(decimals);
+    const format = (units) => `${formatUnits(units, digits)} ${symbol}`;
+    const balance = el("dd");
+    const refresh = async () => {
+        balance.textContent = format(await chain.call("FungibleToken", "balanceOf", [chain.account]));
+    };
+
+    root.append(
+        el("section.card", {},
+            el("h3", {}, `${name} (${symbol})`),
+            el("dl", {},
+                el("dt", {}, "Address"), el("dd", {}, chain.contract("FungibleToken").address),
+                el("dt", {}, "Decimals"), el("dd", {}, digits),
+                el("dt", {}, "Total supply"), el("dd", {}, format(totalSupply)),
+                el("dt", {}, "Your balance"), balance)),
+        form("Balance", [{ name: "owner", label: "Address", placeholder: "0x..." }], "Get balance",
+            async ({ owner }) => format(await chain.call("FungibleToken", "balanceOf", [owner]))),
+        form("Transfer", [
+            { name: "to", label: "Recipient", placeholder: "0x..." },
+            { name: "amount", label: `Amount (${symbol})`, placeholder: "1.5" },
+        ], "Transfer", async ({ to, amount }, progress) => {
+            const { hash } = await chain.send("FungibleToken", "transfer", [to, parseUnits(amount, digits)], pending(progress));
+            await refresh();
+            return `Transferred ${amount} ${symbol} to ${to} in ${hash}`;
+        }),
+        form("Approve", [
+            { name: "spender", label: "Spender", placeholder: "0x..." },
+            { name: "amount", label: `Allowance (${symbol})`, placeholder: "10" },
+        ], "Approve", async ({ spender, amount }, progress) => {
+            const { hash } = await chain.send("FungibleToken", "approve", [spender, parseUnits(amount, digits)], pending(progress));
+            return `${spender} may spend ${amount} ${symbol} of your tokens, approved in ${hash}`;
+        }),
+        form("Allowance", [
+            { name: "owner", label: "Owner", placeholder: "0x...", value: chain.account },
+            { name: "spender", label: "Spender", placeholder: "0x..." },
+        ], "Get allowance", async ({ owner, spender }) => format(await chain.call("FungibleToken", "allowance", [owner, spender]))));
+    await refresh();
+}
+
+export default { title: "Token", contract: "FungibleToken", render };
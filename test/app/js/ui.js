@@ -0,0 +1,93 @@
+/**
+ * DOM helpers shared by the pages
+ */
+
+/**
+ * Creates an element
+ *
+ * @param tag - Tag name, with optional classes, e.g. `"div.card"`
+ * @param attributes - Properties of the element, `on<event>` for listeners
+ * @param children - Elements or strings
+ * @return - Element
+ */
+function el(tag, attributes = {}, ...children) {
+    const [name, ...classes] = tag.split(".");
+    const element = document.createElement(name);
+    element.className = classes.join(" ");
+    for (const [key, value] of Object.entries(attributes)) {
+        if (key.startsWith("on")) {
+            element.addEventListener(key.slice(2), value);
+        } else {
+            element[key] = value;
+        }
+    }
+    element.append(...children.flat()
+        .filter((child) => child !== null && child !== undefined && child !== false)
+        .map((child) => (child instanceof Node ? child : String(child))));
+    return element;
+}
+
+/**
+ * Shows the progress of an action in an output element: the pending message, then the result or the error
+ *
+ * @param output - Element receiving the messages
+ * @param action - Async function, called with a function showing a progress message
+ * @return - Result of the action, or `undefined` if it failed
+ */
+async function run(output, action) {
+    output.className = "output pending";
+    output.textContent = "Waiting for the node...";
+    try {
+        const result = await action((message) => {
+            output.textContent = message;
+        });
+        output.className = "output success";
+        if (result !== undefined) {
+            output.textContent = result;
+        }
+        return result;
+    } catch (error) {
+        output.className = "output error";
+        output.textContent = error.reason !== undefined ? `Reverted: ${error.reason}` : error.message;
+        return undefined;
+    }
+}
+
+/**
+ * Creates a form running an action on submit
+ *
+ * @param title - Title of the form
+ * @param fields - List of `{ name, label, placeholder, value, options }`, `options` making a select of
+ * `{ value, label }`
+ * @param submit - Label of the button
+ * @param action - Async function called with the values by name and a progress function, returning the message to
+ * show
+ * @return - Element
+ */
+function form(title, fields, submit, action) {
+    const output = el("p.output");
+    const inputs = fields.map((field) => {
+        const input = field.options
+            ? el("select", { name: field.name }, field.options.map((option) => el("option", { value: option.value }, option.label)))
+            : el("input", { name: field.name, placeholder: field.placeholder || "", value: field.value || "", required: true, autocomplete: "off" });
+        return [field.name, input, el("label", {}, field.label, input)];
+    });
+    const button = el("button", { type: "submit" }, submit);
+    const element = el("form.card", {
+        onsubmit: async (event) => {
+            event.preventDefault();
+            button.disabled = true;
+            const values = Object.fromEntries(inputs.map(([name, input]) => [name, input.value.trim()]));
+            await run(output, (progress) => action(values, progress));
+            button.disabled = false;
+        },
+    }, el("h3", {}, title), inputs.map(([, , label]) => label), button, output);
+    return element;
+}
+
+/**
+ * Progress function of a transaction, showing its hash while it is mined
+ */
+const pending = (progress) => (hash) => progress(`Transaction ${hash} sent, waiting for the receipt...`);
+
+export { el, form, pending, run };
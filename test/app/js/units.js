@@ -0,0 +1,38 @@
+/**
+ * Conversion of token amounts between decimal strings and base units, the browser version of `lib/clients/units.js`
+ */
+
+/**
+ * Converts a human-readable decimal amount into base units, e.g. `"1.5"` with 18 decimals into `1500000000000000000n`
+ *
+ * @param amount - Amount as a decimal string
+ * @param decimals - Number of decimals of the token
+ * @return - Amount in base units as a BigInt
+ */
+function parseUnits(amount, decimals) {
+    const value = String(amount).trim();
+    const match = /^(\d*)(?:\.(\d*))?$/.exec(value);
+    if (!match || (match[1] === "" && !match[2])) {
+        throw new Error(`Invalid amount: ${JSON.stringify(amount)}`);
+    }
+
+    const fraction = (match[2] || "").replace(/0+$/, "");
+    if (fraction.length > decimals) {
+        throw new Error(`Amount ${value} has more than ${decimals} decimals`);
+    }
+    return BigInt(match[1] || "0") * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, "0") || "0");
+}
+
+/**
+ * Converts an amount in base units into a human-readable decimal string, e.g. `1500000000000000000n` with
+ * 18 decimals into `"1.5"`
+ */
+function formatUnits(units, decimals) {
+    const value = BigInt(units);
+    const base = 10n ** BigInt(decimals);
+    const whole = value / base;
+    const fraction = (value % base).toString().padStart(decimals, "0").replace(/0+$/, "");
+    return fraction ? `${whole}.${fraction}` : whole.toString();
+}
+
+export { formatUnits, parseUnits };
@@ -0,0 +1,38 @@
+/*
+SPDX-License-Identifier: MIT
+*/
+pragma solidity ^0.8.18;
+
+import "./FungibleToken.sol";
+
+// Variant of `FungibleToken` deployed as the implementation of a proxy: no constructor runs in the storage of the
+// proxy, so the token is initialized there by `initialize` instead
+contract FungibleTokenUpgradeable is FungibleToken {
+    // Set once the token is initialized, by the constructor or by a proxy
+    bool private initialized;
+
+    // Constructor function to initialize the implementation itself, so nobody can initialize it again
+    constructor(string memory _name, string memory _symbol, uint256 _totalSupply, uint8 _decimals)
+        FungibleToken(_name, _symbol, _totalSupply, _decimals) {
+        initialized = true;
+    }
+
+    // Function to initialize the token in place of the constructor, when a proxy delegates its calls to this contract.
+    // It can only be called once per storage: the constructor locks this contract, the proxy calls it for its own storage.
+    function initialize(string memory _name, string memory _symbol, uint256 _totalSupply, uint8 _decimals) public {
+        require(!initialized, "Already initialized");
+        initialized = true;
+
+        // Assign the token details
+        name = _name;
+        symbol = _symbol;
+        totalSupply = _totalSupply;
+        decimals = _decimals;
+
+        // Assign the total supply to the caller
+        balanceOf[msg.sender] = totalSupply;
+
+        // Assign the contract owner to the caller
+        getOwner = msg.sender;
+    }
+}
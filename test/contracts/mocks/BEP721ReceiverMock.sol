@@ -0,0 +1,108 @@
+/*
+SPDX-License-Identifier: MIT
+*/
+pragma solidity ^0.8.18;
+
+import "../IBEP721.sol";
+
+/**
+ * Test-only recipient of `safeTransferFrom`, answering the `onBEP721Received` callback as set at deployment.
+ * It records the arguments of the last callback so the tests can check what the NFT contract forwarded.
+ */
+contract BEP721ReceiverMock is IBEP721Receiver {
+    // How the callback answers
+    enum Behaviour { Accept, Reject, WrongSelector, RevertWithMessage }
+
+    Behaviour public behaviour;
+
+    // Revert string used by `RevertWithMessage`
+    string public revertMessage;
+
+    // Arguments of the last accepted callback
+    address public lastOperator;
+    address public lastFrom;
+    uint public lastTokenId;
+    bytes public lastData;
+
+    // Number of accepted callbacks
+    uint public received;
+
+    /**
+     * @param _behaviour - How the callback answers
+     * @param _revertMessage - Revert string of the `RevertWithMessage` behaviour
+     */
+    constructor(Behaviour _behaviour, string memory _revertMessage) {
+        behaviour = _behaviour;
+        revertMessage = _revertMessage;
+    }
+
+    /**
+     * Accepts the token with the expected selector, or rejects it: `Reject` reverts without a reason, `WrongSelector`
+     * returns another value and `RevertWithMessage` reverts with `revertMessage`.
+     *
+     * @param operator - Address that called `safeTransferFrom`
+     * @param from - Previous owner of the token
+     * @param tokenId - Id of the received token
+     * @param data - Payload given to `safeTransferFrom`, empty for the overload without one
+     * @return - `onBEP721Received.selector` when accepting the token
+     */
+    function onBEP721Received(address operator, address from, uint tokenId, bytes calldata data) external returns (bytes4) {
+        if (behaviour == Behaviour.Reject) {
+            revert();
+        }
+        if (behaviour == Behaviour.RevertWithMessage) {
+            revert(revertMessage);
+        }
+        if (behaviour == Behaviour.WrongSelector) {
+            return 0xdeadbeef;
+        }
+
+        lastOperator = operator;
+        lastFrom = from;
+        lastTokenId = tokenId;
+        lastData = data;
+        received++;
+        return IBEP721Receiver.onBEP721Received.selector;
+    }
+}
+
+/**
+ * Test-only recipient calling back into the NFT contract from `onBEP721Received`, to check the state seen by a
+ * reentrant call. A failing reentrant call makes the callback revert with the same reason.
+ */
+contract ReentrantBEP721ReceiverMock is IBEP721Receiver {
+    // ABI-encoded call sent to the NFT contract during the callback, none when empty
+    bytes public reentryCall;
+
+    // Owner of the received token seen by the callback
+    address public ownerDuringCallback;
+
+    /**
+     * Sets the call sent to the NFT contract by the next callbacks
+     *
+     * @param call - ABI-encoded call, e.g. a `transferFrom` of the received token
+     */
+    function setReentryCall(bytes calldata call) external {
+        reentryCall = call;
+    }
+
+    /**
+     * Records the owner of the token, sends `reentryCall` to the NFT contract and accepts the token
+     *
+     * @param tokenId - Id of the received token
+     * @return - `onBEP721Received.selector`
+     */
+    function onBEP721Received(address, address, uint tokenId, bytes calldata) external returns (bytes4) {
+        ownerDuringCallback = IBEP721(msg.sender).ownerOf(tokenId);
+
+        if (reentryCall.length > 0) {
+            (bool success, bytes memory result) = msg.sender.call(reentryCall);
+            if (!success) {
+                assembly {
+                    revert(add(result, 32), mload(result))
+                }
+            }
+        }
+        return IBEP721Receiver.onBEP721Received.selector;
+    }
+}
@@ -0,0 +1,46 @@
+/*
+SPDX-License-Identifier: MIT
+*/
+pragma solidity ^0.8.18;
+
+import "../FungibleTokenUpgradeable.sol";
+
+/**
+ * Test-only new version of `FungibleTokenUpgradeable`, keeping its storage and appending a variable
+ */
+contract FungibleTokenV2Mock is FungibleTokenUpgradeable {
+    // Tokens created since the upgrade
+    uint256 public minted;
+
+    constructor(string memory _name, string memory _symbol, uint256 _totalSupply, uint8 _decimals)
+        FungibleTokenUpgradeable(_name, _symbol, _totalSupply, _decimals) {}
+
+    // Function added by the new version, creating tokens for the owner
+    function mint(address to, uint256 value) external {
+        require(msg.sender == getOwner, "Not the owner");
+        totalSupply += value;
+        balanceOf[to] += value;
+        minted += value;
+
+        emit Transfer(address(0), to, value);
+    }
+
+    // Function telling which version runs behind the proxy
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
+
+/**
+ * Test-only new version of `FungibleTokenUpgradeable` whose storage is not compatible: the balances moved to the first slot
+ */
+contract FungibleTokenBadLayoutMock {
+    mapping (address => uint256) public balanceOf;
+    string public name;
+    string public symbol;
+    uint256 public totalSupply;
+    uint8 public decimals;
+    mapping (address => mapping (address => uint256)) public allowance;
+    address public getOwner;
+    bool private initialized;
+}
@@ -0,0 +1,82 @@
+/*
+SPDX-License-Identifier: MIT
+*/
+pragma solidity ^0.8.18;
+
+import "./TransparentProxy.sol";
+
+/**
+ * Admin of the transparent proxies. The deployer stays a regular user of the proxied contracts and upgrades them
+ * through this contract, since the admin of a `TransparentProxy` can't call its implementation.
+ */
+contract ProxyAdmin {
+    // Address allowed to upgrade the proxies
+    address public owner;
+
+    // Event that logs the change of owner
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+
+    constructor() {
+        owner = msg.sender;
+        emit OwnershipTransferred(address(0), msg.sender);
+    }
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "caller is not the owner");
+        _;
+    }
+
+    /**
+     * Gives the implementation of a proxy administrated by this contract
+     *
+     * @param proxy - Address of the proxy
+     * @return - Address of the implementation
+     */
+    function getProxyImplementation(TransparentProxy proxy) external view returns (address) {
+        (bool success, bytes memory result) = address(proxy).staticcall(abi.encodeCall(TransparentProxy.implementation, ()));
+        require(success, "not the admin of the proxy");
+        return abi.decode(result, (address));
+    }
+
+    /**
+     * Replaces the implementation of a proxy
+     *
+     * @param proxy - Address of the proxy
+     * @param implementation - Address of the new implementation
+     */
+    function upgrade(TransparentProxy proxy, address implementation) external onlyOwner {
+        proxy.upgradeTo(implementation);
+    }
+
+    /**
+     * Replaces the implementation of a proxy and calls it
+     *
+     * @param proxy - Address of the proxy
+     * @param implementation - Address of the new implementation
+     * @param data - Call sent to the new implementation in the storage of the proxy
+     */
+    function upgradeAndCall(TransparentProxy proxy, address implementation, bytes calldata data) external payable onlyOwner {
+        proxy.upgradeToAndCall{value: msg.value}(implementation, data);
+    }
+
+    /**
+     * Hands the administration of a proxy to another address
+     *
+     * @param proxy - Address of the proxy
+     * @param newAdmin - Address of the new admin
+     */
+    function changeProxyAdmin(TransparentProxy proxy, address newAdmin) external onlyOwner {
+        proxy.changeAdmin(newAdmin);
+    }
+
+    /**
+     * Gives the right to upgrade the proxies to another address
+     *
+     * @param newOwner - Address of the new owner
+     */
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "owner = zero address");
+        emit OwnershipTransferred(owner, newOwner);
+        owner = newOwner;
+    }
+}
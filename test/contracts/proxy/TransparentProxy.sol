@@ -0,0 +1,162 @@
+/*
+SPDX-License-Identifier: MIT
+*/
+pragma solidity ^0.8.18;
+
+/**
+ * Transparent upgradeable proxy (EIP-1967). Every call is delegated to the implementation contract, so the state lives
+ * in the proxy and the implementation can be replaced without changing the address. Only the admin can call the proxy's
+ * own functions, and the admin can't call the implementation: a function of the implementation can't be shadowed by a
+ * function of the proxy with the same selector.
+ */
+contract TransparentProxy {
+    // bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1), a slot the implementation can't collide with
+    bytes32 internal constant IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+
+    // bytes32(uint256(keccak256("eip1967.proxy.admin")) - 1)
+    bytes32 internal constant ADMIN_SLOT = 0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103;
+
+    // Event that logs each new implementation
+    event Upgraded(address indexed implementation);
+
+    // Event that logs the change of admin
+    event AdminChanged(address previousAdmin, address newAdmin);
+
+    /**
+     * @param implementation_ - Address of the first implementation
+     * @param admin_ - Address allowed to upgrade the proxy, usually a `ProxyAdmin` contract
+     * @param data - Call of the initializer sent to the implementation in the storage of the proxy, or empty
+     */
+    constructor(address implementation_, address admin_, bytes memory data) {
+        _setImplementation(implementation_);
+        _setAdmin(admin_);
+        if (data.length > 0) {
+            _initialize(implementation_, data);
+        }
+    }
+
+    // Calls from the admin run the function of the proxy, the other calls are delegated to the implementation
+    modifier ifAdmin() {
+        if (msg.sender == _admin()) {
+            _;
+        } else {
+            _delegate(_implementation());
+        }
+    }
+
+    /**
+     * Gives the address of the implementation
+     *
+     * @return - Address of the implementation
+     */
+    function implementation() external ifAdmin returns (address) {
+        return _implementation();
+    }
+
+    /**
+     * Gives the address of the admin
+     *
+     * @return - Address of the admin
+     */
+    function admin() external ifAdmin returns (address) {
+        return _admin();
+    }
+
+    /**
+     * Replaces the implementation. The storage of the new implementation must start with the variables of the
+     * previous one, in the same order.
+     *
+     * @param newImplementation - Address of the new implementation
+     */
+    function upgradeTo(address newImplementation) external ifAdmin {
+        _setImplementation(newImplementation);
+    }
+
+    /**
+     * Replaces the implementation and calls it, e.g. to initialize the variables it added
+     *
+     * @param newImplementation - Address of the new implementation
+     * @param data - Call sent to the new implementation in the storage of the proxy
+     */
+    function upgradeToAndCall(address newImplementation, bytes calldata data) external payable ifAdmin {
+        _setImplementation(newImplementation);
+        _initialize(newImplementation, data);
+    }
+
+    /**
+     * Gives the right to upgrade the proxy to another address
+     *
+     * @param newAdmin - Address of the new admin
+     */
+    function changeAdmin(address newAdmin) external ifAdmin {
+        require(newAdmin != address(0), "admin = zero address");
+        emit AdminChanged(_admin(), newAdmin);
+        _setAdmin(newAdmin);
+    }
+
+    fallback() external payable {
+        require(msg.sender != _admin(), "admin cannot call the implementation");
+        _delegate(_implementation());
+    }
+
+    receive() external payable {
+        require(msg.sender != _admin(), "admin cannot call the implementation");
+        _delegate(_implementation());
+    }
+
+    function _implementation() internal view returns (address implementation_) {
+        bytes32 slot = IMPLEMENTATION_SLOT;
+        assembly {
+            implementation_ := sload(slot)
+        }
+    }
+
+    function _admin() internal view returns (address admin_) {
+        bytes32 slot = ADMIN_SLOT;
+        assembly {
+            admin_ := sload(slot)
+        }
+    }
+
+    function _setImplementation(address newImplementation) private {
+        require(newImplementation.code.length > 0, "implementation is not a contract");
+        bytes32 slot = IMPLEMENTATION_SLOT;
+        assembly {
+            sstore(slot, newImplementation)
+        }
+        emit Upgraded(newImplementation);
+    }
+
+    function _setAdmin(address newAdmin) private {
+        bytes32 slot = ADMIN_SLOT;
+        assembly {
+            sstore(slot, newAdmin)
+        }
+    }
+
+    // Runs a call of the implementation in the storage of the proxy, reverting with its reason if it fails
+    function _initialize(address implementation_, bytes memory data) private {
+        (bool success, bytes memory result) = implementation_.delegatecall(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+
+    // Forwards the call to the implementation and returns or reverts with its result
+    function _delegate(address implementation_) internal {
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), implementation_, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+}
@@ -0,0 +1,173 @@
+const { ContractRevertError } = require("./clients/errors");
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * Reference model of the `Ballot` contract in plain JavaScript. Each transaction applies the rules of the contract in
+ * the same order, and throws a `ContractRevertError` with the revert string of the contract without changing the
+ * state when the contract would revert. The read functions return the same values as `BallotClient`.
+ */
+class BallotModel {
+    /**
+     * @param chairperson - Address deploying the ballot
+     * @param representativeNames - Names given to the constructor
+     */
+    constructor(chairperson, representativeNames) {
+        if (representativeNames.length >= 6) {
+            throw new ContractRevertError("Too many representatives");
+        }
+        if (representativeNames.some((name) => Buffer.byteLength(name) >= 32)) {
+            throw new ContractRevertError("Name too long");
+        }
+        this.chairperson = chairperson;
+        this.voters = new Map();
+        this.addresses = [];
+        this.candidates = representativeNames.map((name) => ({ name, voteCount: 0 }));
+        this.nbrVotes = 0;
+
+        this.voterOf(chairperson).weight = 1;
+        this.addresses.push(chairperson);
+    }
+
+    /**
+     * Gives the stored voter of an address, creating an empty one like a Solidity mapping
+     */
+    voterOf(address) {
+        const key = address.toLowerCase();
+        if (!this.voters.has(key)) {
+            this.voters.set(key, { weight: 0, voted: false, delegate: ZERO_ADDRESS, vote: 0 });
+        }
+        return this.voters.get(key);
+    }
+
+    giveRightToVote(sender, voter) {
+        if (sender.toLowerCase() !== this.chairperson.toLowerCase()) {
+            throw new ContractRevertError("Only chairperson can give right to vote");
+        }
+        if (this.voterOf(voter).weight !== 0) {
+            throw new ContractRevertError("The user is already a voter");
+        }
+        this.voterOf(voter).weight = 1;
+        this.addresses.push(voter);
+    }
+
+    vote(sender, representativeIndex) {
+        // Reading the name for the event fails first, with a panic instead of a revert string
+        if (representativeIndex >= this.candidates.length) {
+            throw new ContractRevertError(null);
+        }
+        const voter = this.voterOf(sender);
+        if (voter.weight === 0) {
+            throw new ContractRevertError("Has no right to vote");
+        }
+        if (voter.voted) {
+            throw new ContractRevertError("Already voted");
+        }
+        voter.voted = true;
+        voter.vote = representativeIndex;
+        this.candidates[representativeIndex].voteCount += voter.weight;
+        this.nbrVotes += voter.weight;
+    }
+
+    delegate(sender, to) {
+        const voter = this.voterOf(sender);
+        if (voter.weight === 0) {
+            throw new ContractRevertError("You have no right to vote");
+        }
+        if (voter.voted) {
+            throw new ContractRevertError("You already voted");
+        }
+        if (to.toLowerCase() === sender.toLowerCase()) {
+            throw new ContractRevertError("Self-delegation is disallowed");
+        }
+
+        // Follow the chain to the last delegate
+        while (this.voterOf(to).delegate !== ZERO_ADDRESS) {
+            to = this.voterOf(to).delegate;
+            if (to.toLowerCase() === sender.toLowerCase()) {
+                throw new ContractRevertError("Found loop in delegation");
+            }
+        }
+
+        const delegate = this.voterOf(to);
+        if (delegate.weight < 1) {
+            throw new ContractRevertError("Delegated user can't vote");
+        }
+        voter.voted = true;
+        voter.delegate = to;
+
+        // Unlike `vote`, a delegation to a voter who already voted doesn't count in `nbrVotes`
+        if (delegate.voted) {
+            this.candidates[delegate.vote].voteCount += voter.weight;
+        } else {
+            delegate.weight += voter.weight;
+        }
+    }
+
+    /**
+     * Gives the addresses of every voter, starting with the chairperson
+     */
+    voterAddresses() {
+        return [...this.addresses];
+    }
+
+    /**
+     * Gives the details of a voter
+     *
+     * @param address - Address of the voter
+     * @return - Object with the `weight`, `voted`, `delegate` and `vote` of the voter
+     */
+    voter(address) {
+        return { ...this.voterOf(address) };
+    }
+
+    /**
+     * Gives the representatives and their current vote count, in the order of their index
+     *
+     * @return - List of `{ name, voteCount }` objects
+     */
+    representatives() {
+        return this.candidates.map((representative) => ({ ...representative }));
+    }
+
+    totalVotes() {
+        return this.nbrVotes;
+    }
+
+    /**
+     * Index of the first representative with the most votes, 0 if nobody has any
+     */
+    winningRepresentative() {
+        let winningVoteCount = 0;
+        let winner = 0;
+        this.candidates.forEach((representative, index) => {
+            if (representative.voteCount > winningVoteCount) {
+                winningVoteCount = representative.voteCount;
+                winner = index;
+            }
+        });
+        return winner;
+    }
+
+    winningName() {
+        if (this.nbrVotes === 0) {
+            throw new ContractRevertError("No one has voted yet");
+        }
+        return this.candidates[this.winningRepresentative()].name;
+    }
+
+    winnerName() {
+        if (this.nbrVotes === 0) {
+            throw new ContractRevertError("No one has voted yet");
+        }
+        const leader = this.candidates[this.winningRepresentative()];
+        if (leader.voteCount <= Math.floor(this.addresses.length / 2)) {
+            throw new ContractRevertError("Not enough votes");
+        }
+        return leader.name;
+    }
+}
+
+module.exports = {
+    BallotModel,
+};
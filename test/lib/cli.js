@@ -0,0 +1,196 @@
+const { BallotClient, NoMajorityError, NoVotesError } = require("./clients/ballot");
+const { FungibleTokenClient } = require("./clients/fungible_token");
+const { HelloWorldClient } = require("./clients/hello_world");
+const { NFTClient } = require("./clients/nft");
+
+const CLIENTS = {
+    hello: HelloWorldClient,
+    token: FungibleTokenClient,
+    ballot: BallotClient,
+    nft: NFTClient,
+};
+
+/**
+ * Runs `action` and returns `fallback` if it throws an instance of one of `errorClasses`
+ */
+async function orNull(action, ...errorClasses) {
+    try {
+        return await action();
+    } catch (error) {
+        if (errorClasses.some((ErrorClass) => error instanceof ErrorClass)) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Subcommands of each contract: `args` names the positional arguments, `run` returns either a value to print or a
+// transaction receipt, marked with `tx: true`
+const COMMANDS = {
+    hello: {
+        say: { args: [], run: (client) => client.sayHelloWorld() },
+        log: { args: [], tx: true, run: (client, args, options) => client.logMessage(options) },
+    },
+    token: {
+        info: {
+            args: [],
+            run: async (client) => ({
+                name: await client.name(),
+                symbol: await client.symbol(),
+                decimals: await client.decimals(),
+                totalSupply: await client.totalSupply(),
+            }),
+        },
+        balance: { args: ["owner"], run: (client, { owner }) => client.balanceOf(owner) },
+        allowance: { args: ["owner", "spender"], run: (client, { owner, spender }) => client.allowance(owner, spender) },
+        transfer: { args: ["to", "amount"], tx: true, run: (client, { to, amount }, options) => client.transfer(to, amount, options) },
+        approve: { args: ["spender", "amount"], tx: true, run: (client, { spender, amount }, options) => client.approve(spender, amount, options) },
+        "transfer-from": {
+            args: ["owner", "to", "amount"],
+            tx: true,
+            run: (client, { owner, to, amount }, options) => client.transferFrom(owner, to, amount, options),
+        },
+    },
+    ballot: {
+        "give-right": { args: ["voter"], tx: true, run: (client, { voter }, options) => client.giveRightToVote(voter, options) },
+        vote: { args: ["representative"], tx: true, run: (client, { representative }, options) => client.vote(representative, options) },
+        delegate: { args: ["to"], tx: true, run: (client, { to }, options) => client.delegate(to, options) },
+        voter: { args: ["address"], run: (client, { address }) => client.voter(address) },
+        results: {
+            args: [],
+            run: async (client) => ({
+                representatives: await client.representatives(),
+                totalVotes: await client.totalVotes(),
+                winningName: await orNull(() => client.winningName(), NoVotesError),
+                winnerName: await orNull(() => client.winnerName(), NoVotesError, NoMajorityError),
+            }),
+        },
+    },
+    nft: {
+        mint: { args: ["to", "id"], tx: true, run: (client, { to, id }, options) => client.mint(to, id, options) },
+        transfer: {
+            args: ["to", "id"],
+            tx: true,
+            run: async (client, { to, id }, options) => {
+                const owner = await client.ownerOf(id);
+                return client.safeTransferFrom(owner, to, id, options.data, options);
+            },
+        },
+        approve: { args: ["spender", "id"], tx: true, run: (client, { spender, id }, options) => client.approve(spender, id, options) },
+        owner: { args: ["id"], run: (client, { id }) => client.ownerOf(id) },
+        balance: { args: ["owner"], run: (client, { owner }) => client.balanceOf(owner) },
+    },
+};
+
+/**
+ * Splits command line arguments into positional arguments and `--name value` / `--name=value` options.
+ * `--json` is the only flag without value.
+ *
+ * @param argv - Arguments following the script name
+ * @return - Object with the `positional` list and the `options` object
+ */
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith("--")) {
+            positional.push(arg);
+        } else if (arg.includes("=")) {
+            const [name, ...value] = arg.slice(2).split("=");
+            options[name] = value.join("=");
+        } else if (arg === "--json") {
+            options.json = true;
+        } else {
+            options[arg.slice(2)] = argv[++i];
+        }
+    }
+    return { positional, options };
+}
+
+/**
+ * Lists the events decoded by web3 in a transaction receipt
+ *
+ * @param receipt - Receipt returned by a contract client
+ * @return - List of `{ event, args }` objects, `args` holding the named arguments of the event
+ */
+function decodedEvents(receipt) {
+    const events = Object.values(receipt.events || {}).flat();
+    return events
+        .sort((a, b) => a.logIndex - b.logIndex)
+        .map(({ event, returnValues }) => ({
+            event,
+            args: Object.fromEntries(Object.entries(returnValues).filter(([key]) => isNaN(Number(key)))),
+        }));
+}
+
+function usage() {
+    const lines = ["Usage: truffle exec scripts/cli.js <contract> <command> [args] [--from <address|index>] [--json] --network <network>", ""];
+    for (const [contract, commands] of Object.entries(COMMANDS)) {
+        for (const [name, command] of Object.entries(commands)) {
+            lines.push(`  ${contract} ${name} ${command.args.map((arg) => `<${arg}>`).join(" ")}`.trimEnd());
+        }
+    }
+    return lines.join("\n");
+}
+
+function formatValue(value) {
+    return typeof value === "object" && value !== null ? JSON.stringify(value, null, 2) : String(value);
+}
+
+/**
+ * Runs a command of the CLI
+ *
+ * @param argv - Arguments following the script name, e.g. `["token", "transfer", "0x...", "1.5", "--from", "1"]`
+ * @param context - `web3` instance, `resolveAddress(contractName)` returning the address of a deployed contract,
+ * optional `abiOf(contractName)` and `out(line)` printing function (default: `console.log`)
+ * @return - Printed result, as an object
+ */
+async function runCli(argv, { web3, resolveAddress, abiOf = () => undefined, out = console.log }) {
+    const { positional, options } = parseArgs(argv);
+    const [contract, name, ...values] = positional;
+    const command = COMMANDS[contract] && COMMANDS[contract][name];
+    if (!command) {
+        throw new Error(usage());
+    }
+    if (values.length < command.args.length) {
+        throw new Error(`Missing arguments, expected: ${contract} ${name} ${command.args.map((arg) => `<${arg}>`).join(" ")}`);
+    }
+
+    let from = options.from;
+    if (from !== undefined && /^\d+$/.test(from)) {
+        const accounts = await web3.eth.getAccounts();
+        if (Number(from) >= accounts.length) {
+            throw new Error(`No account at index ${from}, the network has ${accounts.length} account${accounts.length === 1 ? "" : "s"}`);
+        }
+        from = accounts[Number(from)];
+    }
+
+    const Client = CLIENTS[contract];
+    const client = new Client(web3, await resolveAddress(Client.contractName), { abi: abiOf(Client.contractName), from });
+    const args = Object.fromEntries(command.args.map((arg, i) => [arg, values[i]]));
+    const result = await command.run(client, args, { from, data: options.data });
+
+    const output = command.tx
+        ? { transactionHash: result.transactionHash, blockNumber: result.blockNumber, gasUsed: result.gasUsed, events: decodedEvents(result) }
+        : { result };
+
+    if (options.json) {
+        out(JSON.stringify(output, null, 2));
+    } else if (command.tx) {
+        out(`Transaction ${output.transactionHash} mined in block ${output.blockNumber} (${output.gasUsed} gas)`);
+        for (const { event, args: eventArgs } of output.events) {
+            out(`  ${event}(${Object.entries(eventArgs).map(([key, value]) => `${key}=${value}`).join(", ")})`);
+        }
+    } else {
+        out(formatValue(result));
+    }
+    return output;
+}
+
+module.exports = {
+    COMMANDS,
+    decodedEvents,
+    parseArgs,
+    runCli,
+};
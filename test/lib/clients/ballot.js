@@ -0,0 +1,148 @@
+const { ContractClient } = require("./contract_client");
+const { ContractRevertError, revertMapper } = require("./errors");
+
+class NotChairpersonError extends ContractRevertError {}
+class AlreadyVoterError extends ContractRevertError {}
+class NoRightToVoteError extends ContractRevertError {}
+class AlreadyVotedError extends ContractRevertError {}
+class SelfDelegationError extends ContractRevertError {}
+class DelegationLoopError extends ContractRevertError {}
+class DelegateCannotVoteError extends ContractRevertError {}
+class NoVotesError extends ContractRevertError {}
+class NoMajorityError extends ContractRevertError {}
+
+// `vote` and `delegate` word the same failures differently, they share one error class
+const mapRevert = revertMapper({
+    "Only chairperson can give right to vote": NotChairpersonError,
+    "The user is already a voter": AlreadyVoterError,
+    "Has no right to vote": NoRightToVoteError,
+    "You have no right to vote": NoRightToVoteError,
+    "Already voted": AlreadyVotedError,
+    "You already voted": AlreadyVotedError,
+    "Self-delegation is disallowed": SelfDelegationError,
+    "Found loop in delegation": DelegationLoopError,
+    "Delegated user can't vote": DelegateCannotVoteError,
+    "No one has voted yet": NoVotesError,
+    "Not enough votes": NoMajorityError,
+});
+
+/**
+ * Client of the `Ballot` contract. Voters and representatives are returned as named objects instead of tuples.
+ */
+class BallotClient extends ContractClient {
+    static contractName = "Ballot";
+
+    mapError(error) {
+        return mapRevert(error);
+    }
+
+    chairperson() {
+        return this.call("getChairperson");
+    }
+
+    /**
+     * Gives the addresses of every voter, starting with the chairperson
+     */
+    voterAddresses() {
+        return this.call("getVoterAddress");
+    }
+
+    /**
+     * Gives the details of a voter
+     *
+     * @param address - Address of the voter
+     * @return - Object with the `weight`, `voted`, `delegate` and `vote` of the voter
+     */
+    async voter(address) {
+        const details = await this.call("getVoterDetails", address);
+        return {
+            weight: Number(details.weight),
+            voted: details.voted,
+            delegate: details.delegate,
+            vote: Number(details.vote),
+        };
+    }
+
+    /**
+     * Gives the representatives and their current vote count, in the order of their index
+     *
+     * @return - List of `{ name, voteCount }` objects
+     */
+    async representatives() {
+        const representatives = await this.call("getRepresentatives");
+        return representatives.map((representative) => ({
+            name: representative.name,
+            voteCount: Number(representative.voteCount),
+        }));
+    }
+
+    /**
+     * Gives the number of votes cast, including delegated ones
+     */
+    async totalVotes() {
+        return Number(await this.call("nbrVotes"));
+    }
+
+    /**
+     * Gives the name of the representative with the most votes. Throws `NoVotesError` if no one has voted yet.
+     */
+    winningName() {
+        return this.call("winningName");
+    }
+
+    /**
+     * Gives the name of the representative holding the majority of the voters. Throws `NoVotesError` if no one has
+     * voted yet and `NoMajorityError` if no representative has the majority.
+     */
+    winnerName() {
+        return this.call("winnerName");
+    }
+
+    /**
+     * Gives a user the right to vote. Throws `NotChairpersonError` if the sender is not the chairperson and
+     * `AlreadyVoterError` if the user can already vote.
+     *
+     * @param voter - Address of the new voter
+     * @param options - Transaction options (`from`, `gas`, ...)
+     * @return - Transaction receipt
+     */
+    giveRightToVote(voter, options = {}) {
+        return this.send("giveRightToVote", [voter], options);
+    }
+
+    /**
+     * Votes for a representative. Throws `NoRightToVoteError` or `AlreadyVotedError` if the sender can't vote.
+     *
+     * @param representativeIndex - Index of the representative
+     * @param options - Transaction options (`from`, `gas`, ...)
+     * @return - Transaction receipt
+     */
+    vote(representativeIndex, options = {}) {
+        return this.send("vote", [representativeIndex], options);
+    }
+
+    /**
+     * Delegates the vote of the sender to another voter. Throws `NoRightToVoteError`, `AlreadyVotedError`,
+     * `SelfDelegationError`, `DelegationLoopError` or `DelegateCannotVoteError` when the delegation is refused.
+     *
+     * @param to - Address of the delegate
+     * @param options - Transaction options (`from`, `gas`, ...)
+     * @return - Transaction receipt
+     */
+    delegate(to, options = {}) {
+        return this.send("delegate", [to], options);
+    }
+}
+
+module.exports = {
+    AlreadyVotedError,
+    AlreadyVoterError,
+    BallotClient,
+    DelegateCannotVoteError,
+    DelegationLoopError,
+    NoMajorityError,
+    NoRightToVoteError,
+    NoVotesError,
+    NotChairpersonError,
+    SelfDelegationError,
+};
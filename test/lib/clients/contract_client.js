@@ -0,0 +1,110 @@
+const fs = require("fs");
+const path = require("path");
+
+const { getDeployment } = require("../deployments");
+
+const DEFAULT_BUILD_DIR = path.join(__dirname, "..", "..", "build", "contracts");
+
+/**
+ * Reads the ABI of a contract from the Truffle build output
+ *
+ * @param name - Name of the contract, e.g. `FungibleToken`
+ * @param buildDir - Directory of the Truffle artifacts (default: `build/contracts`)
+ * @return - ABI of the contract
+ */
+function loadAbi(name, buildDir = DEFAULT_BUILD_DIR) {
+    const file = path.join(buildDir, `${name}.json`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`No artifact for ${name} in ${buildDir}, run \`truffle compile\` first`);
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8")).abi;
+}
+
+/**
+ * Base class of the contract clients. Wraps a web3 contract built from the compiled ABI, sends transactions from the
+ * default account and converts reverts into the typed errors of the client.
+ */
+class ContractClient {
+    /**
+     * @param web3 - Web3 instance connected to the network
+     * @param address - Address of the deployed contract
+     * @param options - `abi` of the contract (default: read from `build/contracts`), `from` account sending the
+     * transactions (default: first account of the node) and `buildDir` of the Truffle artifacts
+     */
+    constructor(web3, address, options = {}) {
+        this.web3 = web3;
+        this.address = address;
+        this.from = options.from;
+        this.contract = new web3.eth.Contract(options.abi || loadAbi(this.constructor.contractName, options.buildDir), address);
+    }
+
+    /**
+     * Creates a client for the contract recorded in `deployments/<network>.json`
+     *
+     * @param web3 - Web3 instance connected to the network
+     * @param network - Name of the network
+     * @param options - Options of the constructor
+     * @return - Client instance
+     */
+    static fromDeployment(web3, network, options = {}) {
+        return new this(web3, getDeployment(network, this.contractName).address, options);
+    }
+
+    /**
+     * Converts an error thrown by web3 into the typed error of the client. Overridden by each client.
+     */
+    mapError(error) {
+        return error;
+    }
+
+    async sender(options = {}) {
+        if (options.from) {
+            return options.from;
+        }
+        if (!this.from) {
+            [this.from] = await this.web3.eth.getAccounts();
+        }
+        return this.from;
+    }
+
+    /**
+     * Calls a read-only method of the contract
+     *
+     * @param method - Name or signature of the method
+     * @param args - Arguments of the method
+     * @return - Value returned by the contract
+     */
+    async call(method, ...args) {
+        try {
+            return await this.contract.methods[method](...args).call();
+        } catch (error) {
+            throw this.mapError(error);
+        }
+    }
+
+    /**
+     * Sends a transaction to the contract. The transaction is simulated first so a revert is reported with its reason
+     * without spending gas.
+     *
+     * @param method - Name or signature of the method
+     * @param args - Arguments of the method
+     * @param options - Transaction options (`from`, `gas`, `gasPrice`, ...)
+     * @return - Transaction receipt
+     */
+    async send(method, args, options = {}) {
+        const from = await this.sender(options);
+        const transaction = this.contract.methods[method](...args);
+        try {
+            await transaction.call({ ...options, from });
+            const gas = options.gas || await transaction.estimateGas({ ...options, from });
+            return await transaction.send({ ...options, from, gas });
+        } catch (error) {
+            throw this.mapError(error);
+        }
+    }
+}
+
+module.exports = {
+    ContractClient,
+    loadAbi,
+};
@@ -0,0 +1,108 @@
+// Selector of `Error(string)`, the ABI encoding of `require(condition, "reason")` failures
+const ERROR_SELECTOR = "0x08c379a0";
+
+/**
+ * Error thrown when a contract call reverts. `reason` holds the revert string of the contract. Without `cause`, the
+ * error comes from a check of the client that stopped a transaction which would have reverted.
+ */
+class ContractRevertError extends Error {
+    constructor(reason, cause) {
+        const prefix = cause ? "Transaction reverted" : "Transaction would revert";
+        super(reason ? `${prefix}: ${reason}` : `${prefix} without a reason`);
+        this.name = this.constructor.name;
+        this.reason = reason;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Decodes the revert string from ABI encoded `Error(string)` data
+ *
+ * @param data - Hexadecimal return data of the failed call
+ * @return - Revert string, or `null` if the data is not a complete `Error(string)`
+ */
+function decodeRevertData(data) {
+    if (typeof data !== "string" || !data.startsWith(ERROR_SELECTOR)) {
+        return null;
+    }
+    const payload = Buffer.from(data.slice(ERROR_SELECTOR.length), "hex");
+    // At least the offset and the length of the string, truncated data can't be decoded
+    if (payload.length < 64) {
+        return null;
+    }
+    const offset = Number(BigInt("0x" + payload.subarray(0, 32).toString("hex")));
+    if (offset + 32 > payload.length) {
+        return null;
+    }
+    const length = Number(BigInt("0x" + payload.subarray(offset, offset + 32).toString("hex")));
+    if (offset + 32 + length > payload.length) {
+        return null;
+    }
+    return payload.subarray(offset + 32, offset + 32 + length).toString("utf8");
+}
+
+/**
+ * Extracts the revert string from an error thrown by web3 or by a node. Looks at the fields used by the different
+ * clients (`reason`, return `data`) before falling back to the error message.
+ *
+ * @param error - Error thrown by a contract call or transaction
+ * @return - Revert string, or `null` if none is found
+ */
+function revertReason(error) {
+    if (!error) {
+        return null;
+    }
+    // ABI encoding errors of web3 also carry a `reason`, with a string `code` such as `INVALID_ARGUMENT`
+    if (typeof error.code === "string" && error.code !== "CALL_EXCEPTION") {
+        return null;
+    }
+    if (typeof error.reason === "string") {
+        return error.reason;
+    }
+
+    const data = error.data;
+    if (data && typeof data === "object") {
+        if (typeof data.reason === "string") {
+            return data.reason;
+        }
+        const decoded = decodeRevertData(data.result) || decodeRevertData(data.data);
+        if (decoded !== null) {
+            return decoded;
+        }
+    }
+    const decoded = decodeRevertData(data);
+    if (decoded !== null) {
+        return decoded;
+    }
+
+    const match = /reverted with reason string '(.*)'|revert (.+?)(?: -- Reason given|$)/.exec(error.message || "");
+    return match ? (match[1] || match[2]).trim() : null;
+}
+
+/**
+ * Builds a function converting web3 errors into typed errors. Revert strings listed in `errorsByReason` become an
+ * instance of the matching class, other reverts a `ContractRevertError`. Errors that are not reverts are returned as is.
+ *
+ * @param errorsByReason - Object mapping revert strings to error classes extending `ContractRevertError`
+ * @return - Function taking an error and returning the typed error
+ */
+function revertMapper(errorsByReason) {
+    return (error) => {
+        if (error instanceof ContractRevertError) {
+            return error;
+        }
+        const reason = revertReason(error);
+        if (reason === null && !/revert/i.test(error.message || "")) {
+            return error;
+        }
+        const ErrorClass = errorsByReason[reason] || ContractRevertError;
+        return new ErrorClass(reason, error);
+    };
+}
+
+module.exports = {
+    ContractRevertError,
+    decodeRevertData,
+    revertMapper,
+    revertReason,
+};
@@ -0,0 +1,112 @@
+const { ContractClient } = require("./contract_client");
+const { ContractRevertError, revertMapper } = require("./errors");
+const { formatUnits, parseUnits } = require("./units");
+
+class InsufficientBalanceError extends ContractRevertError {}
+class InsufficientAllowanceError extends ContractRevertError {}
+
+const mapRevert = revertMapper({
+    "Insufficient balance": InsufficientBalanceError,
+    "Insufficient allowance": InsufficientAllowanceError,
+});
+
+/**
+ * Client of the `FungibleToken` contract. Amounts are given and returned as human-readable decimal strings,
+ * e.g. `"1.5"`, and converted from and to base units with the `decimals` of the token.
+ */
+class FungibleTokenClient extends ContractClient {
+    static contractName = "FungibleToken";
+
+    mapError(error) {
+        return mapRevert(error);
+    }
+
+    name() {
+        return this.call("name");
+    }
+
+    symbol() {
+        return this.call("symbol");
+    }
+
+    /**
+     * Gives the number of decimals of the token. The value is read once from the contract.
+     */
+    async decimals() {
+        if (this.cachedDecimals === undefined) {
+            this.cachedDecimals = Number(await this.call("decimals"));
+        }
+        return this.cachedDecimals;
+    }
+
+    /**
+     * Converts a decimal amount into base units of the token
+     */
+    async toBaseUnits(amount) {
+        return parseUnits(amount, await this.decimals());
+    }
+
+    /**
+     * Converts an amount in base units of the token into a decimal amount
+     */
+    async fromBaseUnits(units) {
+        return formatUnits(units, await this.decimals());
+    }
+
+    async totalSupply() {
+        return this.fromBaseUnits(await this.call("totalSupply"));
+    }
+
+    async balanceOf(owner) {
+        return this.fromBaseUnits(await this.call("balanceOf", owner));
+    }
+
+    async allowance(owner, spender) {
+        return this.fromBaseUnits(await this.call("allowance", owner, spender));
+    }
+
+    /**
+     * Transfers tokens from the sender to another account. Throws `InsufficientBalanceError` if the sender's balance
+     * is too low.
+     *
+     * @param to - Address of the receiver
+     * @param amount - Decimal amount of tokens
+     * @param options - Transaction options (`from`, `gas`, ...)
+     * @return - Transaction receipt
+     */
+    async transfer(to, amount, options = {}) {
+        return this.send("transfer", [to, await this.toBaseUnits(amount)], options);
+    }
+
+    /**
+     * Allows a spender to transfer up to `amount` tokens of the sender
+     *
+     * @param spender - Address of the spender
+     * @param amount - Decimal amount of tokens
+     * @param options - Transaction options (`from`, `gas`, ...)
+     * @return - Transaction receipt
+     */
+    async approve(spender, amount, options = {}) {
+        return this.send("approve", [spender, await this.toBaseUnits(amount)], options);
+    }
+
+    /**
+     * Transfers tokens of another account with the allowance given to the sender. Throws `InsufficientBalanceError`
+     * or `InsufficientAllowanceError` when the transfer isn't covered.
+     *
+     * @param from - Address of the owner of the tokens
+     * @param to - Address of the receiver
+     * @param amount - Decimal amount of tokens
+     * @param options - Transaction options (`from` is the spender)
+     * @return - Transaction receipt
+     */
+    async transferFrom(from, to, amount, options = {}) {
+        return this.send("transferFrom", [from, to, await this.toBaseUnits(amount)], options);
+    }
+}
+
+module.exports = {
+    FungibleTokenClient,
+    InsufficientAllowanceError,
+    InsufficientBalanceError,
+};
@@ -0,0 +1,26 @@
+const { ContractClient } = require("./contract_client");
+
+/**
+ * Client of the `HelloWorld` contract
+ */
+class HelloWorldClient extends ContractClient {
+    static contractName = "HelloWorld";
+
+    sayHelloWorld() {
+        return this.call("sayHelloWorld");
+    }
+
+    /**
+     * Emits the `PrintHelloWorld` event
+     *
+     * @param options - Transaction options (`from`, `gas`, ...)
+     * @return - Transaction receipt
+     */
+    logMessage(options = {}) {
+        return this.send("logMessage", [], options);
+    }
+}
+
+module.exports = {
+    HelloWorldClient,
+};
@@ -0,0 +1,260 @@
+const { ContractClient } = require("./contract_client");
+const { ContractRevertError, revertMapper } = require("./errors");
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Interface ids checked before sending transactions, see `Selector.sol`
+const IERC165_INTERFACE_ID = "0x01ffc9a7";
+const IBEP721_INTERFACE_ID = "0x80ac58cd";
+
+class TokenDoesNotExistError extends ContractRevertError {}
+class NotAuthorizedError extends ContractRevertError {}
+class NotOwnerError extends ContractRevertError {}
+class ZeroAddressError extends ContractRevertError {}
+class AlreadyMintedError extends ContractRevertError {}
+class UnsafeRecipientError extends ContractRevertError {}
+
+/**
+ * Error thrown when the contract at the address of the client doesn't support the IBEP721 interface
+ */
+class UnsupportedInterfaceError extends Error {
+    constructor(address) {
+        super(`Contract ${address} doesn't support the IBEP721 interface`);
+        this.name = "UnsupportedInterfaceError";
+    }
+}
+
+const mapRevert = revertMapper({
+    "token doesn't exist": TokenDoesNotExistError,
+    "not minted": TokenDoesNotExistError,
+    "not authorized": NotAuthorizedError,
+    "from != owner": NotOwnerError,
+    "not owner": NotOwnerError,
+    "owner = zero address": ZeroAddressError,
+    "transfer to zero address": ZeroAddressError,
+    "mint to zero address": ZeroAddressError,
+    "already minted": AlreadyMintedError,
+    "unsafe recipient": UnsafeRecipientError,
+});
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Client of the `NFT` (BEP721) contract. Before a transaction is sent, the client checks once that the contract
+ * supports the IERC165 and IBEP721 interfaces, then checks ownership and approvals by reading the contract, so a
+ * transfer that would revert fails without spending gas.
+ */
+class NFTClient extends ContractClient {
+    static contractName = "NFT";
+
+    mapError(error) {
+        return mapRevert(error);
+    }
+
+    supportsInterface(interfaceId) {
+        return this.call("supportsInterface", interfaceId);
+    }
+
+    /**
+     * Checks that the contract supports the IERC165 and IBEP721 interfaces. Throws `UnsupportedInterfaceError`
+     * otherwise, and the error of the call if the node couldn't answer. Only a successful check is kept for the next
+     * calls.
+     */
+    async assertInterface() {
+        if (!this.interfaceCheck) {
+            this.interfaceCheck = Promise.all([
+                this.supportsInterface(IERC165_INTERFACE_ID),
+                this.supportsInterface(IBEP721_INTERFACE_ID),
+            ]).then(([erc165, bep721]) => {
+                if (!erc165 || !bep721) {
+                    throw new UnsupportedInterfaceError(this.address);
+                }
+            }, (error) => {
+                // Without `supportsInterface`, a contract reverts and an account without code returns nothing
+                if (error instanceof ContractRevertError || /Returned values aren't valid/.test(error.message)) {
+                    throw new UnsupportedInterfaceError(this.address);
+                }
+                throw error;
+            });
+            this.interfaceCheck.catch(() => {
+                this.interfaceCheck = null;
+            });
+        }
+        return this.interfaceCheck;
+    }
+
+    async balanceOf(owner) {
+        return Number(await this.call("balanceOf", owner));
+    }
+
+    /**
+     * Gives the owner of a token. Throws `TokenDoesNotExistError` if the token is not minted.
+     */
+    ownerOf(id) {
+        return this.call("ownerOf", id);
+    }
+
+    /**
+     * Gives the account approved to transfer a token, the zero address if there is none
+     */
+    getApproved(id) {
+        return this.call("getApproved", id);
+    }
+
+    isApprovedForAll(owner, operator) {
+        return this.call("isApprovedForAll", owner, operator);
+    }
+
+    /**
+     * Gives the owner of a token, or `null` if the token is not minted
+     */
+    async ownerOrNull(id) {
+        try {
+            return await this.ownerOf(id);
+        } catch (error) {
+            if (error instanceof TokenDoesNotExistError) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Checks the rules of `transferFrom` before sending a transfer
+     */
+    async checkTransfer(from, to, id, options) {
+        await this.assertInterface();
+        const sender = await this.sender(options);
+        const owner = await this.ownerOf(id);
+        if (!sameAddress(owner, from)) {
+            throw new NotOwnerError("from != owner");
+        }
+        if (sameAddress(to, ZERO_ADDRESS)) {
+            throw new ZeroAddressError("transfer to zero address");
+        }
+        const authorized = sameAddress(sender, owner)
+            || await this.isApprovedForAll(owner, sender)
+            || sameAddress(await this.getApproved(id), sender);
+        if (!authorized) {
+            throw new NotAuthorizedError("not authorized");
+        }
+    }
+
+    /**
+     * Mints a new token. Throws `ZeroAddressError` for the zero address and `AlreadyMintedError` if the token exists.
+     *
+     * @param to - Address of the owner of the new token
+     * @param id - Id of the token
+     * @param options - Transaction options (`from`, `gas`, ...)
+     * @return - Transaction receipt
+     */
+    async mint(to, id, options = {}) {
+        await this.assertInterface();
+        if (sameAddress(to, ZERO_ADDRESS)) {
+            throw new ZeroAddressError("mint to zero address");
+        }
+        if (await this.ownerOrNull(id) !== null) {
+            throw new AlreadyMintedError("already minted");
+        }
+        return this.send("mint", [to, id], options);
+    }
+
+    /**
+     * Burns a token of the sender. Throws `TokenDoesNotExistError` or `NotOwnerError`.
+     *
+     * @param id - Id of the token
+     * @param options - Transaction options (`from`, `gas`, ...)
+     * @return - Transaction receipt
+     */
+    async burn(id, options = {}) {
+        await this.assertInterface();
+        const owner = await this.ownerOf(id);
+        if (!sameAddress(owner, await this.sender(options))) {
+            throw new NotOwnerError("not owner");
+        }
+        return this.send("burn", [id], options);
+    }
+
+    /**
+     * Transfers a token. Throws `TokenDoesNotExistError`, `NotOwnerError`, `ZeroAddressError` or
+     * `NotAuthorizedError` before sending anything if the transfer would revert.
+     *
+     * @param from - Address of the owner of the token
+     * @param to - Address of the receiver
+     * @param id - Id of the token
+     * @param options - Transaction options (`from` is the sender, which can differ from the owner)
+     * @return - Transaction receipt
+     */
+    async transferFrom(from, to, id, options = {}) {
+        await this.checkTransfer(from, to, id, options);
+        return this.send("transferFrom", [from, to, id], options);
+    }
+
+    /**
+     * Transfers a token like `transferFrom`, then lets a contract receiver confirm it handles BEP721 tokens.
+     * `data` is forwarded to `onBEP721Received` when given. Throws `UnsafeRecipientError` if the receiver refuses.
+     *
+     * @param from - Address of the owner of the token
+     * @param to - Address of the receiver
+     * @param id - Id of the token
+     * @param data - Optional data sent to the receiver, hexadecimal or a `Buffer`/`Uint8Array`
+     * @param options - Transaction options (`from` is the sender, which can differ from the owner)
+     * @return - Transaction receipt
+     */
+    async safeTransferFrom(from, to, id, data, options = {}) {
+        // `data` can be left out, the options object then comes in its place
+        if (data !== null && typeof data === "object" && Object.getPrototypeOf(data) === Object.prototype) {
+            [data, options] = [undefined, data];
+        }
+        await this.checkTransfer(from, to, id, options);
+        if (data === undefined) {
+            return this.send("safeTransferFrom(address,address,uint256)", [from, to, id], options);
+        }
+        return this.send("safeTransferFrom(address,address,uint256,bytes)", [from, to, id, data], options);
+    }
+
+    /**
+     * Approves an account to transfer a token. Throws `TokenDoesNotExistError` or `NotAuthorizedError` if the sender
+     * is neither the owner nor an operator of the owner.
+     *
+     * @param spender - Address of the approved account
+     * @param id - Id of the token
+     * @param options - Transaction options (`from`, `gas`, ...)
+     * @return - Transaction receipt
+     */
+    async approve(spender, id, options = {}) {
+        await this.assertInterface();
+        const sender = await this.sender(options);
+        const owner = await this.ownerOf(id);
+        if (!sameAddress(sender, owner) && !await this.isApprovedForAll(owner, sender)) {
+            throw new NotAuthorizedError("not authorized");
+        }
+        return this.send("approve", [spender, id], options);
+    }
+
+    /**
+     * Gives or removes the right of an operator to transfer every token of the sender
+     *
+     * @param operator - Address of the operator
+     * @param approved - Whether the operator is approved
+     * @param options - Transaction options (`from`, `gas`, ...)
+     * @return - Transaction receipt
+     */
+    async setApprovalForAll(operator, approved, options = {}) {
+        await this.assertInterface();
+        return this.send("setApprovalForAll", [operator, approved], options);
+    }
+}
+
+module.exports = {
+    AlreadyMintedError,
+    IBEP721_INTERFACE_ID,
+    IERC165_INTERFACE_ID,
+    NFTClient,
+    NotAuthorizedError,
+    NotOwnerError,
+    TokenDoesNotExistError,
+    UnsafeRecipientError,
+    UnsupportedInterfaceError,
+    ZeroAddressError,
+};
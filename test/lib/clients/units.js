@@ -0,0 +1,43 @@
+/**
+ * Converts a human-readable decimal amount into base units, e.g. `"1.5"` with 18 decimals into `"1500000000000000000"`.
+ * Throws an error if the amount is negative, malformed or has more fraction digits than `decimals`.
+ *
+ * @param amount - Amount as a decimal string or number
+ * @param decimals - Number of decimals of the token
+ * @return - Amount in base units as a decimal string
+ */
+function parseUnits(amount, decimals) {
+    const value = String(amount).trim();
+    const match = /^(\d*)(?:\.(\d*))?$/.exec(value);
+    if (!match || (match[1] === "" && !match[2])) {
+        throw new Error(`Invalid amount: ${JSON.stringify(amount)}`);
+    }
+
+    const fraction = (match[2] || "").replace(/0+$/, "");
+    if (fraction.length > decimals) {
+        throw new Error(`Amount ${value} has more than ${decimals} decimals`);
+    }
+    const units = BigInt(match[1] || "0") * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, "0") || "0");
+    return units.toString();
+}
+
+/**
+ * Converts an amount in base units into a human-readable decimal string, e.g. `"1500000000000000000"` with
+ * 18 decimals into `"1.5"`
+ *
+ * @param units - Amount in base units as a decimal string, number, BN or BigInt
+ * @param decimals - Number of decimals of the token
+ * @return - Decimal string without trailing zeros
+ */
+function formatUnits(units, decimals) {
+    const value = BigInt(units.toString());
+    const base = 10n ** BigInt(decimals);
+    const whole = value / base;
+    const fraction = (value % base).toString().padStart(decimals, "0").replace(/0+$/, "");
+    return fraction ? `${whole}.${fraction}` : whole.toString();
+}
+
+module.exports = {
+    formatUnits,
+    parseUnits,
+};
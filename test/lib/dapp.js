@@ -0,0 +1,188 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const { readManifest } = require("./deployments");
+const { FailoverProvider } = require("./rpc");
+
+const ROOT = path.join(__dirname, "..");
+const DEFAULT_APP_DIR = path.join(ROOT, "app");
+const DEFAULT_BUILD_DIR = path.join(ROOT, "build", "contracts");
+
+// Contracts operated by the pages of the front-end
+const DAPP_CONTRACTS = ["HelloWorld", "FungibleToken", "Ballot", "NFT"];
+
+const CONTENT_TYPES = {
+    ".html": "text/html; charset=utf-8",
+    ".js": "text/javascript; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+    ".json": "application/json; charset=utf-8",
+    ".svg": "image/svg+xml",
+    ".png": "image/png",
+};
+
+// Largest JSON-RPC request accepted by the proxy
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Gives the canonical type of an ABI parameter, tuples written out as `(type1,type2)`
+ */
+function canonicalType(param) {
+    if (!param.type.startsWith("tuple")) {
+        return param.type;
+    }
+    return `(${param.components.map(canonicalType).join(",")})${param.type.slice("tuple".length)}`;
+}
+
+/**
+ * Adds the `selector` of each function and the `topic` of each event to an ABI. Browsers have no keccak256, so the
+ * front-end reads them instead of hashing the signatures.
+ *
+ * @param abi - ABI of a contract
+ * @return - Copy of the ABI
+ */
+function abiWithSelectors(abi) {
+    const { keccak256 } = require("ethereum-cryptography/keccak");
+    const hash = (signature) => `0x${Buffer.from(keccak256(Buffer.from(signature))).toString("hex")}`;
+    return abi.map((item) => {
+        const signature = `${item.name}(${(item.inputs || []).map(canonicalType).join(",")})`;
+        if (item.type === "function") {
+            return { ...item, signature, selector: hash(signature).slice(0, 10) };
+        }
+        if (item.type === "event") {
+            return { ...item, signature, topic: hash(signature) };
+        }
+        return item;
+    });
+}
+
+/**
+ * Builds the configuration of the front-end from the Truffle build output. The address of each contract is the one
+ * recorded in its artifact for the network id of the node, or the one of `deployments/<network>.json` when the node
+ * isn't reachable or the artifact has no address for it.
+ *
+ * @param network - Name of the network
+ * @param options - `rpc(method, params)` function querying the node, or `null`, `buildDir` of the artifacts and
+ * `deploymentsDir` of the manifests
+ * @return - Object with the `network`, its `chainId`, whether the local `rpc` proxy is available and the `address`,
+ * deployment `blockNumber` and `abi` of each contract
+ */
+async function dappConfig(network, { rpc = null, buildDir = DEFAULT_BUILD_DIR, deploymentsDir } = {}) {
+    const manifest = readManifest(network, deploymentsDir);
+    let networkId = null;
+    let chainId = manifest.chainId;
+    if (rpc) {
+        networkId = await rpc("net_version");
+        chainId = parseInt(await rpc("eth_chainId"), 16);
+    }
+
+    const contracts = {};
+    for (const name of DAPP_CONTRACTS) {
+        const file = path.join(buildDir, `${name}.json`);
+        if (!fs.existsSync(file)) {
+            throw new Error(`No artifact for ${name} in ${buildDir}, run \`truffle compile\` first`);
+        }
+        const artifact = JSON.parse(fs.readFileSync(file, "utf8"));
+        const deployed = networkId !== null && artifact.networks && artifact.networks[networkId];
+        const recorded = manifest.contracts[name];
+        const address = deployed ? deployed.address : recorded ? recorded.address : null;
+        contracts[name] = {
+            address,
+            // The pages search the events of the contract from this block
+            blockNumber: recorded && address && recorded.address.toLowerCase() === address.toLowerCase() ? recorded.blockNumber : 0,
+            abi: abiWithSelectors(artifact.abi),
+        };
+    }
+    return { network, chainId, rpc: Boolean(rpc), contracts };
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = "";
+        request.setEncoding("utf8");
+        request.on("data", (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new Error("Request too large"));
+                request.destroy();
+            }
+        });
+        request.on("end", () => resolve(body));
+        request.on("error", reject);
+    });
+}
+
+function sendJson(response, status, value) {
+    const body = JSON.stringify(value);
+    response.writeHead(status, { "Content-Type": CONTENT_TYPES[".json"], "Cache-Control": "no-store" });
+    response.end(body);
+}
+
+/**
+ * Creates the development server of the front-end. It serves:
+ * - the static files of `app/`
+ * - `/contracts.json`, the configuration built by `dappConfig` on each request, so a new migration is picked up
+ *   without restarting the server
+ * - `/rpc`, a JSON-RPC proxy to the local node, for the pages used without a wallet. It only takes `application/json`
+ *   requests from the pages of the server itself.
+ *
+ * @param options - `network` name, `rpcUrl` of the node (default: none, the pages need a wallet), `appDir`,
+ * `buildDir`, `deploymentsDir` and an optional `log(line)` function
+ * @return - `http.Server`, not listening yet
+ */
+function createDappServer({ network, rpcUrl = null, appDir = DEFAULT_APP_DIR, buildDir, deploymentsDir, log = () => {} }) {
+    const provider = rpcUrl ? new FailoverProvider([rpcUrl], { healthCheck: false, retries: 0 }) : null;
+    const rpc = provider && (async (method, params = []) => {
+        const { result, error } = await provider.request({ jsonrpc: "2.0", id: 1, method, params });
+        if (error) {
+            throw new Error(`${method} failed: ${error.message}`);
+        }
+        return result;
+    });
+    const root = path.resolve(appDir);
+
+    return http.createServer(async (request, response) => {
+        const { pathname } = new URL(request.url, "http://localhost");
+        try {
+            if (pathname === "/contracts.json" && request.method === "GET") {
+                return sendJson(response, 200, await dappConfig(network, { rpc, buildDir, deploymentsDir }));
+            }
+            if (pathname === "/rpc" && request.method === "POST") {
+                if (!provider) {
+                    return sendJson(response, 404, { error: "No local RPC for this network, use a wallet" });
+                }
+                // The node signs with unlocked accounts: only the pages of this server may use it. Another site can
+                // send a `text/plain` POST without a CORS preflight, but not a JSON one.
+                const { origin } = request.headers;
+                if (origin !== undefined && origin !== `http://${request.headers.host}`) {
+                    return sendJson(response, 403, { error: `Requests from ${origin} are not allowed` });
+                }
+                const contentType = (request.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+                if (contentType !== "application/json") {
+                    return sendJson(response, 415, { error: "JSON-RPC requests must be sent as application/json" });
+                }
+                return sendJson(response, 200, await provider.request(JSON.parse(await readBody(request))));
+            }
+            if (request.method !== "GET") {
+                return sendJson(response, 405, { error: `${request.method} not allowed` });
+            }
+
+            const file = path.resolve(root, `.${decodeURIComponent(pathname === "/" ? "/index.html" : pathname)}`);
+            if (!file.startsWith(root + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+                return sendJson(response, 404, { error: `${pathname} not found` });
+            }
+            response.writeHead(200, { "Content-Type": CONTENT_TYPES[path.extname(file)] || "application/octet-stream" });
+            fs.createReadStream(file).pipe(response);
+        } catch (error) {
+            log(`${request.method} ${pathname}: ${error.message}`);
+            sendJson(response, error instanceof SyntaxError ? 400 : 500, { error: error.message });
+        }
+    });
+}
+
+module.exports = {
+    DAPP_CONTRACTS,
+    abiWithSelectors,
+    createDappServer,
+    dappConfig,
+};
@@ -0,0 +1,196 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, "..", "config", "deploy.json");
+
+// Limits enforced by the `Ballot` and `FungibleToken` constructors
+const MAX_REPRESENTATIVES = 5;
+const MAX_NAME_BYTES = 31;
+const MAX_DECIMALS = 18;
+
+// Contracts deployed by `migrations/2_deploy_contracts.js`, in order
+const DEPLOYED_CONTRACTS = ["HelloWorld", "Ballot", "FungibleToken", "NFT", "Selector"];
+
+// Contracts that can be deployed behind a proxy, with the contract deployed as their implementation: `FungibleToken`
+// is replaced by its variant with an initializer, `NFT` has no constructor
+const PROXY_IMPLEMENTATIONS = { FungibleToken: "FungibleTokenUpgradeable", NFT: "NFT" };
+const PROXY_CONTRACTS = Object.keys(PROXY_IMPLEMENTATIONS);
+
+/**
+ * Reads the deployment parameters of every network from the config file
+ *
+ * @param configPath - Path of the JSON file keyed by network name (default: `config/deploy.json`)
+ * @return - Object holding the parameters of each network
+ */
+function readConfig(configPath = DEFAULT_CONFIG_PATH) {
+    let raw;
+    try {
+        raw = fs.readFileSync(configPath, "utf8");
+    } catch (error) {
+        throw new Error(`Cannot read deployment config ${configPath}: ${error.message}`);
+    }
+
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`Invalid JSON in deployment config ${configPath}: ${error.message}`);
+    }
+}
+
+/**
+ * Checks the `Ballot` constructor arguments. Throws an error describing the first invalid value.
+ *
+ * @param network - Name of the network, used in the error messages
+ * @param ballot - Object with the `representatives` list
+ */
+function validateBallot(network, ballot) {
+    const prefix = `[${network}] ballot`;
+    if (!ballot || !Array.isArray(ballot.representatives)) {
+        throw new Error(`${prefix}.representatives must be a list of names`);
+    }
+    if (ballot.representatives.length === 0) {
+        throw new Error(`${prefix}.representatives must not be empty`);
+    }
+    if (ballot.representatives.length > MAX_REPRESENTATIVES) {
+        throw new Error(`${prefix}.representatives has ${ballot.representatives.length} names, the contract accepts at most ${MAX_REPRESENTATIVES}`);
+    }
+    ballot.representatives.forEach((name, i) => {
+        if (typeof name !== "string" || name.length === 0) {
+            throw new Error(`${prefix}.representatives[${i}] must be a non-empty string`);
+        }
+        if (Buffer.byteLength(name, "utf8") > MAX_NAME_BYTES) {
+            throw new Error(`${prefix}.representatives[${i}] "${name}" is longer than ${MAX_NAME_BYTES} bytes`);
+        }
+    });
+}
+
+/**
+ * Checks the `FungibleToken` constructor arguments. Throws an error describing the first invalid value.
+ *
+ * @param network - Name of the network, used in the error messages
+ * @param token - Object with the `name`, `symbol`, `totalSupply` and `decimals` of the token
+ */
+function validateFungibleToken(network, token) {
+    const prefix = `[${network}] fungibleToken`;
+    if (!token) {
+        throw new Error(`${prefix} is missing`);
+    }
+    if (typeof token.name !== "string" || token.name.length === 0) {
+        throw new Error(`${prefix}.name must be a non-empty string`);
+    }
+    if (typeof token.symbol !== "string" || token.symbol.length === 0) {
+        throw new Error(`${prefix}.symbol must be a non-empty string`);
+    }
+    // The supply is kept as a string in the config so values above 2^53 stay exact
+    if (!/^\d+$/.test(String(token.totalSupply)) || /^0+$/.test(String(token.totalSupply))) {
+        throw new Error(`${prefix}.totalSupply must be an integer greater than 0, got ${JSON.stringify(token.totalSupply)}`);
+    }
+    if (!Number.isInteger(token.decimals) || token.decimals < 0 || token.decimals > MAX_DECIMALS) {
+        throw new Error(`${prefix}.decimals must be an integer between 0 and ${MAX_DECIMALS}, got ${JSON.stringify(token.decimals)}`);
+    }
+}
+
+/**
+ * Checks the optional list of contracts deployed behind a proxy. Throws an error describing the first invalid value.
+ *
+ * @param network - Name of the network, used in the error messages
+ * @param proxy - List of contract names, or `undefined` to deploy every contract directly
+ */
+function validateProxy(network, proxy) {
+    if (proxy === undefined) {
+        return;
+    }
+    const prefix = `[${network}] proxy`;
+    if (!Array.isArray(proxy)) {
+        throw new Error(`${prefix} must be a list of contract names`);
+    }
+    proxy.forEach((name, i) => {
+        if (!PROXY_CONTRACTS.includes(name)) {
+            throw new Error(`${prefix}[${i}] "${name}" can't be deployed behind a proxy, expected one of ${PROXY_CONTRACTS.join(", ")}`);
+        }
+    });
+}
+
+/**
+ * Returns the validated deployment parameters of a network. Throws an error if the network has no entry
+ * in the config file or if one of its values is invalid.
+ *
+ * @param network - Name of the network as defined in `truffle-config.js`
+ * @param configPath - Path of the JSON config file (default: `config/deploy.json`)
+ * @return - Object with the `ballot` and `fungibleToken` parameters, and the optional `proxy` list
+ */
+function loadDeployParams(network, configPath = DEFAULT_CONFIG_PATH) {
+    const config = readConfig(configPath);
+    const params = config[network];
+    if (!params) {
+        const known = Object.keys(config).join(", ") || "none";
+        throw new Error(`No deployment parameters for network "${network}" in ${configPath} (configured networks: ${known})`);
+    }
+
+    validateBallot(network, params.ballot);
+    validateFungibleToken(network, params.fungibleToken);
+    validateProxy(network, params.proxy);
+
+    return params;
+}
+
+/**
+ * Gives the constructor arguments of a contract from the deployment parameters of its network, the ones the
+ * migrations use
+ *
+ * @param name - Name of the contract
+ * @param params - Parameters returned by `loadDeployParams`
+ * @return - List of constructor arguments
+ */
+function constructorArgs(name, params) {
+    if (name === "Ballot") {
+        return [params.ballot.representatives];
+    }
+    if (name === "FungibleToken") {
+        const token = params.fungibleToken;
+        return [token.name, token.symbol, token.totalSupply, token.decimals];
+    }
+    return [];
+}
+
+/**
+ * Gives the contracts deployed by the migrations with their constructor arguments. A contract listed in `proxy` is
+ * deployed as its implementation followed by a `TransparentProxy`, after a `ProxyAdmin` deployed with the first of
+ * them. The addresses given to a proxy are only known during the deployment, its arguments name the implementation
+ * and the admin instead.
+ *
+ * @param params - Parameters returned by `loadDeployParams`
+ * @param requireArtifact - Function giving the Truffle contract abstraction of a name, e.g. `artifacts.require`
+ * @return - List of `[Contract, args]` pairs, in deployment order
+ */
+function deploymentContracts(params, requireArtifact) {
+    const proxied = params.proxy || [];
+    const contracts = [];
+    for (const name of DEPLOYED_CONTRACTS) {
+        const args = constructorArgs(name, params);
+        if (!proxied.includes(name)) {
+            contracts.push([requireArtifact(name), args]);
+            continue;
+        }
+        if (!contracts.some(([Contract]) => Contract.contractName === "ProxyAdmin")) {
+            contracts.push([requireArtifact("ProxyAdmin"), []]);
+        }
+        const implementation = PROXY_IMPLEMENTATIONS[name];
+        contracts.push([requireArtifact(implementation), args]);
+        contracts.push([requireArtifact("TransparentProxy"), [implementation, "ProxyAdmin", args]]);
+    }
+    return contracts;
+}
+
+module.exports = {
+    DEFAULT_CONFIG_PATH,
+    DEPLOYED_CONTRACTS,
+    PROXY_CONTRACTS,
+    PROXY_IMPLEMENTATIONS,
+    constructorArgs,
+    deploymentContracts,
+    loadDeployParams,
+    validateBallot,
+    validateFungibleToken,
+    validateProxy,
+};
@@ -0,0 +1,116 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+// Bump when the layout of the manifest changes
+const MANIFEST_VERSION = 1;
+
+/**
+ * Gives the path of the manifest file of a network
+ *
+ * @param network - Name of the network as defined in `truffle-config.js`
+ * @param dir - Directory holding the manifests (default: `deployments/`)
+ * @return - Path of `<dir>/<network>.json`
+ */
+function manifestPath(network, dir = DEFAULT_DEPLOYMENTS_DIR) {
+    return path.join(dir, `${network}.json`);
+}
+
+/**
+ * Reads the manifest of a network. Returns an empty manifest if nothing has been deployed on the network yet.
+ *
+ * @param network - Name of the network
+ * @param dir - Directory holding the manifests (default: `deployments/`)
+ * @return - Manifest with the `version`, `network`, `chainId` and `contracts` entries
+ */
+function readManifest(network, dir = DEFAULT_DEPLOYMENTS_DIR) {
+    const file = manifestPath(network, dir);
+    if (!fs.existsSync(file)) {
+        return { version: MANIFEST_VERSION, network, chainId: null, contracts: {} };
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        throw new Error(`Invalid manifest ${file}: ${error.message}`);
+    }
+    if (manifest.version !== MANIFEST_VERSION) {
+        throw new Error(`Unsupported manifest version ${manifest.version} in ${file} (expected ${MANIFEST_VERSION})`);
+    }
+    return manifest;
+}
+
+/**
+ * Adds or replaces the entry of a contract in the manifest of a network and writes it to disk
+ *
+ * @param network - Name of the network
+ * @param name - Name of the contract, e.g. `FungibleToken`
+ * @param entry - Object with the `address`, `transactionHash`, `blockNumber`, `args`, `deployer` and `compiler` of the deployment
+ * @param options - `chainId` of the network and `dir` holding the manifests
+ * @return - Updated manifest
+ */
+function recordDeployment(network, name, entry, { chainId = null, dir = DEFAULT_DEPLOYMENTS_DIR } = {}) {
+    const manifest = readManifest(network, dir);
+    if (chainId !== null) {
+        manifest.chainId = chainId;
+    }
+    manifest.contracts[name] = entry;
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(manifestPath(network, dir), JSON.stringify(manifest, null, 2) + "\n");
+    return manifest;
+}
+
+/**
+ * Records a contract deployed by a Truffle migration. The transaction hash and compiler version come from the
+ * Truffle artifact, the block number and the deployer account from the transaction receipt.
+ *
+ * @param web3 - Web3 instance of the migration
+ * @param network - Name of the network
+ * @param Contract - Truffle contract abstraction returned by `artifacts.require` once deployed
+ * @param args - Constructor arguments used for the deployment
+ * @param dir - Directory holding the manifests (default: `deployments/`)
+ * @return - Entry written for the contract
+ */
+async function recordTruffleDeployment(web3, network, Contract, args = [], dir = DEFAULT_DEPLOYMENTS_DIR) {
+    const receipt = await web3.eth.getTransactionReceipt(Contract.transactionHash);
+    const entry = {
+        address: Contract.address,
+        transactionHash: Contract.transactionHash,
+        blockNumber: receipt.blockNumber,
+        args,
+        deployer: web3.utils.toChecksumAddress(receipt.from),
+        compiler: Contract.compiler ? Contract.compiler.version : null,
+    };
+
+    recordDeployment(network, Contract.contractName, entry, { chainId: await web3.eth.getChainId(), dir });
+    return entry;
+}
+
+/**
+ * Looks up a deployed contract. Throws an error if the contract is not recorded for the network.
+ *
+ * @param network - Name of the network
+ * @param name - Name of the contract, e.g. `NFT`
+ * @param dir - Directory holding the manifests (default: `deployments/`)
+ * @return - Entry of the contract, with its `address`
+ */
+function getDeployment(network, name, dir = DEFAULT_DEPLOYMENTS_DIR) {
+    const entry = readManifest(network, dir).contracts[name];
+    if (!entry) {
+        throw new Error(`${name} is not deployed on network "${network}" (see ${manifestPath(network, dir)})`);
+    }
+    return entry;
+}
+
+module.exports = {
+    DEFAULT_DEPLOYMENTS_DIR,
+    MANIFEST_VERSION,
+    getDeployment,
+    manifestPath,
+    readManifest,
+    recordDeployment,
+    recordTruffleDeployment,
+};
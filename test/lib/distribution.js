@@ -0,0 +1,388 @@
+const fs = require("fs");
+const path = require("path");
+
+const { formatUnits, parseUnits } = require("./clients/units");
+
+// Bump when the layout of the journal changes
+const JOURNAL_VERSION = 1;
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+const DEFAULT_OPTIONS = {
+    // Maximum number of transfers waiting for their receipt
+    concurrency: 4,
+    // Delay between two receipt checks
+    pollInterval: 2000,
+    // Time to wait for a receipt before settling the transfer again
+    receiptTimeout: 10 * 60 * 1000,
+    // Gas limit of each transfer, estimated by the node when `null`
+    gas: null,
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Reads the rows of a distribution CSV file: one `address,amount` row per recipient, the amount being a decimal number
+ * of tokens. An `address,amount` header, blank lines and lines starting with `#` are skipped. Every invalid row is
+ * reported in a single error: malformed or wrongly checksummed address, zero address, invalid amount, or an address
+ * already listed on a previous line.
+ *
+ * @param web3 - Web3 instance, used for the address checks
+ * @param text - Content of the CSV file
+ * @param decimals - Number of decimals of the token
+ * @return - List of `{ line, address, amount }` rows, with checksummed addresses and amounts in base units
+ */
+function parseDistribution(web3, text, decimals) {
+    const rows = [];
+    const errors = [];
+    const lines = new Map();
+
+    text.split(/\r?\n/).forEach((raw, index) => {
+        const line = index + 1;
+        const content = raw.trim();
+        if (content === "" || content.startsWith("#") || (rows.length === 0 && /^"?address"?\s*,/i.test(content))) {
+            return;
+        }
+
+        const fields = content.split(",").map((field) => field.trim().replace(/^"(.*)"$/, "$1"));
+        if (fields.length !== 2) {
+            errors.push(`line ${line}: expected <address>,<amount>, got ${fields.length} fields`);
+            return;
+        }
+        const [address, value] = fields;
+
+        if (!web3.utils.isAddress(address)) {
+            const reason = /^0x[0-9a-fA-F]{40}$/.test(address) ? "has an invalid checksum" : "is not an address";
+            errors.push(`line ${line}: ${address} ${reason}`);
+            return;
+        }
+        if (address.toLowerCase() === ZERO_ADDRESS) {
+            errors.push(`line ${line}: the zero address can't receive tokens`);
+            return;
+        }
+        const key = address.toLowerCase();
+        if (lines.has(key)) {
+            errors.push(`line ${line}: ${address} is already listed on line ${lines.get(key)}`);
+            return;
+        }
+
+        let amount;
+        try {
+            amount = parseUnits(value, decimals);
+        } catch (error) {
+            errors.push(`line ${line}: ${error.message}`);
+            return;
+        }
+        if (amount === "0") {
+            errors.push(`line ${line}: the amount must be greater than 0`);
+            return;
+        }
+
+        lines.set(key, line);
+        rows.push({ line, address: web3.utils.toChecksumAddress(address), amount });
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid distribution file:\n  ${errors.join("\n  ")}`);
+    }
+    if (rows.length === 0) {
+        throw new Error("The distribution file has no recipient");
+    }
+    return rows;
+}
+
+/**
+ * Progress of a distribution kept in a JSON file: the token, the sender, the block the distribution started at and,
+ * for each recipient, the `amount`, the `nonce` and `hash` of its transfer and a `status`:
+ * - `sending`: the nonce is reserved, the transfer may have been broadcast before the hash was recorded
+ * - `sent`: the transfer was broadcast and waits for its receipt
+ * - `confirmed`: the recipient was paid
+ * - `failed`: the transfer reverted
+ *
+ * Without a file, the journal only lives in memory.
+ */
+class DistributionJournal {
+    constructor(file = null) {
+        this.file = file;
+        this.data = { version: JOURNAL_VERSION, token: null, from: null, startBlock: null, transfers: {} };
+        if (file && fs.existsSync(file)) {
+            const data = JSON.parse(fs.readFileSync(file, "utf8"));
+            if (data.version !== JOURNAL_VERSION) {
+                throw new Error(`Unsupported journal version ${data.version} in ${file} (expected ${JOURNAL_VERSION})`);
+            }
+            this.data = data;
+        }
+    }
+
+    get startBlock() {
+        return this.data.startBlock;
+    }
+
+    /**
+     * Binds the journal to a distribution. Throws an error if the journal belongs to another token or sender.
+     *
+     * @param token - Address of the token
+     * @param from - Address of the sender
+     * @param startBlock - Current block, kept from the first run
+     */
+    open(token, from, startBlock) {
+        const { data } = this;
+        if (data.token === null) {
+            Object.assign(data, { token, from, startBlock });
+            this.save();
+            return;
+        }
+        if (data.token.toLowerCase() !== token.toLowerCase() || data.from.toLowerCase() !== from.toLowerCase()) {
+            throw new Error(`The journal ${this.file} is the distribution of ${data.token} by ${data.from}, not of ${token} by ${from}`);
+        }
+    }
+
+    transfer(address) {
+        return this.data.transfers[address.toLowerCase()];
+    }
+
+    /**
+     * Updates the transfer of a recipient and writes the journal
+     *
+     * @param address - Address of the recipient
+     * @param fields - Fields of the transfer to update
+     */
+    record(address, fields) {
+        const key = address.toLowerCase();
+        this.data.transfers[key] = { ...this.data.transfers[key], ...fields };
+        this.save();
+    }
+
+    /**
+     * Writes the journal to the file, through a temporary file so an interrupted write keeps the previous state
+     */
+    save() {
+        if (!this.file) {
+            return;
+        }
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tmp, this.file);
+    }
+}
+
+/**
+ * Sends the transfers of a distribution from one account. Nonces are assigned by the distribution, so up to
+ * `concurrency` transfers wait for their receipt at the same time, and each step is written to the journal before
+ * going on: the nonce before broadcasting, then the hash, then the result.
+ *
+ * A new run first settles the transfers left unfinished by the previous one, so nobody is paid twice:
+ * - a transfer with a receipt is confirmed or failed
+ * - a transfer still known by the node is waited for
+ * - a transfer found in the `Transfer` events of the token since the start of the distribution is confirmed
+ * - any other transfer is sent again, with its previous nonce while that nonce is unused, so the previous transaction
+ *   and the new one can't both be mined
+ */
+class TokenDistribution {
+    /**
+     * @param web3 - Web3 instance connected to the network
+     * @param token - `FungibleTokenClient` of the distributed token
+     * @param from - Address of the sender
+     * @param journal - `DistributionJournal` of the distribution
+     * @param options - See `DEFAULT_OPTIONS`, plus an optional `log(line)` function
+     */
+    constructor(web3, token, from, journal, options = {}) {
+        this.web3 = web3;
+        this.token = token;
+        this.from = from;
+        this.journal = journal;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.log = this.options.log || (() => {});
+    }
+
+    /**
+     * Settles the transfers of the journal and checks the sender can pay the rest. Sends nothing.
+     *
+     * @param rows - Rows returned by `parseDistribution`
+     * @return - Plan with the `paid` rows, the rows `waiting` for a receipt, the rows `toSend` with the nonce they
+     * reuse, if any, and the `total` still to pay and the `balance` of the sender, in base units
+     */
+    async prepare(rows) {
+        this.journal.open(this.token.address, this.from, await this.web3.eth.getBlockNumber());
+        const latestNonce = await this.web3.eth.getTransactionCount(this.from, "latest");
+        const plan = { paid: [], waiting: [], toSend: [] };
+
+        for (const row of rows) {
+            const transfer = this.journal.transfer(row.address);
+            if (transfer && transfer.amount !== row.amount) {
+                throw new Error(`line ${row.line}: the amount for ${row.address} changed since the distribution started ` +
+                    `(${transfer.amount} base units in the journal, ${row.amount} in the file)`);
+            }
+            const state = transfer ? await this.settle(row, transfer) : "unsent";
+            if (state === "confirmed") {
+                plan.paid.push(row);
+            } else if (state === "sent") {
+                plan.waiting.push({ row, hash: this.journal.transfer(row.address).hash });
+            } else {
+                // A nonce not used yet is reused, the previous transaction may still be broadcast by another node
+                const reuse = state === "unsent" && transfer && transfer.nonce >= latestNonce;
+                plan.toSend.push({ row, nonce: reuse ? transfer.nonce : null });
+            }
+        }
+
+        const total = [...plan.waiting.map(({ row }) => row), ...plan.toSend.map(({ row }) => row)]
+            .reduce((sum, row) => sum + BigInt(row.amount), 0n);
+        const balance = BigInt(await this.token.call("balanceOf", this.from));
+        if (total > balance) {
+            const decimals = await this.token.decimals();
+            throw new Error(`The distribution needs ${formatUnits(total, decimals)} tokens, ${this.from} holds ` +
+                `${formatUnits(balance, decimals)}`);
+        }
+        return { ...plan, total: total.toString(), balance: balance.toString() };
+    }
+
+    /**
+     * Finds out what happened to a transfer of the journal and records it
+     *
+     * @return - `confirmed`, `failed`, `sent` if the node still has the transaction, or `unsent`
+     */
+    async settle(row, transfer) {
+        if (transfer.status === "confirmed" || transfer.status === "failed") {
+            return transfer.status;
+        }
+        if (transfer.hash) {
+            const receipt = await this.web3.eth.getTransactionReceipt(transfer.hash);
+            if (receipt) {
+                return this.recordReceipt(row, receipt);
+            }
+            if (await this.web3.eth.getTransaction(transfer.hash)) {
+                return "sent";
+            }
+        }
+
+        const events = await this.token.contract.getPastEvents("Transfer", {
+            filter: { from: this.from, to: row.address },
+            fromBlock: this.journal.startBlock,
+            toBlock: "latest",
+        });
+        const payment = events.find((event) => String(event.returnValues.value) === row.amount);
+        if (payment) {
+            this.journal.record(row.address, { hash: payment.transactionHash, status: "confirmed" });
+            return "confirmed";
+        }
+        return "unsent";
+    }
+
+    recordReceipt(row, receipt) {
+        const status = receipt.status ? "confirmed" : "failed";
+        this.journal.record(row.address, { hash: receipt.transactionHash, status });
+        return status;
+    }
+
+    /**
+     * Sends the transfers of a plan and waits for their receipts. Stops broadcasting after the first transfer the node
+     * refuses, since the following nonces could not be mined. A transfer the node dropped, or still without receipt
+     * after `receiptTimeout`, is settled again: unless it was paid, it counts as failed and the next run sends it again.
+     * Throws an error once every transfer is settled if waiting for one of them failed.
+     *
+     * @param plan - Plan returned by `prepare`
+     * @return - Object with the rows `confirmed` and `failed` by this run
+     */
+    async run(plan) {
+        const result = { confirmed: [], failed: [] };
+        const waitFor = async (row, hash) => {
+            const receipt = await this.waitForReceipt(hash);
+            const status = receipt ? this.recordReceipt(row, receipt) : await this.settle(row, this.journal.transfer(row.address));
+            if (status === "confirmed" || status === "failed") {
+                this.log(`${row.address}: ${status} (${hash})`);
+                result[status].push(row);
+            } else {
+                this.log(`${row.address}: ${status === "sent" ? "no receipt yet" : "dropped by the node"} (${hash})`);
+                result.failed.push(row);
+            }
+        };
+
+        const pending = new Set();
+        const errors = [];
+        const track = (promise) => {
+            // The error is kept for the end of the run, the other transfers go on
+            const tracked = promise.catch((error) => errors.push(error)).finally(() => pending.delete(tracked));
+            pending.add(tracked);
+        };
+        for (const { row, hash } of plan.waiting) {
+            track(waitFor(row, hash));
+        }
+
+        let nonce = await this.web3.eth.getTransactionCount(this.from, "pending");
+        for (const reused of plan.toSend) {
+            if (reused.nonce !== null) {
+                nonce = Math.max(nonce, reused.nonce + 1);
+            }
+        }
+        // Reused nonces fill the gaps left by the previous run, they go first
+        const sends = [...plan.toSend].sort((a, b) => (a.nonce === null) - (b.nonce === null) || a.nonce - b.nonce);
+
+        for (const send of sends) {
+            while (pending.size >= this.options.concurrency) {
+                await Promise.race(pending);
+            }
+            const transferNonce = send.nonce !== null ? send.nonce : nonce++;
+            let hash;
+            try {
+                hash = await this.broadcast(send.row, transferNonce);
+            } catch (error) {
+                this.log(`${send.row.address}: ${error.message}`);
+                result.failed.push(send.row);
+                break;
+            }
+            track(waitFor(send.row, hash));
+        }
+
+        await Promise.all(pending);
+        if (errors.length > 0) {
+            throw new Error(`Could not wait for ${errors.length} transfer(s), run the distribution again to settle them: ` +
+                errors.map((error) => error.message).join("; "));
+        }
+        return result;
+    }
+
+    /**
+     * Broadcasts the transfer of a row with the given nonce
+     *
+     * @return - Hash of the transaction
+     */
+    async broadcast(row, nonce) {
+        this.journal.record(row.address, { amount: row.amount, nonce, hash: null, status: "sending" });
+        const transaction = this.token.contract.methods.transfer(row.address, row.amount);
+        const gas = this.options.gas || await transaction.estimateGas({ from: this.from });
+
+        const hash = await new Promise((resolve, reject) => {
+            transaction.send({ from: this.from, nonce, gas })
+                .once("transactionHash", resolve)
+                .catch(reject);
+        });
+        this.journal.record(row.address, { hash, status: "sent" });
+        return hash;
+    }
+
+    /**
+     * Waits for the receipt of a transaction
+     *
+     * @return - Receipt, or `null` if the node doesn't know the transaction anymore or after `receiptTimeout`
+     */
+    async waitForReceipt(hash) {
+        const deadline = Date.now() + this.options.receiptTimeout;
+        for (;;) {
+            const receipt = await this.web3.eth.getTransactionReceipt(hash);
+            if (receipt) {
+                return receipt;
+            }
+            if (Date.now() >= deadline || !(await this.web3.eth.getTransaction(hash))) {
+                return null;
+            }
+            await sleep(this.options.pollInterval);
+        }
+    }
+}
+
+module.exports = {
+    DistributionJournal,
+    TokenDistribution,
+    parseDistribution,
+};
@@ -0,0 +1,256 @@
+const { ContractRevertError } = require("./clients/errors");
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Reads the voters and the results of a ballot at one block
+ *
+ * @param ballot - `BallotClient` of the ballot
+ * @param block - Block number the state is read at
+ * @return - Object with the `chairperson`, the `voters` with their details, the `representatives`, `nbrVotes` and the
+ * result of `winningName` and `winnerName`: `{ name }` or `{ reason }` when the call reverts
+ */
+async function readElection(ballot, block) {
+    const call = async (method, ...args) => {
+        try {
+            return await ballot.contract.methods[method](...args).call({}, block);
+        } catch (error) {
+            throw ballot.mapError(error);
+        }
+    };
+    const result = async (method) => {
+        try {
+            return { name: await call(method) };
+        } catch (error) {
+            if (error instanceof ContractRevertError) {
+                return { reason: error.reason };
+            }
+            throw error;
+        }
+    };
+
+    const voters = [];
+    for (const address of await call("getVoterAddress")) {
+        const details = await call("getVoterDetails", address);
+        voters.push({
+            address,
+            weight: Number(details.weight),
+            voted: details.voted,
+            delegate: details.delegate,
+            vote: Number(details.vote),
+        });
+    }
+    return {
+        chairperson: await call("getChairperson"),
+        voters,
+        representatives: (await call("getRepresentatives")).map(({ name, voteCount }) => ({ name, voteCount: Number(voteCount) })),
+        nbrVotes: Number(await call("nbrVotes")),
+        winningName: await result("winningName"),
+        winnerName: await result("winnerName"),
+    };
+}
+
+/**
+ * Rebuilds the election from the state of a ballot at one block and from its `MessageSender` events, then checks the
+ * results of the contract against it.
+ *
+ * `giveRightToVote` gives one vote to each voter. Wherever it was delegated, that vote ends at the last voter of the
+ * delegation chain: it counts for the representative this voter voted for, or is still pending if this voter did
+ * nothing. Counting each vote at the end of its chain gives the tallies without knowing the order of the
+ * transactions, which the stored weights depend on.
+ *
+ * @param web3 - Web3 instance connected to the network
+ * @param ballot - `BallotClient` of the ballot
+ * @param options - `block` to read the state at (default: latest) and `fromBlock` to search the events from, the
+ * deployment block of the ballot (default: 0)
+ * @return - Audit with the `voters`, the `representatives`, the `totals`, the `winner` and the `checks`, each check
+ * having a `name`, an `ok` flag, and the `expected` and `actual` values
+ */
+async function auditElection(web3, ballot, options = {}) {
+    const block = options.block !== undefined ? options.block : await web3.eth.getBlockNumber();
+    const election = await readElection(ballot, block);
+    const byAddress = new Map(election.voters.map((voter) => [voter.address.toLowerCase(), voter]));
+    const checks = [];
+    const check = (name, expected, actual) => {
+        const ok = JSON.stringify(expected) === JSON.stringify(actual);
+        checks.push({ name, ok, expected, actual });
+        return ok;
+    };
+
+    // Follow each delegation chain to the voter holding the vote
+    const voters = election.voters.map((voter) => {
+        const chain = [voter.address];
+        let last = voter;
+        let broken = null;
+        while (!broken && last.voted && last.delegate !== ZERO_ADDRESS) {
+            const next = byAddress.get(last.delegate.toLowerCase());
+            if (!next) {
+                broken = `${last.delegate} is not a voter`;
+            } else if (chain.some((address) => sameAddress(address, next.address))) {
+                broken = `loop at ${next.address}`;
+            } else {
+                chain.push(next.address);
+                last = next;
+            }
+        }
+
+        const status = !voter.voted ? "pending" : voter.delegate === ZERO_ADDRESS ? "voted" : "delegated";
+        const counted = !broken && last.voted && last.delegate === ZERO_ADDRESS;
+        return {
+            ...voter,
+            status,
+            chain,
+            broken,
+            representative: counted ? last.vote : null,
+            representativeName: counted && election.representatives[last.vote] ? election.representatives[last.vote].name : null,
+        };
+    });
+    check("Delegation chains end at a voter", [],
+        voters.filter((voter) => voter.broken).map((voter) => `${voter.address}: ${voter.broken}`));
+
+    // Votes held by each voter: its own and those of every chain going through it
+    const held = new Map(voters.map((voter) => [voter.address.toLowerCase(), 0]));
+    for (const voter of voters.filter((voter) => !voter.broken)) {
+        const holder = voter.chain[voter.chain.length - 1].toLowerCase();
+        held.set(holder, held.get(holder) + 1);
+    }
+    for (const voter of voters) {
+        voter.votesHeld = voter.status === "delegated" ? 0 : held.get(voter.address.toLowerCase());
+    }
+    // Until a voter votes or delegates, its weight holds every vote delegated to it
+    const pending = voters.filter((voter) => voter.status === "pending");
+    check("Weights of the pending voters", pending.map((voter) => `${voter.address}: ${voter.votesHeld}`),
+        pending.map((voter) => `${voter.address}: ${voter.weight}`));
+
+    const representatives = election.representatives.map((representative, index) => ({
+        index,
+        name: representative.name,
+        voteCount: voters.filter((voter) => voter.representative === index).length,
+        onChain: representative.voteCount,
+    }));
+    check("Vote count of each representative", representatives.map(({ name, voteCount }) => `${name}: ${voteCount}`),
+        representatives.map(({ name, onChain }) => `${name}: ${onChain}`));
+
+    // `nbrVotes` adds the weight of each direct vote, the delegations to a voter who already voted aren't counted
+    const direct = voters.filter((voter) => voter.status === "voted");
+    check("nbrVotes is the weight of the direct votes", direct.reduce((sum, voter) => sum + voter.weight, 0), election.nbrVotes);
+
+    // Each direct vote emitted one `MessageSender` event with the name of the representative
+    const events = await ballot.contract.getPastEvents("MessageSender", { fromBlock: options.fromBlock || 0, toBlock: block });
+    for (const voter of direct) {
+        const event = events.find((candidate) => sameAddress(candidate.returnValues.sender, voter.address));
+        voter.transactionHash = event ? event.transactionHash : null;
+        voter.blockNumber = event ? event.blockNumber : null;
+    }
+    check("One MessageSender event per direct vote",
+        direct.map((voter) => `${voter.address} -> ${voter.representativeName}`).sort(),
+        events.map(({ returnValues }) => `${web3.utils.toChecksumAddress(returnValues.sender)} -> ${returnValues.representativeName}`).sort());
+
+    // Same rules as `winningName` and `winnerName`: the first representative with the most votes leads, and wins with
+    // more than half of the registered voters
+    const cast = voters.filter((voter) => voter.representative !== null).length;
+    const leader = representatives.reduce((best, representative) => (representative.voteCount > best.voteCount ? representative : best),
+        { index: 0, voteCount: 0, name: representatives.length > 0 ? representatives[0].name : null });
+    const majority = Math.floor(voters.length / 2) + 1;
+    let winner;
+    if (election.nbrVotes === 0) {
+        winner = { reason: "No one has voted yet" };
+    } else if (leader.voteCount >= majority) {
+        winner = { name: leader.name };
+    } else {
+        winner = { reason: "Not enough votes" };
+    }
+    check("winningName", election.nbrVotes === 0 ? { reason: "No one has voted yet" } : { name: leader.name }, election.winningName);
+    check("winnerName", winner, election.winnerName);
+
+    return {
+        ballot: ballot.address,
+        block,
+        chairperson: election.chairperson,
+        voters,
+        representatives,
+        totals: {
+            voters: voters.length,
+            cast,
+            pending: voters.length - cast,
+            nbrVotes: election.nbrVotes,
+            majority,
+        },
+        winner: { ...winner, leader: leader.voteCount > 0 ? leader.name : null },
+        checks,
+        ok: checks.every((item) => item.ok),
+    };
+}
+
+const csvField = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formats the voters of an audit as CSV, one row per voter
+ */
+function auditCsv(audit) {
+    const rows = [["address", "weight", "status", "delegation_chain", "representative", "votes_held", "transaction_hash"]];
+    for (const voter of audit.voters) {
+        rows.push([
+            voter.address,
+            voter.weight,
+            voter.status,
+            voter.chain.join(" > "),
+            voter.representativeName,
+            voter.votesHeld,
+            voter.transactionHash,
+        ]);
+    }
+    return rows.map((row) => row.map(csvField).join(",")).join("\n") + "\n";
+}
+
+/**
+ * Formats an audit as a markdown report
+ */
+function auditMarkdown(audit) {
+    const { totals, winner } = audit;
+    const lines = [
+        "# Election audit",
+        "",
+        `Ballot \`${audit.ballot}\` at block ${audit.block}, chairperson \`${audit.chairperson}\`.`,
+        "",
+        `- Registered voters: ${totals.voters}`,
+        `- Votes counted: ${totals.cast}, pending: ${totals.pending}`,
+        `- Majority: ${totals.majority} votes`,
+        `- Winner: ${winner.name ? `**${winner.name}**` : `none (${winner.reason})`}`,
+        "",
+        "## Representatives",
+        "",
+        "| # | Name | Recomputed votes | Contract votes |",
+        "| --- | --- | --- | --- |",
+        ...audit.representatives.map(({ index, name, voteCount, onChain }) => `| ${index} | ${name} | ${voteCount} | ${onChain} |`),
+        "",
+        "## Checks",
+        "",
+        "| Check | Result |",
+        "| --- | --- |",
+        ...audit.checks.map(({ name, ok, expected, actual }) =>
+            `| ${name} | ${ok ? "OK" : `FAILED: expected \`${JSON.stringify(expected)}\`, got \`${JSON.stringify(actual)}\``} |`),
+        "",
+        "## Voters",
+        "",
+        "| Voter | Weight | Status | Delegation chain | Vote |",
+        "| --- | --- | --- | --- | --- |",
+        ...audit.voters.map((voter) => `| \`${voter.address}\` | ${voter.weight} | ${voter.status} | ` +
+            `${voter.chain.length > 1 ? voter.chain.slice(1).map((address) => `\`${address}\``).join(" > ") : ""} | ` +
+            `${voter.representativeName || ""} |`),
+        "",
+    ];
+    return lines.join("\n");
+}
+
+module.exports = {
+    auditCsv,
+    auditElection,
+    auditMarkdown,
+    readElection,
+};
@@ -0,0 +1,263 @@
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Events indexed for each contract
+const INDEXED_EVENTS = {
+    FungibleToken: ["Transfer", "Approval"],
+    NFT: ["Transfer", "Approval", "ApprovalForAll"],
+    Ballot: ["MessageSender"],
+};
+
+const DEFAULT_OPTIONS = {
+    // First block to index, the deployment block of the contracts
+    startBlock: 0,
+    // Blocks below `head - confirmations` are indexed, newer ones are left for a later pass
+    confirmations: 0,
+    // Number of recent blocks whose hash is kept to detect reorgs
+    reorgDepth: 64,
+    // Maximum number of blocks per `getPastEvents` request
+    batchSize: 2000,
+    // Delay between two passes when following the chain
+    pollInterval: 3000,
+};
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Keeps the named arguments of a decoded event, as strings
+ */
+function namedArgs(returnValues) {
+    return Object.fromEntries(
+        Object.entries(returnValues)
+            .filter(([key]) => isNaN(Number(key)))
+            .map(([key, value]) => [key, typeof value === "boolean" ? value : String(value)])
+    );
+}
+
+/**
+ * Indexes the events of the tutorial contracts into a store. `sync` backfills from `startBlock` to the head of the
+ * chain, `follow` keeps polling for new blocks. When the hash of an indexed block changes, the indexer rolls back to
+ * the last block it still agrees on with the chain and indexes again from there.
+ *
+ * `FungibleToken` doesn't emit a `Transfer` for the initial supply, so the indexer records a `Genesis` event giving
+ * `totalSupply` to `getOwner` at the deployment block of the token (`startBlock` if the block isn't given).
+ */
+class EventIndexer {
+    /**
+     * @param web3 - Web3 instance connected to the network
+     * @param contracts - List of `{ name, address, abi, deploymentBlock }` objects, `name` being a key of `INDEXED_EVENTS`
+     * @param store - `JsonStore` holding the indexed events
+     * @param options - See `DEFAULT_OPTIONS`, plus an optional `log(line)` function
+     */
+    constructor(web3, contracts, store, options = {}) {
+        this.web3 = web3;
+        this.store = store;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.log = this.options.log || (() => {});
+        this.contracts = contracts.map(({ name, address, abi, deploymentBlock }) => {
+            if (!INDEXED_EVENTS[name]) {
+                throw new Error(`No indexed events for contract ${name}`);
+            }
+            return { name, address, deploymentBlock, instance: new web3.eth.Contract(abi, address) };
+        });
+        this.stopped = false;
+    }
+
+    /**
+     * Rolls the store back if the chain reorganized since the last pass
+     *
+     * @return - Number of the last block kept, or `null` if nothing was rolled back
+     */
+    async handleReorg() {
+        const cursor = this.store.cursor;
+        if (cursor === null) {
+            return null;
+        }
+        const cursorBlock = await this.web3.eth.getBlock(cursor);
+        if (cursorBlock && cursorBlock.hash === this.store.blockHash(cursor)) {
+            return null;
+        }
+
+        let keep = Math.max(this.options.startBlock - 1, cursor - this.options.reorgDepth);
+        for (const number of this.store.knownBlocks()) {
+            if (number >= cursor) {
+                continue;
+            }
+            const block = await this.web3.eth.getBlock(number);
+            if (block && block.hash === this.store.blockHash(number)) {
+                keep = number;
+                break;
+            }
+        }
+        this.log(`Reorg detected at block ${cursor}, rolling back to block ${keep}`);
+        this.store.rollback(keep);
+        this.store.save();
+        return keep;
+    }
+
+    /**
+     * Builds the `Genesis` event of the token supply if the token is deployed in a block range
+     */
+    async genesisEvents(fromBlock, toBlock) {
+        const token = this.contracts.find((contract) => contract.name === "FungibleToken");
+        const genesisBlock = token && token.deploymentBlock !== undefined ? token.deploymentBlock : this.options.startBlock;
+        if (!token || genesisBlock < fromBlock || genesisBlock > toBlock) {
+            return [];
+        }
+        const block = await this.web3.eth.getBlock(genesisBlock);
+        const [owner, supply] = await Promise.all([
+            token.instance.methods.getOwner().call(),
+            token.instance.methods.totalSupply().call(),
+        ]);
+        return [{
+            contract: "FungibleToken",
+            event: "Genesis",
+            blockNumber: block.number,
+            blockHash: block.hash,
+            transactionHash: null,
+            logIndex: -1,
+            args: { to: owner, value: String(supply) },
+        }];
+    }
+
+    /**
+     * Reads the indexed events of every contract in a block range
+     */
+    async fetchEvents(fromBlock, toBlock) {
+        const events = [];
+        for (const { name, instance } of this.contracts) {
+            const logs = await instance.getPastEvents("allEvents", { fromBlock, toBlock });
+            for (const log of logs) {
+                if (!INDEXED_EVENTS[name].includes(log.event)) {
+                    continue;
+                }
+                events.push({
+                    contract: name,
+                    event: log.event,
+                    blockNumber: log.blockNumber,
+                    blockHash: log.blockHash,
+                    transactionHash: log.transactionHash,
+                    logIndex: log.logIndex,
+                    args: namedArgs(log.returnValues),
+                });
+            }
+        }
+        return events;
+    }
+
+    /**
+     * Indexes every block between the cursor and the head of the chain, minus `confirmations`
+     *
+     * @return - Number of the last indexed block
+     */
+    async sync() {
+        await this.handleReorg();
+
+        const { startBlock, confirmations, batchSize, reorgDepth } = this.options;
+        const target = (await this.web3.eth.getBlockNumber()) - confirmations;
+        let fromBlock = this.store.cursor === null ? startBlock : this.store.cursor + 1;
+
+        while (fromBlock <= target) {
+            const toBlock = Math.min(fromBlock + batchSize - 1, target);
+            const events = (await this.genesisEvents(fromBlock, toBlock))
+                .concat(await this.fetchEvents(fromBlock, toBlock))
+                .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+            const lastBlock = await this.web3.eth.getBlock(toBlock);
+
+            this.store.append(events, toBlock, lastBlock.hash, toBlock - reorgDepth);
+            this.store.save();
+            this.log(`Indexed blocks ${fromBlock}-${toBlock} (${events.length} events)`);
+            fromBlock = toBlock + 1;
+        }
+        return this.store.cursor;
+    }
+
+    /**
+     * Indexes new blocks until `stop` is called
+     */
+    async follow() {
+        this.stopped = false;
+        while (!this.stopped) {
+            await this.sync();
+            await sleep(this.options.pollInterval);
+        }
+    }
+
+    stop() {
+        this.stopped = true;
+    }
+
+    /**
+     * Indexed events up to a block
+     */
+    eventsAt(contract, block = Infinity) {
+        return this.store.events.filter((event) => event.contract === contract && event.blockNumber <= block);
+    }
+
+    /**
+     * Gives the token balance of an account at a block
+     *
+     * @param address - Address of the account
+     * @param block - Block number (default: last indexed block)
+     * @return - Balance in base units as a decimal string
+     */
+    tokenBalance(address, block = Infinity) {
+        let balance = 0n;
+        for (const { event, args } of this.eventsAt("FungibleToken", block)) {
+            if (event === "Genesis" && sameAddress(args.to, address)) {
+                balance += BigInt(args.value);
+            } else if (event === "Transfer") {
+                if (sameAddress(args.from, address)) {
+                    balance -= BigInt(args.value);
+                }
+                if (sameAddress(args.to, address)) {
+                    balance += BigInt(args.value);
+                }
+            }
+        }
+        return balance.toString();
+    }
+
+    /**
+     * Gives the transfers of an NFT, oldest first
+     *
+     * @param id - Id of the token
+     * @param block - Block number (default: last indexed block)
+     * @return - List of `{ from, to, blockNumber, transactionHash }` objects
+     */
+    nftHistory(id, block = Infinity) {
+        return this.eventsAt("NFT", block)
+            .filter(({ event, args }) => event === "Transfer" && args.id === String(id))
+            .map(({ args, blockNumber, transactionHash }) => ({ from: args.from, to: args.to, blockNumber, transactionHash }));
+    }
+
+    /**
+     * Gives the owner of an NFT at a block
+     *
+     * @param id - Id of the token
+     * @param block - Block number (default: last indexed block)
+     * @return - Address of the owner, or `null` if the token is not minted or burned
+     */
+    nftOwner(id, block = Infinity) {
+        const history = this.nftHistory(id, block);
+        const last = history[history.length - 1];
+        return last && last.to !== ZERO_ADDRESS ? last.to : null;
+    }
+
+    /**
+     * Gives the votes cast up to a block. Delegations don't emit events and are not included.
+     *
+     * @param block - Block number (default: last indexed block)
+     * @return - List of `{ sender, representativeName, blockNumber, transactionHash }` objects
+     */
+    votes(block = Infinity) {
+        return this.eventsAt("Ballot", block)
+            .filter(({ event }) => event === "MessageSender")
+            .map(({ args, blockNumber, transactionHash }) => ({ ...args, blockNumber, transactionHash }));
+    }
+}
+
+module.exports = {
+    EventIndexer,
+    INDEXED_EVENTS,
+};
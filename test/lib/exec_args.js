@@ -0,0 +1,29 @@
+const path = require("path");
+
+/**
+ * Reads the arguments of a `truffle exec` script. Truffle leaves its own options in `process.argv`, so the network
+ * is read from `--network` (default: `development`) and the Truffle options are removed from the script arguments.
+ *
+ * @param scriptFile - Path of the script, usually `__filename`
+ * @param argv - Command line arguments (default: `process.argv`)
+ * @return - Object with the `network` name and the script `args`
+ */
+function execArgs(scriptFile, argv = process.argv) {
+    const scriptIndex = argv.findIndex((arg) => path.basename(arg) === path.basename(scriptFile));
+    const args = [];
+    let network = "development";
+    for (let i = scriptIndex + 1; i < argv.length; i++) {
+        if (argv[i] === "--network") {
+            network = argv[++i];
+        } else if (argv[i].startsWith("--network=")) {
+            network = argv[i].slice("--network=".length);
+        } else if (argv[i] !== "--compile") {
+            args.push(argv[i]);
+        }
+    }
+    return { network, args };
+}
+
+module.exports = {
+    execArgs,
+};
@@ -0,0 +1,96 @@
+const fs = require("fs");
+const path = require("path");
+
+// Bump when the layout of the stored data changes
+const STORE_VERSION = 1;
+
+/**
+ * Indexer state kept in a JSON file: the last indexed block (`cursor`), the hashes of recent blocks used to detect
+ * reorgs (`blocks`) and the indexed `events`. Without a file, the state only lives in memory.
+ */
+class JsonStore {
+    constructor(file = null) {
+        this.file = file;
+        this.data = { version: STORE_VERSION, cursor: null, blocks: {}, events: [] };
+        if (file && fs.existsSync(file)) {
+            const data = JSON.parse(fs.readFileSync(file, "utf8"));
+            if (data.version !== STORE_VERSION) {
+                throw new Error(`Unsupported store version ${data.version} in ${file} (expected ${STORE_VERSION})`);
+            }
+            this.data = data;
+        }
+    }
+
+    get cursor() {
+        return this.data.cursor;
+    }
+
+    get events() {
+        return this.data.events;
+    }
+
+    blockHash(number) {
+        return this.data.blocks[number];
+    }
+
+    /**
+     * Block numbers with a known hash, highest first
+     */
+    knownBlocks() {
+        return Object.keys(this.data.blocks).map(Number).sort((a, b) => b - a);
+    }
+
+    /**
+     * Adds the events of a block range and moves the cursor to the end of the range
+     *
+     * @param events - Events of the range, ordered by block and log index
+     * @param toBlock - Last block of the range
+     * @param toBlockHash - Hash of the last block of the range
+     * @param keepFrom - Hashes of blocks below this number are dropped
+     */
+    append(events, toBlock, toBlockHash, keepFrom) {
+        for (const event of events) {
+            this.data.events.push(event);
+            this.data.blocks[event.blockNumber] = event.blockHash;
+        }
+        this.data.blocks[toBlock] = toBlockHash;
+        this.data.cursor = toBlock;
+        for (const number of this.knownBlocks()) {
+            if (number < keepFrom) {
+                delete this.data.blocks[number];
+            }
+        }
+    }
+
+    /**
+     * Drops everything indexed after a block
+     *
+     * @param block - Last block kept
+     */
+    rollback(block) {
+        this.data.events = this.data.events.filter((event) => event.blockNumber <= block);
+        for (const number of this.knownBlocks()) {
+            if (number > block) {
+                delete this.data.blocks[number];
+            }
+        }
+        this.data.cursor = block;
+    }
+
+    /**
+     * Writes the state to the file, through a temporary file so an interrupted write keeps the previous state
+     */
+    save() {
+        if (!this.file) {
+            return;
+        }
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.data));
+        fs.renameSync(tmp, this.file);
+    }
+}
+
+module.exports = {
+    JsonStore,
+};
@@ -0,0 +1,184 @@
+/**
+ * Local Ganache chain for the tests, started in the current process so no node has to be running beforehand. The
+ * accounts are derived from a fixed mnemonic, the chain can pose as BSC mainnet or testnet, and it can start from the
+ * state saved in a snapshot file instead of forking a live node.
+ */
+const fs = require("fs");
+
+// Mnemonic of `ganache --wallet.deterministic`, the accounts are the same on every run
+const DEFAULT_MNEMONIC = "myth like bonus scare over problem client lizard pioneer submit female collect";
+
+// Chain ids emulated with `chain: "<name>"`
+const EMULATED_CHAINS = {
+    bsc: 56,
+    testnet: 97,
+};
+
+const DEFAULT_OPTIONS = {
+    host: "127.0.0.1",
+    // Port of the JSON-RPC server, 0 picks a free one
+    port: 8545,
+    // Chain id, or the name of an emulated chain (default: Ganache's 1337, or the chain id of the snapshot)
+    chain: null,
+    // Seconds between two blocks, 0 mines a block per transaction
+    blockTime: 0,
+    mnemonic: DEFAULT_MNEMONIC,
+    accounts: 10,
+    // Balance of each account in ether
+    balance: 1000,
+    // Path of a snapshot file loaded before the first block, see `captureChainSnapshot`
+    fork: null,
+};
+
+/**
+ * Resolves the chain id given as a number, a decimal string or the name of an emulated chain
+ *
+ * @param chain - `bsc`, `testnet` or a chain id
+ * @return - Chain id as a number
+ */
+function resolveChainId(chain) {
+    if (Object.prototype.hasOwnProperty.call(EMULATED_CHAINS, chain)) {
+        return EMULATED_CHAINS[chain];
+    }
+    const chainId = Number(chain);
+    if (!Number.isSafeInteger(chainId) || chainId <= 0) {
+        throw new Error(`Invalid chain "${chain}", expected a chain id or one of ${Object.keys(EMULATED_CHAINS).join(", ")}`);
+    }
+    return chainId;
+}
+
+const toQuantity = (value) => `0x${BigInt(value).toString(16)}`;
+const toSlot = (slot) => `0x${BigInt(slot).toString(16).padStart(64, "0")}`;
+
+/**
+ * Reads the state of some accounts from a node, to start a local chain from it offline
+ *
+ * @param web3 - Web3 instance connected to the node
+ * @param addresses - Accounts and contracts to save
+ * @param slots - Storage slots to save, by address. Slots of mappings are `soliditySha3(key, slot)`.
+ * @return - Snapshot with the `chainId`, `blockNumber`, `timestamp` and the `balance`, `nonce`, `code` and
+ *           `storage` of each account
+ */
+async function captureChainSnapshot(web3, addresses, slots = {}) {
+    const block = await web3.eth.getBlock("latest");
+    const snapshot = {
+        chainId: await web3.eth.getChainId(),
+        blockNumber: block.number,
+        timestamp: Number(block.timestamp),
+        accounts: {},
+    };
+    for (const address of addresses) {
+        const storage = {};
+        for (const slot of slots[address] || []) {
+            storage[toSlot(slot)] = await web3.eth.getStorageAt(address, slot, block.number);
+        }
+        snapshot.accounts[address.toLowerCase()] = {
+            balance: toQuantity(await web3.eth.getBalance(address, block.number)),
+            nonce: toQuantity(await web3.eth.getTransactionCount(address, block.number)),
+            code: await web3.eth.getCode(address, block.number),
+            storage,
+        };
+    }
+    return snapshot;
+}
+
+/**
+ * Reads a snapshot file written from `captureChainSnapshot`
+ *
+ * @param file - Path of the JSON file
+ * @return - Snapshot
+ */
+function readChainSnapshot(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`Chain snapshot ${file} not found`);
+    }
+    const snapshot = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!snapshot.accounts || typeof snapshot.accounts !== "object") {
+        throw new Error(`Chain snapshot ${file} has no accounts`);
+    }
+    return snapshot;
+}
+
+/**
+ * Writes the accounts of a snapshot to a Ganache chain
+ *
+ * @param provider - EIP-1193 provider of the Ganache chain
+ * @param snapshot - Snapshot returned by `captureChainSnapshot` or `readChainSnapshot`
+ */
+async function loadChainSnapshot(provider, snapshot) {
+    for (const [address, { balance, nonce, code, storage = {} }] of Object.entries(snapshot.accounts)) {
+        if (balance !== undefined) {
+            await provider.request({ method: "evm_setAccountBalance", params: [address, toQuantity(balance)] });
+        }
+        if (nonce !== undefined) {
+            await provider.request({ method: "evm_setAccountNonce", params: [address, toQuantity(nonce)] });
+        }
+        if (code && code !== "0x") {
+            await provider.request({ method: "evm_setAccountCode", params: [address, code] });
+        }
+        for (const [slot, value] of Object.entries(storage)) {
+            await provider.request({ method: "evm_setAccountStorageAt", params: [address, toSlot(slot), value] });
+        }
+    }
+}
+
+/**
+ * Starts a Ganache chain with a JSON-RPC server
+ *
+ * @param options - See `DEFAULT_OPTIONS`
+ * @return - Object with the `url` of the server, its `chainId`, the unlocked `accounts`, the EIP-1193 `provider` and
+ *           a `stop` function closing the server
+ */
+async function startLocalChain(options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const ganache = require("ganache");
+
+    const snapshot = settings.fork ? readChainSnapshot(settings.fork) : null;
+    const chain = settings.chain !== null ? settings.chain : snapshot && snapshot.chainId;
+    const chainId = chain ? resolveChainId(chain) : 1337;
+
+    const server = ganache.server({
+        logging: { quiet: true },
+        chain: {
+            chainId,
+            networkId: chainId,
+            ...(snapshot && snapshot.timestamp ? { time: new Date(snapshot.timestamp * 1000) } : {}),
+        },
+        miner: { blockTime: settings.blockTime },
+        wallet: {
+            mnemonic: settings.mnemonic,
+            totalAccounts: settings.accounts,
+            defaultBalance: settings.balance,
+        },
+    });
+    try {
+        await server.listen(settings.port, settings.host);
+    } catch (error) {
+        await server.close().catch(() => {});
+        throw new Error(`Cannot start the local chain on ${settings.host}:${settings.port}: ${error.message}`);
+    }
+
+    const { provider } = server;
+    if (snapshot) {
+        await loadChainSnapshot(provider, snapshot);
+    }
+
+    const { address, port } = server.address();
+    return {
+        url: `http://${address}:${port}`,
+        chainId,
+        accounts: Object.keys(await provider.getInitialAccounts()),
+        provider,
+        stop: () => server.close(),
+    };
+}
+
+module.exports = {
+    DEFAULT_MNEMONIC,
+    EMULATED_CHAINS,
+    captureChainSnapshot,
+    loadChainSnapshot,
+    readChainSnapshot,
+    resolveChainId,
+    startLocalChain,
+};
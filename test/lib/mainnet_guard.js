@@ -0,0 +1,221 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const { DEFAULT_DEPLOYMENTS_DIR } = require("./deployments");
+
+const MAINNET_NETWORK_ID = 56;
+
+// Environment variable and command line flag carrying the confirmation token
+const CONFIRM_ENV = "CONFIRM_MAINNET_DEPLOY";
+const CONFIRM_FLAG = "--confirm-mainnet";
+
+// A dry-run older than this is not accepted for a mainnet deployment
+const DRY_RUN_MAX_AGE_MS = 60 * 60 * 1000;
+
+/**
+ * Gives the path of the file recording a successful dry-run of a network
+ *
+ * @param network - Name of the network without the `-fork` suffix
+ * @param dir - Directory holding the record (default: `deployments/`)
+ * @return - Path of `<dir>/.dry-run-<network>.json`
+ */
+function dryRunPath(network, dir = DEFAULT_DEPLOYMENTS_DIR) {
+    return path.join(dir, `.dry-run-${network}.json`);
+}
+
+/**
+ * Computes a fingerprint of what is about to be deployed: the bytecode and the constructor arguments of each
+ * contract. A dry-run only validates a deployment with the same fingerprint.
+ *
+ * @param contracts - List of `[Contract, args]` pairs
+ * @return - Hexadecimal sha256 hash
+ */
+function deploymentFingerprint(contracts) {
+    const hash = crypto.createHash("sha256");
+    for (const [Contract, args] of contracts) {
+        hash.update(Contract.contractName);
+        hash.update(Contract.bytecode);
+        hash.update(JSON.stringify(args));
+    }
+    return hash.digest("hex");
+}
+
+/**
+ * Records that the deployment passed on a local fork of the network
+ *
+ * @param network - Name of the network without the `-fork` suffix
+ * @param fingerprint - Fingerprint of the deployment, see `deploymentFingerprint`
+ * @param dir - Directory holding the record (default: `deployments/`)
+ * @param gasUsed - Gas used by each deployment on the fork, in order
+ */
+function recordDryRun(network, fingerprint, dir = DEFAULT_DEPLOYMENTS_DIR, gasUsed = []) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(dryRunPath(network, dir), JSON.stringify({ fingerprint, gasUsed, timestamp: Date.now() }, null, 2) + "\n");
+}
+
+/**
+ * Reads the gas used by the contracts an account created since a block
+ *
+ * @param web3 - Web3 instance connected to the network
+ * @param fromBlock - Number of the last block before the deployment
+ * @param deployerAddress - Address of the account sending the transactions
+ * @return - List of the gas used by each contract creation, in order
+ */
+async function deploymentGas(web3, fromBlock, deployerAddress) {
+    const head = await web3.eth.getBlockNumber();
+    const gasUsed = [];
+    for (let number = fromBlock + 1; number <= head; number++) {
+        const block = await web3.eth.getBlock(number, true);
+        for (const tx of block.transactions) {
+            if (tx.to === null && tx.from.toLowerCase() === deployerAddress.toLowerCase()) {
+                gasUsed.push((await web3.eth.getTransactionReceipt(tx.hash)).gasUsed);
+            }
+        }
+    }
+    return gasUsed;
+}
+
+/**
+ * Checks that a dry-run of the same deployment passed recently. Throws an error otherwise.
+ *
+ * @param network - Name of the network without the `-fork` suffix
+ * @param fingerprint - Fingerprint of the deployment, see `deploymentFingerprint`
+ * @param options - `dir` holding the record, `maxAge` of the dry-run in milliseconds and current time `now`
+ * @return - Record of the dry-run, with the `gasUsed` by each deployment
+ */
+function assertDryRunPassed(network, fingerprint, { dir = DEFAULT_DEPLOYMENTS_DIR, maxAge = DRY_RUN_MAX_AGE_MS, now = Date.now() } = {}) {
+    const file = dryRunPath(network, dir);
+    const hint = `Run \`truffle migrate --network ${network} --dry-run\` first`;
+    if (!fs.existsSync(file)) {
+        throw new Error(`No dry-run recorded for network "${network}". ${hint}.`);
+    }
+
+    const record = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (record.fingerprint !== fingerprint) {
+        throw new Error(`The last dry-run of network "${network}" deployed different bytecode or constructor arguments. ${hint}.`);
+    }
+    if (now - record.timestamp > maxAge) {
+        throw new Error(`The last dry-run of network "${network}" is older than ${Math.round(maxAge / 60000)} minutes. ${hint}.`);
+    }
+    return record;
+}
+
+/**
+ * Reads the confirmation token from the `--confirm-mainnet` flag or the `CONFIRM_MAINNET_DEPLOY` environment variable
+ *
+ * @param argv - Command line arguments (default: `process.argv`)
+ * @param env - Environment variables (default: `process.env`)
+ * @return - Token, or `undefined` if none was given
+ */
+function readConfirmation(argv = process.argv, env = process.env) {
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith(`${CONFIRM_FLAG}=`)) {
+            return argv[i].slice(CONFIRM_FLAG.length + 1);
+        }
+        if (argv[i] === CONFIRM_FLAG) {
+            return argv[i + 1];
+        }
+    }
+    return env[CONFIRM_ENV];
+}
+
+/**
+ * Estimates the gas of each deployment and prints the deployer account, its balance and the cost of the deployment.
+ * Throws an error if the balance doesn't cover the estimated cost. A proxy can't be estimated before its
+ * implementation exists, the gas used by the dry-run is taken instead when given.
+ *
+ * @param web3 - Web3 instance connected to the network
+ * @param deployerAddress - Address of the account sending the transactions
+ * @param contracts - List of `[Contract, args]` pairs
+ * @param log - Function used to print (default: `console.log`)
+ * @param gasUsed - Gas used by each deployment in the dry-run, in the order of `contracts` (default: none)
+ * @return - Total estimated cost in wei as a BN
+ */
+async function printDeploymentPlan(web3, deployerAddress, contracts, log = console.log, gasUsed = []) {
+    const { BN, fromWei } = web3.utils;
+    const balance = new BN(await web3.eth.getBalance(deployerAddress));
+    const gasPrice = new BN(await web3.eth.getGasPrice());
+
+    log(`Deployer: ${deployerAddress}`);
+    log(`Balance:  ${fromWei(balance)} BNB`);
+    log(`Gas price: ${fromWei(gasPrice, "gwei")} gwei`);
+
+    let total = new BN(0);
+    for (const [i, [Contract, args]] of contracts.entries()) {
+        const gas = new BN(gasUsed[i] !== undefined ? gasUsed[i] : await Contract.new.estimateGas(...args, { from: deployerAddress }));
+        const cost = gas.mul(gasPrice);
+        total = total.add(cost);
+        log(`  ${Contract.contractName.padEnd(14)} ${gas.toString().padStart(9)} gas  ${fromWei(cost)} BNB`);
+    }
+    log(`Estimated total: ${fromWei(total)} BNB`);
+
+    if (balance.lt(total)) {
+        throw new Error(`Balance of ${deployerAddress} (${fromWei(balance)} BNB) doesn't cover the estimated cost (${fromWei(total)} BNB)`);
+    }
+    return total;
+}
+
+// Deployments confirmed by this process, so the later migrations don't ask again
+const confirmedDeployments = new Set();
+
+/**
+ * Stops a migration to BSC mainnet unless a dry-run of the same deployment passed on a local fork and the operator
+ * confirmed it with the deployer address as token. Does nothing on other networks. On the fork itself, the returned
+ * function records the dry-run with the gas used by each deployment. Once confirmed, the same deployment passes
+ * without a second check.
+ *
+ * @param deployer - Truffle deployer of the migration
+ * @param network - Name of the network given to the migration
+ * @param web3 - Web3 instance of the migration
+ * @param deployerAddress - Address of the account sending the transactions
+ * @param contracts - List of `[Contract, args]` pairs about to be deployed
+ * @param options - `dir` holding the dry-run record, `argv` and `env` carrying the confirmation and `log` function
+ * @return - Async function to call once every contract is deployed
+ */
+async function guardMainnetDeployment(deployer, network, web3, deployerAddress, contracts,
+    { dir = DEFAULT_DEPLOYMENTS_DIR, argv = process.argv, env = process.env, log = console.log } = {}) {
+    const baseNetwork = network.replace(/-fork$/, "");
+    const networkConfig = (deployer.networks || {})[baseNetwork] || {};
+    if (Number(networkConfig.network_id) !== MAINNET_NETWORK_ID) {
+        return async () => {};
+    }
+
+    const fingerprint = deploymentFingerprint(contracts);
+    if (network !== baseNetwork) {
+        const fromBlock = await web3.eth.getBlockNumber();
+        return async () => recordDryRun(baseNetwork, fingerprint, dir, await deploymentGas(web3, fromBlock, deployerAddress));
+    }
+    const key = `${baseNetwork}:${deployerAddress.toLowerCase()}:${fingerprint}`;
+    if (confirmedDeployments.has(key)) {
+        return async () => {};
+    }
+
+    const { gasUsed = [] } = assertDryRunPassed(baseNetwork, fingerprint, { dir });
+    // The gas of the dry-run only matches the plan when it deployed the same contracts
+    await printDeploymentPlan(web3, deployerAddress, contracts, log, gasUsed.length === contracts.length ? gasUsed : []);
+
+    const token = readConfirmation(argv, env);
+    if (!token || token.toLowerCase() !== deployerAddress.toLowerCase()) {
+        throw new Error(
+            `Refusing to deploy to BSC mainnet without confirmation. ` +
+            `Re-run with ${CONFIRM_FLAG}=${deployerAddress} or ${CONFIRM_ENV}=${deployerAddress}.`
+        );
+    }
+    confirmedDeployments.add(key);
+    return async () => {};
+}
+
+module.exports = {
+    CONFIRM_ENV,
+    CONFIRM_FLAG,
+    MAINNET_NETWORK_ID,
+    assertDryRunPassed,
+    deploymentFingerprint,
+    deploymentGas,
+    dryRunPath,
+    guardMainnetDeployment,
+    printDeploymentPlan,
+    readConfirmation,
+    recordDryRun,
+};
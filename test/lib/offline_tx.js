@@ -0,0 +1,358 @@
+const fs = require("fs");
+const path = require("path");
+
+const { formatUnits } = require("./clients/units");
+
+// Bump when the layout of the bundle changes
+const BUNDLE_VERSION = 1;
+
+const DEFAULT_BUILD_OPTIONS = {
+    // Gas limit of each transaction, as a multiple of the estimate of the node
+    gasMultiplier: 1.2,
+    // Nonce of the first transaction, the pending nonce of the sender when `null`
+    nonce: null,
+    // Gas price in wei, the one of the node when `null`
+    gasPrice: null,
+};
+
+const DEFAULT_BROADCAST_OPTIONS = {
+    // Delay between two receipt checks
+    pollInterval: 2000,
+    // Time to wait for the receipt of a transaction before reporting it as dropped
+    receiptTimeout: 10 * 60 * 1000,
+};
+
+// Chain ids of BSC mainnet and testnet, the only chains bundles are signed for
+const BSC_CHAIN_IDS = [56, 97];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Gives the address of the contract created by an account with a nonce
+ *
+ * @param web3 - Web3 instance, used to hash and checksum the address
+ * @param from - Address of the deployer
+ * @param nonce - Nonce of the deployment transaction
+ * @return - Checksummed address of the contract
+ */
+function contractAddress(web3, from, nonce) {
+    // Keccak-256 of the RLP list [from, nonce]: a 20 bytes string and an integer of at most 8 bytes, so both the list
+    // and its items take a one byte prefix
+    const digits = nonce > 0 ? nonce.toString(16) : "";
+    const hex = digits.length % 2 ? `0${digits}` : digits;
+    const encodedNonce = nonce > 0 && nonce < 0x80 ? hex : `${(0x80 + hex.length / 2).toString(16)}${hex}`;
+    const items = `94${from.slice(2).toLowerCase()}${encodedNonce}`;
+    const hash = web3.utils.keccak256(`0x${(0xc0 + items.length / 2).toString(16)}${items}`);
+    return web3.utils.toChecksumAddress(`0x${hash.slice(-40)}`);
+}
+
+/**
+ * Signs a legacy transaction with replay protection (EIP-155), without any connection to a node
+ *
+ * @param web3 - Web3 instance, its provider isn't used
+ * @param tx - Transaction with its `nonce`, `gasPrice`, `gas`, `to` (`null` for a deployment), `value`, `data` and
+ * `chainId`
+ * @param privateKey - Private key as a 64 characters hexadecimal string
+ * @return - Object with the `raw` signed transaction and its `hash`
+ */
+async function signTransaction(web3, tx, privateKey) {
+    const { nonce, gasPrice, gas, to, value, data, chainId } = tx;
+    // With the chain set in `common`, web3 has everything it needs and doesn't query the node
+    const signed = await web3.eth.accounts.signTransaction(
+        { nonce, gasPrice, gas, to: to || undefined, value, data, chainId, common: { customChain: { chainId, networkId: chainId } } },
+        `0x${privateKey}`
+    );
+    return { raw: signed.rawTransaction, hash: signed.transactionHash };
+}
+
+/**
+ * Reads a transaction bundle. Throws an error if the file isn't a bundle of this version.
+ */
+function readBundle(file) {
+    const bundle = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (bundle.version !== BUNDLE_VERSION || !Array.isArray(bundle.transactions)) {
+        throw new Error(`${file} is not a transaction bundle of version ${BUNDLE_VERSION}`);
+    }
+    return bundle;
+}
+
+/**
+ * Writes a transaction bundle, through a temporary file so an interrupted write keeps the previous content
+ */
+function writeBundle(file, bundle) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(bundle, null, 2));
+    fs.renameSync(tmp, file);
+}
+
+const describeCall = (contract, method, args) => `${contract}.${method}(${args.map((arg) => JSON.stringify(arg)).join(", ")})`;
+
+/**
+ * Builds the unsigned transactions of a plan. Each step of the plan is either:
+ * - `{ deploy: "<contract>", args }`: a deployment, `args` defaulting to `defaultArgs(contract)`
+ * - `{ contract: "<contract>", method, args, address }`: a call to a contract deployed earlier in the plan, at
+ *   `address`, or found by `resolveAddress(contract)`
+ * A step can set its `gas` limit. Otherwise the node estimates it from its current state, which isn't possible for a
+ * call to a contract deployed by the same plan.
+ *
+ * @param web3 - Web3 instance connected to the network, only read from
+ * @param steps - List of steps
+ * @param options - `network` name, `from` address of the signer, `artifact(contract)` giving the `abi`, `bytecode` and
+ * `compiler` of a contract, `resolveAddress(contract)`, `defaultArgs(contract)`, and the `nonce`, `gasPrice` and
+ * `gasMultiplier` overrides
+ * @return - Bundle with the `network`, `chainId`, `from` and the list of `transactions` in nonce order
+ */
+async function buildBundle(web3, steps, options) {
+    const { network, from, artifact, resolveAddress = () => null, defaultArgs = () => [] } = options;
+    const { gasMultiplier, nonce, gasPrice } = { ...DEFAULT_BUILD_OPTIONS, ...options };
+    if (!Array.isArray(steps) || steps.length === 0) {
+        throw new Error("The plan must be a non-empty list of steps");
+    }
+    if (!web3.utils.isAddress(from)) {
+        throw new Error(`Invalid sender address: ${from}`);
+    }
+
+    const sender = web3.utils.toChecksumAddress(from);
+    const chainId = await web3.eth.getChainId();
+    const firstNonce = nonce !== null ? nonce : await web3.eth.getTransactionCount(sender, "pending");
+    const price = String(gasPrice !== null ? gasPrice : await web3.eth.getGasPrice());
+    const deployed = {};
+
+    const transactions = [];
+    for (const [i, step] of steps.entries()) {
+        const label = `Step ${i + 1}`;
+        const name = step.deploy || step.contract;
+        if (!name || (step.deploy && step.contract) || (step.contract && !step.method)) {
+            throw new Error(`${label} must be { deploy, args } or { contract, method, args }`);
+        }
+        const { abi, bytecode, compiler = null } = artifact(name);
+        const txNonce = firstNonce + i;
+        const tx = { nonce: txNonce, gasPrice: price, gas: null, to: null, value: "0", data: null, chainId };
+
+        if (step.deploy) {
+            const args = step.args || defaultArgs(name);
+            tx.data = new web3.eth.Contract(abi).deploy({ data: bytecode, arguments: args }).encodeABI();
+            tx.description = `Deploy ${name}`;
+            Object.assign(tx, { contract: name, method: null, args, address: contractAddress(web3, sender, txNonce), compiler });
+            deployed[name] = tx.address;
+        } else {
+            const args = step.args || [];
+            const address = step.address || deployed[name] || resolveAddress(name);
+            if (!address) {
+                throw new Error(`${label}: no address for ${name}, deploy it earlier in the plan or set its address`);
+            }
+            const method = new web3.eth.Contract(abi).methods[step.method];
+            if (!method) {
+                throw new Error(`${label}: ${name} has no function ${step.method}`);
+            }
+            tx.to = web3.utils.toChecksumAddress(address);
+            tx.data = method(...args).encodeABI();
+            tx.description = describeCall(name, step.method, args);
+            Object.assign(tx, { contract: name, method: step.method, args, address: tx.to });
+        }
+
+        if (step.gas) {
+            tx.gas = Number(step.gas);
+        } else if (!step.deploy && Object.values(deployed).includes(tx.to)) {
+            throw new Error(`${label} calls ${name} deployed by the same plan, set its gas`);
+        } else {
+            let estimate;
+            try {
+                estimate = await web3.eth.estimateGas({ from: sender, to: tx.to || undefined, data: tx.data });
+            } catch (error) {
+                throw new Error(`${label} (${tx.description}) would fail: ${error.message}`);
+            }
+            tx.gas = Math.ceil(estimate * gasMultiplier);
+        }
+        transactions.push(tx);
+    }
+
+    return { version: BUNDLE_VERSION, network, chainId, from: sender, createdAt: new Date().toISOString(), transactions };
+}
+
+/**
+ * Checks that the transactions of a bundle can be signed: consecutive nonces from one sender on BSC mainnet or testnet,
+ * with a gas limit and a gas price. Throws an error describing the first problem.
+ */
+function checkBundle(bundle) {
+    if (!BSC_CHAIN_IDS.includes(bundle.chainId)) {
+        throw new Error(`Invalid chain id ${bundle.chainId}, expected ${BSC_CHAIN_IDS.join(" or ")}`);
+    }
+    bundle.transactions.forEach((tx, i) => {
+        const expected = bundle.transactions[0].nonce + i;
+        if (tx.nonce !== expected) {
+            throw new Error(`Transaction ${i + 1} has nonce ${tx.nonce}, expected ${expected}: the nonces must follow each other`);
+        }
+        if (tx.chainId !== bundle.chainId) {
+            throw new Error(`Transaction ${i + 1} is for chain ${tx.chainId}, the bundle for chain ${bundle.chainId}`);
+        }
+        if (!Number.isInteger(tx.gas) || tx.gas <= 0 || !/^\d+$/.test(tx.gasPrice) || !/^0x([0-9a-fA-F]{2})*$/.test(tx.data)) {
+            throw new Error(`Transaction ${i + 1} (${tx.description}) has no valid gas, gas price or data`);
+        }
+    });
+}
+
+/**
+ * Gives the maximum cost of the transactions of a bundle in wei: each gas limit times its gas price
+ */
+function bundleCost(bundle) {
+    return bundle.transactions.reduce((total, tx) => total + BigInt(tx.gas) * BigInt(tx.gasPrice), 0n);
+}
+
+/**
+ * Signs every transaction of a bundle. Needs no connection: the nonce, gas and chain id were fixed when the bundle was
+ * built.
+ *
+ * @param web3 - Web3 instance, its provider isn't used
+ * @param bundle - Unsigned bundle returned by `buildBundle`
+ * @param account - Signing account with its `address` and `privateKey`, see `resolveAccount` in `lib/signer.js`
+ * @return - Copy of the bundle with the `raw` transaction and the `hash` of each transaction
+ */
+async function signBundle(web3, bundle, account) {
+    if (bundle.signedAt) {
+        throw new Error(`The bundle was already signed on ${bundle.signedAt}`);
+    }
+    if (account.address.toLowerCase() !== bundle.from.toLowerCase()) {
+        throw new Error(`The bundle must be signed by ${bundle.from}, the credentials give ${account.address}`);
+    }
+    checkBundle(bundle);
+
+    const transactions = [];
+    for (const tx of bundle.transactions) {
+        transactions.push({ ...tx, ...await signTransaction(web3, tx, account.privateKey) });
+    }
+    return { ...bundle, signedAt: new Date().toISOString(), transactions };
+}
+
+/**
+ * Broadcasts the transactions of a signed bundle in nonce order, each one waiting for the receipt of the previous one.
+ *
+ * A new run picks up where the previous one stopped: a transaction with a receipt isn't sent again, and one still
+ * known by the node is waited for. The run stops at the first transaction that reverts, that the node refuses or that
+ * gets no receipt (dropped by the node, or not mined in time), since the following ones may depend on it. Running it again goes on past a transaction that reverted in a previous run.
+ */
+class BundleBroadcast {
+    /**
+     * @param web3 - Web3 instance connected to the network of the bundle
+     * @param bundle - Signed bundle returned by `signBundle`
+     * @param options - `pollInterval` between two receipt checks, `receiptTimeout` and an optional `log(line)` function
+     */
+    constructor(web3, bundle, options = {}) {
+        if (!bundle.signedAt) {
+            throw new Error("The bundle isn't signed, sign it offline first");
+        }
+        checkBundle(bundle);
+        this.web3 = web3;
+        this.bundle = bundle;
+        this.options = { ...DEFAULT_BROADCAST_OPTIONS, ...options };
+        this.log = this.options.log || (() => {});
+    }
+
+    /**
+     * Sends the transactions not mined yet
+     *
+     * @return - Object with the result of each transaction: its `status` (`confirmed`, `reverted`, `refused`,
+     * `dropped` or `unsent`), with the `blockNumber`, `gasUsed` and `contractAddress` of its receipt or the `error` of the node,
+     * and `ok`, true when every transaction is confirmed
+     */
+    async run() {
+        const { web3, bundle } = this;
+        const chainId = await web3.eth.getChainId();
+        if (chainId !== bundle.chainId) {
+            throw new Error(`The bundle is for chain ${bundle.chainId}, the node is on chain ${chainId}`);
+        }
+        const balance = BigInt(await web3.eth.getBalance(bundle.from));
+        const cost = bundleCost(bundle);
+        if (balance < cost) {
+            throw new Error(`The bundle may cost up to ${formatUnits(cost, 18)} BNB, ${bundle.from} holds ${formatUnits(balance, 18)}`);
+        }
+
+        const results = bundle.transactions.map((tx) => ({ nonce: tx.nonce, hash: tx.hash, description: tx.description, status: "unsent" }));
+        for (const [i, tx] of bundle.transactions.entries()) {
+            let receipt = await web3.eth.getTransactionReceipt(tx.hash);
+            const previous = Boolean(receipt);
+            if (!receipt) {
+                try {
+                    await this.send(tx);
+                } catch (error) {
+                    Object.assign(results[i], { status: "refused", error: error.message });
+                    this.log(`Nonce ${tx.nonce} ${tx.description}: refused, ${error.message}`);
+                    break;
+                }
+                receipt = await this.waitForReceipt(tx.hash);
+                if (!receipt) {
+                    results[i].status = "dropped";
+                    this.log(`Nonce ${tx.nonce} ${tx.description}: no receipt, dropped by the node or not mined in time (${tx.hash})`);
+                    break;
+                }
+            }
+
+            Object.assign(results[i], {
+                status: receipt.status ? "confirmed" : "reverted",
+                blockNumber: receipt.blockNumber,
+                gasUsed: receipt.gasUsed,
+                contractAddress: receipt.contractAddress || null,
+            });
+            this.log(`Nonce ${tx.nonce} ${tx.description}: ${results[i].status}${previous ? " earlier" : ""} in block ${receipt.blockNumber} (${tx.hash})`);
+            if (!receipt.status && !previous) {
+                break;
+            }
+        }
+        return { transactions: results, ok: results.every(({ status }) => status === "confirmed") };
+    }
+
+    /**
+     * Sends a transaction unless the node already knows it. Throws an error if its nonce was used by another
+     * transaction or if earlier nonces are still missing.
+     */
+    async send(tx) {
+        const { web3, bundle } = this;
+        if (await web3.eth.getTransaction(tx.hash)) {
+            return;
+        }
+        const mined = await web3.eth.getTransactionCount(bundle.from, "latest");
+        if (tx.nonce < mined) {
+            throw new Error(`nonce ${tx.nonce} was used by another transaction of ${bundle.from}`);
+        }
+        const next = await web3.eth.getTransactionCount(bundle.from, "pending");
+        if (tx.nonce > next) {
+            throw new Error(`${bundle.from} is at nonce ${next}, the transactions before nonce ${tx.nonce} are missing`);
+        }
+        await new Promise((resolve, reject) => {
+            web3.eth.sendSignedTransaction(tx.raw)
+                .once("transactionHash", resolve)
+                .catch(reject);
+        });
+    }
+
+    /**
+     * Waits for the receipt of a transaction
+     *
+     * @return - Receipt, or `null` if the node doesn't know the transaction anymore or after `receiptTimeout`
+     */
+    async waitForReceipt(hash) {
+        const deadline = Date.now() + this.options.receiptTimeout;
+        for (;;) {
+            const receipt = await this.web3.eth.getTransactionReceipt(hash);
+            if (receipt) {
+                return receipt;
+            }
+            if (Date.now() >= deadline || !(await this.web3.eth.getTransaction(hash))) {
+                return null;
+            }
+            await sleep(this.options.pollInterval);
+        }
+    }
+}
+
+module.exports = {
+    BundleBroadcast,
+    buildBundle,
+    bundleCost,
+    contractAddress,
+    readBundle,
+    signBundle,
+    signTransaction,
+    writeBundle,
+};
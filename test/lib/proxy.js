@@ -0,0 +1,195 @@
+/**
+ * Deployment of contracts behind a `TransparentProxy`, administrated by a `ProxyAdmin`. The proxy keeps the address and
+ * the state; an upgrade deploys a new implementation and points the proxy at it, once its storage layout is checked
+ * against the layout of the current implementation.
+ */
+const { DEFAULT_DEPLOYMENTS_DIR, recordDeployment } = require("./deployments");
+
+/**
+ * Finds the definition of a contract in the AST of a Truffle artifact
+ */
+function contractDefinition(artifact, name) {
+    const definition = artifact.ast.nodes.find((node) => node.nodeType === "ContractDefinition" && node.name === name);
+    if (!definition) {
+        throw new Error(`No definition of ${name} in the artifact of ${artifact.contractName}`);
+    }
+    return definition;
+}
+
+/**
+ * Reads the storage layout of a contract from the AST of its artifact: the state variables of the contract and of the
+ * contracts it inherits, in the order of their storage slots. Constants and immutables take no slot and are left out.
+ * The members of structs are not listed.
+ *
+ * @param artifact - Truffle artifact of the contract
+ * @param requireArtifact - Function giving the artifact of a contract by name, for the inherited contracts
+ * @return - List of `{ contract, label, type }` entries
+ */
+function storageLayout(artifact, requireArtifact) {
+    const definitions = new Map();
+    const collect = (source, name) => {
+        const definition = contractDefinition(source, name);
+        definitions.set(definition.id, definition);
+        for (const { baseName } of definition.baseContracts) {
+            collect(requireArtifact(baseName.name), baseName.name);
+        }
+    };
+    collect(artifact, artifact.contractName);
+
+    // `linearizedBaseContracts` starts with the contract itself, the storage starts with its most basic parent
+    const root = contractDefinition(artifact, artifact.contractName);
+    return [...root.linearizedBaseContracts].reverse().flatMap((id) =>
+        definitions.get(id).nodes
+            .filter((node) => node.nodeType === "VariableDeclaration" && node.stateVariable && node.mutability === "mutable")
+            .map((node) => ({ contract: definitions.get(id).name, label: node.name, type: node.typeDescriptions.typeString }))
+    );
+}
+
+/**
+ * Compares the storage layout of a new implementation with the current one. The new implementation must keep every
+ * variable, with the same name and type, at the same position; it can only add variables after them.
+ *
+ * @param previous - Layout of the current implementation, see `storageLayout`
+ * @param next - Layout of the new implementation
+ * @return - List of the incompatibilities, empty when the upgrade is safe
+ */
+function storageLayoutErrors(previous, next) {
+    const errors = [];
+    previous.forEach((variable, i) => {
+        const replacement = next[i];
+        if (!replacement) {
+            errors.push(`${variable.label} (${variable.type}) was removed`);
+        } else if (replacement.label !== variable.label) {
+            errors.push(`${variable.label} (${variable.type}) is replaced by ${replacement.label} (${replacement.type}) at position ${i}`);
+        } else if (replacement.type !== variable.type) {
+            errors.push(`${variable.label} changed type from ${variable.type} to ${replacement.type}`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Encodes the call of the initializer of a contract, which replaces its constructor behind a proxy
+ *
+ * @param Contract - Truffle contract abstraction
+ * @param args - Constructor arguments, given to `initialize`
+ * @return - ABI-encoded call, `0x` for a contract without constructor arguments
+ */
+function initializerData(Contract, args) {
+    if (args.length === 0) {
+        return "0x";
+    }
+    const initializer = Contract.abi.find((item) => item.type === "function" && item.name === "initialize");
+    if (!initializer) {
+        throw new Error(`${Contract.contractName} takes constructor arguments but has no initialize function`);
+    }
+    return Contract.web3.eth.abi.encodeFunctionCall(initializer, args);
+}
+
+/**
+ * Wraps the deployer of a migration into the `deploy` function of `deployProxy` and `upgradeProxy`
+ *
+ * @param deployer - Truffle deployer of the migration
+ * @return - Async function deploying a contract, `(Contract, ...args) => instance`
+ */
+function migrationDeploy(deployer) {
+    return async (Contract, ...args) => {
+        await deployer.deploy(Contract, ...args);
+        const instance = await Contract.deployed();
+        instance.transactionHash = Contract.transactionHash;
+        return instance;
+    };
+}
+
+/**
+ * Deploys a contract behind a new proxy. The implementation is deployed with the constructor arguments, which
+ * initializes its own storage so nobody else can; the proxy calls `initialize` with the same arguments in its storage.
+ *
+ * @param deploy - Async function deploying a contract, `(Contract, ...args) => instance`
+ * @param Contract - Truffle contract abstraction of the implementation
+ * @param args - Constructor arguments
+ * @param options - `TransparentProxy` contract abstraction and `admin` address of the proxy
+ * @return - Object with the `proxy` and `implementation` instances, the proxy being usable with the ABI of `Contract`
+ */
+async function deployProxy(deploy, Contract, args, { TransparentProxy, admin }) {
+    const implementation = await deploy(Contract, ...args);
+    const proxy = await deploy(TransparentProxy, implementation.address, admin, initializerData(Contract, args));
+    return {
+        proxy: await Contract.at(proxy.address),
+        proxyTransactionHash: proxy.transactionHash,
+        implementation,
+    };
+}
+
+/**
+ * Upgrades a proxy to a new implementation. Throws an error before deploying anything if the storage layout of the
+ * new implementation is not compatible with the current one.
+ *
+ * @param deploy - Async function deploying a contract, `(Contract, ...args) => instance`
+ * @param proxyAdmin - `ProxyAdmin` instance administrating the proxy
+ * @param proxyAddress - Address of the proxy
+ * @param Contract - Truffle contract abstraction of the new implementation
+ * @param args - Constructor arguments of the new implementation
+ * @param previousLayout - Storage layout of the current implementation, see `storageLayout`
+ * @param requireArtifact - Function giving the artifact of a contract by name
+ * @return - Object with the new `implementation` instance and its `storageLayout`
+ */
+async function upgradeProxy(deploy, proxyAdmin, proxyAddress, Contract, args, previousLayout, requireArtifact) {
+    const layout = storageLayout(Contract, requireArtifact);
+    const errors = storageLayoutErrors(previousLayout, layout);
+    if (errors.length > 0) {
+        throw new Error(`The storage layout of ${Contract.contractName} is not compatible with the current implementation:\n  ${errors.join("\n  ")}`);
+    }
+
+    const implementation = await deploy(Contract, ...args);
+    await proxyAdmin.upgrade(proxyAddress, implementation.address);
+    return { implementation, storageLayout: layout };
+}
+
+/**
+ * Records a contract deployed behind a proxy. The entry has the address of the proxy, so the clients and scripts use
+ * it like any other contract, and a `proxy` object with the admin, the implementation and its storage layout.
+ *
+ * @param web3 - Web3 instance of the migration
+ * @param network - Name of the network
+ * @param name - Name of the contract
+ * @param deployment - Object with the `proxyAddress`, `proxyTransactionHash`, `admin` address, `implementation`
+ *                     instance, constructor `args` and `storageLayout`
+ * @param dir - Directory holding the manifests (default: `deployments/`)
+ * @return - Entry written for the contract
+ */
+async function recordProxyDeployment(web3, network, name, deployment, dir = DEFAULT_DEPLOYMENTS_DIR) {
+    const { proxyAddress, proxyTransactionHash, admin, implementation, args, storageLayout: layout } = deployment;
+    const receipt = await web3.eth.getTransactionReceipt(proxyTransactionHash);
+    const implementationReceipt = await web3.eth.getTransactionReceipt(implementation.transactionHash);
+    const entry = {
+        address: proxyAddress,
+        transactionHash: proxyTransactionHash,
+        blockNumber: receipt.blockNumber,
+        args,
+        deployer: web3.utils.toChecksumAddress(receipt.from),
+        compiler: implementation.constructor.compiler ? implementation.constructor.compiler.version : null,
+        proxy: {
+            admin,
+            implementation: {
+                address: implementation.address,
+                transactionHash: implementation.transactionHash,
+                blockNumber: implementationReceipt.blockNumber,
+            },
+            storageLayout: layout,
+        },
+    };
+
+    recordDeployment(network, name, entry, { chainId: await web3.eth.getChainId(), dir });
+    return entry;
+}
+
+module.exports = {
+    deployProxy,
+    initializerData,
+    migrationDeploy,
+    recordProxyDeployment,
+    storageLayout,
+    storageLayoutErrors,
+    upgradeProxy,
+};
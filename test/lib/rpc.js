@@ -0,0 +1,249 @@
+const http = require("http");
+const https = require("https");
+
+const DEFAULT_OPTIONS = {
+    // Time given to one endpoint to answer a request
+    timeout: 10000,
+    // Number of rounds over every endpoint before giving up
+    retries: 3,
+    // Delay before the first retry round, doubled after each round
+    backoff: 500,
+    // Time an endpoint that failed is skipped for
+    cooldown: 30000,
+    // Expected chain id, endpoints on another chain are reported unhealthy and never used
+    chainId: null,
+    // Check every endpoint before the first request to start with a healthy one
+    healthCheck: true,
+};
+
+/**
+ * Error raised when an endpoint doesn't answer properly: network error, timeout, HTTP error status or invalid JSON.
+ * JSON-RPC errors returned by a healthy node, such as reverts, are not transport errors. After a timeout (`timedOut`),
+ * the endpoint may have processed the request.
+ */
+class TransportError extends Error {
+    constructor(url, message, { timedOut = false } = {}) {
+        super(`${url}: ${message}`);
+        this.name = "TransportError";
+        this.url = url;
+        this.timedOut = timedOut;
+    }
+}
+
+/**
+ * Reads the list of RPC URLs of a network. The `<NETWORK>_RPC_URLS` environment variable, a comma separated list,
+ * replaces the default list.
+ *
+ * @param network - Name of the network, e.g. `testnet`
+ * @param defaults - URLs used when the environment variable is not set
+ * @param env - Environment variables (default: `process.env`)
+ * @return - List of URLs
+ */
+function rpcUrls(network, defaults, env = process.env) {
+    const value = env[`${network.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_RPC_URLS`];
+    const urls = value ? value.split(",").map((url) => url.trim()).filter(Boolean) : defaults;
+    if (!urls || urls.length === 0) {
+        throw new Error(`No RPC URL configured for network "${network}"`);
+    }
+    return urls;
+}
+
+/**
+ * Sends a JSON-RPC payload to a URL over HTTP(S)
+ *
+ * @param url - URL of the endpoint
+ * @param payload - JSON-RPC request or batch of requests
+ * @param timeout - Time in milliseconds before the request is aborted
+ * @return - Parsed JSON response
+ */
+function postJson(url, payload, timeout) {
+    return new Promise((resolve, reject) => {
+        const body = JSON.stringify(payload);
+        const client = url.startsWith("https:") ? https : http;
+        const request = client.request(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(body) },
+        }, (response) => {
+            let data = "";
+            response.setEncoding("utf8");
+            response.on("data", (chunk) => (data += chunk));
+            response.on("end", () => {
+                if (response.statusCode < 200 || response.statusCode >= 300) {
+                    return reject(new TransportError(url, `HTTP ${response.statusCode}`));
+                }
+                try {
+                    resolve(JSON.parse(data));
+                } catch (error) {
+                    reject(new TransportError(url, "invalid JSON response"));
+                }
+            });
+        });
+
+        request.setTimeout(timeout, () => request.destroy(new TransportError(url, `no response after ${timeout}ms`, { timedOut: true })));
+        request.on("error", (error) => reject(error instanceof TransportError ? error : new TransportError(url, error.message)));
+        request.end(body);
+    });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Gives the hashes of the transactions broadcast by a JSON-RPC payload with `eth_sendRawTransaction`
+ *
+ * @param payload - JSON-RPC request or batch of requests
+ * @return - List of transaction hashes, empty if the payload broadcasts nothing
+ */
+function broadcastHashes(payload) {
+    const { keccak256 } = require("ethereum-cryptography/keccak");
+    return [].concat(payload)
+        .filter((request) => request.method === "eth_sendRawTransaction")
+        .map((request) => `0x${Buffer.from(keccak256(Buffer.from(request.params[0].replace(/^0x/, ""), "hex"))).toString("hex")}`);
+}
+
+/**
+ * JSON-RPC provider spreading requests over several endpoints. Requests go to the first healthy endpoint; when it
+ * fails or times out, the endpoint is put aside for `cooldown` milliseconds and the next one is tried. When every
+ * endpoint failed, the round is retried after an exponential backoff. An endpoint on another chain than `chainId` is
+ * excluded for good.
+ *
+ * A transaction broadcast with `eth_sendRawTransaction` is not sent again after a timeout: the endpoint may have
+ * received it, the error gives its hash so it can be looked up before trying again.
+ *
+ * The provider implements `sendAsync`/`send` with callbacks so it can be given to `HDWalletProvider` as `providerOrUrl`.
+ */
+class FailoverProvider {
+    constructor(urls, options = {}) {
+        if (!urls || urls.length === 0) {
+            throw new Error("FailoverProvider needs at least one URL");
+        }
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.endpoints = urls.map((url) => ({ url, failedUntil: 0, lastError: null, excluded: false }));
+        this.log = this.options.log || (() => {});
+        this.initialCheck = null;
+    }
+
+    /**
+     * Endpoints to try, healthy ones first in their configured order, then the ones cooling down. Excluded endpoints
+     * are never tried.
+     */
+    orderedEndpoints() {
+        const now = Date.now();
+        const usable = this.endpoints.filter((endpoint) => !endpoint.excluded);
+        const healthy = usable.filter((endpoint) => endpoint.failedUntil <= now);
+        const coolingDown = usable.filter((endpoint) => endpoint.failedUntil > now);
+        return healthy.concat(coolingDown);
+    }
+
+    markFailed(endpoint, error) {
+        endpoint.failedUntil = Date.now() + this.options.cooldown;
+        endpoint.lastError = error.message;
+        this.log(`RPC endpoint failed, switching: ${error.message}`);
+    }
+
+    exclude(endpoint, error) {
+        endpoint.excluded = true;
+        endpoint.lastError = error.message;
+        this.log(`RPC endpoint excluded: ${error.message}`);
+    }
+
+    /**
+     * Sends a JSON-RPC payload, failing over between endpoints and retrying with backoff
+     *
+     * @param payload - JSON-RPC request or batch of requests
+     * @return - JSON-RPC response
+     */
+    async request(payload) {
+        const { retries, backoff, timeout } = this.options;
+        if (this.options.healthCheck) {
+            this.initialCheck = this.initialCheck || this.checkHealth();
+            await this.initialCheck;
+        }
+
+        if (this.orderedEndpoints().length === 0) {
+            throw new Error(`No RPC endpoint on chain ${this.options.chainId}: ${this.endpoints.map((endpoint) => endpoint.lastError).join(", ")}`);
+        }
+
+        const broadcasts = broadcastHashes(payload);
+        let lastError;
+        for (let round = 0; round <= retries; round++) {
+            if (round > 0) {
+                await sleep(backoff * 2 ** (round - 1));
+            }
+            for (const endpoint of this.orderedEndpoints()) {
+                try {
+                    const response = await postJson(endpoint.url, payload, timeout);
+                    endpoint.failedUntil = 0;
+                    return response;
+                } catch (error) {
+                    lastError = error;
+                    this.markFailed(endpoint, error);
+                    if (error.timedOut && broadcasts.length > 0) {
+                        throw new Error(
+                            `${error.message} while broadcasting ${broadcasts.join(", ")}. The transaction may have been ` +
+                            `sent, check its hash before sending it again`
+                        );
+                    }
+                }
+            }
+        }
+        throw new Error(`All RPC endpoints failed after ${retries + 1} rounds, last error: ${lastError.message}`);
+    }
+
+    /**
+     * Checks every endpoint with `eth_chainId` and updates its status. An endpoint is healthy when it answers in time
+     * and, if the `chainId` option is set, is on the expected chain. An endpoint on another chain is excluded.
+     *
+     * @return - List of `{ url, healthy, chainId, error }` objects
+     */
+    async checkHealth() {
+        return Promise.all(this.endpoints.map(async (endpoint) => {
+            try {
+                const response = await postJson(endpoint.url, { jsonrpc: "2.0", id: 1, method: "eth_chainId", params: [] }, this.options.timeout);
+                if (response.error) {
+                    throw new TransportError(endpoint.url, response.error.message);
+                }
+                const chainId = parseInt(response.result, 16);
+                if (this.options.chainId !== null && chainId !== Number(this.options.chainId)) {
+                    const error = new TransportError(endpoint.url, `chain id ${chainId}, expected ${this.options.chainId}`);
+                    this.exclude(endpoint, error);
+                    return { url: endpoint.url, healthy: false, chainId, error: error.message };
+                }
+                endpoint.failedUntil = 0;
+                return { url: endpoint.url, healthy: true, chainId, error: null };
+            } catch (error) {
+                this.markFailed(endpoint, error);
+                return { url: endpoint.url, healthy: false, chainId: null, error: error.message };
+            }
+        }));
+    }
+
+    sendAsync(payload, callback) {
+        this.request(payload).then((response) => callback(null, response), (error) => callback(error));
+    }
+
+    send(payload, callback) {
+        if (typeof callback !== "function") {
+            throw new Error("FailoverProvider only supports asynchronous requests");
+        }
+        this.sendAsync(payload, callback);
+    }
+}
+
+/**
+ * Creates the provider of a network from its default URLs, which `<NETWORK>_RPC_URLS` can replace
+ *
+ * @param network - Name of the network
+ * @param defaults - Default RPC URLs of the network
+ * @param options - Options of `FailoverProvider`
+ * @return - `FailoverProvider` instance
+ */
+function createFailoverProvider(network, defaults, options = {}) {
+    return new FailoverProvider(rpcUrls(network, defaults), options);
+}
+
+module.exports = {
+    FailoverProvider,
+    TransportError,
+    createFailoverProvider,
+    rpcUrls,
+};
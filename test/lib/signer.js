@@ -0,0 +1,228 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_SECRET_PATH = path.join(__dirname, "..", ".secret");
+const DEFAULT_HD_PATH = "m/44'/60'/0'/0/";
+
+/**
+ * Reads a signer setting from the environment. A variable prefixed with the network name (e.g. `BSC_MNEMONIC`) takes
+ * precedence over the shared one (`MNEMONIC`), so each network can use its own credentials.
+ *
+ * @param env - Environment variables
+ * @param network - Name of the network
+ * @param name - Name of the setting, e.g. `MNEMONIC`
+ * @return - Value of the setting, or `undefined`
+ */
+function readSetting(env, network, name) {
+    const scoped = scopedName(network, name);
+    return env[scoped] !== undefined ? env[scoped] : env[name];
+}
+
+/**
+ * Gives the name of a setting prefixed with the network name
+ *
+ * @param network - Name of the network
+ * @param name - Name of the setting, e.g. `MNEMONIC`
+ * @return - Name of the variable, e.g. `BSC_MNEMONIC`
+ */
+function scopedName(network, name) {
+    return `${network.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_${name}`;
+}
+
+/**
+ * Normalizes a private key to a 64 characters hexadecimal string without `0x` prefix. Throws an error if the key is malformed.
+ *
+ * @param key - Private key, with or without `0x` prefix
+ * @return - Normalized private key
+ */
+function normalizePrivateKey(key) {
+    const hex = key.trim().replace(/^0x/i, "");
+    if (!/^[0-9a-fA-F]{64}$/.test(hex)) {
+        throw new Error("Private key must be 32 bytes written in hexadecimal");
+    }
+    return hex.toLowerCase();
+}
+
+/**
+ * Decrypts a Web3 Secret Storage (keystore v3) JSON file with its passphrase
+ *
+ * @param keystore - Keystore JSON as an object or a string
+ * @param passphrase - Passphrase protecting the keystore
+ * @return - Private key as a 64 characters hexadecimal string
+ */
+function decryptKeystore(keystore, passphrase) {
+    const { keccak256 } = require("ethereum-cryptography/keccak");
+    const json = typeof keystore === "string" ? JSON.parse(keystore) : keystore;
+    const params = json.crypto || json.Crypto;
+    if (json.version !== 3 || !params) {
+        throw new Error("Only version 3 keystore files are supported");
+    }
+
+    const kdf = params.kdfparams;
+    const salt = Buffer.from(kdf.salt, "hex");
+    let derivedKey;
+    if (params.kdf === "scrypt") {
+        derivedKey = crypto.scryptSync(passphrase, salt, kdf.dklen, {
+            N: kdf.n, r: kdf.r, p: kdf.p, maxmem: 256 * kdf.n * kdf.r,
+        });
+    } else if (params.kdf === "pbkdf2" && kdf.prf === "hmac-sha256") {
+        derivedKey = crypto.pbkdf2Sync(passphrase, salt, kdf.c, kdf.dklen, "sha256");
+    } else {
+        throw new Error(`Unsupported keystore key derivation function: ${params.kdf}`);
+    }
+
+    const ciphertext = Buffer.from(params.ciphertext, "hex");
+    const mac = Buffer.from(keccak256(Buffer.concat([derivedKey.subarray(16, 32), ciphertext]))).toString("hex");
+    if (mac !== params.mac.toLowerCase()) {
+        throw new Error("Wrong keystore passphrase");
+    }
+    if (params.cipher !== "aes-128-ctr") {
+        throw new Error(`Unsupported keystore cipher: ${params.cipher}`);
+    }
+
+    const decipher = crypto.createDecipheriv("aes-128-ctr", derivedKey.subarray(0, 16), Buffer.from(params.cipherparams.iv, "hex"));
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("hex");
+}
+
+/**
+ * Resolves the credentials of a network. The first source found is used, in this order:
+ * 1. `PRIVATE_KEY` environment variable
+ * 2. `MNEMONIC` environment variable
+ * 3. `KEYSTORE_PATH` keystore file, decrypted with `KEYSTORE_PASSPHRASE`
+ * 4. `.secret` file holding a mnemonic or a private key
+ * Each variable can be prefixed with the network name, e.g. `TESTNET_PRIVATE_KEY`. Every prefixed variable is looked
+ * at before the shared ones, so `BSC_KEYSTORE_PATH` is used on `bsc` even when a shared `MNEMONIC` is set.
+ *
+ * @param network - Name of the network
+ * @param options - `env` variables (default: `process.env`) and `secretPath` (default: `.secret`)
+ * @return - Either `{ mnemonic }` or `{ privateKey }`, with the `source` the credentials come from
+ */
+function resolveCredentials(network, { env = process.env, secretPath = DEFAULT_SECRET_PATH } = {}) {
+    for (const variable of [(name) => scopedName(network, name), (name) => name]) {
+        const privateKey = env[variable("PRIVATE_KEY")];
+        if (privateKey) {
+            return { privateKey: normalizePrivateKey(privateKey), source: "PRIVATE_KEY" };
+        }
+
+        const mnemonic = env[variable("MNEMONIC")];
+        if (mnemonic) {
+            return { mnemonic: mnemonic.trim(), source: "MNEMONIC" };
+        }
+
+        const keystorePath = env[variable("KEYSTORE_PATH")];
+        if (keystorePath) {
+            const passphrase = readSetting(env, network, "KEYSTORE_PASSPHRASE");
+            if (passphrase === undefined) {
+                throw new Error(`KEYSTORE_PASSPHRASE is required to decrypt ${keystorePath}`);
+            }
+            return { privateKey: decryptKeystore(fs.readFileSync(keystorePath, "utf8"), passphrase), source: keystorePath };
+        }
+    }
+
+    if (fs.existsSync(secretPath)) {
+        const secret = fs.readFileSync(secretPath, "utf8").trim();
+        if (/^(0x)?[0-9a-fA-F]{64}$/.test(secret)) {
+            return { privateKey: normalizePrivateKey(secret), source: secretPath };
+        }
+        return { mnemonic: secret, source: secretPath };
+    }
+
+    throw new Error(
+        `No credentials for network "${network}". Set PRIVATE_KEY, MNEMONIC or KEYSTORE_PATH/KEYSTORE_PASSPHRASE ` +
+        `(optionally prefixed with ${network.toUpperCase()}_), or write a mnemonic to ${secretPath}`
+    );
+}
+
+/**
+ * Resolves the signing account of a network without any provider, for the offline signing of transactions. A mnemonic
+ * is derived along `HD_PATH` at `ACCOUNT_INDEX`, the account `HDWalletProvider` would use first.
+ *
+ * @param web3 - Web3 instance, used to derive the address, its provider isn't used
+ * @param network - Name of the network
+ * @param options - `env` variables (default: `process.env`) and `secretPath` (default: `.secret`)
+ * @return - Object with the `address`, the `privateKey` and the `source` of the credentials
+ */
+function resolveAccount(web3, network, { env = process.env, secretPath = DEFAULT_SECRET_PATH } = {}) {
+    const credentials = resolveCredentials(network, { env, secretPath });
+    let { privateKey } = credentials;
+    if (!privateKey) {
+        const { mnemonicToSeedSync, validateMnemonic } = require("ethereum-cryptography/bip39");
+        const { wordlist } = require("ethereum-cryptography/bip39/wordlists/english");
+        const { HDKey } = require("ethereum-cryptography/hdkey");
+        if (!validateMnemonic(credentials.mnemonic, wordlist)) {
+            throw new Error(`Invalid mnemonic in ${credentials.source}`);
+        }
+        const addressIndex = Number(readSetting(env, network, "ACCOUNT_INDEX") || 0);
+        if (!Number.isInteger(addressIndex) || addressIndex < 0) {
+            throw new Error("ACCOUNT_INDEX must be an integer greater than or equal to 0");
+        }
+        const hdPath = readSetting(env, network, "HD_PATH") || DEFAULT_HD_PATH;
+        const key = HDKey.fromMasterSeed(mnemonicToSeedSync(credentials.mnemonic)).derive(`${hdPath}${addressIndex}`);
+        privateKey = Buffer.from(key.privateKey).toString("hex");
+    }
+    const { address } = web3.eth.accounts.privateKeyToAccount(privateKey);
+    return { address, privateKey, source: credentials.source };
+}
+
+/**
+ * Builds the options of `HDWalletProvider` for a network. The derivation path and the accounts come from the
+ * `HD_PATH`, `ACCOUNT_INDEX` and `ACCOUNT_COUNT` environment variables, which can also be prefixed with the network name.
+ *
+ * @param network - Name of the network
+ * @param providerOrUrl - RPC URL or provider the signer sends transactions to
+ * @param options - `env` variables (default: `process.env`) and `secretPath` (default: `.secret`)
+ * @return - Options object for `new HDWalletProvider(...)`
+ */
+function providerOptions(network, providerOrUrl, { env = process.env, secretPath = DEFAULT_SECRET_PATH } = {}) {
+    const credentials = resolveCredentials(network, { env, secretPath });
+    const addressIndex = Number(readSetting(env, network, "ACCOUNT_INDEX") || 0);
+    const numberOfAddresses = Number(readSetting(env, network, "ACCOUNT_COUNT") || 1);
+    if (!Number.isInteger(addressIndex) || addressIndex < 0) {
+        throw new Error("ACCOUNT_INDEX must be an integer greater than or equal to 0");
+    }
+    if (!Number.isInteger(numberOfAddresses) || numberOfAddresses < 1) {
+        throw new Error("ACCOUNT_COUNT must be an integer greater than 0");
+    }
+
+    if (credentials.privateKey) {
+        return { privateKeys: [credentials.privateKey], providerOrUrl };
+    }
+    return {
+        mnemonic: { phrase: credentials.mnemonic },
+        derivationPath: readSetting(env, network, "HD_PATH") || DEFAULT_HD_PATH,
+        addressIndex,
+        numberOfAddresses,
+        providerOrUrl,
+    };
+}
+
+/**
+ * Creates the signing provider of a remote network. Credentials are only resolved when this is called, that is when
+ * Truffle selects the network, so local commands don't need any secret.
+ *
+ * With `OFFLINE_SIGNING=1` (or `<NETWORK>_OFFLINE_SIGNING=1`), the provider is returned as is: Truffle gets no account
+ * and no credentials are read, for the machine that prepares and broadcasts transactions signed elsewhere.
+ *
+ * @param network - Name of the network
+ * @param providerOrUrl - Provider the signer sends transactions to
+ * @param env - Environment variables holding the credentials and `OFFLINE_SIGNING` (default: `process.env`)
+ * @return - `HDWalletProvider` instance, or `providerOrUrl` when signing offline
+ */
+function createSigner(network, providerOrUrl, env = process.env) {
+    if (["1", "true"].includes(readSetting(env, network, "OFFLINE_SIGNING"))) {
+        return providerOrUrl;
+    }
+    const HDWalletProvider = require("@truffle/hdwallet-provider");
+    return new HDWalletProvider(providerOptions(network, providerOrUrl, { env }));
+}
+
+module.exports = {
+    DEFAULT_HD_PATH,
+    createSigner,
+    decryptKeystore,
+    providerOptions,
+    readSetting,
+    resolveAccount,
+    resolveCredentials,
+};
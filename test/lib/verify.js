@@ -0,0 +1,323 @@
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const path = require("path");
+
+const { readSetting } = require("./signer");
+
+// Verification API of the explorer of each network, replaced by `<NETWORK>_VERIFY_API_URL`
+const DEFAULT_API_URLS = {
+    testnet: "https://api-testnet.bscscan.com/api",
+    bsc: "https://api.bscscan.com/api",
+};
+
+const DEFAULT_OPTIONS = {
+    // Time between two status checks, and between two submissions while the explorer hasn't indexed the contract
+    interval: 5000,
+    // Number of status checks before giving up
+    attempts: 20,
+    // Time given to the explorer to answer a request
+    timeout: 30000,
+};
+
+// License codes of the Etherscan API, by SPDX identifier
+const LICENSE_TYPES = {
+    "UNLICENSED": 1,
+    "Unlicense": 2,
+    "MIT": 3,
+    "GPL-2.0": 4,
+    "GPL-3.0": 5,
+    "LGPL-2.1": 6,
+    "LGPL-3.0": 7,
+    "BSD-2-Clause": 8,
+    "BSD-3-Clause": 9,
+    "MPL-2.0": 10,
+    "OSL-3.0": 11,
+    "Apache-2.0": 12,
+    "AGPL-3.0": 13,
+    "BUSL-1.1": 14,
+};
+
+const SPDX_PATTERN = /SPDX-License-Identifier:\s*([^\s*]+)/;
+const IMPORT_PATTERN = /^\s*import\s+(?:[^'"]*\sfrom\s+)?["']([^"']+)["']\s*;\s*$/gm;
+
+/**
+ * Error returned by the explorer for a submission or a verification
+ */
+class VerificationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "VerificationError";
+    }
+}
+
+/**
+ * Merges a Solidity file and the files it imports into one source, for the single file format of the explorers.
+ * Each file appears once, after the files it imports; the `import` statements, the repeated license identifiers
+ * and the repeated `pragma solidity` lines are removed.
+ *
+ * @param file - Path of the Solidity file
+ * @return - Flattened source
+ */
+function flattenSource(file) {
+    const visited = new Set();
+    const parts = [];
+    const visit = (current, importedBy) => {
+        const absolute = path.resolve(current);
+        if (visited.has(absolute)) {
+            return;
+        }
+        visited.add(absolute);
+        if (!fs.existsSync(absolute)) {
+            throw new Error(`Cannot find ${current}${importedBy ? `, imported by ${importedBy}` : ""}`);
+        }
+
+        const source = fs.readFileSync(absolute, "utf8");
+        for (const [, imported] of source.matchAll(IMPORT_PATTERN)) {
+            if (!imported.startsWith(".")) {
+                throw new Error(`Cannot flatten the package import "${imported}" of ${current}`);
+            }
+            visit(path.join(path.dirname(absolute), imported), current);
+        }
+        parts.push({ file: path.basename(absolute), source: source.replace(IMPORT_PATTERN, "") });
+    };
+    visit(file);
+
+    const license = (fs.readFileSync(file, "utf8").match(SPDX_PATTERN) || [])[1];
+    const pragma = parts.map(({ source }) => source.match(/^\s*pragma solidity[^;]+;/m)).find(Boolean);
+    const body = parts.map(({ file: name, source }) => {
+        const code = source
+            .replace(/\/\*\s*SPDX-License-Identifier:[^*]*\*\//, "")
+            .replace(/^\s*\/\/\s*SPDX-License-Identifier:.*$/m, "")
+            .replace(/^\s*pragma solidity[^;]+;\s*$/gm, "")
+            .trim();
+        return `// File: ${name}\n\n${code}\n`;
+    });
+
+    return [
+        ...(license ? [`// SPDX-License-Identifier: ${license}`] : []),
+        ...(pragma ? [pragma[0].trim()] : []),
+        "",
+        body.join("\n"),
+    ].join("\n");
+}
+
+/**
+ * Gives the license code of a source for the explorer, from its SPDX identifier
+ *
+ * @param source - Solidity source
+ * @return - License code, 1 (no license) when the identifier is missing or unknown
+ */
+function licenseType(source) {
+    const match = source.match(SPDX_PATTERN);
+    return (match && LICENSE_TYPES[match[1]]) || 1;
+}
+
+/**
+ * ABI-encodes the constructor arguments of a contract, as appended to its creation bytecode
+ *
+ * @param web3 - Web3 instance, for its ABI coder
+ * @param abi - ABI of the contract
+ * @param args - Constructor arguments
+ * @return - Hexadecimal encoding without `0x` prefix, empty without constructor arguments
+ */
+function encodeConstructorArgs(web3, abi, args = []) {
+    const constructor = abi.find((item) => item.type === "constructor");
+    const inputs = constructor ? constructor.inputs : [];
+    if (inputs.length !== args.length) {
+        throw new Error(`The constructor takes ${inputs.length} arguments, ${args.length} given`);
+    }
+    return inputs.length === 0 ? "" : web3.eth.abi.encodeParameters(inputs, args).slice(2);
+}
+
+/**
+ * Builds the fields of a `verifysourcecode` request from a Truffle artifact. The compiler version and the optimizer
+ * settings come from the metadata of the artifact.
+ *
+ * @param artifact - Truffle artifact of the contract
+ * @param address - Address of the deployed contract
+ * @param source - Flattened source, see `flattenSource`
+ * @param constructorArgs - Encoded constructor arguments, see `encodeConstructorArgs`
+ * @return - Fields of the request, without the API key
+ */
+function verificationRequest(artifact, address, source, constructorArgs) {
+    const { settings } = JSON.parse(artifact.metadata);
+    const optimizer = settings.optimizer || {};
+    return {
+        module: "contract",
+        action: "verifysourcecode",
+        contractaddress: address,
+        sourceCode: source,
+        codeformat: "solidity-single-file",
+        contractname: artifact.contractName,
+        compilerversion: `v${artifact.compiler.version.replace(/\.Emscripten.*$/, "")}`,
+        optimizationUsed: optimizer.enabled ? 1 : 0,
+        runs: optimizer.runs === undefined ? 200 : optimizer.runs,
+        // Misspelled by the API
+        constructorArguements: constructorArgs,
+        ...(settings.evmVersion ? { evmversion: settings.evmVersion } : {}),
+        licenseType: licenseType(source),
+    };
+}
+
+/**
+ * Gives the verification API of a network. The `<NETWORK>_VERIFY_API_URL` environment variable replaces the default.
+ *
+ * @param network - Name of the network, e.g. `testnet`
+ * @param env - Environment variables (default: `process.env`)
+ * @return - URL of the API
+ */
+function verifyApiUrl(network, env = process.env) {
+    const url = env[`${network.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_VERIFY_API_URL`] || DEFAULT_API_URLS[network];
+    if (!url) {
+        throw new Error(`No verification API for network "${network}", set ${network.toUpperCase()}_VERIFY_API_URL`);
+    }
+    return url;
+}
+
+/**
+ * Reads the explorer API key of a network from `<NETWORK>_BSCSCAN_API_KEY` or `BSCSCAN_API_KEY`
+ *
+ * @param network - Name of the network
+ * @param env - Environment variables (default: `process.env`)
+ * @return - API key
+ */
+function verifyApiKey(network, env = process.env) {
+    const key = readSetting(env, network, "BSCSCAN_API_KEY");
+    if (!key) {
+        throw new Error(`No explorer API key for network "${network}", set BSCSCAN_API_KEY`);
+    }
+    return key;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Client of an Etherscan-compatible verification API, such as BscScan
+ */
+class VerificationClient {
+    /**
+     * @param apiUrl - URL of the API, e.g. `https://api-testnet.bscscan.com/api`
+     * @param apiKey - API key of the explorer
+     * @param options - See `DEFAULT_OPTIONS`, and `log` to print the progress
+     */
+    constructor(apiUrl, apiKey, options = {}) {
+        this.apiUrl = apiUrl;
+        this.apiKey = apiKey;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.log = this.options.log || (() => {});
+    }
+
+    /**
+     * Sends a request to the API
+     *
+     * @param method - `GET` with the fields in the query string, or `POST` with a form body
+     * @param fields - Fields of the request, the API key is added
+     * @return - Parsed `{ status, message, result }` response
+     */
+    request(method, fields) {
+        const params = new URLSearchParams({ ...fields, apikey: this.apiKey }).toString();
+        const url = method === "GET" ? `${this.apiUrl}?${params}` : this.apiUrl;
+        const body = method === "POST" ? params : "";
+        const timeout = this.options.timeout;
+
+        return new Promise((resolve, reject) => {
+            const client = url.startsWith("https:") ? https : http;
+            const request = client.request(url, {
+                method,
+                headers: method === "POST"
+                    ? { "Content-Type": "application/x-www-form-urlencoded", "Content-Length": Buffer.byteLength(body) }
+                    : {},
+            }, (response) => {
+                let data = "";
+                response.setEncoding("utf8");
+                response.on("data", (chunk) => (data += chunk));
+                response.on("end", () => {
+                    if (response.statusCode < 200 || response.statusCode >= 300) {
+                        return reject(new Error(`${this.apiUrl}: HTTP ${response.statusCode}`));
+                    }
+                    try {
+                        resolve(JSON.parse(data));
+                    } catch (error) {
+                        reject(new Error(`${this.apiUrl}: invalid JSON response`));
+                    }
+                });
+            });
+
+            request.setTimeout(timeout, () => request.destroy(new Error(`${this.apiUrl}: no response after ${timeout}ms`)));
+            request.on("error", reject);
+            request.end(body);
+        });
+    }
+
+    /**
+     * Submits a source for verification. While the explorer hasn't indexed the contract yet, the submission is
+     * retried every `interval` milliseconds.
+     *
+     * @param fields - Fields returned by `verificationRequest`
+     * @return - `{ guid }` of the verification, or `{ alreadyVerified: true }`
+     */
+    async submit(fields) {
+        for (let attempt = 1; ; attempt++) {
+            const { status, result } = await this.request("POST", fields);
+            if (status === "1") {
+                return { guid: result };
+            }
+            if (/already verified/i.test(result)) {
+                return { alreadyVerified: true };
+            }
+            if (!/unable to locate contract ?code/i.test(result) || attempt >= this.options.attempts) {
+                throw new VerificationError(`Submission of ${fields.contractname} failed: ${result}`);
+            }
+            this.log(`${fields.contractname}: not indexed by the explorer yet, retrying`);
+            await sleep(this.options.interval);
+        }
+    }
+
+    /**
+     * Waits for the result of a verification, checking its status every `interval` milliseconds
+     *
+     * @param guid - Id returned by `submit`
+     * @return - Final status message, e.g. `Pass - Verified`
+     */
+    async waitForResult(guid) {
+        for (let attempt = 1; attempt <= this.options.attempts; attempt++) {
+            const { status, result } = await this.request("GET", { module: "contract", action: "checkverifystatus", guid });
+            if (status === "1" || /already verified/i.test(result)) {
+                return result;
+            }
+            if (!/pending/i.test(result)) {
+                throw new VerificationError(result);
+            }
+            await sleep(this.options.interval);
+        }
+        throw new VerificationError(`Verification ${guid} still pending after ${this.options.attempts} checks`);
+    }
+
+    /**
+     * Submits a source and waits for the result
+     *
+     * @param fields - Fields returned by `verificationRequest`
+     * @return - Final status message
+     */
+    async verify(fields) {
+        const { guid, alreadyVerified } = await this.submit(fields);
+        if (alreadyVerified) {
+            return "Already Verified";
+        }
+        this.log(`${fields.contractname}: submitted, guid ${guid}`);
+        return this.waitForResult(guid);
+    }
+}
+
+module.exports = {
+    DEFAULT_API_URLS,
+    VerificationClient,
+    VerificationError,
+    encodeConstructorArgs,
+    flattenSource,
+    licenseType,
+    verificationRequest,
+    verifyApiKey,
+    verifyApiUrl,
+};
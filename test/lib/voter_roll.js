@@ -0,0 +1,225 @@
+const fs = require("fs");
+const path = require("path");
+
+const { AlreadyVoterError } = require("./clients/ballot");
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+const DEFAULT_OPTIONS = {
+    // Number of `giveRightToVote` transactions sent before waiting for their receipts
+    batchSize: 20,
+};
+
+/**
+ * Reads a voter list: one voter per line, the address being the first column of the line. The other columns, e.g.
+ * the name of the voter, are ignored. An `address` header, blank lines and lines starting with `#` are skipped.
+ * Every malformed, wrongly checksummed or zero address is reported in a single error.
+ *
+ * @param web3 - Web3 instance, used for the address checks
+ * @param text - Content of the file
+ * @return - List of `{ line, address }` entries with checksummed addresses, in the order of the file
+ */
+function parseVoterList(web3, text) {
+    const entries = [];
+    const errors = [];
+
+    text.split(/\r?\n/).forEach((raw, index) => {
+        const line = index + 1;
+        const content = raw.trim();
+        if (content === "" || content.startsWith("#") || (entries.length === 0 && /^"?address"?\s*(,|$)/i.test(content))) {
+            return;
+        }
+
+        const address = content.split(",")[0].trim().replace(/^"(.*)"$/, "$1");
+        if (!web3.utils.isAddress(address)) {
+            const reason = /^0x[0-9a-fA-F]{40}$/.test(address) ? "has an invalid checksum" : "is not an address";
+            errors.push(`line ${line}: ${address} ${reason}`);
+        } else if (address.toLowerCase() === ZERO_ADDRESS) {
+            errors.push(`line ${line}: the zero address can't vote`);
+        } else {
+            entries.push({ line, address: web3.utils.toChecksumAddress(address) });
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid voter list:\n  ${errors.join("\n  ")}`);
+    }
+    if (entries.length === 0) {
+        throw new Error("The voter list has no voter");
+    }
+    return entries;
+}
+
+/**
+ * Gives the right to vote to the voters of a list. The list is compared with the voters of the ballot first:
+ * voters listed twice, already registered or who already voted are skipped instead of sending a transaction that
+ * would revert. The other voters are granted by batches of `batchSize` transactions from the chairperson.
+ *
+ * The comparison is made against the chain on every run, so running the import again after an interruption only
+ * sends the voters that are still missing.
+ */
+class VoterRollImport {
+    /**
+     * @param web3 - Web3 instance connected to the network
+     * @param ballot - `BallotClient` of the ballot
+     * @param from - Address of the chairperson
+     * @param options - See `DEFAULT_OPTIONS`, plus an optional `log(line)` function
+     */
+    constructor(web3, ballot, from, options = {}) {
+        this.web3 = web3;
+        this.ballot = ballot;
+        this.from = from;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.log = this.options.log || (() => {});
+    }
+
+    /**
+     * Compares the list with the voters of the ballot. Sends nothing.
+     *
+     * @param entries - Entries returned by `parseVoterList`
+     * @return - Plan with the entries `toGrant`, the `skipped` entries with their `reason` and the registered voters
+     * `notListed` in the file, apart from the chairperson
+     */
+    async prepare(entries) {
+        const chairperson = await this.ballot.chairperson();
+        if (chairperson.toLowerCase() !== this.from.toLowerCase()) {
+            throw new Error(`Only the chairperson ${chairperson} can give the right to vote, not ${this.from}`);
+        }
+
+        const registered = new Set((await this.ballot.voterAddresses()).map((address) => address.toLowerCase()));
+        const listed = new Map();
+        const plan = { toGrant: [], skipped: [], notListed: [] };
+
+        for (const entry of entries) {
+            const key = entry.address.toLowerCase();
+            if (listed.has(key)) {
+                plan.skipped.push({ ...entry, reason: `listed on line ${listed.get(key)}` });
+                continue;
+            }
+            listed.set(key, entry.line);
+
+            if (registered.has(key)) {
+                plan.skipped.push({ ...entry, reason: "already a voter" });
+                continue;
+            }
+            const voter = await this.ballot.voter(entry.address);
+            if (voter.weight > 0) {
+                plan.skipped.push({ ...entry, reason: "already a voter" });
+            } else if (voter.voted) {
+                plan.skipped.push({ ...entry, reason: "already voted" });
+            } else {
+                plan.toGrant.push(entry);
+            }
+        }
+
+        // The constructor registers the chairperson, who doesn't need to be listed
+        plan.notListed = [...registered]
+            .filter((key) => !listed.has(key) && key !== chairperson.toLowerCase())
+            .map((key) => this.web3.utils.toChecksumAddress(key));
+        return plan;
+    }
+
+    /**
+     * Sends the `giveRightToVote` transactions of a plan by batches. A transaction the node refuses stops the import,
+     * since the following nonces could not be mined.
+     *
+     * @param plan - Plan returned by `prepare`
+     * @return - Object with the `granted` entries and their transaction, the `skipped` entries, including those
+     * registered by someone else in the meantime, and the `failed` entries with their `reason`
+     */
+    async run(plan) {
+        const result = { granted: [], skipped: [...plan.skipped], failed: [] };
+        const remaining = [...plan.toGrant];
+
+        while (remaining.length > 0) {
+            const batch = remaining.splice(0, this.options.batchSize);
+            const sent = [];
+            let nonce = await this.web3.eth.getTransactionCount(this.from, "pending");
+
+            for (const entry of batch) {
+                const transaction = this.ballot.contract.methods.giveRightToVote(entry.address);
+                let gas;
+                try {
+                    // A transaction that would revert is never sent, so it can't leave a gap in the nonces
+                    await transaction.call({ from: this.from });
+                    gas = await transaction.estimateGas({ from: this.from });
+                } catch (error) {
+                    this.record(result, entry, this.ballot.mapError(error));
+                    continue;
+                }
+
+                const receipt = transaction.send({ from: this.from, nonce, gas });
+                try {
+                    await new Promise((resolve, reject) => receipt.once("transactionHash", resolve).catch(reject));
+                } catch (error) {
+                    this.record(result, entry, this.ballot.mapError(error));
+                    // The entries left are reported as failed, nothing was sent for them
+                    for (const left of [...batch.slice(batch.indexOf(entry) + 1), ...remaining]) {
+                        result.failed.push({ ...left, reason: "not sent, the import stopped" });
+                    }
+                    remaining.length = 0;
+                    break;
+                }
+                nonce++;
+                sent.push({ entry, receipt });
+            }
+
+            for (const { entry, receipt } of sent) {
+                try {
+                    const { transactionHash, blockNumber } = await receipt;
+                    result.granted.push({ ...entry, transactionHash, blockNumber });
+                    this.log(`${entry.address}: granted (${transactionHash})`);
+                } catch (error) {
+                    this.record(result, entry, this.ballot.mapError(error));
+                }
+            }
+        }
+        return result;
+    }
+
+    record(result, entry, error) {
+        if (error instanceof AlreadyVoterError) {
+            result.skipped.push({ ...entry, reason: "already a voter" });
+            this.log(`${entry.address}: skipped, already a voter`);
+        } else {
+            result.failed.push({ ...entry, reason: error.message });
+            this.log(`${entry.address}: failed, ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Writes the reconciliation report of an import
+ *
+ * @param file - Path of the JSON report
+ * @param details - `network`, `ballot` address, `chairperson` and voter list `file` of the import
+ * @param plan - Plan returned by `VoterRollImport.prepare`
+ * @param result - Result of `VoterRollImport.run`
+ * @return - The report
+ */
+function writeVoterRollReport(file, details, plan, result) {
+    const byLine = (a, b) => a.line - b.line;
+    const report = {
+        ...details,
+        generatedAt: new Date().toISOString(),
+        summary: {
+            granted: result.granted.length,
+            skipped: result.skipped.length,
+            failed: result.failed.length,
+            notListed: plan.notListed.length,
+        },
+        granted: [...result.granted].sort(byLine),
+        skipped: [...result.skipped].sort(byLine),
+        failed: [...result.failed].sort(byLine),
+        notListed: plan.notListed,
+    };
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(report, null, 2));
+    return report;
+}
+
+module.exports = {
+    VoterRollImport,
+    parseVoterList,
+    writeVoterRollReport,
+};
@@ -1,5 +1,15 @@
 const Migrations = artifacts.require("Migrations");
 
-module.exports = function (deployer) {
+const { deploymentContracts, loadDeployParams } = require("../lib/deploy_params");
+const { guardMainnetDeployment } = require("../lib/mainnet_guard");
+
+module.exports = async function (deployer, network, accounts) {
+  // On BSC mainnet, stop before the first transaction unless a dry-run of the
+  // whole deployment passed and it is confirmed. The dry-run itself is recorded
+  // by `2_deploy_contracts.js` once every contract is deployed.
+  const params = loadDeployParams(network.replace(/-fork$/, ""));
+  await guardMainnetDeployment(deployer, network, web3, accounts[0],
+    deploymentContracts(params, (name) => artifacts.require(name)));
+
   // deployer.deploy(Migrations);
 };
@@ -1,30 +1,72 @@
-const HelloWorld = artifacts.require("HelloWorld");
-const Ballot = artifacts.require("Ballot");
-const FungibleToken = artifacts.require("FungibleToken");
-const NFT = artifacts.require("NFT");
-const Selector = artifacts.require("Selector");
+const ProxyAdmin = artifacts.require("ProxyAdmin");
+const TransparentProxy = artifacts.require("TransparentProxy");
 
-module.exports = function(deployer) {
+const {
+    DEPLOYED_CONTRACTS,
+    PROXY_IMPLEMENTATIONS,
+    constructorArgs,
+    deploymentContracts,
+    loadDeployParams,
+} = require("../lib/deploy_params");
+const { recordTruffleDeployment } = require("../lib/deployments");
+const { guardMainnetDeployment } = require("../lib/mainnet_guard");
+const { deployProxy, migrationDeploy, recordProxyDeployment, storageLayout } = require("../lib/proxy");
+
+module.exports = async function(deployer, network, accounts) {
     // Deployer is the Truffle wrapper for deploying
     // contracts to the network
 
-    // Deploy the contract to the network
-    deployer.deploy(HelloWorld);
-    deployer.deploy(Ballot,
-        [
-            "Alice",
-            "Bob",
-            "Charlie",
-            "David",
-            "Eve",
-        ]
-    );
-    deployer.deploy(FungibleToken, 
-        "TestToken",
-        "TT",
-        10000,
-        18,
-    );
-    deployer.deploy(NFT);
-    deployer.deploy(Selector);
-}
\ No newline at end of file
+    // Constructor arguments come from `config/deploy.json`. Truffle names its
+    // dry-run networks `<network>-fork`, they share the same parameters.
+    const isDryRun = network.endsWith("-fork");
+    const params = loadDeployParams(network.replace(/-fork$/, ""));
+    // Contracts deployed behind a proxy, see `lib/proxy.js`
+    const proxied = params.proxy || [];
+
+    // On BSC mainnet, stop here unless a dry-run passed and the deployment is confirmed
+    const onDeployed = await guardMainnetDeployment(deployer, network, web3, accounts[0],
+        deploymentContracts(params, (name) => artifacts.require(name)));
+
+    const deploy = migrationDeploy(deployer);
+    // A single admin upgrades every proxy, deployed with the first of them
+    let proxyAdmin = null;
+
+    // Deploy the contract to the network and record it in `deployments/<network>.json`
+    for (const name of DEPLOYED_CONTRACTS) {
+        const Contract = artifacts.require(name);
+        const args = constructorArgs(name, params);
+        if (!proxied.includes(name)) {
+            await deployer.deploy(Contract, ...args);
+            if (!isDryRun) {
+                await recordTruffleDeployment(web3, network, Contract, args);
+            }
+            continue;
+        }
+
+        if (!proxyAdmin) {
+            proxyAdmin = await deploy(ProxyAdmin);
+            if (!isDryRun) {
+                await recordTruffleDeployment(web3, network, ProxyAdmin);
+            }
+        }
+        // The implementation is a variant of the contract initialized by the proxy
+        const Implementation = artifacts.require(PROXY_IMPLEMENTATIONS[name]);
+        const { proxy, proxyTransactionHash, implementation } = await deployProxy(deploy, Implementation, args, {
+            TransparentProxy,
+            admin: proxyAdmin.address,
+        });
+        // Later migrations and `deployed()` use the proxy
+        Contract.address = proxy.address;
+        if (!isDryRun) {
+            await recordProxyDeployment(web3, network, name, {
+                proxyAddress: proxy.address,
+                proxyTransactionHash,
+                admin: proxyAdmin.address,
+                implementation,
+                args,
+                storageLayout: storageLayout(Implementation, (contractName) => artifacts.require(contractName)),
+            });
+        }
+    }
+    await onDeployed();
+}
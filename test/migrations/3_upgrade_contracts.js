@@ -0,0 +1,58 @@
+const ProxyAdmin = artifacts.require("ProxyAdmin");
+
+const { PROXY_IMPLEMENTATIONS, loadDeployParams } = require("../lib/deploy_params");
+const { readManifest } = require("../lib/deployments");
+const { guardMainnetDeployment } = require("../lib/mainnet_guard");
+const { migrationDeploy, recordProxyDeployment, upgradeProxy } = require("../lib/proxy");
+
+// Upgrades the contracts deployed behind a proxy whose compiled code differs from the code of their implementation.
+// Does nothing right after `2_deploy_contracts.js`; run it alone after changing a contract:
+//
+// $ truffle migrate -f 3 --to 3 --network testnet
+module.exports = async function(deployer, network, accounts) {
+    const isDryRun = network.endsWith("-fork");
+    const baseNetwork = network.replace(/-fork$/, "");
+    const params = loadDeployParams(baseNetwork);
+    const manifest = readManifest(baseNetwork);
+
+    const upgrades = [];
+    for (const name of params.proxy || []) {
+        const entry = manifest.contracts[name];
+        if (!entry || !entry.proxy) {
+            continue;
+        }
+        const Implementation = artifacts.require(PROXY_IMPLEMENTATIONS[name]);
+        const code = await web3.eth.getCode(entry.proxy.implementation.address);
+        if (code.toLowerCase() !== Implementation.deployedBytecode.toLowerCase()) {
+            upgrades.push({ name, Implementation, entry });
+        }
+    }
+    if (upgrades.length === 0) {
+        return;
+    }
+
+    // On BSC mainnet, stop here unless a dry-run passed and the upgrade is confirmed
+    const onDeployed = await guardMainnetDeployment(deployer, network, web3, accounts[0],
+        upgrades.map(({ Implementation, entry }) => [Implementation, entry.args]));
+
+    const deploy = migrationDeploy(deployer);
+    for (const { name, Implementation, entry } of upgrades) {
+        const proxyAdmin = await ProxyAdmin.at(entry.proxy.admin);
+        const { implementation, storageLayout } = await upgradeProxy(deploy, proxyAdmin, entry.address, Implementation,
+            entry.args, entry.proxy.storageLayout, (contractName) => artifacts.require(contractName));
+        artifacts.require(name).address = entry.address;
+        console.log(`   Upgraded ${name} at ${entry.address} to ${implementation.address}`);
+
+        if (!isDryRun) {
+            await recordProxyDeployment(web3, baseNetwork, name, {
+                proxyAddress: entry.address,
+                proxyTransactionHash: entry.transactionHash,
+                admin: entry.proxy.admin,
+                implementation,
+                args: entry.args,
+                storageLayout,
+            });
+        }
+    }
+    await onDeployed();
+}
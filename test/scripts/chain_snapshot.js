@@ -0,0 +1,54 @@
+/**
+ * Saves the state of some accounts of a network to a snapshot file, for `node scripts/test.js --fork <file>`:
+ *
+ * $ truffle exec scripts/chain_snapshot.js <file> [address ...] [--slots <address>:<slot>,<slot>] --network bsc
+ *
+ * Without addresses, the contracts of `deployments/<network>.json` are saved. The balance, nonce and code of each
+ * account are always saved; storage slots are only saved when listed with `--slots`. See `lib/local_chain.js`.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const { readManifest } = require("../lib/deployments");
+const { execArgs } = require("../lib/exec_args");
+const { captureChainSnapshot } = require("../lib/local_chain");
+
+module.exports = async function (callback) {
+    try {
+        const { network, args } = execArgs(__filename);
+        const slots = {};
+        const positional = [];
+        for (let i = 0; i < args.length; i++) {
+            if (args[i] === "--slots") {
+                const [address, list = ""] = (args[++i] || "").split(":");
+                slots[address] = [...(slots[address] || []), ...list.split(",").filter(Boolean)];
+            } else {
+                positional.push(args[i]);
+            }
+        }
+
+        const [file, ...addresses] = positional;
+        if (!file) {
+            throw new Error("Usage: truffle exec scripts/chain_snapshot.js <file> [address ...] [--slots <address>:<slot>,<slot>]");
+        }
+        if (addresses.length === 0) {
+            addresses.push(...Object.values(readManifest(network).contracts).map(({ address }) => address));
+        }
+        for (const address of [...addresses, ...Object.keys(slots)]) {
+            if (!web3.utils.isAddress(address)) {
+                throw new Error(`Invalid address ${address}`);
+            }
+        }
+        if (addresses.length === 0) {
+            throw new Error(`No contract recorded in deployments/${network}.json, give the addresses to save`);
+        }
+
+        const snapshot = await captureChainSnapshot(web3, [...new Set([...addresses, ...Object.keys(slots)])], slots);
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(snapshot, null, 2) + "\n");
+        console.log(`Saved ${Object.keys(snapshot.accounts).length} accounts of block ${snapshot.blockNumber} to ${file}`);
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
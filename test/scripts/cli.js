@@ -0,0 +1,33 @@
+/**
+ * Operates the deployed tutorial contracts from the command line, e.g.
+ *
+ * $ truffle exec scripts/cli.js token transfer 0x... 1.5 --from 1 --network testnet
+ * $ truffle exec scripts/cli.js ballot results --json --network testnet
+ *
+ * Run it without arguments to list the commands. See `lib/cli.js`.
+ */
+const { readManifest } = require("../lib/deployments");
+const { execArgs } = require("../lib/exec_args");
+const { runCli } = require("../lib/cli");
+
+module.exports = async function (callback) {
+    const { network, args } = execArgs(__filename);
+
+    // Addresses come from `deployments/<network>.json`, or from the Truffle artifacts if the contract isn't recorded
+    // An unreadable manifest is reported rather than skipped
+    const resolveAddress = async (name) => {
+        const entry = readManifest(network).contracts[name];
+        return entry ? entry.address : (await artifacts.require(name).deployed()).address;
+    };
+
+    try {
+        await runCli(args, {
+            web3,
+            resolveAddress,
+            abiOf: (name) => artifacts.require(name).abi,
+        });
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
@@ -0,0 +1,60 @@
+/**
+ * Serves the web front-end of the tutorial contracts:
+ *
+ * $ node scripts/dapp.js [--network development|testnet|bsc] [--port 3000] [--rpc <url>] [--host 127.0.0.1]
+ *
+ * The pages connect through the wallet of the browser (MetaMask, ...) or, without a wallet, through the local node:
+ * `--rpc`, or the host and port of the `development` network when it is selected. Contract addresses and ABIs come
+ * from `build/contracts`, run `truffle migrate` first. See `lib/dapp.js` and `app/`.
+ */
+const { createDappServer } = require("../lib/dapp");
+
+const FLAGS = {
+    "--network": "network",
+    "--port": "port",
+    "--rpc": "rpcUrl",
+    "--host": "host",
+};
+
+function parseArgs(argv) {
+    const options = { network: "development", port: "3000", host: "127.0.0.1" };
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inline] = argv[i].split(/=(.*)/s);
+        if (!FLAGS[flag]) {
+            throw new Error(`Unknown argument ${argv[i]}, usage: node scripts/dapp.js [--network <name>] [--port <port>] [--rpc <url>] [--host <host>]`);
+        }
+        const value = inline !== undefined ? inline : argv[++i];
+        if (value === undefined) {
+            throw new Error(`Missing value after ${flag}`);
+        }
+        options[FLAGS[flag]] = value;
+    }
+    options.port = Number(options.port);
+    if (!Number.isInteger(options.port) || options.port < 0) {
+        throw new Error("Invalid port");
+    }
+    return options;
+}
+
+async function main() {
+    const { network, port, host, rpcUrl } = parseArgs(process.argv.slice(2));
+    const development = require("../truffle-config").networks.development;
+    const url = rpcUrl || (network === "development" ? `http://${development.host}:${development.port}` : null);
+
+    const server = createDappServer({ network, rpcUrl: url, log: console.error });
+    await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, resolve);
+    });
+    console.log(`Front-end of the ${network} contracts on http://${host}:${server.address().port}` +
+        (url ? `, local RPC ${url}` : ", connect with a wallet"));
+
+    const stop = () => server.close();
+    process.on("SIGINT", stop);
+    process.on("SIGTERM", stop);
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,71 @@
+/**
+ * Sends `FungibleToken` to the recipients of a CSV file, from the first account of the network:
+ *
+ * $ truffle exec scripts/distribute.js <file.csv> [--concurrency <n>] [--journal <file>] [--dry-run] --network testnet
+ *
+ * Each row of the file is `address,amount`, the amount being a decimal number of tokens. The whole file is checked
+ * before anything is sent. The progress is kept in `data/distribution-<network>-<file name>.json`: run the same
+ * command again after an interruption, recipients already paid are skipped. See `lib/distribution.js`.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const { FungibleTokenClient } = require("../lib/clients/fungible_token");
+const { formatUnits } = require("../lib/clients/units");
+const { DistributionJournal, TokenDistribution, parseDistribution } = require("../lib/distribution");
+const { execArgs } = require("../lib/exec_args");
+
+module.exports = async function (callback) {
+    try {
+        const { network, args } = execArgs(__filename);
+        const options = { log: console.log };
+        let journalFile = null;
+        let dryRun = false;
+        const files = [];
+        for (let i = 0; i < args.length; i++) {
+            if (args[i] === "--concurrency") {
+                options.concurrency = Number(args[++i]);
+                if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+                    throw new Error(`--concurrency must be a positive integer, got ${args[i]}`);
+                }
+            } else if (args[i] === "--journal") {
+                journalFile = args[++i];
+            } else if (args[i] === "--dry-run") {
+                dryRun = true;
+            } else {
+                files.push(args[i]);
+            }
+        }
+        if (files.length !== 1) {
+            throw new Error("Usage: truffle exec scripts/distribute.js <file.csv> [--concurrency <n>] [--journal <file>] [--dry-run]");
+        }
+        const [file] = files;
+        journalFile = journalFile ||
+            path.join(__dirname, "..", "data", `distribution-${network}-${path.basename(file, path.extname(file))}.json`);
+
+        const token = FungibleTokenClient.fromDeployment(web3, network, { abi: artifacts.require("FungibleToken").abi });
+        const decimals = await token.decimals();
+        const rows = parseDistribution(web3, fs.readFileSync(file, "utf8"), decimals);
+        const [from] = await web3.eth.getAccounts();
+
+        const distribution = new TokenDistribution(web3, token, from, new DistributionJournal(journalFile), options);
+        const plan = await distribution.prepare(rows);
+        console.log(`${rows.length} recipients: ${plan.paid.length} paid, ${plan.waiting.length} pending, ` +
+            `${plan.toSend.length} to send`);
+        console.log(`Remaining: ${formatUnits(plan.total, decimals)} tokens, balance of ${from}: ` +
+            `${formatUnits(plan.balance, decimals)}`);
+        console.log(`Journal: ${journalFile}`);
+        if (dryRun) {
+            return callback();
+        }
+
+        const { confirmed, failed } = await distribution.run(plan);
+        console.log(`${confirmed.length} transfers confirmed, ${failed.length} failed`);
+        if (failed.length > 0) {
+            throw new Error(`Failed transfers on lines ${failed.map(({ line }) => line).join(", ")}, run the command again to retry them`);
+        }
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
@@ -0,0 +1,59 @@
+/**
+ * Rebuilds the results of the deployed `Ballot` from the chain and writes an audit of the election:
+ *
+ * $ truffle exec scripts/election_report.js [--block <number>] [--out <directory>] --network testnet
+ *
+ * The report is written as `election-<network>.json`, `.csv` (one row per voter) and `.md` in `reports/`. The
+ * command fails when the results of the contract don't match the rebuilt election. See `lib/election_audit.js`.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const { BallotClient } = require("../lib/clients/ballot");
+const { getDeployment } = require("../lib/deployments");
+const { auditCsv, auditElection, auditMarkdown } = require("../lib/election_audit");
+const { execArgs } = require("../lib/exec_args");
+
+module.exports = async function (callback) {
+    try {
+        const { network, args } = execArgs(__filename);
+        let block;
+        let outDir = path.join(__dirname, "..", "reports");
+        for (let i = 0; i < args.length; i++) {
+            if (args[i] === "--block") {
+                block = Number(args[++i]);
+                if (!Number.isInteger(block) || block < 0) {
+                    throw new Error(`--block must be a block number, got ${args[i]}`);
+                }
+            } else if (args[i] === "--out") {
+                outDir = args[++i];
+            } else {
+                throw new Error(`Unknown argument ${args[i]}, usage: truffle exec scripts/election_report.js [--block <number>] [--out <directory>]`);
+            }
+        }
+
+        const deployment = getDeployment(network, "Ballot");
+        const ballot = new BallotClient(web3, deployment.address, { abi: artifacts.require("Ballot").abi });
+        const audit = await auditElection(web3, ballot, { block, fromBlock: deployment.blockNumber });
+
+        fs.mkdirSync(outDir, { recursive: true });
+        const base = path.join(outDir, `election-${network}`);
+        fs.writeFileSync(`${base}.json`, JSON.stringify({ network, ...audit }, null, 2));
+        fs.writeFileSync(`${base}.csv`, auditCsv(audit));
+        fs.writeFileSync(`${base}.md`, auditMarkdown(audit));
+
+        const { totals, winner } = audit;
+        console.log(`Block ${audit.block}: ${totals.cast} of ${totals.voters} votes counted, ` +
+            `winner: ${winner.name || `none (${winner.reason})`}`);
+        for (const { name, ok } of audit.checks) {
+            console.log(`${ok ? "OK    " : "FAILED"} ${name}`);
+        }
+        console.log(`Report written to ${base}.json, .csv and .md`);
+        if (!audit.ok) {
+            throw new Error(`The results of the ballot don't match the rebuilt election, see ${base}.md`);
+        }
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
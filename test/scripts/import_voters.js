@@ -0,0 +1,69 @@
+/**
+ * Gives the right to vote to the voters of a file, from the chairperson of the `Ballot` (the first account):
+ *
+ * $ truffle exec scripts/import_voters.js <voters file> [--batch-size <n>] [--report <file>] [--dry-run] --network testnet
+ *
+ * The file holds one address per line, optionally followed by other comma-separated columns. Voters already
+ * registered on the ballot are skipped. The report of granted, skipped and failed voters is written to
+ * `reports/voter-roll-<network>.json`. See `lib/voter_roll.js`.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const { BallotClient } = require("../lib/clients/ballot");
+const { execArgs } = require("../lib/exec_args");
+const { VoterRollImport, parseVoterList, writeVoterRollReport } = require("../lib/voter_roll");
+
+module.exports = async function (callback) {
+    try {
+        const { network, args } = execArgs(__filename);
+        const options = { log: console.log };
+        let reportFile = path.join(__dirname, "..", "reports", `voter-roll-${network}.json`);
+        let dryRun = false;
+        const files = [];
+        for (let i = 0; i < args.length; i++) {
+            if (args[i] === "--batch-size") {
+                options.batchSize = Number(args[++i]);
+                if (!Number.isInteger(options.batchSize) || options.batchSize < 1) {
+                    throw new Error(`--batch-size must be a positive integer, got ${args[i]}`);
+                }
+            } else if (args[i] === "--report") {
+                reportFile = args[++i];
+            } else if (args[i] === "--dry-run") {
+                dryRun = true;
+            } else {
+                files.push(args[i]);
+            }
+        }
+        if (files.length !== 1) {
+            throw new Error("Usage: truffle exec scripts/import_voters.js <voters file> [--batch-size <n>] [--report <file>] [--dry-run]");
+        }
+        const [file] = files;
+
+        const entries = parseVoterList(web3, fs.readFileSync(file, "utf8"));
+        const ballot = BallotClient.fromDeployment(web3, network, { abi: artifacts.require("Ballot").abi });
+        const [from] = await web3.eth.getAccounts();
+
+        const voterRoll = new VoterRollImport(web3, ballot, from, options);
+        const plan = await voterRoll.prepare(entries);
+        console.log(`${entries.length} listed voters: ${plan.toGrant.length} to grant, ${plan.skipped.length} skipped, ` +
+            `${plan.notListed.length} registered voters not listed`);
+        if (dryRun) {
+            for (const { line, address, reason } of plan.skipped) {
+                console.log(`line ${line}: ${address} skipped, ${reason}`);
+            }
+            return callback();
+        }
+
+        const result = await voterRoll.run(plan);
+        const report = writeVoterRollReport(reportFile, { network, ballot: ballot.address, chairperson: from, file }, plan, result);
+        const { granted, skipped, failed } = report.summary;
+        console.log(`${granted} granted, ${skipped} skipped, ${failed} failed, report written to ${reportFile}`);
+        if (failed > 0) {
+            throw new Error(`The right to vote could not be given to ${failed} voters, see ${reportFile}`);
+        }
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
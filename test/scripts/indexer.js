@@ -0,0 +1,64 @@
+/**
+ * Indexes the events of the deployed contracts into `data/events-<network>.json` and answers queries on them:
+ *
+ * $ truffle exec scripts/indexer.js sync [--once] --network testnet
+ * $ truffle exec scripts/indexer.js balance <address> [block] --network testnet
+ * $ truffle exec scripts/indexer.js owner <token id> [block] --network testnet
+ * $ truffle exec scripts/indexer.js votes [block] --network testnet
+ *
+ * `sync` backfills from the deployment block recorded in `deployments/<network>.json`, then follows new blocks
+ * until the process is stopped, unless `--once` is given. See `lib/event_indexer.js`.
+ */
+const path = require("path");
+
+const { readManifest } = require("../lib/deployments");
+const { EventIndexer, INDEXED_EVENTS } = require("../lib/event_indexer");
+const { execArgs } = require("../lib/exec_args");
+const { JsonStore } = require("../lib/json_store");
+
+module.exports = async function (callback) {
+    try {
+        const { network, args } = execArgs(__filename);
+        const [command = "sync", ...values] = args.filter((arg) => !arg.startsWith("--"));
+
+        const manifest = readManifest(network);
+        const contracts = Object.keys(INDEXED_EVENTS)
+            .filter((name) => manifest.contracts[name])
+            .map((name) => ({
+                name,
+                address: manifest.contracts[name].address,
+                abi: artifacts.require(name).abi,
+                deploymentBlock: manifest.contracts[name].blockNumber,
+            }));
+        if (contracts.length === 0) {
+            throw new Error(`No contract recorded in deployments/${network}.json, run the migrations first`);
+        }
+        const startBlock = Math.min(...contracts.map(({ name }) => manifest.contracts[name].blockNumber));
+
+        const store = new JsonStore(path.join(__dirname, "..", "data", `events-${network}.json`));
+        const indexer = new EventIndexer(web3, contracts, store, { startBlock, log: console.log });
+        const block = (value) => (value === undefined ? Infinity : Number(value));
+
+        if (command === "sync") {
+            if (args.includes("--once")) {
+                await indexer.sync();
+            } else {
+                process.on("SIGINT", () => indexer.stop());
+                await indexer.follow();
+            }
+        } else if (command === "balance") {
+            console.log(indexer.tokenBalance(values[0], block(values[1])));
+        } else if (command === "owner") {
+            console.log(indexer.nftOwner(values[0], block(values[1])) || "not minted");
+        } else if (command === "votes") {
+            for (const vote of indexer.votes(block(values[0]))) {
+                console.log(`${vote.blockNumber} ${vote.sender} -> ${vote.representativeName}`);
+            }
+        } else {
+            throw new Error(`Unknown command ${command}, expected sync, balance, owner or votes`);
+        }
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
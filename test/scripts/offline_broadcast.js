@@ -0,0 +1,67 @@
+/**
+ * Broadcasts a bundle signed by `scripts/offline_sign.js`, in nonce order, and waits for the receipts:
+ *
+ * $ OFFLINE_SIGNING=1 truffle exec scripts/offline_broadcast.js <signed.json> [--report <file>] --network bsc
+ *
+ * Transactions already mined are skipped, so the command can be run again after an interruption. It stops at the
+ * first transaction that reverts, that the node refuses or that gets no receipt. The receipts are written to
+ * `reports/broadcast-<bundle name>.json` and the deployed contracts to the deployment registry. See
+ * `lib/offline_tx.js`.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const { recordDeployment } = require("../lib/deployments");
+const { execArgs } = require("../lib/exec_args");
+const { BundleBroadcast, readBundle } = require("../lib/offline_tx");
+
+module.exports = async function (callback) {
+    try {
+        const { network, args } = execArgs(__filename);
+        let reportFile = null;
+        const files = [];
+        for (let i = 0; i < args.length; i++) {
+            if (args[i] === "--report") {
+                reportFile = args[++i];
+            } else {
+                files.push(args[i]);
+            }
+        }
+        if (files.length !== 1) {
+            throw new Error("Usage: truffle exec scripts/offline_broadcast.js <signed.json> [--report <file>]");
+        }
+        const [file] = files;
+        reportFile = reportFile || path.join(__dirname, "..", "reports", `broadcast-${path.basename(file, ".json")}.json`);
+
+        const bundle = readBundle(file);
+        if (bundle.network !== network) {
+            throw new Error(`The bundle was built for ${bundle.network}, not for ${network}`);
+        }
+        const result = await new BundleBroadcast(web3, bundle, { log: console.log }).run();
+
+        bundle.transactions.forEach((tx, i) => {
+            const { status, blockNumber, contractAddress } = result.transactions[i];
+            if (tx.method === null && status === "confirmed") {
+                recordDeployment(network, tx.contract, {
+                    address: contractAddress,
+                    transactionHash: tx.hash,
+                    blockNumber,
+                    args: tx.args,
+                    deployer: bundle.from,
+                    compiler: tx.compiler,
+                }, { chainId: bundle.chainId });
+            }
+        });
+
+        fs.mkdirSync(path.dirname(reportFile), { recursive: true });
+        fs.writeFileSync(reportFile, JSON.stringify({ network, chainId: bundle.chainId, from: bundle.from, ...result }, null, 2));
+        console.log(`Receipts written to ${reportFile}`);
+        if (!result.ok) {
+            const unsent = result.transactions.filter(({ status }) => status === "unsent" || status === "dropped").length;
+            throw new Error(`The bundle wasn't fully mined, ${unsent} transactions left unsent or dropped, run the command again to send them`);
+        }
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
@@ -0,0 +1,80 @@
+/**
+ * Builds the unsigned transactions of a plan, to be signed on an offline machine:
+ *
+ * $ OFFLINE_SIGNING=1 truffle exec scripts/offline_build.js <plan.json> --from <address> [--nonce <n>] [--gas-price <gwei>] [--out <file>] --network bsc
+ *
+ * The plan is a JSON list of deployments (`{ "deploy": "FungibleToken" }`) and contract calls
+ * (`{ "contract": "NFT", "method": "mint", "args": ["0x...", 1] }`). The nonce, gas limit, gas price and chain id of
+ * each transaction are fixed here, from the node. The bundle is written to `data/offline-<network>-unsigned.json`.
+ * Sign it with `scripts/offline_sign.js`, then broadcast it with `scripts/offline_broadcast.js`. See `lib/offline_tx.js`.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const { formatUnits } = require("../lib/clients/units");
+const { constructorArgs, loadDeployParams } = require("../lib/deploy_params");
+const { getDeployment } = require("../lib/deployments");
+const { execArgs } = require("../lib/exec_args");
+const { buildBundle, bundleCost, writeBundle } = require("../lib/offline_tx");
+
+module.exports = async function (callback) {
+    try {
+        const { network, args } = execArgs(__filename);
+        const options = { network };
+        let outFile = path.join(__dirname, "..", "data", `offline-${network}-unsigned.json`);
+        const files = [];
+        for (let i = 0; i < args.length; i++) {
+            if (args[i] === "--from") {
+                options.from = args[++i];
+            } else if (args[i] === "--nonce") {
+                options.nonce = Number(args[++i]);
+                if (!Number.isInteger(options.nonce) || options.nonce < 0) {
+                    throw new Error(`--nonce must be an integer greater than or equal to 0, got ${args[i]}`);
+                }
+            } else if (args[i] === "--gas-price") {
+                options.gasPrice = web3.utils.toWei(String(args[++i]), "gwei");
+            } else if (args[i] === "--out") {
+                outFile = args[++i];
+            } else {
+                files.push(args[i]);
+            }
+        }
+        if (files.length !== 1 || !options.from) {
+            throw new Error("Usage: truffle exec scripts/offline_build.js <plan.json> --from <address> [--nonce <n>] [--gas-price <gwei>] [--out <file>]");
+        }
+
+        const expectedChainId = require("../truffle-config").networks[network].network_id;
+        const chainId = await web3.eth.getChainId();
+        if (Number.isInteger(expectedChainId) && chainId !== expectedChainId) {
+            throw new Error(`The node of ${network} is on chain ${chainId}, expected ${expectedChainId}`);
+        }
+
+        const steps = JSON.parse(fs.readFileSync(files[0], "utf8"));
+        const bundle = await buildBundle(web3, steps, {
+            ...options,
+            artifact: (name) => {
+                const Contract = artifacts.require(name);
+                return { abi: Contract.abi, bytecode: Contract.bytecode, compiler: Contract.compiler ? Contract.compiler.version : null };
+            },
+            resolveAddress: (name) => {
+                try {
+                    return getDeployment(network, name).address;
+                } catch (error) {
+                    return null;
+                }
+            },
+            defaultArgs: (name) => constructorArgs(name, loadDeployParams(network)),
+        });
+
+        writeBundle(outFile, bundle);
+        for (const tx of bundle.transactions) {
+            console.log(`Nonce ${tx.nonce}: ${tx.description}${tx.method ? ` on ${tx.to}` : ` at ${tx.address}`}, gas ${tx.gas}`);
+        }
+        console.log(`${bundle.transactions.length} transactions from ${bundle.from} on chain ${bundle.chainId}, ` +
+            `gas price ${web3.utils.fromWei(bundle.transactions[0].gasPrice, "gwei")} gwei, max cost ${formatUnits(bundleCost(bundle), 18)} BNB`);
+        console.log(`Unsigned bundle written to ${outFile}`);
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
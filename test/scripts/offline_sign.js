@@ -0,0 +1,65 @@
+/**
+ * Signs a bundle built by `scripts/offline_build.js`, on a machine without network access:
+ *
+ * $ node scripts/offline_sign.js <bundle.json> [--out <file>]
+ *
+ * The key comes from the credentials of the network of the bundle, like for the online signer: `PRIVATE_KEY`,
+ * `MNEMONIC` (with `HD_PATH` and `ACCOUNT_INDEX`), `KEYSTORE_PATH`/`KEYSTORE_PASSPHRASE` or `.secret`, each optionally
+ * prefixed with the network name. The signed bundle is written next to the unsigned one, `-unsigned` replaced with
+ * `-signed`. See `lib/signer.js` and `lib/offline_tx.js`.
+ */
+const path = require("path");
+
+const Web3 = require("web3");
+
+const { formatUnits } = require("../lib/clients/units");
+const { bundleCost, readBundle, signBundle, writeBundle } = require("../lib/offline_tx");
+const { resolveAccount } = require("../lib/signer");
+
+function parseArgs(argv) {
+    const options = { file: null, out: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === "--out" && argv[i + 1] !== undefined) {
+            options.out = argv[++i];
+        } else if (!options.file && !argv[i].startsWith("--")) {
+            options.file = argv[i];
+        } else {
+            throw new Error(`Unknown argument ${argv[i]}, usage: node scripts/offline_sign.js <bundle.json> [--out <file>]`);
+        }
+    }
+    if (!options.file) {
+        throw new Error("Usage: node scripts/offline_sign.js <bundle.json> [--out <file>]");
+    }
+    return options;
+}
+
+function signedPath(file) {
+    const base = path.basename(file, ".json");
+    const signed = base.endsWith("-unsigned") ? `${base.slice(0, -"-unsigned".length)}-signed` : `${base}-signed`;
+    return path.join(path.dirname(file), `${signed}.json`);
+}
+
+async function main() {
+    const { file, out } = parseArgs(process.argv.slice(2));
+    const bundle = readBundle(file);
+    // Without a provider: nothing is sent to a node
+    const web3 = new Web3();
+    const account = resolveAccount(web3, bundle.network);
+    const signed = await signBundle(web3, bundle, account);
+
+    for (const tx of signed.transactions) {
+        const target = tx.method ? tx.to : `new contract ${tx.address}`;
+        console.log(`Nonce ${tx.nonce}: ${tx.description} (${target}), gas ${tx.gas} at ${tx.gasPrice} wei -> ${tx.hash}`);
+    }
+    console.log(`Signed ${signed.transactions.length} transactions for ${bundle.network} (chain ${bundle.chainId}) with ` +
+        `${account.address} from ${account.source}, max cost ${formatUnits(bundleCost(signed), 18)} BNB`);
+
+    const outFile = out || signedPath(file);
+    writeBundle(outFile, signed);
+    console.log(`Signed bundle written to ${outFile}`);
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
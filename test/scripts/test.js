@@ -0,0 +1,87 @@
+/**
+ * Runs `truffle test` against a local chain started for the run, so no node has to be running beforehand:
+ *
+ * $ node scripts/test.js [--chain bsc|testnet|<chain id>] [--block-time <seconds>] [--fork <snapshot file>] [truffle test options]
+ *
+ * The chain listens on the host and port of the `development` network and is stopped when the tests end. The other
+ * arguments are given to `truffle test`, e.g. `node scripts/test.js test/nft.js --grep approve`. See `lib/local_chain.js`.
+ */
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+
+const { startLocalChain } = require("../lib/local_chain");
+
+const ROOT = path.join(__dirname, "..");
+
+// Options of the launcher, the other arguments go to `truffle test`
+const FLAGS = {
+    "--chain": "chain",
+    "--block-time": "blockTime",
+    "--fork": "fork",
+};
+
+function parseArgs(argv) {
+    const options = {};
+    const rest = [];
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inline] = argv[i].split(/=(.*)/s);
+        if (!FLAGS[flag]) {
+            rest.push(argv[i]);
+            continue;
+        }
+        const value = inline !== undefined ? inline : argv[++i];
+        if (value === undefined) {
+            throw new Error(`Missing value after ${flag}`);
+        }
+        options[FLAGS[flag]] = value;
+    }
+    if (options.blockTime !== undefined) {
+        options.blockTime = Number(options.blockTime);
+        if (!(options.blockTime >= 0)) {
+            throw new Error("Invalid block time, expected a number of seconds");
+        }
+    }
+    if (options.fork !== undefined) {
+        options.fork = path.resolve(options.fork);
+    }
+    return { options, truffleArgs: rest };
+}
+
+function truffleCommand() {
+    const local = path.join(ROOT, "node_modules", ".bin", process.platform === "win32" ? "truffle.cmd" : "truffle");
+    return fs.existsSync(local) ? local : "truffle";
+}
+
+async function main() {
+    const { options, truffleArgs } = parseArgs(process.argv.slice(2));
+    const { host, port } = require("../truffle-config").networks.development;
+
+    const chain = await startLocalChain({ ...options, host, port });
+    console.log(`Local chain ${chain.chainId} listening on ${chain.url}${options.fork ? `, loaded from ${options.fork}` : ""}`);
+
+    const truffle = spawn(truffleCommand(), ["test", "--network", "development", ...truffleArgs], {
+        cwd: ROOT,
+        stdio: "inherit",
+        shell: process.platform === "win32",
+    });
+    // Ctrl+C reaches truffle too, the chain is stopped once it exited
+    const forward = (signal) => truffle.kill(signal);
+    process.on("SIGINT", forward);
+    process.on("SIGTERM", forward);
+
+    const code = await new Promise((resolve) => {
+        truffle.on("error", (error) => {
+            console.error(`Cannot run truffle: ${error.message}`);
+            resolve(1);
+        });
+        truffle.on("exit", (exitCode, signal) => resolve(signal ? 1 : exitCode));
+    });
+    await chain.stop();
+    process.exitCode = code;
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,85 @@
+/**
+ * Verifies the source of the deployed contracts on the explorer of the network, e.g. BscScan:
+ *
+ * $ BSCSCAN_API_KEY=... truffle exec scripts/verify.js [contract ...] [--api-url <url>] --network testnet
+ *
+ * Without contract names, every contract of `deployments/<network>.json` is verified. Each source is flattened with
+ * its imports and submitted with the constructor arguments recorded by the migration. See `lib/verify.js`.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const { PROXY_IMPLEMENTATIONS } = require("../lib/deploy_params");
+const { readManifest } = require("../lib/deployments");
+const { execArgs } = require("../lib/exec_args");
+const {
+    VerificationClient,
+    encodeConstructorArgs,
+    flattenSource,
+    verificationRequest,
+    verifyApiKey,
+    verifyApiUrl,
+} = require("../lib/verify");
+
+const CONTRACTS_DIR = path.join(__dirname, "..", "contracts");
+
+// The artifacts keep the absolute path of the machine that compiled them
+function sourceFile(artifact) {
+    return fs.existsSync(artifact.sourcePath) ? artifact.sourcePath : path.join(CONTRACTS_DIR, path.basename(artifact.sourcePath));
+}
+
+module.exports = async function (callback) {
+    try {
+        const { network, args } = execArgs(__filename);
+        let apiUrl = null;
+        const names = [];
+        for (let i = 0; i < args.length; i++) {
+            if (args[i] === "--api-url") {
+                apiUrl = args[++i];
+            } else {
+                names.push(args[i]);
+            }
+        }
+        apiUrl = apiUrl || verifyApiUrl(network);
+
+        const manifest = readManifest(network);
+        const contracts = names.length > 0 ? names : Object.keys(manifest.contracts);
+        if (contracts.length === 0) {
+            throw new Error(`No contract recorded in deployments/${network}.json, run the migrations first`);
+        }
+
+        const client = new VerificationClient(apiUrl, verifyApiKey(network), { log: console.log });
+        const failures = [];
+        for (const name of contracts) {
+            const deployment = manifest.contracts[name];
+            if (!deployment) {
+                throw new Error(`${name} is not recorded in deployments/${network}.json`);
+            }
+            // Behind a proxy, the source is the one of the implementation
+            const artifact = artifacts.require(deployment.proxy ? PROXY_IMPLEMENTATIONS[name] : name);
+            const target = deployment.proxy ? deployment.proxy.implementation : deployment;
+
+            // The recorded arguments must be the ones of the deployment transaction
+            const constructorArgs = encodeConstructorArgs(web3, artifact.abi, deployment.args);
+            const transaction = await web3.eth.getTransaction(target.transactionHash);
+            if (transaction && !transaction.input.endsWith(constructorArgs)) {
+                throw new Error(`The constructor arguments recorded for ${name} don't match its deployment transaction`);
+            }
+
+            const fields = verificationRequest(artifact, target.address, flattenSource(sourceFile(artifact)), constructorArgs);
+            try {
+                console.log(`${name}: ${await client.verify(fields)} (${target.address})`);
+            } catch (error) {
+                console.error(`${name}: ${error.message}`);
+                failures.push(name);
+            }
+        }
+
+        if (failures.length > 0) {
+            throw new Error(`Verification failed for ${failures.join(", ")}`);
+        }
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
@@ -0,0 +1,88 @@
+const Ballot = artifacts.require("Ballot");
+
+const {
+    AlreadyVotedError,
+    AlreadyVoterError,
+    BallotClient,
+    DelegationLoopError,
+    NoMajorityError,
+    NoRightToVoteError,
+    NoVotesError,
+    NotChairpersonError,
+    SelfDelegationError,
+} = require("../lib/clients/ballot");
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * Runs `action` and checks that it throws an instance of `ErrorClass`
+ */
+async function expectError(action, ErrorClass) {
+    try {
+        await action();
+        assert.fail("Expected an error to be thrown");
+    } catch (error) {
+        assert.instanceOf(error, ErrorClass);
+    }
+}
+
+contract("BallotClient", function (accounts) {
+    let client;
+
+    before(async () => {
+        const instance = await Ballot.deployed();
+        client = new BallotClient(web3, instance.address, { abi: Ballot.abi });
+    });
+
+    it("Should return the voter details as a named object", async () => {
+        assert.deepEqual(await client.voter(accounts[0]), { weight: 1, voted: false, delegate: ZERO_ADDRESS, vote: 0 });
+        assert.equal(await client.chairperson(), accounts[0]);
+    });
+
+    it("Should return the representatives as named objects", async () => {
+        const representatives = await client.representatives();
+
+        assert.equal(representatives.length, 5);
+        assert.deepEqual(representatives[0], { name: "Alice", voteCount: 0 });
+    });
+
+    it("Should throw a NoVotesError before the first vote", async () => {
+        await expectError(() => client.winningName(), NoVotesError);
+    });
+
+    it("Should throw typed errors for refused rights", async () => {
+        await expectError(() => client.giveRightToVote(accounts[1], { from: accounts[1] }), NotChairpersonError);
+        await expectError(() => client.giveRightToVote(accounts[0]), AlreadyVoterError);
+        await expectError(() => client.vote(0, { from: accounts[1] }), NoRightToVoteError);
+        await expectError(() => client.delegate(accounts[0], { from: accounts[1] }), NoRightToVoteError);
+    });
+
+    it("Should throw typed errors for refused delegations", async () => {
+        await client.giveRightToVote(accounts[1]);
+        await client.giveRightToVote(accounts[2]);
+        await client.delegate(accounts[2], { from: accounts[1] });
+
+        await expectError(() => client.delegate(accounts[2], { from: accounts[2] }), SelfDelegationError);
+        await expectError(() => client.delegate(accounts[1], { from: accounts[2] }), DelegationLoopError);
+        assert.deepEqual(await client.voter(accounts[1]), { weight: 1, voted: true, delegate: accounts[2], vote: 0 });
+        assert.equal((await client.voter(accounts[2])).weight, 2);
+    });
+
+    it("Should count a vote and throw an AlreadyVotedError on the second one", async () => {
+        await client.vote(3, { from: accounts[2] });
+
+        await expectError(() => client.vote(3, { from: accounts[2] }), AlreadyVotedError);
+        assert.deepEqual((await client.representatives())[3], { name: "David", voteCount: 2 });
+        assert.equal(await client.totalVotes(), 2);
+        assert.equal(await client.winningName(), "David");
+        assert.equal(await client.winnerName(), "David");
+    });
+
+    it("Should throw a NoMajorityError when the leader has no majority", async () => {
+        await client.giveRightToVote(accounts[3]);
+        await client.giveRightToVote(accounts[4]);
+
+        await expectError(() => client.winnerName(), NoMajorityError);
+        assert.deepEqual(await client.voterAddresses(), accounts.slice(0, 5));
+    });
+});
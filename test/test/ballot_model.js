@@ -0,0 +1,143 @@
+const Ballot = artifacts.require("Ballot");
+
+const fc = require("fast-check");
+
+const { BallotModel } = require("../lib/ballot_model");
+const { BallotClient } = require("../lib/clients/ballot");
+const { loadDeployParams } = require("../lib/deploy_params");
+const { expectRevert } = require("./helpers/assertions");
+const { checkInvariants, checkSequence } = require("./helpers/properties");
+
+// Accounts taking part in the scenarios, account 0 being the chairperson
+const ACCOUNTS = 10;
+const REPRESENTATIVES = loadDeployParams("development").ballot.representatives;
+
+/**
+ * Sends a transaction to the model and the contract, and checks that both accept it or revert with the same reason
+ */
+class BallotCommand {
+    constructor(action, sender, arg) {
+        Object.assign(this, { action, sender, arg });
+    }
+
+    check() {
+        return true;
+    }
+
+    async run(model, { ballot, accounts }) {
+        const arg = this.action === "vote" ? this.arg : accounts[this.arg];
+        let expected;
+        try {
+            model[this.action](accounts[this.sender], arg);
+        } catch (error) {
+            expected = error;
+        }
+
+        const call = ballot[this.action](arg, { from: accounts[this.sender] });
+        if (expected) {
+            await expectRevert(call, expected.reason === null ? undefined : expected.reason);
+        } else {
+            await call;
+        }
+    }
+
+    toString() {
+        return `${this.action}(${this.arg} by ${this.sender})`;
+    }
+}
+
+const giveRightToVote = (voter) => new BallotCommand("giveRightToVote", 0, voter);
+const vote = (sender, representative) => new BallotCommand("vote", sender, representative);
+const delegate = (sender, to) => new BallotCommand("delegate", sender, to);
+
+/**
+ * Runs a read function, returning its result or the revert string it throws
+ */
+async function outcome(read) {
+    try {
+        return { value: await read() };
+    } catch (error) {
+        if (error.reason === undefined) {
+            throw error;
+        }
+        return { reason: error.reason };
+    }
+}
+
+/**
+ * The state read from the contract matches the model
+ */
+async function contractMatchesModel(model, { client, accounts }) {
+    for (const account of accounts) {
+        assert.deepEqual(await client.voter(account), model.voter(account), `Details of ${account} differ from the model`);
+    }
+    assert.deepEqual(await client.representatives(), model.representatives(), "Representatives differ from the model");
+    assert.deepEqual(await client.voterAddresses(), model.voterAddresses(), "Voters differ from the model");
+    assert.equal(await client.totalVotes(), model.totalVotes(), "Number of votes differs from the model");
+    assert.deepEqual(await outcome(() => client.winningName()), await outcome(() => model.winningName()), "winningName differs");
+    assert.deepEqual(await outcome(() => client.winnerName()), await outcome(() => model.winnerName()), "winnerName differs");
+}
+
+function setup({ ballot }, accounts) {
+    const players = accounts.slice(0, ACCOUNTS);
+    return {
+        model: new BallotModel(players[0], REPRESENTATIVES),
+        real: { ballot, client: new BallotClient(web3, ballot.address, { abi: Ballot.abi }), accounts: players },
+    };
+}
+
+const play = (commands) => checkSequence({ preset: "ballot", setup, commands, invariants: [contractMatchesModel] });
+
+contract("Ballot model", function () {
+    it("Should follow a long delegation chain to a voter who didn't vote", async () => {
+        const voters = [...Array(ACCOUNTS - 1).keys()].map((i) => i + 1);
+        await play([
+            ...voters.map(giveRightToVote),
+            // 1 -> 2 -> ... -> 9
+            ...voters.slice(0, -1).map((voter) => delegate(voter, voter + 1)),
+            vote(9, 3),
+            vote(0, 1),
+        ]);
+    });
+
+    it("Should add a delegation to the vote of the end of the chain when it already voted", async () => {
+        await play([
+            giveRightToVote(1), giveRightToVote(2), giveRightToVote(3), giveRightToVote(4),
+            delegate(2, 3),
+            vote(3, 4),
+            // 1 -> 2 is followed to 3, who already voted
+            delegate(1, 2),
+            delegate(4, 1),
+        ]);
+    });
+
+    it("Should reject the delegations closing a cycle", async () => {
+        await play([
+            giveRightToVote(1), giveRightToVote(2), giveRightToVote(3), giveRightToVote(4),
+            delegate(1, 2),
+            delegate(2, 3),
+            delegate(3, 1),
+            delegate(3, 2),
+            delegate(4, 4),
+            delegate(4, 1),
+            delegate(3, 5),
+            vote(4, 0),
+        ]);
+    });
+
+    it("Should match the model over random scenarios", async () => {
+        const account = fc.integer({ min: 0, max: ACCOUNTS - 1 });
+        await checkInvariants({
+            preset: "ballot",
+            setup,
+            commands: [
+                account.map(giveRightToVote),
+                // One index past the last representative to cover the out of range vote
+                fc.tuple(account, fc.integer({ min: 0, max: REPRESENTATIVES.length })).map(([sender, index]) => vote(sender, index)),
+                fc.tuple(account, account).map(([sender, to]) => delegate(sender, to)),
+            ],
+            invariants: [contractMatchesModel],
+            maxCommands: 30,
+        });
+    });
+});
@@ -0,0 +1,87 @@
+const Ballot = artifacts.require("Ballot");
+const FungibleToken = artifacts.require("FungibleToken");
+const HelloWorld = artifacts.require("HelloWorld");
+const NFT = artifacts.require("NFT");
+
+const { parseArgs, runCli } = require("../lib/cli");
+
+contract("CLI", function (accounts) {
+    let context;
+    let lines;
+
+    before(async () => {
+        const contracts = { Ballot, FungibleToken, HelloWorld, NFT };
+        context = {
+            web3,
+            resolveAddress: async (name) => (await contracts[name].deployed()).address,
+            abiOf: (name) => contracts[name].abi,
+            out: (line) => lines.push(line),
+        };
+    });
+
+    beforeEach(() => {
+        lines = [];
+    });
+
+    it("Should split positional arguments and options", () => {
+        const { positional, options } = parseArgs(["token", "transfer", "0x1", "2", "--from", "1", "--json", "--network=testnet"]);
+
+        assert.deepEqual(positional, ["token", "transfer", "0x1", "2"]);
+        assert.deepEqual(options, { from: "1", json: true, network: "testnet" });
+    });
+
+    it("Should print the decoded events of a transaction", async () => {
+        await runCli(["hello", "log"], context);
+
+        assert.match(lines[0], /^Transaction 0x[0-9a-f]{64} mined in block \d+/);
+        assert.equal(lines[1], "  PrintHelloWorld(message=Hello World!)");
+    });
+
+    it("Should send from the account selected by index and print JSON", async () => {
+        await runCli(["ballot", "give-right", accounts[1]], context);
+        const output = await runCli(["ballot", "vote", "2", "--from", "1", "--json"], context);
+
+        assert.deepEqual(output.events, [{ event: "MessageSender", args: { sender: accounts[1], representativeName: "Charlie" } }]);
+        assert.deepEqual(JSON.parse(lines[1]), output);
+    });
+
+    it("Should refuse an account index past the end of the accounts", async () => {
+        let error = null;
+        try {
+            await runCli(["hello", "log", "--from", String(accounts.length)], context);
+        } catch (caught) {
+            error = caught;
+        }
+
+        assert.isNotNull(error, "The command should fail");
+        assert.equal(error.message, `No account at index ${accounts.length}, the network has ${accounts.length} accounts`);
+        assert.isEmpty(lines, "Nothing is sent");
+    });
+
+    it("Should return the results of the ballot", async () => {
+        const { result } = await runCli(["ballot", "results"], context);
+
+        assert.equal(result.totalVotes, 1);
+        assert.equal(result.winningName, "Charlie");
+        assert.isNull(result.winnerName);
+    });
+
+    it("Should transfer tokens and NFTs", async () => {
+        const token = await runCli(["token", "transfer", accounts[2], "0.000000000000001"], context);
+        assert.deepEqual(token.events[0].args, { from: accounts[0], to: accounts[2], value: "1000" });
+
+        await runCli(["nft", "mint", accounts[0], "7"], context);
+        await runCli(["nft", "transfer", accounts[3], "7"], context);
+        const { result } = await runCli(["nft", "owner", "7"], context);
+        assert.equal(result, accounts[3]);
+    });
+
+    it("Should print the usage for an unknown command", async () => {
+        try {
+            await runCli(["token", "burn"], context);
+            assert.fail("Expected an error to be thrown");
+        } catch (error) {
+            assert.include(error.message, "Usage: truffle exec scripts/cli.js");
+        }
+    });
+});
@@ -0,0 +1,28 @@
+const { ContractRevertError, decodeRevertData, revertMapper } = require("../lib/clients/errors");
+
+describe("decodeRevertData", () => {
+    const encoded = web3.eth.abi.encodeFunctionCall({ name: "Error", type: "function", inputs: [{ type: "string", name: "reason" }] }, ["Not enough tokens"]);
+
+    it("Should decode the revert string of Error(string) data", () => {
+        assert.equal(decodeRevertData(encoded), "Not enough tokens");
+        assert.isNull(decodeRevertData("0x4e487b710000000000000000000000000000000000000000000000000000000000000011"), "Panic(uint256)");
+        assert.isNull(decodeRevertData(undefined));
+    });
+
+    it("Should give null for truncated data", () => {
+        assert.isNull(decodeRevertData("0x08c379a0"));
+        assert.isNull(decodeRevertData(encoded.slice(0, 10 + 64)), "Without the length");
+        assert.isNull(decodeRevertData(encoded.slice(0, 10 + 128)), "Without the string");
+        assert.isNull(decodeRevertData(encoded.slice(0, 10 + 128 + 20)), "Without the end of the string");
+        assert.isNull(decodeRevertData(`0x08c379a0${"ff".repeat(32)}${"00".repeat(32)}`), "Offset out of the data");
+    });
+
+    it("Should keep the revert of the node when its data is truncated", () => {
+        const error = Object.assign(new Error("VM Exception while processing transaction: revert"), { data: "0x08c379a0" });
+        const mapped = revertMapper({})(error);
+
+        assert.instanceOf(mapped, ContractRevertError);
+        assert.isNull(mapped.reason);
+        assert.strictEqual(mapped.cause, error);
+    });
+});
@@ -0,0 +1,270 @@
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const Ballot = artifacts.require("Ballot");
+const FungibleToken = artifacts.require("FungibleToken");
+const HelloWorld = artifacts.require("HelloWorld");
+const NFT = artifacts.require("NFT");
+
+const { DAPP_CONTRACTS, abiWithSelectors, createDappServer, dappConfig } = require("../lib/dapp");
+
+const APP_DIR = path.join(__dirname, "..", "app");
+const CONTRACTS = { HelloWorld, FungibleToken, Ballot, NFT };
+
+/**
+ * Sends a request to a listening server
+ *
+ * @return - Object with the `status`, `headers` and `body` of the response
+ */
+function request(server, method, pathname, body, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: "127.0.0.1", port: server.address().port, method, path: pathname, headers }, (res) => {
+            let data = "";
+            res.setEncoding("utf8");
+            res.on("data", (chunk) => (data += chunk));
+            res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+        });
+        req.on("error", reject);
+        req.end(body);
+    });
+}
+
+const rpcPayload = (method, params = []) => JSON.stringify({ jsonrpc: "2.0", id: 1, method, params });
+const JSON_HEADERS = { "Content-Type": "application/json" };
+
+contract("dApp front-end", function (accounts) {
+    const [owner, other] = accounts;
+    let tmpDir;
+    let buildDir;
+    let deployed;
+    let networkId;
+    let abi;
+    let units;
+
+    before(async () => {
+        // The front-end is made of ES modules, loaded as they are by the browser
+        abi = await import(path.join(APP_DIR, "js", "abi.js"));
+        units = await import(path.join(APP_DIR, "js", "units.js"));
+    });
+
+    beforeEach(async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "dapp-"));
+        buildDir = path.join(tmpDir, "build");
+        fs.mkdirSync(buildDir);
+        networkId = String(await web3.eth.net.getId());
+        deployed = {
+            HelloWorld: await HelloWorld.new(),
+            FungibleToken: await FungibleToken.new("Token", "TKN", 1000, 18),
+            Ballot: await Ballot.new(["Alice", "Bob"]),
+            NFT: await NFT.new(),
+        };
+        for (const name of DAPP_CONTRACTS) {
+            const artifact = { contractName: name, abi: CONTRACTS[name].abi, networks: { [networkId]: { address: deployed[name].address } } };
+            fs.writeFileSync(path.join(buildDir, `${name}.json`), JSON.stringify(artifact));
+        }
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    async function listen(options) {
+        const server = createDappServer({ network: "development", buildDir, deploymentsDir: tmpDir, ...options });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        return server;
+    }
+
+    const close = (server) => new Promise((resolve) => server.close(resolve));
+
+    describe("abiWithSelectors", () => {
+        it("Should add the selector of each function and the topic of each event", () => {
+            for (const name of DAPP_CONTRACTS) {
+                for (const item of abiWithSelectors(CONTRACTS[name].abi)) {
+                    if (item.type === "function") {
+                        assert.equal(item.selector, web3.eth.abi.encodeFunctionSignature(item), `${name}.${item.signature}`);
+                    } else if (item.type === "event") {
+                        assert.equal(item.topic, web3.eth.abi.encodeEventSignature(item), `${name}.${item.signature}`);
+                    }
+                }
+            }
+        });
+
+        it("Should write tuples out in the signatures", () => {
+            const [item] = abiWithSelectors([{
+                type: "function",
+                name: "f",
+                inputs: [{ type: "tuple[]", components: [{ type: "string" }, { type: "uint256" }] }, { type: "address" }],
+            }]);
+
+            assert.equal(item.signature, "f((string,uint256)[],address)");
+            assert.equal(item.selector, web3.eth.abi.encodeFunctionSignature("f((string,uint256)[],address)"));
+        });
+    });
+
+    describe("dappConfig", () => {
+        it("Should give the addresses recorded in the artifacts for the network of the node", async () => {
+            const config = await dappConfig("development", {
+                rpc: async (method) => (method === "net_version" ? networkId : `0x${(await web3.eth.getChainId()).toString(16)}`),
+                buildDir,
+                deploymentsDir: tmpDir,
+            });
+
+            assert.equal(config.chainId, await web3.eth.getChainId());
+            assert.isTrue(config.rpc);
+            for (const name of DAPP_CONTRACTS) {
+                assert.equal(config.contracts[name].address, deployed[name].address);
+            }
+        });
+
+        it("Should fall back on the deployment manifest without a node", async () => {
+            fs.writeFileSync(path.join(tmpDir, "testnet.json"), JSON.stringify({
+                version: 1,
+                network: "testnet",
+                chainId: 97,
+                contracts: { Ballot: { address: other, blockNumber: 42 } },
+            }));
+
+            const config = await dappConfig("testnet", { buildDir, deploymentsDir: tmpDir });
+
+            assert.equal(config.chainId, 97);
+            assert.isFalse(config.rpc);
+            assert.deepInclude(config.contracts.Ballot, { address: other, blockNumber: 42 });
+            assert.deepInclude(config.contracts.NFT, { address: null, blockNumber: 0 });
+        });
+
+        it("Should require the artifacts", async () => {
+            fs.rmSync(path.join(buildDir, "NFT.json"));
+
+            const error = await dappConfig("testnet", { buildDir, deploymentsDir: tmpDir }).then(() => null, (caught) => caught);
+
+            assert.match(error.message, /^No artifact for NFT in .*, run `truffle compile` first$/);
+        });
+    });
+
+    describe("createDappServer", () => {
+        let server;
+
+        beforeEach(async () => {
+            server = await listen({ rpcUrl: web3.currentProvider.host });
+        });
+
+        afterEach(() => close(server));
+
+        it("Should serve the configuration of the contracts", async () => {
+            const response = await request(server, "GET", "/contracts.json");
+            const config = JSON.parse(response.body);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.headers["cache-control"], "no-store");
+            assert.equal(config.network, "development");
+            assert.deepEqual(Object.keys(config.contracts), DAPP_CONTRACTS);
+            assert.equal(config.contracts.Ballot.address, deployed.Ballot.address);
+        });
+
+        it("Should proxy JSON-RPC requests to the node", async () => {
+            const response = await request(server, "POST", "/rpc", rpcPayload("eth_accounts"), JSON_HEADERS);
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(JSON.parse(response.body).result.map((account) => account.toLowerCase()), accounts.map((account) => account.toLowerCase()));
+            assert.equal((await request(server, "POST", "/rpc", "{", JSON_HEADERS)).status, 400);
+        });
+
+        it("Should only proxy JSON requests from its own pages", async () => {
+            const { port } = server.address();
+            const send = (headers) => request(server, "POST", "/rpc", rpcPayload("eth_accounts"), headers);
+            const plain = await send({ "Content-Type": "text/plain" });
+            const crossOrigin = await send({ ...JSON_HEADERS, Origin: "http://evil.example" });
+
+            assert.equal(plain.status, 415);
+            assert.equal(JSON.parse(plain.body).error, "JSON-RPC requests must be sent as application/json");
+            assert.equal(crossOrigin.status, 403);
+            assert.equal(JSON.parse(crossOrigin.body).error, "Requests from http://evil.example are not allowed");
+            assert.equal((await send({ "Content-Type": "application/json; charset=utf-8", Origin: `http://127.0.0.1:${port}` })).status, 200);
+        });
+
+        it("Should serve the files of the front-end and nothing else", async () => {
+            const index = await request(server, "GET", "/");
+            const script = await request(server, "GET", "/js/main.js");
+
+            assert.equal(index.status, 200);
+            assert.equal(index.headers["content-type"], "text/html; charset=utf-8");
+            assert.include(index.body, "<script type=\"module\" src=\"js/main.js\"></script>");
+            assert.equal(script.headers["content-type"], "text/javascript; charset=utf-8");
+            assert.equal((await request(server, "GET", "/..%2flib%2fdapp.js")).status, 404);
+            assert.equal((await request(server, "GET", "/js")).status, 404);
+            assert.equal((await request(server, "DELETE", "/index.html")).status, 405);
+        });
+
+        it("Should leave the pages to a wallet without a local node", async () => {
+            const walletOnly = await listen({ network: "testnet" });
+            try {
+                const response = await request(walletOnly, "POST", "/rpc", rpcPayload("eth_accounts"), JSON_HEADERS);
+                const config = JSON.parse((await request(walletOnly, "GET", "/contracts.json")).body);
+
+                assert.equal(response.status, 404);
+                assert.equal(JSON.parse(response.body).error, "No local RPC for this network, use a wallet");
+                assert.isFalse(config.rpc);
+            } finally {
+                await close(walletOnly);
+            }
+        });
+    });
+
+    describe("Front-end codec", () => {
+        it("Should encode calls like web3", () => {
+            const config = { contracts: { Ballot: { abi: abiWithSelectors(Ballot.abi) } } };
+            const fn = (name) => config.contracts.Ballot.abi.find((item) => item.name === name);
+
+            assert.equal(abi.encodeCall(fn("vote"), [1n]), deployed.Ballot.contract.methods.vote(1).encodeABI());
+            assert.equal(abi.encodeCall(fn("delegate"), [other]), deployed.Ballot.contract.methods.delegate(other).encodeABI());
+            const types = [{ type: "string[]" }, { type: "int8" }, { type: "bytes" }, { type: "bool" }, { type: "bytes4" }];
+            const values = [["Alice", "Bob ✓"], -5, "0x0102", true, "0xdeadbeef"];
+            assert.equal(`0x${abi.encodeParams(types, values)}`, web3.eth.abi.encodeParameters(types.map(({ type }) => type), values));
+        });
+
+        it("Should decode results, logs and revert strings of the contracts", async () => {
+            const ballotAbi = abiWithSelectors(Ballot.abi);
+            const fn = (name) => ballotAbi.find((item) => item.name === name);
+            await deployed.Ballot.giveRightToVote(other);
+            const { receipt } = await deployed.Ballot.vote(1, { from: other });
+            const call = async (item, args = []) => web3.eth.call({ to: deployed.Ballot.address, data: abi.encodeCall(item, args) });
+
+            assert.deepEqual(abi.decodeResult(fn("getRepresentatives"), await call(fn("getRepresentatives"))), [
+                { name: "Alice", voteCount: 0n },
+                { name: "Bob", voteCount: 1n },
+            ]);
+            assert.deepEqual(abi.decodeResult(fn("getVoterDetails"), await call(fn("getVoterDetails"), [other])), {
+                weight: 1n,
+                voted: true,
+                delegate: "0x0000000000000000000000000000000000000000",
+                vote: 1n,
+            });
+            assert.deepEqual(abi.decodeLog(ballotAbi, receipt.rawLogs[0]), {
+                event: "MessageSender",
+                args: { sender: other.toLowerCase(), representativeName: "Bob" },
+            });
+            const revert = web3.eth.abi.encodeFunctionSignature("Error(string)") + web3.eth.abi.encodeParameter("string", "Already voted").slice(2);
+            assert.equal(abi.decodeRevert(revert), "Already voted");
+            assert.isNull(abi.decodeRevert("0x"));
+        });
+
+        it("Should decode the indexed arguments of the NFT events", async () => {
+            const { receipt } = await deployed.NFT.mint(owner, 7);
+
+            assert.deepEqual(abi.decodeLog(abiWithSelectors(NFT.abi), receipt.rawLogs[0]), {
+                event: "Transfer",
+                args: { from: "0x0000000000000000000000000000000000000000", to: owner.toLowerCase(), id: 7n },
+            });
+            assert.equal(abi.encodeTopic("address", owner), receipt.rawLogs[0].topics[2]);
+        });
+
+        it("Should convert token amounts like the token client", () => {
+            assert.equal(units.parseUnits("1.5", 18), 1500000000000000000n);
+            assert.equal(units.formatUnits(1500000000000000000n, 18), "1.5");
+            assert.throws(() => units.parseUnits("0.001", 2), "Amount 0.001 has more than 2 decimals");
+            assert.throws(() => abi.encodeParams([{ type: "uint8" }], [256]), "256 is out of the range of uint8");
+        });
+    });
+});
@@ -0,0 +1,199 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+    constructorArgs,
+    deploymentContracts,
+    loadDeployParams,
+    validateBallot,
+    validateFungibleToken,
+    validateProxy,
+} = require("../lib/deploy_params");
+
+const BALLOT = { representatives: ["Alice", "Bob"] };
+const TOKEN = { name: "TestToken", symbol: "TT", totalSupply: "10000", decimals: 18 };
+
+describe("validateBallot", () => {
+    it("Should accept between 1 and 5 names", () => {
+        validateBallot("development", { representatives: ["Alice"] });
+        validateBallot("development", { representatives: ["A", "B", "C", "D", "E"] });
+    });
+
+    it("Should reject a missing list", () => {
+        assert.throws(() => validateBallot("testnet", undefined), "[testnet] ballot.representatives must be a list of names");
+        assert.throws(() => validateBallot("testnet", { representatives: "Alice" }), "must be a list of names");
+    });
+
+    it("Should reject an empty list", () => {
+        assert.throws(() => validateBallot("testnet", { representatives: [] }), "[testnet] ballot.representatives must not be empty");
+    });
+
+    it("Should reject more names than the contract accepts", () => {
+        assert.throws(
+            () => validateBallot("testnet", { representatives: ["A", "B", "C", "D", "E", "F"] }),
+            "[testnet] ballot.representatives has 6 names, the contract accepts at most 5"
+        );
+    });
+
+    it("Should reject empty names and names that are not strings", () => {
+        assert.throws(() => validateBallot("testnet", { representatives: ["Alice", ""] }), "ballot.representatives[1] must be a non-empty string");
+        assert.throws(() => validateBallot("testnet", { representatives: [42] }), "ballot.representatives[0] must be a non-empty string");
+    });
+
+    it("Should reject names longer than 31 bytes", () => {
+        validateBallot("testnet", { representatives: ["a".repeat(31)] });
+        assert.throws(() => validateBallot("testnet", { representatives: ["a".repeat(32)] }), "is longer than 31 bytes");
+        // 16 characters of 2 bytes each
+        assert.throws(() => validateBallot("testnet", { representatives: ["é".repeat(16)] }), "is longer than 31 bytes");
+    });
+});
+
+describe("validateFungibleToken", () => {
+    const withToken = (changes) => () => validateFungibleToken("bsc", { ...TOKEN, ...changes });
+
+    it("Should accept valid parameters", () => {
+        validateFungibleToken("bsc", TOKEN);
+        validateFungibleToken("bsc", { ...TOKEN, totalSupply: "123456789012345678901234567890", decimals: 0 });
+    });
+
+    it("Should reject missing parameters", () => {
+        assert.throws(() => validateFungibleToken("bsc", undefined), "[bsc] fungibleToken is missing");
+    });
+
+    it("Should reject an empty name or symbol", () => {
+        assert.throws(withToken({ name: "" }), "[bsc] fungibleToken.name must be a non-empty string");
+        assert.throws(withToken({ name: undefined }), "fungibleToken.name must be a non-empty string");
+        assert.throws(withToken({ symbol: "" }), "[bsc] fungibleToken.symbol must be a non-empty string");
+    });
+
+    it("Should reject a total supply that is not an integer greater than 0", () => {
+        for (const totalSupply of ["0", "000", "-1", "1.5", "1e18", "", undefined]) {
+            assert.throws(withToken({ totalSupply }), "fungibleToken.totalSupply must be an integer greater than 0", `totalSupply ${totalSupply}`);
+        }
+    });
+
+    it("Should reject decimals outside of 0 to 18", () => {
+        for (const decimals of [-1, 19, 1.5, "18", undefined]) {
+            assert.throws(withToken({ decimals }), "fungibleToken.decimals must be an integer between 0 and 18", `decimals ${decimals}`);
+        }
+    });
+});
+
+describe("validateProxy", () => {
+    it("Should accept no list and the contracts that can be deployed behind a proxy", () => {
+        validateProxy("testnet", undefined);
+        validateProxy("testnet", []);
+        validateProxy("testnet", ["FungibleToken", "NFT"]);
+    });
+
+    it("Should reject anything else than a list", () => {
+        assert.throws(() => validateProxy("testnet", "FungibleToken"), "[testnet] proxy must be a list of contract names");
+    });
+
+    it("Should reject the contracts that can't be deployed behind a proxy", () => {
+        assert.throws(
+            () => validateProxy("testnet", ["NFT", "Ballot"]),
+            `[testnet] proxy[1] "Ballot" can't be deployed behind a proxy, expected one of FungibleToken, NFT`
+        );
+    });
+});
+
+describe("loadDeployParams", () => {
+    let dir;
+
+    const writeConfig = (content) => {
+        const file = path.join(dir, "deploy.json");
+        fs.writeFileSync(file, typeof content === "string" ? content : JSON.stringify(content));
+        return file;
+    };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "deploy-params-"));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should return the parameters of the network", () => {
+        const file = writeConfig({ testnet: { ballot: BALLOT, fungibleToken: TOKEN, proxy: ["NFT"] } });
+
+        const params = loadDeployParams("testnet", file);
+
+        assert.deepEqual(params, { ballot: BALLOT, fungibleToken: TOKEN, proxy: ["NFT"] });
+        assert.deepEqual(constructorArgs("Ballot", params), [["Alice", "Bob"]]);
+        assert.deepEqual(constructorArgs("FungibleToken", params), ["TestToken", "TT", "10000", 18]);
+        assert.deepEqual(constructorArgs("NFT", params), []);
+    });
+
+    it("Should read the default config file", () => {
+        const params = loadDeployParams("development");
+
+        assert.isAtLeast(params.ballot.representatives.length, 1);
+    });
+
+    it("Should reject a missing file", () => {
+        const file = path.join(dir, "missing.json");
+
+        assert.throws(() => loadDeployParams("testnet", file), `Cannot read deployment config ${file}`);
+    });
+
+    it("Should reject invalid JSON", () => {
+        const file = writeConfig("{ testnet: ");
+
+        assert.throws(() => loadDeployParams("testnet", file), `Invalid JSON in deployment config ${file}`);
+    });
+
+    it("Should reject a network without parameters, listing the configured ones", () => {
+        const file = writeConfig({ development: { ballot: BALLOT, fungibleToken: TOKEN }, testnet: { ballot: BALLOT, fungibleToken: TOKEN } });
+
+        assert.throws(
+            () => loadDeployParams("bsc", file),
+            `No deployment parameters for network "bsc" in ${file} (configured networks: development, testnet)`
+        );
+        assert.throws(() => loadDeployParams("bsc", writeConfig({})), "(configured networks: none)");
+    });
+
+    it("Should reject the first invalid value", () => {
+        const file = writeConfig({
+            testnet: { ballot: { representatives: [] }, fungibleToken: { ...TOKEN, decimals: 19 } },
+            bsc: { ballot: BALLOT, fungibleToken: { ...TOKEN, decimals: 19 } },
+            development: { ballot: BALLOT, fungibleToken: TOKEN, proxy: ["Ballot"] },
+        });
+
+        assert.throws(() => loadDeployParams("testnet", file), "[testnet] ballot.representatives must not be empty");
+        assert.throws(() => loadDeployParams("bsc", file), "[bsc] fungibleToken.decimals");
+        assert.throws(() => loadDeployParams("development", file), `[development] proxy[0] "Ballot"`);
+    });
+});
+
+describe("deploymentContracts", () => {
+    // Stands in for `artifacts.require`, the list only reads the names
+    const requireArtifact = (contractName) => ({ contractName });
+    const names = (params) => deploymentContracts(params, requireArtifact).map(([{ contractName }, args]) => [contractName, args]);
+    const TOKEN_ARGS = ["TestToken", "TT", "10000", 18];
+
+    it("Should list the contracts deployed directly", () => {
+        assert.deepEqual(names({ ballot: BALLOT, fungibleToken: TOKEN }), [
+            ["HelloWorld", []],
+            ["Ballot", [["Alice", "Bob"]]],
+            ["FungibleToken", TOKEN_ARGS],
+            ["NFT", []],
+            ["Selector", []],
+        ]);
+    });
+
+    it("Should list the admin, the implementation and the proxy of the proxied contracts", () => {
+        assert.deepEqual(names({ ballot: BALLOT, fungibleToken: TOKEN, proxy: ["NFT", "FungibleToken"] }), [
+            ["HelloWorld", []],
+            ["Ballot", [["Alice", "Bob"]]],
+            ["ProxyAdmin", []],
+            ["FungibleTokenUpgradeable", TOKEN_ARGS],
+            ["TransparentProxy", ["FungibleTokenUpgradeable", "ProxyAdmin", TOKEN_ARGS]],
+            ["NFT", []],
+            ["TransparentProxy", ["NFT", "ProxyAdmin", []]],
+            ["Selector", []],
+        ]);
+    });
+});
@@ -0,0 +1,83 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { MANIFEST_VERSION, getDeployment, manifestPath, readManifest, recordDeployment } = require("../lib/deployments");
+
+const ENTRY = {
+    address: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+    transactionHash: "0x" + "ab".repeat(32),
+    blockNumber: 12,
+    args: ["TestToken", "TT", "10000", 18],
+    deployer: "0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1",
+    compiler: "0.8.18+commit.87f61d96.Emscripten.clang",
+};
+
+describe("Deployment manifest", () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should find a recorded contract", () => {
+        recordDeployment("testnet", "FungibleToken", ENTRY, { chainId: 97, dir });
+
+        assert.deepEqual(getDeployment("testnet", "FungibleToken", dir), ENTRY);
+        assert.deepEqual(JSON.parse(fs.readFileSync(manifestPath("testnet", dir), "utf8")), {
+            version: MANIFEST_VERSION,
+            network: "testnet",
+            chainId: 97,
+            contracts: { FungibleToken: ENTRY },
+        });
+    });
+
+    it("Should keep the other contracts and the chain id when recording a contract", () => {
+        recordDeployment("testnet", "FungibleToken", ENTRY, { chainId: 97, dir });
+        const nft = { ...ENTRY, address: "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512", args: [] };
+
+        recordDeployment("testnet", "NFT", nft, { dir });
+        recordDeployment("testnet", "FungibleToken", { ...ENTRY, blockNumber: 20 }, { dir });
+
+        const manifest = readManifest("testnet", dir);
+        assert.equal(manifest.chainId, 97);
+        assert.deepEqual(Object.keys(manifest.contracts), ["FungibleToken", "NFT"]);
+        assert.equal(getDeployment("testnet", "FungibleToken", dir).blockNumber, 20);
+        assert.deepEqual(getDeployment("testnet", "NFT", dir), nft);
+    });
+
+    it("Should give an empty manifest for a network without deployments", () => {
+        recordDeployment("testnet", "FungibleToken", ENTRY, { chainId: 97, dir });
+
+        assert.deepEqual(readManifest("bsc", dir), { version: MANIFEST_VERSION, network: "bsc", chainId: null, contracts: {} });
+        assert.isFalse(fs.existsSync(manifestPath("bsc", dir)), "Reading doesn't create the manifest");
+    });
+
+    it("Should throw when a contract is not deployed on the network", () => {
+        recordDeployment("testnet", "FungibleToken", ENTRY, { chainId: 97, dir });
+
+        assert.throws(() => getDeployment("bsc", "FungibleToken", dir), `FungibleToken is not deployed on network "bsc"`);
+        assert.throws(() => getDeployment("testnet", "NFT", dir), `NFT is not deployed on network "testnet" (see ${manifestPath("testnet", dir)})`);
+    });
+
+    it("Should throw on a corrupt manifest instead of replacing it", () => {
+        const file = manifestPath("testnet", dir);
+        fs.writeFileSync(file, "{ \"version\": 1, \"contracts\": ");
+
+        const invalid = `Invalid manifest ${file}: `;
+        assert.throws(() => readManifest("testnet", dir), invalid);
+        assert.throws(() => getDeployment("testnet", "FungibleToken", dir), invalid);
+        assert.throws(() => recordDeployment("testnet", "NFT", ENTRY, { dir }), invalid);
+        assert.equal(fs.readFileSync(file, "utf8"), "{ \"version\": 1, \"contracts\": ");
+    });
+
+    it("Should throw on a manifest of another version", () => {
+        fs.writeFileSync(manifestPath("testnet", dir), JSON.stringify({ version: MANIFEST_VERSION + 1, contracts: {} }));
+
+        assert.throws(() => readManifest("testnet", dir), `Unsupported manifest version ${MANIFEST_VERSION + 1}`);
+    });
+});
@@ -0,0 +1,222 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const FungibleToken = artifacts.require("FungibleToken");
+
+const { FungibleTokenClient } = require("../lib/clients/fungible_token");
+const { DistributionJournal, TokenDistribution, parseDistribution } = require("../lib/distribution");
+
+const csv = (...lines) => lines.join("\n");
+
+// Hash of a transaction the node never heard of
+const DROPPED_HASH = "0x" + "ab".repeat(32);
+
+/**
+ * Distribution whose transfer to the `drop` address is dropped by the node right after being accepted
+ */
+class DroppingDistribution extends TokenDistribution {
+    async broadcast(row, nonce) {
+        if (row.address !== this.drop) {
+            return super.broadcast(row, nonce);
+        }
+        this.journal.record(row.address, { amount: row.amount, nonce, hash: DROPPED_HASH, status: "sent" });
+        return DROPPED_HASH;
+    }
+}
+
+describe("parseDistribution", () => {
+    const address = "0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1";
+    const other = (n) => web3.utils.toChecksumAddress(`0x${n.toString(16).padStart(40, "0")}`);
+
+    it("Should read the rows in base units, skipping the header, comments and blank lines", () => {
+        const rows = parseDistribution(web3, csv("address,amount", "# team", "", `${address},1.5`, `"${other(1).toLowerCase()}", 2`), 2);
+
+        assert.deepEqual(rows, [
+            { line: 4, address, amount: "150" },
+            { line: 5, address: other(1), amount: "200" },
+        ]);
+    });
+
+    it("Should report every invalid row", () => {
+        const badChecksum = address.replace("F8", "f8");
+        const text = csv(
+            `${address},1`,
+            `${badChecksum},1`,
+            "0x1234,1",
+            "0x0000000000000000000000000000000000000000,1",
+            `${address.toLowerCase()},2`,
+            `${other(1)},0`,
+            `${other(2)},1.234`,
+            `${other(3)},1,2`
+        );
+
+        let error = null;
+        try {
+            parseDistribution(web3, text, 2);
+        } catch (caught) {
+            error = caught;
+        }
+
+        assert.isNotNull(error, "The file should be refused");
+        assert.equal(error.message, [
+            "Invalid distribution file:",
+            `  line 2: ${badChecksum} has an invalid checksum`,
+            "  line 3: 0x1234 is not an address",
+            "  line 4: the zero address can't receive tokens",
+            `  line 5: ${address.toLowerCase()} is already listed on line 1`,
+            "  line 6: the amount must be greater than 0",
+            "  line 7: Amount 1.234 has more than 2 decimals",
+            "  line 8: expected <address>,<amount>, got 3 fields",
+        ].join("\n"));
+    });
+
+    it("Should refuse a file without recipient", () => {
+        assert.throws(() => parseDistribution(web3, csv("address,amount", ""), 2), "The distribution file has no recipient");
+    });
+});
+
+contract("TokenDistribution", function (accounts) {
+    const sender = accounts[0];
+    const recipients = accounts.slice(1, 6);
+    let token;
+    let client;
+    let file;
+
+    const distribute = async (rows, options = {}) => {
+        const distribution = new TokenDistribution(web3, client, sender, new DistributionJournal(file), { pollInterval: 50, ...options });
+        const plan = await distribution.prepare(rows);
+        return { plan, result: await distribution.run(plan) };
+    };
+    const rowsOf = (amounts) => parseDistribution(web3, amounts.map((amount, i) => `${recipients[i]},${amount}`).join("\n"), 2);
+    const balances = () => Promise.all(recipients.map(async (account) => (await token.balanceOf(account)).toString()));
+    const journal = () => JSON.parse(fs.readFileSync(file, "utf8"));
+
+    beforeEach(async () => {
+        token = await FungibleToken.new("DistributedToken", "DT", 100000, 2);
+        client = new FungibleTokenClient(web3, token.address, { abi: FungibleToken.abi });
+        file = path.join(os.tmpdir(), `distribution-${process.pid}-${Date.now()}.json`);
+    });
+
+    afterEach(() => {
+        fs.rmSync(file, { force: true });
+    });
+
+    it("Should pay every recipient and record the transfers", async () => {
+        const nonce = await web3.eth.getTransactionCount(sender);
+
+        const { result } = await distribute(rowsOf(["1", "2.5", "3", "4", "5"]), { concurrency: 2 });
+
+        assert.equal(result.confirmed.length, 5);
+        assert.deepEqual(await balances(), ["100", "250", "300", "400", "500"]);
+        const transfers = Object.values(journal().transfers);
+        assert.deepEqual(transfers.map((transfer) => transfer.status), Array(5).fill("confirmed"));
+        assert.deepEqual(transfers.map((transfer) => transfer.nonce), [0, 1, 2, 3, 4].map((i) => nonce + i));
+    });
+
+    it("Should not pay anyone twice when run again", async () => {
+        await distribute(rowsOf(["1", "2"]));
+        const nonce = await web3.eth.getTransactionCount(sender);
+
+        const { plan, result } = await distribute(rowsOf(["1", "2", "3"]));
+
+        assert.equal(plan.paid.length, 2);
+        assert.equal(result.confirmed.length, 1);
+        assert.equal(await web3.eth.getTransactionCount(sender), nonce + 1, "Only the new recipient is paid");
+        assert.deepEqual((await balances()).slice(0, 3), ["100", "200", "300"]);
+    });
+
+    it("Should find a transfer mined before its hash was recorded", async () => {
+        const rows = rowsOf(["1", "2"]);
+        const journalBefore = new DistributionJournal(file);
+        journalBefore.open(token.address, sender, await web3.eth.getBlockNumber());
+        // Interrupted between the broadcast and the journal update
+        const nonce = await web3.eth.getTransactionCount(sender);
+        journalBefore.record(recipients[0], { amount: "100", nonce, hash: null, status: "sending" });
+        await token.transfer(recipients[0], 100);
+
+        const { plan } = await distribute(rows);
+
+        assert.deepEqual(plan.paid.map(({ address }) => address), [recipients[0]]);
+        assert.deepEqual((await balances()).slice(0, 2), ["100", "200"]);
+    });
+
+    it("Should send again a transfer that never reached the node with the same nonce", async () => {
+        const journalBefore = new DistributionJournal(file);
+        journalBefore.open(token.address, sender, await web3.eth.getBlockNumber());
+        const nonce = await web3.eth.getTransactionCount(sender);
+        journalBefore.record(recipients[0], { amount: "100", nonce, hash: null, status: "sending" });
+
+        const { plan } = await distribute(rowsOf(["1", "2"]));
+
+        assert.deepEqual(plan.toSend.map((send) => send.nonce), [nonce, null]);
+        assert.deepEqual((await balances()).slice(0, 2), ["100", "200"]);
+        assert.equal(journal().transfers[recipients[0].toLowerCase()].nonce, nonce);
+        assert.equal(journal().transfers[recipients[1].toLowerCase()].nonce, nonce + 1);
+    });
+
+    it("Should settle a dropped transfer and send it again on the next run", async () => {
+        const nonce = await web3.eth.getTransactionCount(sender);
+        const distribution = new DroppingDistribution(web3, client, sender, new DistributionJournal(file), { pollInterval: 50 });
+        // The last transfer, the node would keep the next ones until its nonce is used
+        distribution.drop = recipients[1];
+
+        const result = await distribution.run(await distribution.prepare(rowsOf(["1", "2"])));
+
+        assert.deepEqual(result.confirmed.map(({ address }) => address), [recipients[0]]);
+        assert.deepEqual(result.failed.map(({ address }) => address), [recipients[1]], "The dropped transfer failed");
+
+        const { plan } = await distribute(rowsOf(["1", "2"]));
+
+        assert.deepEqual(plan.toSend.map((send) => send.nonce), [nonce + 1], "The dropped transfer is sent again with its nonce");
+        assert.deepEqual((await balances()).slice(0, 2), ["100", "200"]);
+        assert.equal(journal().transfers[recipients[1].toLowerCase()].status, "confirmed");
+    });
+
+    it("Should go on with the other transfers when waiting for one fails", async () => {
+        const distribution = new TokenDistribution(web3, client, sender, new DistributionJournal(file), { pollInterval: 50, concurrency: 2 });
+        const waitForReceipt = distribution.waitForReceipt.bind(distribution);
+        let calls = 0;
+        distribution.waitForReceipt = (hash) => (calls++ === 0 ? Promise.reject(new Error("Connection lost")) : waitForReceipt(hash));
+
+        let error = null;
+        await distribution.run(await distribution.prepare(rowsOf(["1", "2", "3"]))).catch((caught) => (error = caught));
+
+        assert.isNotNull(error, "The run should fail");
+        assert.equal(error.message, "Could not wait for 1 transfer(s), run the distribution again to settle them: Connection lost");
+        assert.deepEqual((await balances()).slice(0, 3), ["100", "200", "300"], "Every transfer was sent");
+        assert.equal(journal().transfers[recipients[0].toLowerCase()].status, "sent");
+
+        const { plan, result } = await distribute(rowsOf(["1", "2", "3"]));
+        assert.equal(plan.paid.length, 3, "The next run settles it");
+        assert.isEmpty(result.confirmed);
+    });
+
+    it("Should refuse a distribution above the balance of the sender before sending anything", async () => {
+        const nonce = await web3.eth.getTransactionCount(sender);
+        const distribution = new TokenDistribution(web3, client, sender, new DistributionJournal(file));
+
+        let error = null;
+        await distribution.prepare(rowsOf(["600", "400.01"])).catch((caught) => (error = caught));
+
+        assert.isNotNull(error, "The distribution should be refused");
+        assert.equal(error.message, `The distribution needs 1000.01 tokens, ${sender} holds 1000`);
+        assert.equal(await web3.eth.getTransactionCount(sender), nonce);
+    });
+
+    it("Should refuse a changed amount or the journal of another token", async () => {
+        await distribute(rowsOf(["1"]));
+
+        let error = null;
+        await new TokenDistribution(web3, client, sender, new DistributionJournal(file))
+            .prepare(rowsOf(["2"])).catch((caught) => (error = caught));
+        assert.include(error && error.message, `the amount for ${recipients[0]} changed since the distribution started`);
+
+        const other = await FungibleToken.new("OtherToken", "OT", 100000, 2);
+        const otherClient = new FungibleTokenClient(web3, other.address, { abi: FungibleToken.abi });
+        error = null;
+        await new TokenDistribution(web3, otherClient, sender, new DistributionJournal(file))
+            .prepare(rowsOf(["1"])).catch((caught) => (error = caught));
+        assert.include(error && error.message, `is the distribution of ${token.address}`);
+    });
+});
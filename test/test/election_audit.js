@@ -0,0 +1,115 @@
+const Ballot = artifacts.require("Ballot");
+
+const { BallotClient } = require("../lib/clients/ballot");
+const { auditCsv, auditElection, auditMarkdown } = require("../lib/election_audit");
+const { rpc } = require("./helpers/fixtures");
+
+// Slot of `nbrVotes` in the storage of `Ballot`
+const NBR_VOTES_SLOT = `0x${"4".padStart(64, "0")}`;
+
+contract("Election audit", function (accounts) {
+    const [chairperson, ...voters] = accounts.slice(0, 7);
+    let ballot;
+    let client;
+
+    const audit = (options = {}) => auditElection(web3, client, options);
+    const failed = (result) => result.checks.filter(({ ok }) => !ok).map(({ name }) => name);
+
+    beforeEach(async () => {
+        ballot = await Ballot.new(["Alice", "Bob"]);
+        client = new BallotClient(web3, ballot.address, { abi: Ballot.abi });
+        for (const voter of voters) {
+            await ballot.giveRightToVote(voter);
+        }
+    });
+
+    it("Should audit a ballot without votes", async () => {
+        const result = await audit();
+
+        assert.deepEqual(failed(result), []);
+        assert.deepEqual(result.winner, { reason: "No one has voted yet", leader: null });
+        assert.deepEqual(result.totals, { voters: 7, cast: 0, pending: 7, nbrVotes: 0, majority: 4 });
+        assert.deepEqual(result.voters.map(({ status }) => status), Array(7).fill("pending"));
+    });
+
+    it("Should count each vote at the end of its delegation chain", async () => {
+        await ballot.delegate(voters[1], { from: voters[0] });
+        await ballot.vote(0, { from: voters[1] });
+        await ballot.vote(1, { from: voters[2] });
+        // Delegated to a voter who already voted, the vote goes to Bob without changing `nbrVotes`
+        await ballot.delegate(voters[2], { from: voters[3] });
+        await ballot.delegate(voters[5], { from: voters[4] });
+        await ballot.delegate(chairperson, { from: voters[5] });
+        await ballot.vote(0, { from: chairperson });
+
+        const result = await audit();
+
+        assert.deepEqual(failed(result), []);
+        assert.deepEqual(result.representatives.map(({ name, voteCount, onChain }) => [name, voteCount, onChain]), [
+            ["Alice", 5, 5],
+            ["Bob", 2, 2],
+        ]);
+        assert.deepEqual(result.winner, { name: "Alice", leader: "Alice" });
+        assert.equal(result.totals.nbrVotes, 6);
+
+        const voter = (address) => result.voters.find((candidate) => candidate.address === address);
+        assert.deepEqual(voter(voters[4]).chain, [voters[4], voters[5], chairperson]);
+        assert.equal(voter(voters[4]).representativeName, "Alice");
+        assert.equal(voter(voters[4]).status, "delegated");
+        assert.equal(voter(chairperson).votesHeld, 3);
+        assert.match(voter(chairperson).transactionHash, /^0x[0-9a-f]{64}$/);
+    });
+
+    it("Should apply the majority rule of winnerName", async () => {
+        await ballot.vote(0, { from: voters[0] });
+        await ballot.vote(0, { from: voters[1] });
+        await ballot.vote(1, { from: voters[2] });
+
+        const result = await audit();
+
+        assert.deepEqual(failed(result), []);
+        assert.deepEqual(result.winner, { reason: "Not enough votes", leader: "Alice" });
+        assert.equal(result.totals.pending, 4);
+    });
+
+    it("Should audit the ballot at a past block", async () => {
+        await ballot.vote(1, { from: voters[0] });
+        const block = await web3.eth.getBlockNumber();
+        await ballot.vote(0, { from: voters[1] });
+
+        const result = await audit({ block });
+
+        assert.deepEqual(failed(result), []);
+        assert.equal(result.block, block);
+        assert.deepEqual(result.representatives.map(({ voteCount }) => voteCount), [0, 1]);
+    });
+
+    it("Should report results that don't match the votes", async () => {
+        await ballot.vote(0, { from: voters[0] });
+        await rpc("evm_setAccountStorageAt", [ballot.address, NBR_VOTES_SLOT, `0x${"5".padStart(64, "0")}`]);
+
+        const result = await audit();
+
+        assert.isFalse(result.ok);
+        const check = result.checks.find(({ name }) => name === "nbrVotes is the weight of the direct votes");
+        assert.deepEqual(check, { name: check.name, ok: false, expected: 1, actual: 5 });
+        assert.include(auditMarkdown(result), "| nbrVotes is the weight of the direct votes | FAILED: expected `1`, got `5` |");
+    });
+
+    it("Should export the voters as CSV and the audit as markdown", async () => {
+        await ballot.delegate(voters[1], { from: voters[0] });
+        await ballot.vote(1, { from: voters[1] });
+
+        const result = await audit();
+        const rows = auditCsv(result).trim().split("\n");
+        const markdown = auditMarkdown(result);
+
+        assert.equal(rows[0], "address,weight,status,delegation_chain,representative,votes_held,transaction_hash");
+        assert.equal(rows.length, 8);
+        assert.equal(rows[2], `${voters[0]},1,delegated,${voters[0]} > ${voters[1]},Bob,0,`);
+        assert.include(markdown, `Ballot \`${ballot.address}\` at block ${result.block}`);
+        assert.include(markdown, "| 1 | Bob | 2 | 2 |");
+        assert.include(markdown, "- Winner: none (Not enough votes)");
+        assert.notInclude(markdown, "FAILED");
+    });
+});
@@ -0,0 +1,87 @@
+const Ballot = artifacts.require("Ballot");
+const FungibleToken = artifacts.require("FungibleToken");
+const NFT = artifacts.require("NFT");
+
+const { EventIndexer } = require("../lib/event_indexer");
+const { JsonStore } = require("../lib/json_store");
+const { rpc } = require("./helpers/fixtures");
+
+contract("EventIndexer", function (accounts) {
+    let token;
+    let nft;
+    let ballot;
+    let indexer;
+
+    before(async () => {
+        token = await FungibleToken.new("IndexedToken", "IT", 1000, 0);
+        const startBlock = (await web3.eth.getTransactionReceipt(token.transactionHash)).blockNumber;
+        nft = await NFT.new();
+        ballot = await Ballot.new(["Alice", "Bob"]);
+
+        indexer = new EventIndexer(web3, [
+            { name: "FungibleToken", address: token.address, abi: FungibleToken.abi },
+            { name: "NFT", address: nft.address, abi: NFT.abi },
+            { name: "Ballot", address: ballot.address, abi: Ballot.abi },
+        ], new JsonStore(), { startBlock, batchSize: 3 });
+    });
+
+    it("Should give the whole supply to the owner at the start block", async () => {
+        await indexer.sync();
+
+        assert.equal(indexer.tokenBalance(accounts[0]), "1000");
+        assert.equal(indexer.tokenBalance(accounts[1]), "0");
+    });
+
+    it("Should answer the balance of an account at a given block", async () => {
+        const first = await token.transfer(accounts[1], 100);
+        await token.transfer(accounts[1], 50);
+        await token.transfer(accounts[2], 30, { from: accounts[1] });
+        await indexer.sync();
+
+        assert.equal(indexer.tokenBalance(accounts[1], first.receipt.blockNumber), "100");
+        assert.equal(indexer.tokenBalance(accounts[1]), "120");
+        assert.equal(indexer.tokenBalance(accounts[0]), "850");
+        assert.equal(indexer.tokenBalance(accounts[2]), "30");
+    });
+
+    it("Should follow the owners of an NFT", async () => {
+        const mint = await nft.mint(accounts[0], 1);
+        await nft.transferFrom(accounts[0], accounts[3], 1);
+        await nft.mint(accounts[0], 2);
+        await nft.burn(2);
+        await indexer.sync();
+
+        assert.equal(indexer.nftOwner(1, mint.receipt.blockNumber), accounts[0]);
+        assert.equal(indexer.nftOwner(1), accounts[3]);
+        assert.isNull(indexer.nftOwner(2));
+        assert.isNull(indexer.nftOwner(3));
+        assert.deepEqual(indexer.nftHistory(1).map(({ to }) => to), [accounts[0], accounts[3]]);
+    });
+
+    it("Should record who voted for which representative", async () => {
+        await ballot.giveRightToVote(accounts[1]);
+        await ballot.vote(1, { from: accounts[1] });
+        await indexer.sync();
+
+        const votes = indexer.votes();
+        assert.equal(votes.length, 1);
+        assert.equal(votes[0].sender, accounts[1]);
+        assert.equal(votes[0].representativeName, "Bob");
+    });
+
+    it("Should roll back the blocks replaced by a reorg", async () => {
+        const snapshot = await rpc("evm_snapshot");
+        await token.transfer(accounts[4], 200);
+        await indexer.sync();
+        assert.equal(indexer.tokenBalance(accounts[4]), "200");
+
+        // Replace the block holding the transfer with a block holding another one
+        await rpc("evm_revert", [snapshot]);
+        await token.transfer(accounts[5], 300);
+        await indexer.sync();
+
+        assert.equal(indexer.tokenBalance(accounts[4]), "0");
+        assert.equal(indexer.tokenBalance(accounts[5]), "300");
+        assert.equal(indexer.tokenBalance(accounts[0]), "550");
+    });
+});
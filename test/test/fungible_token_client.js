@@ -0,0 +1,66 @@
+const FungibleToken = artifacts.require("FungibleToken");
+
+const {
+    FungibleTokenClient,
+    InsufficientAllowanceError,
+    InsufficientBalanceError,
+} = require("../lib/clients/fungible_token");
+
+contract("FungibleTokenClient", function (accounts) {
+    let client;
+
+    before(async () => {
+        const instance = await FungibleToken.deployed();
+        client = new FungibleTokenClient(web3, instance.address, { abi: FungibleToken.abi });
+    });
+
+    it("Should return the token details with the supply in decimal units", async () => {
+        assert.equal(await client.name(), "TestToken");
+        assert.equal(await client.symbol(), "TT");
+        assert.equal(await client.decimals(), 18);
+        // 10000 base units with 18 decimals
+        assert.equal(await client.totalSupply(), "0.00000000000001");
+    });
+
+    it("Should convert decimal amounts from and to base units", async () => {
+        assert.equal(await client.toBaseUnits("1.5"), "1500000000000000000");
+        assert.equal(await client.fromBaseUnits("1500000000000000000"), "1.5");
+    });
+
+    it("Should transfer a decimal amount of tokens", async () => {
+        await client.transfer(accounts[1], "0.000000000000001");
+
+        assert.equal(await client.balanceOf(accounts[1]), "0.000000000000001");
+        assert.equal(await client.balanceOf(accounts[0]), "0.000000000000009");
+    });
+
+    it("Should throw an InsufficientBalanceError when the balance is too low", async () => {
+        try {
+            await client.transfer(accounts[0], "1", { from: accounts[1] });
+            assert.fail("Expected an error to be thrown");
+        } catch (error) {
+            assert.instanceOf(error, InsufficientBalanceError);
+            assert.equal(error.reason, "Insufficient balance");
+        }
+    });
+
+    it("Should approve a spender and transfer its allowance", async () => {
+        await client.approve(accounts[2], "0.000000000000002");
+        assert.equal(await client.allowance(accounts[0], accounts[2]), "0.000000000000002");
+
+        await client.transferFrom(accounts[0], accounts[3], "0.000000000000002", { from: accounts[2] });
+
+        assert.equal(await client.allowance(accounts[0], accounts[2]), "0");
+        assert.equal(await client.balanceOf(accounts[3]), "0.000000000000002");
+    });
+
+    it("Should throw an InsufficientAllowanceError when the allowance is too low", async () => {
+        try {
+            await client.transferFrom(accounts[0], accounts[3], "0.000000000000001", { from: accounts[2] });
+            assert.fail("Expected an error to be thrown");
+        } catch (error) {
+            assert.instanceOf(error, InsufficientAllowanceError);
+            assert.equal(error.reason, "Insufficient allowance");
+        }
+    });
+});
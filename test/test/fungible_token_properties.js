@@ -0,0 +1,139 @@
+const fc = require("fast-check");
+
+const { loadDeployParams } = require("../lib/deploy_params");
+const { expectEvent, expectRevert } = require("./helpers/assertions");
+const { checkInvariants } = require("./helpers/properties");
+
+// Accounts taking part in the sequences, the whole supply starts on account 0
+const ACCOUNTS = 4;
+
+const account = fc.integer({ min: 0, max: ACCOUNTS - 1 });
+// Mostly small amounts so balances spread over the accounts, sometimes more than the supply
+const amount = fc.oneof(fc.bigInt(0n, 200n), fc.bigInt(0n, 12000n));
+
+const allowanceKey = (owner, spender) => `${owner}:${spender}`;
+
+class TransferCommand {
+    constructor(from, to, value) {
+        Object.assign(this, { from, to, value });
+    }
+
+    check() {
+        return true;
+    }
+
+    async run(model, { token, accounts }) {
+        const call = token.transfer(accounts[this.to], this.value.toString(), { from: accounts[this.from] });
+        if (model.balances[this.from] < this.value) {
+            return expectRevert(call, "Insufficient balance");
+        }
+        expectEvent(await call, "Transfer", { from: accounts[this.from], to: accounts[this.to], value: this.value });
+        model.balances[this.from] -= this.value;
+        model.balances[this.to] += this.value;
+    }
+
+    toString() {
+        return `transfer(${this.from} -> ${this.to}, ${this.value})`;
+    }
+}
+
+class ApproveCommand {
+    constructor(owner, spender, value) {
+        Object.assign(this, { owner, spender, value });
+    }
+
+    check() {
+        return true;
+    }
+
+    async run(model, { token, accounts }) {
+        const receipt = await token.approve(accounts[this.spender], this.value.toString(), { from: accounts[this.owner] });
+        expectEvent(receipt, "Approval", { owner: accounts[this.owner], spender: accounts[this.spender], value: this.value });
+        model.allowances[allowanceKey(this.owner, this.spender)] = this.value;
+    }
+
+    toString() {
+        return `approve(${this.owner} -> ${this.spender}, ${this.value})`;
+    }
+}
+
+class TransferFromCommand {
+    constructor(spender, from, to, value) {
+        Object.assign(this, { spender, from, to, value });
+    }
+
+    check() {
+        return true;
+    }
+
+    async run(model, { token, accounts }) {
+        const key = allowanceKey(this.from, this.spender);
+        const allowance = model.allowances[key] || 0n;
+        const call = token.transferFrom(accounts[this.from], accounts[this.to], this.value.toString(), { from: accounts[this.spender] });
+        if (model.balances[this.from] < this.value) {
+            return expectRevert(call, "Insufficient balance");
+        }
+        if (allowance < this.value) {
+            return expectRevert(call, "Insufficient allowance");
+        }
+        expectEvent(await call, "Transfer", { from: accounts[this.from], to: accounts[this.to], value: this.value });
+        model.balances[this.from] -= this.value;
+        model.balances[this.to] += this.value;
+        model.allowances[key] = allowance - this.value;
+    }
+
+    toString() {
+        return `transferFrom(by ${this.spender}, ${this.from} -> ${this.to}, ${this.value})`;
+    }
+}
+
+/**
+ * The balances of the accounts add up to the supply and match the model
+ */
+async function balancesMatchSupply(model, { token, accounts }) {
+    const balances = [];
+    for (let i = 0; i < ACCOUNTS; i++) {
+        balances.push(BigInt(await token.balanceOf(accounts[i])));
+    }
+    const total = balances.reduce((sum, balance) => sum + balance, 0n);
+
+    assert.equal(total.toString(), (await token.totalSupply()).toString(), "Sum of the balances differs from totalSupply");
+    assert.deepEqual(balances.map(String), model.balances.map(String), "Balances differ from the model");
+}
+
+/**
+ * Every allowance is non-negative and matches the model
+ */
+async function allowancesMatchModel(model, { token, accounts }) {
+    for (let owner = 0; owner < ACCOUNTS; owner++) {
+        for (let spender = 0; spender < ACCOUNTS; spender++) {
+            const allowance = BigInt(await token.allowance(accounts[owner], accounts[spender]));
+            const expected = model.allowances[allowanceKey(owner, spender)] || 0n;
+
+            assert.isTrue(expected >= 0n, `Negative allowance of ${spender} on ${owner} in the model`);
+            assert.equal(allowance.toString(), expected.toString(), `Allowance of ${spender} on ${owner} differs from the model`);
+        }
+    }
+}
+
+contract("FungibleToken properties", function () {
+    it("Should keep the balances and allowances consistent over random transfers and approvals", async () => {
+        await checkInvariants({
+            preset: "token",
+            setup: ({ token }, accounts) => ({
+                model: {
+                    balances: [BigInt(loadDeployParams("development").fungibleToken.totalSupply), 0n, 0n, 0n],
+                    allowances: {},
+                },
+                real: { token, accounts },
+            }),
+            commands: [
+                fc.tuple(account, account, amount).map(([from, to, value]) => new TransferCommand(from, to, value)),
+                fc.tuple(account, account, amount).map(([owner, spender, value]) => new ApproveCommand(owner, spender, value)),
+                fc.tuple(account, account, account, amount)
+                    .map(([spender, from, to, value]) => new TransferFromCommand(spender, from, to, value)),
+            ],
+            invariants: [balancesMatchSupply, allowancesMatchModel],
+        });
+    });
+});
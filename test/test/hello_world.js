@@ -1,9 +1,10 @@
-const HelloWorld = artifacts.require("HelloWorld");
+const { expectEvent } = require("./helpers/assertions");
+const { loadFixture } = require("./helpers/fixtures");
 
 contract('HelloWorld', function () {
     let instance;
-    before(async () => {
-        instance = await HelloWorld.deployed();
+    beforeEach(async () => {
+        instance = (await loadFixture("helloWorld")).helloWorld;
     });
 
     it('Should return `Hello World!`', async () => {
@@ -13,6 +14,6 @@ contract('HelloWorld', function () {
 
     it('Should emit the event `PrintHelloWorld`', async () => {
         let log = await instance.logMessage();
-        assert.equal(log.logs[0].event, 'PrintHelloWorld');
+        expectEvent(log, 'PrintHelloWorld', { message: 'Hello World!' });
     })
 })
\ No newline at end of file
@@ -0,0 +1,117 @@
+/**
+ * Assertions shared by the contract tests. Values are compared as big numbers when both sides are numbers, `BN`,
+ * `BigInt` or decimal strings, so `assert` doesn't depend on how web3 returned a `uint256`.
+ */
+const { revertReason } = require("../../lib/clients/errors");
+
+const isNumeric = (value) =>
+    typeof value === "number" ||
+    typeof value === "bigint" ||
+    web3.utils.isBN(value) ||
+    (typeof value === "string" && /^-?\d+$/.test(value));
+
+const toBN = (value) => web3.utils.toBN(typeof value === "bigint" ? value.toString() : value);
+
+function sameValue(actual, expected) {
+    if (isNumeric(actual) && isNumeric(expected)) {
+        return toBN(actual).eq(toBN(expected));
+    }
+    return actual === expected;
+}
+
+const format = (value) => (web3.utils.isBN(value) || typeof value === "bigint" ? value.toString() : JSON.stringify(value));
+
+/**
+ * Checks that a call or transaction reverts. Fails when the promise resolves, instead of passing by accident like
+ * an `assert.fail` thrown inside a `try` block.
+ *
+ * @param promise - Pending call or transaction
+ * @param reason - Expected revert string, or part of it (default: any revert)
+ */
+async function expectRevert(promise, reason) {
+    let error = null;
+    try {
+        await promise;
+    } catch (caught) {
+        error = caught;
+    }
+    if (error === null) {
+        assert.fail(`Expected a revert${reason ? ` with "${reason}"` : ""} but the call succeeded`);
+    }
+
+    const actual = revertReason(error);
+    if (actual === null && !/revert/i.test(error.message)) {
+        throw error;
+    }
+    if (reason !== undefined) {
+        assert.include(actual !== null ? actual : error.message, reason, "Unexpected revert reason");
+    }
+}
+
+/**
+ * Checks that a transaction emitted an event with the given arguments
+ *
+ * @param receipt - Result of a Truffle contract transaction
+ * @param name - Name of the event
+ * @param args - Expected arguments of the event, by name (default: any)
+ * @return - The matching log
+ */
+function expectEvent(receipt, name, args = {}) {
+    const logs = receipt.logs.filter((log) => log.event === name);
+    if (logs.length === 0) {
+        const emitted = receipt.logs.map((log) => log.event).join(", ") || "none";
+        assert.fail(`Expected a ${name} event, emitted: ${emitted}`);
+    }
+
+    const match = logs.find((log) => Object.entries(args).every(([key, value]) => sameValue(log.args[key], value)));
+    if (!match) {
+        const expected = Object.entries(args).map(([key, value]) => `${key}=${format(value)}`).join(", ");
+        const actual = logs
+            .map((log) => Object.keys(args).map((key) => `${key}=${format(log.args[key])}`).join(", "))
+            .join("; ");
+        assert.fail(`Expected ${name}(${expected}), emitted ${name}(${actual})`);
+    }
+    return match;
+}
+
+/**
+ * Checks that a transaction didn't emit an event
+ *
+ * @param receipt - Result of a Truffle contract transaction
+ * @param name - Name of the event
+ */
+function expectNoEvent(receipt, name) {
+    const count = receipt.logs.filter((log) => log.event === name).length;
+    assert.equal(count, 0, `Expected no ${name} event, ${count} emitted`);
+}
+
+/**
+ * Checks the change of the balances of some accounts during an action
+ *
+ * @param action - Function running the transaction, e.g. `() => token.transfer(to, 100)`
+ * @param balanceOf - Function returning the balance of an account, e.g. `(account) => token.balanceOf(account)`
+ * @param changes - Expected change of each account, e.g. `{ [from]: -100, [to]: 100 }`
+ * @return - Result of the action
+ */
+async function expectBalanceChange(action, balanceOf, changes) {
+    const accounts = Object.keys(changes);
+    const before = await Promise.all(accounts.map((account) => balanceOf(account)));
+    const result = await action();
+    const after = await Promise.all(accounts.map((account) => balanceOf(account)));
+
+    accounts.forEach((account, i) => {
+        const change = toBN(after[i]).sub(toBN(before[i]));
+        assert.isTrue(
+            change.eq(toBN(changes[account])),
+            `Balance of ${account} changed by ${change.toString()}, expected ${format(changes[account])}`
+        );
+    });
+    return result;
+}
+
+module.exports = {
+    expectBalanceChange,
+    expectEvent,
+    expectNoEvent,
+    expectRevert,
+};
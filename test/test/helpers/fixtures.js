@@ -0,0 +1,114 @@
+/**
+ * Fixtures giving each test a fresh state. A preset deploys new instances of the contracts and prepares them; the
+ * first `loadFixture` of a preset runs it and takes an EVM snapshot, the next ones revert to that snapshot instead of
+ * deploying again. Call it in a `beforeEach` so every test can run alone, in any order or filtered with `--grep`.
+ */
+const Ballot = artifacts.require("Ballot");
+const FungibleToken = artifacts.require("FungibleToken");
+const HelloWorld = artifacts.require("HelloWorld");
+const NFT = artifacts.require("NFT");
+const Selector = artifacts.require("Selector");
+
+const { loadDeployParams } = require("../../lib/deploy_params");
+
+// Functions awaited before each `evm_revert`, e.g. to read the blocks about to be dropped
+const revertListeners = [];
+
+/**
+ * Registers a function awaited before each `evm_revert` sent with `rpc`
+ */
+function beforeRevert(listener) {
+    revertListeners.push(listener);
+}
+
+/**
+ * Sends a JSON-RPC request to the Ganache chain
+ */
+async function rpc(method, params = []) {
+    if (method === "evm_revert") {
+        for (const listener of revertListeners) {
+            await listener();
+        }
+    }
+    return new Promise((resolve, reject) =>
+        web3.currentProvider.send({ jsonrpc: "2.0", id: Date.now(), method, params }, (error, response) =>
+            error ? reject(error) : resolve(response.result)
+        )
+    );
+}
+
+// Fixture presets, each receiving the accounts of the chain and returning the deployed instances
+const PRESETS = {
+    // `HelloWorld`
+    helloWorld: async () => ({ helloWorld: await HelloWorld.new() }),
+
+    // `FungibleToken` with the `development` parameters, the whole supply held by account 0
+    token: async () => {
+        const { name, symbol, totalSupply, decimals } = loadDeployParams("development").fungibleToken;
+        return { token: await FungibleToken.new(name, symbol, totalSupply, decimals) };
+    },
+
+    // `Ballot` with the `development` representatives, account 0 being the chairperson and the only voter
+    ballot: async () => ({ ballot: await Ballot.new(loadDeployParams("development").ballot.representatives) }),
+
+    // `ballot`, with the right to vote given to accounts 1 to 4
+    ballotWithVoters: async (accounts) => {
+        const { ballot } = await PRESETS.ballot(accounts);
+        for (const voter of accounts.slice(1, 5)) {
+            await ballot.giveRightToVote(voter);
+        }
+        return { ballot };
+    },
+
+    // `NFT` without any token
+    nft: async () => ({ nft: await NFT.new() }),
+
+    // `NFT` with the tokens 0 and 1 minted to account 0
+    nftWithTokens: async (accounts) => {
+        const { nft } = await PRESETS.nft(accounts);
+        await nft.mint(accounts[0], 0);
+        await nft.mint(accounts[0], 1);
+        return { nft };
+    },
+
+    // `Selector`
+    selector: async () => ({ selector: await Selector.new() }),
+};
+
+// Snapshots of the loaded presets, oldest first. Reverting to a snapshot drops every later snapshot.
+const snapshots = [];
+
+/**
+ * Gives the state of a preset, deploying it the first time and reverting to its snapshot afterwards
+ *
+ * @param preset - Name of a preset of `PRESETS`, or a function taking the accounts and deploying the contracts
+ * @return - Object returned by the preset
+ */
+async function loadFixture(preset) {
+    const setup = typeof preset === "function" ? preset : PRESETS[preset];
+    if (!setup) {
+        throw new Error(`Unknown fixture preset ${preset}, expected one of ${Object.keys(PRESETS).join(", ")}`);
+    }
+
+    const index = snapshots.findIndex((snapshot) => snapshot.setup === setup);
+    if (index !== -1) {
+        const { id, result } = snapshots[index];
+        snapshots.splice(index);
+        // Truffle reverts the chain between `contract` blocks, which can drop the snapshot
+        if (await rpc("evm_revert", [id])) {
+            snapshots.push({ setup, id: await rpc("evm_snapshot"), result });
+            return result;
+        }
+    }
+
+    const result = await setup(await web3.eth.getAccounts());
+    snapshots.push({ setup, id: await rpc("evm_snapshot"), result });
+    return result;
+}
+
+module.exports = {
+    PRESETS,
+    beforeRevert,
+    loadFixture,
+    rpc,
+};
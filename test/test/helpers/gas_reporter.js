@@ -0,0 +1,309 @@
+/**
+ * Records the gas used by the tests, per contract method and per deployment, and checks it against the baseline
+ * committed in `config/gas-baseline.json`. Enabled by the `mocha.rootHooks` setting of `truffle-config.js`.
+ *
+ * The blocks mined by the tests are read after each test and before each `evm_revert` of `./fixtures`, so the
+ * transactions dropped by a snapshot revert are counted too. The report is written to `reports/gas.json` and
+ * `reports/gas.md`. The run fails when the most expensive call of a method, or a deployment, costs more than its
+ * baseline plus `tolerance` percent. `GAS_BASELINE=update` writes the measured values to the baseline instead.
+ *
+ * The random sequences of the property tests run in `withoutGasReport`, and the tests of the receiver mocks call
+ * `excludeFromGasReport`, so the budgets only cover calls to the contracts themselves that cost the same on every run.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..", "..");
+const BASELINE_PATH = path.join(ROOT, "config", "gas-baseline.json");
+const REPORT_DIR = path.join(ROOT, "reports");
+// Tolerance used when the baseline doesn't set one, in percent
+const DEFAULT_TOLERANCE = 5;
+
+// Reporter of the test run, set by the root hooks of `gasReporterHooks`
+let activeReporter = null;
+
+/**
+ * Names of the deployable contracts, read from the Solidity sources
+ */
+function contractNames() {
+    const dir = path.join(ROOT, "contracts");
+    return fs.readdirSync(dir)
+        .filter((file) => file.endsWith(".sol"))
+        .flatMap((file) => [...fs.readFileSync(path.join(dir, file), "utf8").matchAll(/^contract\s+(\w+)/gm)])
+        .map((match) => match[1]);
+}
+
+function readBaseline() {
+    if (!fs.existsSync(BASELINE_PATH)) {
+        return { tolerance: DEFAULT_TOLERANCE, methods: {}, deployments: {} };
+    }
+    return JSON.parse(fs.readFileSync(BASELINE_PATH, "utf8"));
+}
+
+/**
+ * Gas used by each call, grouped by key
+ */
+class GasStats {
+    constructor() {
+        this.values = {};
+    }
+
+    add(key, gasUsed) {
+        (this.values[key] = this.values[key] || []).push(gasUsed);
+    }
+
+    summary() {
+        return Object.fromEntries(
+            Object.entries(this.values)
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([key, values]) => [key, {
+                    calls: values.length,
+                    min: Math.min(...values),
+                    max: Math.max(...values),
+                    avg: Math.round(values.reduce((sum, value) => sum + value, 0) / values.length),
+                }])
+        );
+    }
+}
+
+class GasReporter {
+    constructor() {
+        this.methods = new GasStats();
+        this.deployments = new GasStats();
+        // Hashes of the blocks already read, to find the blocks replaced by a revert
+        this.hashes = new Map();
+        this.lastBlock = -1;
+        this.addresses = new Map();
+        // Off while `withoutGasReport` runs, or a suite calling `excludeFromGasReport`
+        this.recording = true;
+    }
+
+    /**
+     * Loads the bytecode and the function selectors of the contracts
+     */
+    init() {
+        this.contracts = contractNames().map((name) => {
+            const artifact = artifacts.require(name);
+            const selectors = new Map();
+            const functions = artifact.abi.filter((item) => item.type === "function");
+            for (const item of functions) {
+                selectors.set(web3.eth.abi.encodeFunctionSignature(item), item.name);
+            }
+            return { name, bytecode: artifact.bytecode, selectors };
+        });
+    }
+
+    /**
+     * Finds the contract deployed by creation code, the longest bytecode matching wins
+     */
+    contractOf(input) {
+        const matches = this.contracts.filter(({ bytecode }) => bytecode.length > 2 && input.startsWith(bytecode));
+        return matches.sort((a, b) => b.bytecode.length - a.bytecode.length)[0];
+    }
+
+    record(tx, receipt) {
+        if (!receipt.status) {
+            return;
+        }
+        if (tx.to === null) {
+            const contract = this.contractOf(tx.input);
+            if (contract) {
+                // Known even when not recorded, a fixture snapshot can bring the contract back in another suite
+                this.addresses.set(receipt.contractAddress.toLowerCase(), contract);
+                if (this.recording) {
+                    this.deployments.add(contract.name, receipt.gasUsed);
+                }
+            }
+            return;
+        }
+        const contract = this.addresses.get(tx.to.toLowerCase());
+        const method = contract && contract.selectors.get(tx.input.slice(0, 10));
+        if (method && this.recording) {
+            this.methods.add(`${contract.name}.${method}`, receipt.gasUsed);
+        }
+    }
+
+    /**
+     * Reads the transactions of the blocks mined since the last call
+     */
+    async collect() {
+        const head = await web3.eth.getBlockNumber();
+        // After a revert, the blocks above the snapshot were replaced and are read again
+        let last = Math.min(this.lastBlock, head);
+        while (last >= 0 && (await web3.eth.getBlock(last)).hash !== this.hashes.get(last)) {
+            last--;
+        }
+
+        for (let number = last + 1; number <= head; number++) {
+            const block = await web3.eth.getBlock(number, true);
+            for (const tx of block.transactions) {
+                this.record(tx, await web3.eth.getTransactionReceipt(tx.hash));
+            }
+            this.hashes.set(number, block.hash);
+        }
+        this.lastBlock = head;
+    }
+
+    /**
+     * Stops recording, after reading the blocks mined so far
+     */
+    async pause() {
+        await this.collect();
+        this.recording = false;
+    }
+
+    /**
+     * Records again, after reading the blocks mined while paused
+     */
+    async resume() {
+        await this.collect();
+        this.recording = true;
+    }
+
+    /**
+     * Compares the measured gas with the baseline
+     *
+     * @return - List of `{ key, max, baseline, budget }` objects, for the entries above their budget
+     */
+    compare(report, baseline) {
+        const tolerance = baseline.tolerance === undefined ? DEFAULT_TOLERANCE : baseline.tolerance;
+        const overBudget = [];
+        for (const section of ["methods", "deployments"]) {
+            for (const [key, { max }] of Object.entries(report[section])) {
+                const reference = (baseline[section] || {})[key];
+                if (reference === undefined) {
+                    continue;
+                }
+                const budget = Math.floor(reference * (1 + tolerance / 100));
+                report[section][key].baseline = reference;
+                if (max > budget) {
+                    overBudget.push({ key, max, baseline: reference, budget });
+                }
+            }
+        }
+        return overBudget;
+    }
+
+    /**
+     * Writes the report and checks the budgets
+     */
+    finish() {
+        const report = { methods: this.methods.summary(), deployments: this.deployments.summary() };
+        const baseline = readBaseline();
+
+        if (process.env.GAS_BASELINE === "update") {
+            const max = (section) => Object.fromEntries(Object.entries(report[section]).map(([key, { max }]) => [key, max]));
+            const updated = {
+                tolerance: baseline.tolerance === undefined ? DEFAULT_TOLERANCE : baseline.tolerance,
+                methods: { ...baseline.methods, ...max("methods") },
+                deployments: { ...baseline.deployments, ...max("deployments") },
+            };
+            fs.writeFileSync(BASELINE_PATH, JSON.stringify(updated, null, 2) + "\n");
+            console.log(`  Gas baseline written to ${path.relative(ROOT, BASELINE_PATH)}`);
+        }
+        const overBudget = process.env.GAS_BASELINE === "update" ? [] : this.compare(report, baseline);
+
+        fs.mkdirSync(REPORT_DIR, { recursive: true });
+        fs.writeFileSync(path.join(REPORT_DIR, "gas.json"), JSON.stringify(report, null, 2) + "\n");
+        fs.writeFileSync(path.join(REPORT_DIR, "gas.md"), markdown(report));
+
+        if (overBudget.length > 0) {
+            const lines = overBudget.map(({ key, max, baseline: reference, budget }) =>
+                `  ${key}: ${max} gas, budget ${budget} (baseline ${reference})`
+            );
+            throw new Error(`Gas budget exceeded:\n${lines.join("\n")}`);
+        }
+    }
+}
+
+function markdown(report) {
+    const table = (title, entries) => {
+        const lines = [`## ${title}`, "", "| | Calls | Min | Avg | Max | Baseline | Change |", "|---|---:|---:|---:|---:|---:|---:|"];
+        for (const [key, { calls, min, avg, max, baseline }] of Object.entries(entries)) {
+            const change = baseline === undefined ? "new" : `${max - baseline >= 0 ? "+" : ""}${max - baseline}`;
+            lines.push(`| \`${key}\` | ${calls} | ${min} | ${avg} | ${max} | ${baseline === undefined ? "" : baseline} | ${change} |`);
+        }
+        return lines.join("\n");
+    };
+    return `# Gas report\n\n${table("Methods", report.methods)}\n\n${table("Deployments", report.deployments)}\n`;
+}
+
+/**
+ * Builds the mocha root hooks recording the gas of the test run
+ */
+function gasReporterHooks() {
+    const reporter = new GasReporter();
+    return {
+        async beforeAll() {
+            // Truffle reloads the test directory after reading this config, the tests use another copy of this module
+            require("./gas_reporter").activateReporter(reporter);
+            reporter.init();
+            // Read the migrations before the first test, and the blocks of each test before a revert drops them
+            require("./fixtures").beforeRevert(() => reporter.collect());
+            await reporter.collect();
+        },
+        async afterEach() {
+            await reporter.collect();
+        },
+        async afterAll() {
+            await reporter.collect();
+            reporter.finish();
+        },
+    };
+}
+
+/**
+ * Sets the reporter paused by `withoutGasReport`
+ *
+ * @param reporter - Reporter of the test run
+ */
+function activateReporter(reporter) {
+    activeReporter = reporter;
+}
+
+/**
+ * Runs `action` without recording its transactions, for the calls whose gas depends on random inputs. Only runs
+ * `action` when the reporter is off, e.g. under coverage.
+ *
+ * @param action - Async function sending the transactions
+ * @return - Result of `action`
+ */
+async function withoutGasReport(action) {
+    if (!activeReporter || !activeReporter.recording) {
+        return action();
+    }
+    await activeReporter.pause();
+    try {
+        return await action();
+    } finally {
+        await activeReporter.resume();
+    }
+}
+
+/**
+ * Leaves the transactions of the calling suite out of the report, for the tests of mock contracts whose callbacks add
+ * their own gas to the calls. Call it in the body of a `contract` or `describe` block.
+ */
+function excludeFromGasReport() {
+    let paused = false;
+    before(async () => {
+        if (activeReporter && activeReporter.recording) {
+            await activeReporter.pause();
+            paused = true;
+        }
+    });
+    after(async () => {
+        if (paused) {
+            await activeReporter.resume();
+            paused = false;
+        }
+    });
+}
+
+module.exports = {
+    GasReporter,
+    activateReporter,
+    excludeFromGasReport,
+    gasReporterHooks,
+    withoutGasReport,
+};
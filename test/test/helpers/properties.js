@@ -0,0 +1,85 @@
+/**
+ * Property-based testing of the contracts with fast-check. Random sequences of commands run against a fresh fixture
+ * and a JS model of the contract; the invariants are checked after every step. A failing sequence is shrunk to the
+ * shortest one that still fails, printed with the seed that replays it.
+ */
+const fc = require("fast-check");
+
+const { loadFixture } = require("./fixtures");
+const { withoutGasReport } = require("./gas_reporter");
+
+// Number of sequences per property, raise it for a longer fuzzing session
+const FUZZ_RUNS = Number(process.env.FUZZ_RUNS || 20);
+// `seed` and `path` printed by fast-check with a counterexample, to replay it
+const FUZZ_SEED = process.env.FUZZ_SEED === undefined ? undefined : Number(process.env.FUZZ_SEED);
+const FUZZ_PATH = process.env.FUZZ_PATH;
+
+/**
+ * Runs the invariants after a command
+ */
+class CheckedCommand {
+    constructor(command, invariants) {
+        this.command = command;
+        this.invariants = invariants;
+    }
+
+    check(model) {
+        return this.command.check(model);
+    }
+
+    async run(model, real) {
+        await this.command.run(model, real);
+        for (const invariant of this.invariants) {
+            await invariant(model, real);
+        }
+    }
+
+    toString() {
+        return this.command.toString();
+    }
+}
+
+/**
+ * Runs a sequence of checked commands from a fresh fixture
+ */
+async function runSequence(preset, setup, sequence) {
+    const fixture = await loadFixture(preset);
+    const initial = setup(fixture, await web3.eth.getAccounts());
+    await fc.asyncModelRun(() => initial, sequence);
+}
+
+/**
+ * Checks that the invariants hold after every step of a given command sequence, for scenarios that random sequences
+ * are unlikely to reach
+ *
+ * @param preset - Name of the fixture preset the sequence starts from, see `./fixtures`
+ * @param setup - Function taking the fixture and the accounts, returning the initial `{ model, real }` pair
+ * @param commands - List of fast-check async commands, run in order
+ * @param invariants - List of `async (model, real)` functions asserting the state of the contract
+ */
+async function checkSequence({ preset, setup, commands, invariants }) {
+    await runSequence(preset, setup, commands.map((command) => new CheckedCommand(command, invariants)));
+}
+
+/**
+ * Checks that the invariants hold after every step of random command sequences
+ *
+ * @param preset - Name of the fixture preset the sequences start from, see `./fixtures`
+ * @param setup - Function taking the fixture and the accounts, returning the initial `{ model, real }` pair
+ * @param commands - List of arbitraries of fast-check async commands (`check`, `run`, `toString`)
+ * @param invariants - List of `async (model, real)` functions asserting the state of the contract
+ * @param maxCommands - Maximum length of a sequence (default: 15)
+ */
+async function checkInvariants({ preset, setup, commands, invariants, maxCommands = 15 }) {
+    const checked = commands.map((command) => command.map((value) => new CheckedCommand(value, invariants)));
+    // The gas of random sequences changes with the seed, it is left out of the gas budgets
+    await withoutGasReport(() => fc.assert(
+        fc.asyncProperty(fc.commands(checked, { maxCommands }), (sequence) => runSequence(preset, setup, sequence)),
+        { numRuns: FUZZ_RUNS, seed: FUZZ_SEED, path: FUZZ_PATH }
+    ));
+}
+
+module.exports = {
+    checkInvariants,
+    checkSequence,
+};
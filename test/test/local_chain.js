@@ -0,0 +1,141 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { captureChainSnapshot, resolveChainId, startLocalChain } = require("../lib/local_chain");
+const { loadFixture } = require("./helpers/fixtures");
+
+// First account derived from `DEFAULT_MNEMONIC` of `lib/local_chain.js`
+const FIRST_ACCOUNT = "0x90f8bf6a479f320ead074411a4b0e7944ea8c9c1";
+
+// Storage layout of `FungibleToken`
+const TOKEN_SLOTS = { name: 0, symbol: 1, totalSupply: 2, decimals: 3, balanceOf: 4, getOwner: 6 };
+
+const request = (chain, method, ...params) => chain.provider.request({ method, params });
+
+describe("resolveChainId", () => {
+    it("Should give the chain id of the emulated chains", () => {
+        assert.equal(resolveChainId("bsc"), 56);
+        assert.equal(resolveChainId("testnet"), 97);
+    });
+
+    it("Should accept chain ids as numbers and strings", () => {
+        assert.equal(resolveChainId(1337), 1337);
+        assert.equal(resolveChainId("31337"), 31337);
+    });
+
+    it("Should reject anything else", () => {
+        assert.throws(() => resolveChainId("mainnet"), /Invalid chain "mainnet"/);
+        assert.throws(() => resolveChainId("-1"), /Invalid chain/);
+    });
+});
+
+describe("startLocalChain", function () {
+    // Starting Ganache takes a few seconds
+    this.timeout(10000);
+
+    let chain;
+
+    afterEach(async () => {
+        if (chain) {
+            await chain.stop();
+            chain = null;
+        }
+    });
+
+    it("Should derive the same accounts on every run", async () => {
+        chain = await startLocalChain({ port: 0, accounts: 3 });
+
+        assert.equal(chain.accounts.length, 3);
+        assert.equal(chain.accounts[0], FIRST_ACCOUNT);
+        assert.equal(await request(chain, "eth_chainId"), "0x539", "Chain id should default to 1337");
+        assert.match(chain.url, /^http:\/\/127\.0\.0\.1:\d+$/);
+    });
+
+    it("Should emulate the chain id of BSC testnet", async () => {
+        chain = await startLocalChain({ port: 0, chain: "testnet", accounts: 1 });
+
+        assert.equal(chain.chainId, 97);
+        assert.equal(await request(chain, "eth_chainId"), "0x61");
+        assert.equal(await request(chain, "net_version"), "97");
+    });
+
+    it("Should mine blocks at the given interval", async () => {
+        chain = await startLocalChain({ port: 0, blockTime: 1, accounts: 1 });
+        await new Promise((resolve) => setTimeout(resolve, 2500));
+
+        assert.isAtLeast(Number(await request(chain, "eth_blockNumber")), 2);
+    });
+
+    it("Should not start twice on the same port", async () => {
+        chain = await startLocalChain({ port: 0, accounts: 1 });
+        const { port } = new URL(chain.url);
+
+        try {
+            await startLocalChain({ port: Number(port), accounts: 1 });
+            assert.fail("The second chain should not start");
+        } catch (error) {
+            assert.include(error.message, `Cannot start the local chain on 127.0.0.1:${port}`);
+        }
+    });
+
+    it("Should fail when the snapshot file doesn't exist", async () => {
+        try {
+            chain = await startLocalChain({ port: 0, fork: path.join(os.tmpdir(), "missing-snapshot.json") });
+            assert.fail("The chain should not start");
+        } catch (error) {
+            assert.include(error.message, "missing-snapshot.json not found");
+        }
+    });
+});
+
+contract("startLocalChain with a snapshot", function () {
+    let chain;
+    let file;
+
+    after(async () => {
+        if (chain) {
+            await chain.stop();
+        }
+        fs.rmSync(file, { force: true });
+    });
+
+    it("Should start from the state saved from another chain", async () => {
+        const accounts = await web3.eth.getAccounts();
+        const { token } = await loadFixture("token");
+        const balanceSlot = web3.utils.keccak256(
+            web3.eth.abi.encodeParameters(["address", "uint256"], [accounts[0], TOKEN_SLOTS.balanceOf])
+        );
+        const { balanceOf, ...slots } = TOKEN_SLOTS;
+
+        const snapshot = await captureChainSnapshot(web3, [token.address, accounts[5]], {
+            [token.address]: [...Object.values(slots), balanceSlot],
+        });
+        // Pose as BSC mainnet
+        snapshot.chainId = 56;
+        file = path.join(os.tmpdir(), `chain-snapshot-${process.pid}.json`);
+        fs.writeFileSync(file, JSON.stringify(snapshot));
+
+        chain = await startLocalChain({ port: 0, fork: file, accounts: 1 });
+        const call = async (method) =>
+            request(chain, "eth_call", { to: token.address, data: method.encodeABI() }, "latest");
+
+        assert.equal(chain.chainId, 56, "The chain id comes from the snapshot");
+        assert.equal(await request(chain, "eth_getCode", token.address, "latest"), await web3.eth.getCode(token.address));
+        assert.equal(
+            web3.utils.toBN(await request(chain, "eth_getBalance", accounts[5], "latest")).toString(),
+            await web3.eth.getBalance(accounts[5])
+        );
+        assert.equal(web3.eth.abi.decodeParameter("string", await call(token.contract.methods.name())), await token.name());
+        assert.equal(
+            web3.eth.abi.decodeParameter("uint256", await call(token.contract.methods.balanceOf(accounts[0]))),
+            (await token.balanceOf(accounts[0])).toString()
+        );
+        assert.equal(
+            web3.eth.abi.decodeParameter("address", await call(token.contract.methods.getOwner())),
+            accounts[0]
+        );
+        const block = await request(chain, "eth_getBlockByNumber", "latest", false);
+        assert.isAtLeast(Number(block.timestamp), snapshot.timestamp, "The chain starts at the time of the snapshot");
+    });
+});
@@ -0,0 +1,178 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const HelloWorld = artifacts.require("HelloWorld");
+const FungibleToken = artifacts.require("FungibleToken");
+
+const { deploymentContracts, loadDeployParams } = require("../lib/deploy_params");
+const {
+    CONFIRM_ENV,
+    assertDryRunPassed,
+    deploymentFingerprint,
+    dryRunPath,
+    guardMainnetDeployment,
+    readConfirmation,
+    recordDryRun,
+} = require("../lib/mainnet_guard");
+
+/**
+ * Awaits `promise` and checks that it rejects with an error whose message includes `message`
+ */
+async function expectRejection(promise, message) {
+    let error = null;
+    try {
+        await promise;
+    } catch (caught) {
+        error = caught;
+    }
+    assert.isNotNull(error, `Expected an error including "${message}"`);
+    assert.include(error.message, message);
+}
+
+describe("readConfirmation", () => {
+    it("Should read the token from the flag, in both forms", () => {
+        assert.equal(readConfirmation(["node", "truffle", "migrate", "--confirm-mainnet=0xabc"], {}), "0xabc");
+        assert.equal(readConfirmation(["node", "truffle", "migrate", "--confirm-mainnet", "0xdef", "--network", "bsc"], {}), "0xdef");
+    });
+
+    it("Should fall back to the environment variable", () => {
+        assert.equal(readConfirmation(["node", "truffle", "migrate"], { [CONFIRM_ENV]: "0x123" }), "0x123");
+        assert.equal(readConfirmation(["--confirm-mainnet=0xabc"], { [CONFIRM_ENV]: "0x123" }), "0xabc", "The flag wins");
+        assert.isUndefined(readConfirmation(["node", "truffle", "migrate"], {}));
+    });
+});
+
+describe("Dry-run record", () => {
+    const fingerprint = deploymentFingerprint([[HelloWorld, []]]);
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "mainnet-guard-"));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should change the fingerprint with the bytecode or the arguments", () => {
+        const args = ["TestToken", "TT", "10000", 18];
+
+        assert.equal(deploymentFingerprint([[FungibleToken, args]]), deploymentFingerprint([[FungibleToken, [...args]]]));
+        assert.notEqual(deploymentFingerprint([[FungibleToken, args]]), deploymentFingerprint([[FungibleToken, ["TestToken", "TT", "10001", 18]]]));
+        assert.notEqual(fingerprint, deploymentFingerprint([[{ ...HelloWorld, contractName: "HelloWorld", bytecode: HelloWorld.bytecode + "00" }, []]]));
+    });
+
+    it("Should accept a recent dry-run of the same deployment", () => {
+        recordDryRun("bsc", fingerprint, dir);
+
+        assertDryRunPassed("bsc", fingerprint, { dir });
+        assert.equal(JSON.parse(fs.readFileSync(dryRunPath("bsc", dir), "utf8")).fingerprint, fingerprint);
+    });
+
+    it("Should reject a missing dry-run", () => {
+        assert.throws(() => assertDryRunPassed("bsc", fingerprint, { dir }), `No dry-run recorded for network "bsc"`);
+    });
+
+    it("Should reject a dry-run of another deployment", () => {
+        recordDryRun("bsc", deploymentFingerprint([[FungibleToken, ["TestToken", "TT", "10000", 18]]]), dir);
+
+        assert.throws(() => assertDryRunPassed("bsc", fingerprint, { dir }), "deployed different bytecode or constructor arguments");
+    });
+
+    it("Should reject an old dry-run", () => {
+        recordDryRun("bsc", fingerprint, dir);
+
+        assert.throws(
+            () => assertDryRunPassed("bsc", fingerprint, { dir, now: Date.now() + 61 * 60 * 1000 }),
+            `The last dry-run of network "bsc" is older than 60 minutes`
+        );
+    });
+});
+
+contract("guardMainnetDeployment", function (accounts) {
+    const deployer = { networks: { bsc: { network_id: 56 }, testnet: { network_id: 97 } } };
+    const contracts = [[HelloWorld, []]];
+    let dir;
+    let lines;
+
+    const guard = (network, options = {}, deployed = contracts) =>
+        guardMainnetDeployment(deployer, network, web3, accounts[0], deployed, { dir, argv: [], env: {}, log: (line) => lines.push(line), ...options });
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "mainnet-guard-"));
+        lines = [];
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should do nothing on other networks", async () => {
+        const onDeployed = await guard("testnet");
+        await onDeployed();
+
+        assert.isFalse(fs.existsSync(dryRunPath("testnet", dir)));
+        assert.isEmpty(lines);
+    });
+
+    it("Should record the dry-run once the fork deployment is done", async () => {
+        const onDeployed = await guard("bsc-fork");
+        const helloWorld = await HelloWorld.new({ from: accounts[0] });
+        await HelloWorld.new({ from: accounts[1] });
+        assert.isFalse(fs.existsSync(dryRunPath("bsc", dir)), "Nothing is recorded before the deployment ends");
+
+        await onDeployed();
+
+        const { gasUsed } = assertDryRunPassed("bsc", deploymentFingerprint(contracts), { dir });
+        const receipt = await web3.eth.getTransactionReceipt(helloWorld.transactionHash);
+        assert.deepEqual(gasUsed, [receipt.gasUsed], "Only the contracts of the deployer are counted");
+    });
+
+    it("Should refuse to deploy without a dry-run", async () => {
+        await expectRejection(guard("bsc"), `No dry-run recorded for network "bsc"`);
+        assert.isEmpty(lines, "Nothing is estimated");
+    });
+
+    it("Should refuse to deploy after a dry-run of another deployment", async () => {
+        recordDryRun("bsc", deploymentFingerprint([[HelloWorld, ["changed"]]]), dir);
+
+        await expectRejection(guard("bsc"), "deployed different bytecode or constructor arguments");
+    });
+
+    it("Should print the plan and refuse to deploy without confirmation", async () => {
+        recordDryRun("bsc", deploymentFingerprint(contracts), dir);
+
+        await expectRejection(guard("bsc"), `Re-run with --confirm-mainnet=${accounts[0]}`);
+        await expectRejection(guard("bsc", { argv: [`--confirm-mainnet=${accounts[1]}`] }), "Refusing to deploy to BSC mainnet without confirmation");
+
+        assert.include(lines[0], `Deployer: ${accounts[0]}`);
+        assert.isTrue(lines.some((line) => /HelloWorld\s+\d+ gas/.test(line)), "The gas of each contract is printed");
+    });
+
+    it("Should include the proxies in the plan, with the gas of the dry-run", async () => {
+        const params = loadDeployParams("development");
+        const proxied = deploymentContracts({ ...params, proxy: ["NFT"] }, (name) => artifacts.require(name));
+        const gasUsed = proxied.map((_, i) => 100000 + i);
+        recordDryRun("bsc", deploymentFingerprint(proxied), dir, gasUsed);
+
+        await expectRejection(guard("bsc", {}, proxied), "Re-run with");
+
+        const direct = deploymentContracts(params, (name) => artifacts.require(name));
+        assert.notEqual(deploymentFingerprint(proxied), deploymentFingerprint(direct));
+        for (const name of ["ProxyAdmin", "TransparentProxy"]) {
+            const gas = gasUsed[proxied.findIndex(([Contract]) => Contract.contractName === name)];
+            assert.isTrue(lines.some((line) => new RegExp(`${name}\\s+${gas} gas`).test(line)), `${name} is printed`);
+        }
+    });
+
+    it("Should deploy once confirmed with --confirm-mainnet, and not ask again", async () => {
+        recordDryRun("bsc", deploymentFingerprint(contracts), dir);
+
+        await guard("bsc", { argv: ["--confirm-mainnet", accounts[0].toLowerCase()] });
+        const printed = lines.length;
+        await guard("bsc");
+
+        assert.equal(lines.length, printed, "The second migration doesn't print the plan again");
+    });
+});
@@ -0,0 +1,123 @@
+const HelloWorld = artifacts.require("HelloWorld");
+const NFT = artifacts.require("NFT");
+
+const {
+    AlreadyMintedError,
+    NFTClient,
+    NotAuthorizedError,
+    NotOwnerError,
+    TokenDoesNotExistError,
+    UnsupportedInterfaceError,
+    ZeroAddressError,
+} = require("../lib/clients/nft");
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+contract("NFTClient", function (accounts) {
+    let client;
+
+    before(async () => {
+        const instance = await NFT.deployed();
+        client = new NFTClient(web3, instance.address, { abi: NFT.abi });
+    });
+
+    /**
+     * Runs `action` and checks that it throws an instance of `ErrorClass` without sending any transaction
+     */
+    async function expectFailFast(action, ErrorClass) {
+        const blockBefore = await web3.eth.getBlockNumber();
+        try {
+            await action();
+            assert.fail("Expected an error to be thrown");
+        } catch (error) {
+            assert.instanceOf(error, ErrorClass);
+        }
+        assert.equal(await web3.eth.getBlockNumber(), blockBefore, "No transaction should be sent");
+    }
+
+    it("Should refuse a contract that doesn't support the IBEP721 interface", async () => {
+        const helloWorld = await HelloWorld.deployed();
+        const wrongClient = new NFTClient(web3, helloWorld.address, { abi: NFT.abi });
+
+        await expectFailFast(() => wrongClient.mint(accounts[0], 0), UnsupportedInterfaceError);
+    });
+
+    it("Should check the interface again after the node failed to answer", async () => {
+        const flakyClient = new NFTClient(web3, client.address, { abi: NFT.abi });
+        const supportsInterface = flakyClient.supportsInterface.bind(flakyClient);
+        let failures = 1;
+        flakyClient.supportsInterface = async (interfaceId) => {
+            if (failures > 0) {
+                failures--;
+                throw new Error("Invalid JSON RPC response: \"\"");
+            }
+            return supportsInterface(interfaceId);
+        };
+
+        try {
+            await flakyClient.assertInterface();
+            assert.fail("Expected an error to be thrown");
+        } catch (error) {
+            assert.notInstanceOf(error, UnsupportedInterfaceError);
+            assert.include(error.message, "Invalid JSON RPC response");
+        }
+        await flakyClient.assertInterface();
+    });
+
+    it("Should mint tokens and fail fast on invalid mints", async () => {
+        await client.mint(accounts[0], 0);
+        await client.mint(accounts[0], 1);
+
+        assert.equal(await client.balanceOf(accounts[0]), 2);
+        assert.equal(await client.ownerOf(0), accounts[0]);
+        await expectFailFast(() => client.mint(accounts[1], 0), AlreadyMintedError);
+        await expectFailFast(() => client.mint(ZERO_ADDRESS, 5), ZeroAddressError);
+    });
+
+    it("Should fail fast on transfers of missing tokens or by unauthorized accounts", async () => {
+        await expectFailFast(() => client.transferFrom(accounts[0], accounts[1], 7), TokenDoesNotExistError);
+        await expectFailFast(() => client.transferFrom(accounts[1], accounts[2], 0), NotOwnerError);
+        await expectFailFast(() => client.transferFrom(accounts[0], ZERO_ADDRESS, 0), ZeroAddressError);
+        await expectFailFast(() => client.transferFrom(accounts[0], accounts[2], 0, { from: accounts[2] }), NotAuthorizedError);
+        await expectFailFast(() => client.approve(accounts[2], 0, { from: accounts[1] }), NotAuthorizedError);
+        await expectFailFast(() => client.approve(accounts[2], 7), TokenDoesNotExistError);
+    });
+
+    it("Should transfer a token with an approval", async () => {
+        await client.approve(accounts[1], 0);
+        assert.equal(await client.getApproved(0), accounts[1]);
+
+        await client.transferFrom(accounts[0], accounts[2], 0, { from: accounts[1] });
+
+        assert.equal(await client.ownerOf(0), accounts[2]);
+        assert.equal(await client.getApproved(0), ZERO_ADDRESS);
+    });
+
+    it("Should transfer safely with both overloads as an operator", async () => {
+        await client.setApprovalForAll(accounts[3], true);
+        assert.isTrue(await client.isApprovedForAll(accounts[0], accounts[3]));
+
+        await client.safeTransferFrom(accounts[0], accounts[4], 1, { from: accounts[3] });
+        assert.equal(await client.ownerOf(1), accounts[4]);
+
+        await client.safeTransferFrom(accounts[4], accounts[0], 1, web3.utils.utf8ToHex("Test"), { from: accounts[4] });
+        assert.equal(await client.ownerOf(1), accounts[0]);
+    });
+
+    it("Should take binary data apart from the options", async () => {
+        await client.safeTransferFrom(accounts[0], accounts[4], 1, { from: accounts[3] });
+
+        await client.safeTransferFrom(accounts[4], accounts[0], 1, Buffer.from("Test"), { from: accounts[4] });
+        assert.equal(await client.ownerOf(1), accounts[0]);
+    });
+
+    it("Should burn a token of the sender only", async () => {
+        await expectFailFast(() => client.burn(1, { from: accounts[2] }), NotOwnerError);
+        await expectFailFast(() => client.burn(9), TokenDoesNotExistError);
+
+        await client.burn(1);
+
+        assert.equal(await client.balanceOf(accounts[0]), 0);
+        await expectFailFast(() => client.ownerOf(1), TokenDoesNotExistError);
+    });
+});
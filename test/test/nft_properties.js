@@ -0,0 +1,191 @@
+const fc = require("fast-check");
+
+const { expectEvent, expectRevert } = require("./helpers/assertions");
+const { checkInvariants } = require("./helpers/properties");
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Accounts and token ids taking part in the sequences
+const ACCOUNTS = 4;
+const IDS = 5;
+
+const account = fc.integer({ min: 0, max: ACCOUNTS - 1 });
+const id = fc.integer({ min: 0, max: IDS - 1 });
+
+const operatorKey = (owner, operator) => `${owner}:${operator}`;
+
+class MintCommand {
+    constructor(to, id) {
+        Object.assign(this, { to, id });
+    }
+
+    check() {
+        return true;
+    }
+
+    async run(model, { nft, accounts }) {
+        const call = nft.mint(accounts[this.to], this.id);
+        if (model.owners[this.id] !== undefined) {
+            return expectRevert(call, "already minted");
+        }
+        expectEvent(await call, "Transfer", { from: ZERO_ADDRESS, to: accounts[this.to], id: this.id });
+        model.owners[this.id] = this.to;
+    }
+
+    toString() {
+        return `mint(${this.id} to ${this.to})`;
+    }
+}
+
+class BurnCommand {
+    constructor(sender, id) {
+        Object.assign(this, { sender, id });
+    }
+
+    check() {
+        return true;
+    }
+
+    async run(model, { nft, accounts }) {
+        const call = nft.burn(this.id, { from: accounts[this.sender] });
+        if (model.owners[this.id] !== this.sender) {
+            return expectRevert(call, "not owner");
+        }
+        expectEvent(await call, "Transfer", { from: accounts[this.sender], to: ZERO_ADDRESS, id: this.id });
+        delete model.owners[this.id];
+        delete model.approvals[this.id];
+    }
+
+    toString() {
+        return `burn(${this.id} by ${this.sender})`;
+    }
+}
+
+class TransferFromCommand {
+    constructor(sender, from, to, id) {
+        Object.assign(this, { sender, from, to, id });
+    }
+
+    check() {
+        return true;
+    }
+
+    async run(model, { nft, accounts }) {
+        const call = nft.transferFrom(accounts[this.from], accounts[this.to], this.id, { from: accounts[this.sender] });
+        if (model.owners[this.id] !== this.from) {
+            return expectRevert(call, "from != owner");
+        }
+        const authorized = this.sender === this.from ||
+            model.operators[operatorKey(this.from, this.sender)] ||
+            model.approvals[this.id] === this.sender;
+        if (!authorized) {
+            return expectRevert(call, "not authorized");
+        }
+        expectEvent(await call, "Transfer", { from: accounts[this.from], to: accounts[this.to], id: this.id });
+        model.owners[this.id] = this.to;
+        delete model.approvals[this.id];
+
+        assert.equal(await nft.getApproved(this.id), ZERO_ADDRESS, `Approval of ${this.id} not cleared by the transfer`);
+    }
+
+    toString() {
+        return `transferFrom(${this.id} by ${this.sender}, ${this.from} -> ${this.to})`;
+    }
+}
+
+class ApproveCommand {
+    constructor(sender, spender, id) {
+        Object.assign(this, { sender, spender, id });
+    }
+
+    check() {
+        return true;
+    }
+
+    async run(model, { nft, accounts }) {
+        const call = nft.approve(accounts[this.spender], this.id, { from: accounts[this.sender] });
+        const owner = model.owners[this.id];
+        if (owner === undefined || (owner !== this.sender && !model.operators[operatorKey(owner, this.sender)])) {
+            return expectRevert(call, "not authorized");
+        }
+        expectEvent(await call, "Approval", { owner: accounts[owner], spender: accounts[this.spender], id: this.id });
+        model.approvals[this.id] = this.spender;
+    }
+
+    toString() {
+        return `approve(${this.id} by ${this.sender} for ${this.spender})`;
+    }
+}
+
+class SetApprovalForAllCommand {
+    constructor(owner, operator, approved) {
+        Object.assign(this, { owner, operator, approved });
+    }
+
+    check() {
+        return true;
+    }
+
+    async run(model, { nft, accounts }) {
+        const receipt = await nft.setApprovalForAll(accounts[this.operator], this.approved, { from: accounts[this.owner] });
+        expectEvent(receipt, "ApprovalForAll", { owner: accounts[this.owner], operator: accounts[this.operator], approved: this.approved });
+        model.operators[operatorKey(this.owner, this.operator)] = this.approved;
+    }
+
+    toString() {
+        return `setApprovalForAll(${this.owner} -> ${this.operator}, ${this.approved})`;
+    }
+}
+
+/**
+ * The owner and the approval of every id match the model
+ */
+async function ownersMatchModel(model, { nft, accounts }) {
+    for (let i = 0; i < IDS; i++) {
+        if (model.owners[i] === undefined) {
+            await expectRevert(nft.ownerOf(i), "token doesn't exist");
+            continue;
+        }
+        const approved = model.approvals[i] === undefined ? ZERO_ADDRESS : accounts[model.approvals[i]];
+        assert.equal(await nft.ownerOf(i), accounts[model.owners[i]], `Owner of ${i} differs from the model`);
+        assert.equal(await nft.getApproved(i), approved, `Approval of ${i} differs from the model`);
+    }
+}
+
+/**
+ * The balance of every account is the number of ids it owns
+ */
+async function balancesMatchOwners(model, { nft, accounts }) {
+    for (let owner = 0; owner < ACCOUNTS; owner++) {
+        let owned = 0;
+        for (let i = 0; i < IDS; i++) {
+            const ownerOf = await nft.ownerOf(i).catch(() => null);
+            if (ownerOf === accounts[owner]) {
+                owned++;
+            }
+        }
+        assert.equal((await nft.balanceOf(accounts[owner])).toString(), String(owned), `Balance of ${owner} differs from its tokens`);
+    }
+}
+
+contract("NFT properties", function () {
+    it("Should keep the owners, balances and approvals consistent over random mints, burns and transfers", async () => {
+        await checkInvariants({
+            preset: "nft",
+            setup: ({ nft }, accounts) => ({
+                model: { owners: {}, approvals: {}, operators: {} },
+                real: { nft, accounts },
+            }),
+            commands: [
+                fc.tuple(account, id).map(([to, tokenId]) => new MintCommand(to, tokenId)),
+                fc.tuple(account, id).map(([sender, tokenId]) => new BurnCommand(sender, tokenId)),
+                fc.tuple(account, account, account, id)
+                    .map(([sender, from, to, tokenId]) => new TransferFromCommand(sender, from, to, tokenId)),
+                fc.tuple(account, account, id).map(([sender, spender, tokenId]) => new ApproveCommand(sender, spender, tokenId)),
+                fc.tuple(account, account, fc.boolean())
+                    .map(([owner, operator, approved]) => new SetApprovalForAllCommand(owner, operator, approved)),
+            ],
+            invariants: [ownersMatchModel, balancesMatchOwners],
+        });
+    });
+});
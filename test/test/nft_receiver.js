@@ -0,0 +1,178 @@
+const BEP721ReceiverMock = artifacts.require("BEP721ReceiverMock");
+const HelloWorld = artifacts.require("HelloWorld");
+const ReentrantBEP721ReceiverMock = artifacts.require("ReentrantBEP721ReceiverMock");
+
+const { expectEvent, expectRevert } = require("./helpers/assertions");
+const { PRESETS, loadFixture } = require("./helpers/fixtures");
+const { excludeFromGasReport } = require("./helpers/gas_reporter");
+
+// Values of `BEP721ReceiverMock.Behaviour`
+const Behaviour = { Accept: 0, Reject: 1, WrongSelector: 2, RevertWithMessage: 3 };
+const REVERT_MESSAGE = "BEP721ReceiverMock: not accepted";
+
+// `NFT` with the tokens 0 and 1 owned by account 0, and a receiver contract of each kind
+async function receivers(accounts) {
+    const { nft } = await PRESETS.nftWithTokens(accounts);
+    return {
+        nft,
+        accepting: await BEP721ReceiverMock.new(Behaviour.Accept, ""),
+        rejecting: await BEP721ReceiverMock.new(Behaviour.Reject, ""),
+        wrongSelector: await BEP721ReceiverMock.new(Behaviour.WrongSelector, ""),
+        reverting: await BEP721ReceiverMock.new(Behaviour.RevertWithMessage, REVERT_MESSAGE),
+        reentrant: await ReentrantBEP721ReceiverMock.new(),
+        // A contract without `onBEP721Received`
+        helloWorld: await HelloWorld.new(),
+    };
+}
+
+// Both overloads, the one without `data` forwarding an empty payload
+const OVERLOADS = [
+    {
+        name: "safeTransferFrom(address,address,uint256)",
+        send: (nft, from, to, id, options) => nft.methods["safeTransferFrom(address,address,uint256)"](from, to, id, options),
+    },
+    {
+        name: "safeTransferFrom(address,address,uint256,bytes)",
+        send: (nft, from, to, id, options) =>
+            nft.methods["safeTransferFrom(address,address,uint256,bytes)"](from, to, id, "0x1234", options),
+    },
+];
+
+contract("BEP721 receivers", function () {
+    let accounts;
+    let fixture;
+
+    // The callbacks of the receivers would add their gas to the budget of `NFT.safeTransferFrom`
+    excludeFromGasReport();
+
+    before(async () => {
+        accounts = await web3.eth.getAccounts();
+    });
+
+    beforeEach(async () => {
+        fixture = await loadFixture(receivers);
+    });
+
+    for (const { name, send } of OVERLOADS) {
+        describe(name, () => {
+            it("Should transfer the token to a receiver returning the expected selector", async () => {
+                const { nft, accepting } = fixture;
+                const transfer = await send(nft, accounts[0], accepting.address, 0, { from: accounts[0] });
+
+                expectEvent(transfer, "Transfer", { from: accounts[0], to: accepting.address, id: 0 });
+                assert.equal(await nft.ownerOf(0), accepting.address, "The receiver should own the token");
+                assert.equal(await nft.balanceOf(accepting.address), 1, "Balance of the receiver should be equal to 1");
+                assert.equal(await accepting.received(), 1, "The callback should run once");
+            });
+
+            it("Should give the operator and the previous owner to the callback", async () => {
+                const { nft, accepting } = fixture;
+                await nft.setApprovalForAll(accounts[1], true, { from: accounts[0] });
+                await send(nft, accounts[0], accepting.address, 1, { from: accounts[1] });
+
+                assert.equal(await accepting.lastOperator(), accounts[1], "The operator is the sender of the transfer");
+                assert.equal(await accepting.lastFrom(), accounts[0], "The previous owner is account 0");
+                assert.equal(await accepting.lastTokenId(), 1, "The callback should receive the token id");
+            });
+
+            it("Should revert `unsafe recipient` when the receiver returns another value", async () => {
+                const { nft, wrongSelector } = fixture;
+                await expectRevert(send(nft, accounts[0], wrongSelector.address, 0, { from: accounts[0] }), "unsafe recipient");
+                assert.equal(await nft.ownerOf(0), accounts[0], "Account 0 should still own the token");
+            });
+
+            it("Should revert when the receiver rejects the token without a reason", async () => {
+                const { nft, rejecting } = fixture;
+                await expectRevert(send(nft, accounts[0], rejecting.address, 0, { from: accounts[0] }));
+                assert.equal(await nft.ownerOf(0), accounts[0], "Account 0 should still own the token");
+            });
+
+            it("Should revert with the message of the receiver", async () => {
+                const { nft, reverting } = fixture;
+                await expectRevert(send(nft, accounts[0], reverting.address, 0, { from: accounts[0] }), REVERT_MESSAGE);
+                assert.equal(await nft.balanceOf(reverting.address), 0, "Balance of the receiver should be equal to 0");
+            });
+
+            it("Should revert when the recipient contract doesn't implement the receiver interface", async () => {
+                const { nft, helloWorld } = fixture;
+                await expectRevert(send(nft, accounts[0], helloWorld.address, 0, { from: accounts[0] }));
+                assert.equal(await nft.ownerOf(0), accounts[0], "Account 0 should still own the token");
+            });
+
+            it("Should not call back an externally owned account", async () => {
+                const { nft } = fixture;
+                await send(nft, accounts[0], accounts[2], 0, { from: accounts[0] });
+                assert.equal(await nft.ownerOf(0), accounts[2], "Account 2 should own the token");
+            });
+        });
+    }
+
+    describe("data payload", () => {
+        it("Should forward the data to the callback", async () => {
+            const { nft, accepting } = fixture;
+            const data = web3.utils.utf8ToHex("Test payload");
+            await nft.methods["safeTransferFrom(address,address,uint256,bytes)"](accounts[0], accepting.address, 0, data);
+
+            assert.equal(await accepting.lastData(), data, "The callback should receive the payload");
+        });
+
+        it("Should forward an empty payload with the overload without data", async () => {
+            const { nft, accepting } = fixture;
+            await nft.methods["safeTransferFrom(address,address,uint256,bytes)"](accounts[0], accepting.address, 0, "0x1234");
+            await nft.methods["safeTransferFrom(address,address,uint256)"](accounts[0], accepting.address, 1);
+
+            assert.equal(await accepting.lastTokenId(), 1, "The last callback is the one of token 1");
+            assert.equal(await accepting.lastData(), null, "The payload should be empty");
+        });
+    });
+
+    describe("reentrancy", () => {
+        const safeTransferFrom = (nft, to, id) =>
+            nft.methods["safeTransferFrom(address,address,uint256)"](accounts[0], to, id, { from: accounts[0] });
+
+        it("Should update the owner before calling the receiver", async () => {
+            const { nft, reentrant } = fixture;
+            await safeTransferFrom(nft, reentrant.address, 0);
+
+            assert.equal(await reentrant.ownerDuringCallback(), reentrant.address, "The receiver already owns the token");
+        });
+
+        it("Should let the receiver transfer the token on from the callback", async () => {
+            const { nft, reentrant } = fixture;
+            await reentrant.setReentryCall(nft.contract.methods.transferFrom(reentrant.address, accounts[2], 0).encodeABI());
+            const transfer = await safeTransferFrom(nft, reentrant.address, 0);
+
+            expectEvent(transfer, "Transfer", { from: accounts[0], to: reentrant.address, id: 0 });
+            expectEvent(transfer, "Transfer", { from: reentrant.address, to: accounts[2], id: 0 });
+            assert.equal(await nft.ownerOf(0), accounts[2], "Account 2 should own the token");
+            assert.equal(await nft.balanceOf(reentrant.address), 0, "Balance of the receiver should be equal to 0");
+            assert.equal(await nft.balanceOf(accounts[0]), 1, "Balance of account 0 should be equal to 1");
+        });
+
+        it("Should check the next receiver when the callback transfers the token safely", async () => {
+            const { nft, reentrant, reverting } = fixture;
+            await reentrant.setReentryCall(
+                nft.contract.methods["safeTransferFrom(address,address,uint256)"](reentrant.address, reverting.address, 0).encodeABI()
+            );
+
+            await expectRevert(safeTransferFrom(nft, reentrant.address, 0), REVERT_MESSAGE);
+            assert.equal(await nft.ownerOf(0), accounts[0], "Account 0 should still own the token");
+        });
+
+        it("Should not let the callback transfer the token again from its previous owner", async () => {
+            const { nft, reentrant } = fixture;
+            await reentrant.setReentryCall(nft.contract.methods.transferFrom(accounts[0], accounts[2], 0).encodeABI());
+
+            await expectRevert(safeTransferFrom(nft, reentrant.address, 0), "from != owner");
+            assert.equal(await nft.ownerOf(0), accounts[0], "Account 0 should still own the token");
+        });
+
+        it("Should not let the callback take another token of the sender", async () => {
+            const { nft, reentrant } = fixture;
+            await reentrant.setReentryCall(nft.contract.methods.transferFrom(accounts[0], reentrant.address, 1).encodeABI());
+
+            await expectRevert(safeTransferFrom(nft, reentrant.address, 0), "not authorized");
+            assert.equal(await nft.balanceOf(accounts[0]), 2, "Balance of account 0 should be equal to 2");
+        });
+    });
+});
@@ -0,0 +1,267 @@
+const Web3 = require("web3");
+
+const Ballot = artifacts.require("Ballot");
+const FungibleToken = artifacts.require("FungibleToken");
+const NFT = artifacts.require("NFT");
+
+const { startLocalChain } = require("../lib/local_chain");
+const { BundleBroadcast, buildBundle, contractAddress, signBundle, signTransaction } = require("../lib/offline_tx");
+const { createSigner, resolveAccount } = require("../lib/signer");
+
+// Mnemonic of `ganache --wallet.deterministic`, the one of the local chain
+const MNEMONIC = "myth like bonus scare over problem client lizard pioneer submit female collect";
+
+/**
+ * Broadcast whose transaction with the `drop` hash is dropped by the node right after being accepted
+ */
+class DroppingBroadcast extends BundleBroadcast {
+    async send(tx) {
+        if (tx.hash !== this.drop) {
+            await super.send(tx);
+        }
+    }
+}
+
+contract("Offline signing", function (accounts) {
+    // Not the first account, to check that ACCOUNT_INDEX is followed
+    const env = { MNEMONIC, ACCOUNT_INDEX: "5" };
+    const signer = accounts[5];
+    const [owner, voter, recipient] = accounts;
+    // Bundles are only signed for BSC, the transactions go to a local chain posing as BSC testnet
+    let chain;
+    let testnet;
+    let account;
+    let ballot;
+
+    const deploy = (Contract, args = []) => new testnet.eth.Contract(Contract.abi)
+        .deploy({ data: Contract.bytecode, arguments: args })
+        .send({ from: signer, gas: 6000000 });
+
+    const artifact = (name) => {
+        const Contract = { Ballot, FungibleToken, NFT }[name];
+        return { abi: Contract.abi, bytecode: Contract.bytecode, compiler: "0.8.18" };
+    };
+    const build = (steps, options = {}) => buildBundle(testnet, steps, {
+        network: "testnet",
+        from: signer,
+        artifact,
+        resolveAddress: (name) => (name === "Ballot" ? ballot.options.address : null),
+        ...options,
+    });
+    const sign = (bundle, signingAccount = account) => signBundle(new Web3(), bundle, signingAccount);
+    const broadcast = (bundle) => new BundleBroadcast(testnet, bundle, { pollInterval: 10 }).run();
+    const statuses = (result) => result.transactions.map(({ status }) => status);
+    const voterWeight = async (address) => (await ballot.methods.getVoterDetails(address).call()).weight;
+
+    before(async function () {
+        // Starting Ganache takes a few seconds
+        this.timeout(10000);
+        chain = await startLocalChain({ port: 0, chain: "testnet" });
+        testnet = new Web3(chain.url);
+        account = resolveAccount(web3, "testnet", { env, secretPath: "/nonexistent" });
+    });
+
+    after(async () => {
+        await chain.stop();
+    });
+
+    beforeEach(async () => {
+        ballot = await deploy(Ballot, [["Alice", "Bob"]]);
+    });
+
+    describe("Signing", () => {
+        it("Should derive the signing account like HDWalletProvider", () => {
+            const first = resolveAccount(web3, "bsc", { env: { BSC_MNEMONIC: MNEMONIC }, secretPath: "/nonexistent" });
+            const fromKey = resolveAccount(web3, "bsc", { env: { PRIVATE_KEY: `0x${account.privateKey}` }, secretPath: "/nonexistent" });
+
+            assert.equal(account.address, signer);
+            assert.equal(first.address, owner);
+            assert.equal(first.source, "MNEMONIC");
+            assert.equal(fromKey.address, signer);
+            assert.throws(() => resolveAccount(web3, "bsc", { env: { MNEMONIC: "myth like bonus" }, secretPath: "/nonexistent" }), "Invalid mnemonic in MNEMONIC");
+        });
+
+        it("Should sign transactions for BSC mainnet and testnet without a node", async () => {
+            // No provider: signing fails if web3 has to ask a node for anything
+            const offline = new Web3();
+            const raws = [];
+            for (const chainId of [56, 97]) {
+                for (const to of [recipient, null]) {
+                    const tx = { nonce: 7, gasPrice: "5000000000", gas: 210000, to, value: "0", data: "0x1234", chainId };
+                    const { raw, hash } = await signTransaction(offline, tx, account.privateKey);
+
+                    assert.equal(web3.eth.accounts.recoverTransaction(raw), signer);
+                    assert.equal(hash, web3.utils.keccak256(raw));
+                    raws.push(raw);
+                }
+            }
+            assert.equal(new Set(raws).size, raws.length, "The chain id is part of the signature");
+        });
+
+        it("Should give the address of the contracts deployed by an account", async () => {
+            const deployer = "0x6ac7ea33f8831ea9dcc53393aaa88b25a785dbf0";
+            assert.deepEqual([0, 1, 0x7f, 0x80, 0x1234, 0x10000].map((n) => contractAddress(web3, deployer, n)), [
+                "0xcd234A471b72ba2F1Ccf0A70FCABA648a5eeCD8d",
+                "0x343c43A37D37dfF08AE8C4A11544c718AbB4fCF8",
+                "0x06d9a77f5E4b311Bae8D559DB9CDB4dF94104aA0",
+                "0x08e190dcB7b73F5fcDAbb43e102215c83659A76D",
+                "0xe57C87ba715DD75F735EBb2644c07375f4C4F0E1",
+                "0xf666A819b370D38F44F2573464Da3FbA8479b917",
+            ]);
+            const nonce = await testnet.eth.getTransactionCount(signer);
+            const nft = await deploy(NFT);
+
+            assert.equal(contractAddress(web3, signer, nonce), nft.options.address);
+        });
+
+        it("Should leave Truffle without accounts when signing offline", () => {
+            const provider = { send: () => {} };
+
+            assert.strictEqual(createSigner("bsc", provider, { BSC_OFFLINE_SIGNING: "1" }), provider);
+        });
+
+        it("Should refuse bundles it can't sign", async () => {
+            const bundle = await build([{ contract: "Ballot", method: "giveRightToVote", args: [voter] }]);
+            const other = resolveAccount(web3, "testnet", { env: { MNEMONIC }, secretPath: "/nonexistent" });
+            const gap = { ...bundle, transactions: [bundle.transactions[0], { ...bundle.transactions[0], nonce: bundle.transactions[0].nonce + 2 }] };
+            const local = { ...bundle, chainId: 1337, transactions: bundle.transactions.map((tx) => ({ ...tx, chainId: 1337 })) };
+            const error = (unsigned, signingAccount) => sign(unsigned, signingAccount).then(() => null, (caught) => caught.message);
+
+            assert.equal(await error(bundle, other), `The bundle must be signed by ${signer}, the credentials give ${owner}`);
+            assert.match(await error(await sign(bundle)), /^The bundle was already signed on /);
+            assert.match(await error(gap), /^Transaction 2 has nonce \d+, expected \d+: the nonces must follow each other$/);
+            assert.equal(await error(local), "Invalid chain id 1337, expected 56 or 97");
+            assert.throws(() => new BundleBroadcast(testnet, bundle), "The bundle isn't signed, sign it offline first");
+        });
+    });
+
+    describe("Building", () => {
+        it("Should fix the nonce, gas, gas price and chain id of each transaction", async () => {
+            const nonce = await testnet.eth.getTransactionCount(signer, "pending");
+            const bundle = await build([
+                { deploy: "FungibleToken", args: ["Offline", "OFF", "1000", 0] },
+                { contract: "FungibleToken", method: "transfer", args: [recipient, 10], gas: 60000 },
+                { contract: "Ballot", method: "giveRightToVote", args: [voter] },
+            ], { gasPrice: "3000000000" });
+
+            assert.equal(bundle.from, signer);
+            assert.equal(bundle.chainId, 97);
+            assert.deepEqual(bundle.transactions.map((tx) => [tx.nonce, tx.gasPrice, tx.to]), [
+                [nonce, "3000000000", null],
+                [nonce + 1, "3000000000", contractAddress(web3, signer, nonce)],
+                [nonce + 2, "3000000000", ballot.options.address],
+            ]);
+            assert.equal(bundle.transactions[1].gas, 60000);
+            const estimate = await ballot.methods.giveRightToVote(voter).estimateGas({ from: signer });
+            assert.equal(bundle.transactions[2].gas, Math.ceil(estimate * 1.2));
+            assert.equal(bundle.transactions[2].description, `Ballot.giveRightToVote("${voter}")`);
+        });
+
+        it("Should report the steps it can't build", async () => {
+            const error = (steps) => build(steps).then(() => null, (caught) => caught.message);
+
+            assert.equal(await error([]), "The plan must be a non-empty list of steps");
+            assert.equal(await error([{ contract: "NFT", method: "mint", args: [voter, 1] }]),
+                "Step 1: no address for NFT, deploy it earlier in the plan or set its address");
+            assert.equal(await error([{ deploy: "NFT" }, { contract: "NFT", method: "mint", args: [voter, 1] }]),
+                "Step 2 calls NFT deployed by the same plan, set its gas");
+            assert.match(await error([{ contract: "Ballot", method: "giveRightToVote", args: [signer] }]),
+                /^Step 1 \(Ballot\.giveRightToVote\(".*"\)\) would fail: .*The user is already a voter/);
+        });
+    });
+
+    describe("Broadcasting", () => {
+        it("Should broadcast a signed bundle in nonce order", async () => {
+            const bundle = await sign(await build([
+                { deploy: "NFT" },
+                { contract: "NFT", method: "mint", args: [recipient, 42], gas: 100000 },
+                { contract: "Ballot", method: "giveRightToVote", args: [voter] },
+            ]));
+
+            const result = await broadcast(bundle);
+
+            assert.isTrue(result.ok);
+            assert.deepEqual(statuses(result), ["confirmed", "confirmed", "confirmed"]);
+            assert.equal(result.transactions[0].contractAddress, bundle.transactions[0].address);
+            assert.deepEqual(result.transactions.map(({ hash }) => hash), bundle.transactions.map(({ hash }) => hash));
+            assert.equal(await new testnet.eth.Contract(NFT.abi, bundle.transactions[0].address).methods.ownerOf(42).call(), recipient);
+            assert.equal(await voterWeight(voter), "1");
+        });
+
+        it("Should skip the transactions already mined when run again", async () => {
+            const bundle = await sign(await build([{ contract: "Ballot", method: "giveRightToVote", args: [voter] }]));
+            await broadcast(bundle);
+            const block = await testnet.eth.getBlockNumber();
+
+            const result = await broadcast(bundle);
+
+            assert.deepEqual(statuses(result), ["confirmed"]);
+            assert.equal(await testnet.eth.getBlockNumber(), block);
+        });
+
+        it("Should stop at the first reverted transaction and go on when run again", async () => {
+            const bundle = await sign(await build([
+                { contract: "Ballot", method: "giveRightToVote", args: [voter] },
+                // Estimated before the first one is mined, it reverts once broadcast
+                { contract: "Ballot", method: "giveRightToVote", args: [voter] },
+                { contract: "Ballot", method: "giveRightToVote", args: [recipient] },
+            ]));
+
+            const first = await broadcast(bundle);
+            const second = await broadcast(bundle);
+
+            assert.isFalse(first.ok);
+            assert.deepEqual(statuses(first), ["confirmed", "reverted", "unsent"]);
+            assert.deepEqual(statuses(second), ["confirmed", "reverted", "confirmed"]);
+            assert.equal(await voterWeight(recipient), "1");
+        });
+
+        it("Should refuse a transaction whose nonce was used by another one", async () => {
+            const bundle = await sign(await build([{ contract: "Ballot", method: "giveRightToVote", args: [voter] }]));
+            await testnet.eth.sendTransaction({ from: signer, to: recipient, value: 1 });
+
+            const result = await broadcast(bundle);
+
+            assert.deepEqual(statuses(result), ["refused"]);
+            assert.equal(result.transactions[0].error, `nonce ${bundle.transactions[0].nonce} was used by another transaction of ${signer}`);
+        });
+
+        it("Should report a transaction dropped by the node and send it again when run again", async () => {
+            const bundle = await sign(await build([
+                { contract: "Ballot", method: "giveRightToVote", args: [voter] },
+                { contract: "Ballot", method: "giveRightToVote", args: [recipient] },
+            ]));
+            const dropping = new DroppingBroadcast(testnet, bundle, { pollInterval: 10 });
+            // The last transaction, the node would keep the next ones until its nonce is used
+            dropping.drop = bundle.transactions[1].hash;
+
+            const first = await dropping.run();
+            const second = await broadcast(bundle);
+
+            assert.isFalse(first.ok);
+            assert.deepEqual(statuses(first), ["confirmed", "dropped"]);
+            assert.deepEqual(statuses(second), ["confirmed", "confirmed"]);
+            assert.equal(await voterWeight(recipient), "1");
+        });
+
+        it("Should stop waiting for a receipt after the timeout", async () => {
+            const bundle = await sign(await build([{ contract: "Ballot", method: "giveRightToVote", args: [voter] }]));
+            // A node that keeps the transaction without mining it
+            const stalled = { eth: { getTransactionReceipt: async () => null, getTransaction: async () => ({}) } };
+
+            const receipt = await new BundleBroadcast(stalled, bundle, { pollInterval: 10, receiptTimeout: 50 }).waitForReceipt(bundle.transactions[0].hash);
+
+            assert.isNull(receipt);
+        });
+
+        it("Should check the chain and the balance before broadcasting", async () => {
+            const bundle = await sign(await build([{ contract: "Ballot", method: "giveRightToVote", args: [voter] }]));
+            const error = (changed) => broadcast({ ...bundle, ...changed }).then(() => null, (caught) => caught.message);
+            const expensive = bundle.transactions.map((tx) => ({ ...tx, gasPrice: web3.utils.toWei("1000000", "ether") }));
+
+            assert.equal(await error({ chainId: 56, transactions: bundle.transactions.map((tx) => ({ ...tx, chainId: 56 })) }),
+                `The bundle is for chain 56, the node is on chain ${bundle.chainId}`);
+            assert.match(await error({ transactions: expensive }), new RegExp(`^The bundle may cost up to [\\d.]+ BNB, ${signer} holds [\\d.]+$`));
+        });
+    });
+});
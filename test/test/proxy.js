@@ -0,0 +1,240 @@
+const FungibleToken = artifacts.require("FungibleToken");
+const FungibleTokenBadLayoutMock = artifacts.require("FungibleTokenBadLayoutMock");
+const FungibleTokenUpgradeable = artifacts.require("FungibleTokenUpgradeable");
+const FungibleTokenV2Mock = artifacts.require("FungibleTokenV2Mock");
+const NFT = artifacts.require("NFT");
+const ProxyAdmin = artifacts.require("ProxyAdmin");
+const TransparentProxy = artifacts.require("TransparentProxy");
+
+const { loadDeployParams } = require("../lib/deploy_params");
+const { deployProxy, storageLayout, storageLayoutErrors, upgradeProxy } = require("../lib/proxy");
+const { expectEvent, expectRevert } = require("./helpers/assertions");
+const { loadFixture } = require("./helpers/fixtures");
+
+const { name, symbol, totalSupply, decimals } = loadDeployParams("development").fungibleToken;
+const TOKEN_ARGS = [name, symbol, totalSupply, decimals];
+
+const deploy = (Contract, ...args) => Contract.new(...args);
+const requireArtifact = (contractName) => artifacts.require(contractName);
+
+// `FungibleToken` and `NFT` behind proxies administrated by a `ProxyAdmin` owned by account 0
+async function proxies() {
+    const proxyAdmin = await ProxyAdmin.new();
+    const options = { TransparentProxy, admin: proxyAdmin.address };
+    const token = await deployProxy(deploy, FungibleTokenUpgradeable, TOKEN_ARGS, options);
+    const nft = await deployProxy(deploy, NFT, [], options);
+    return { proxyAdmin, token: token.proxy, tokenImplementation: token.implementation, nft: nft.proxy };
+}
+
+contract("Proxy", function (accounts) {
+    let proxyAdmin;
+    let token;
+    let tokenImplementation;
+    let nft;
+
+    beforeEach(async () => {
+        ({ proxyAdmin, token, tokenImplementation, nft } = await loadFixture(proxies));
+    });
+
+    describe("deployment", () => {
+        it("Should initialize the token in the storage of the proxy", async () => {
+            assert.equal(await token.name(), name);
+            assert.equal(await token.symbol(), symbol);
+            assert.equal(await token.totalSupply(), totalSupply);
+            assert.equal(await token.balanceOf(accounts[0]), totalSupply, "The deployer holds the supply");
+            assert.equal(await token.getOwner(), accounts[0], "The deployer owns the token");
+            assert.equal(await proxyAdmin.getProxyImplementation(token.address), tokenImplementation.address);
+        });
+
+        it("Should not initialize the token twice", async () => {
+            await expectRevert(token.initialize("Other", "OT", 1, 0, { from: accounts[1] }), "Already initialized");
+            await expectRevert(tokenImplementation.initialize("Other", "OT", 1, 0, { from: accounts[1] }), "Already initialized");
+        });
+
+        it("Should keep the initializer out of the token deployed directly", async () => {
+            const direct = await FungibleToken.new(...TOKEN_ARGS);
+
+            assert.isUndefined(direct.initialize, "Only the implementation of a proxy has an initializer");
+            assert.equal(await direct.balanceOf(accounts[0]), totalSupply);
+            assert.deepEqual(
+                storageLayout(FungibleTokenUpgradeable, requireArtifact).slice(0, -1),
+                storageLayout(FungibleToken, requireArtifact),
+                "The implementation adds its variable after the ones of the token"
+            );
+        });
+
+        it("Should keep the functions of the proxy to its admin", async () => {
+            const admin = accounts[5];
+            const proxy = await TransparentProxy.new(tokenImplementation.address, admin, "0x");
+            const proxied = await FungibleTokenUpgradeable.at(proxy.address);
+
+            assert.equal(await proxy.implementation.call({ from: admin }), tokenImplementation.address);
+            await expectRevert(proxied.name({ from: admin }), "admin cannot call the implementation");
+            // Other accounts reach the implementation, which has no `implementation` function
+            await expectRevert(proxy.implementation.call({ from: accounts[1] }));
+        });
+
+        it("Should only let the owner of the admin upgrade", async () => {
+            const implementation = await FungibleTokenV2Mock.new(...TOKEN_ARGS);
+
+            await expectRevert(proxyAdmin.upgrade(token.address, implementation.address, { from: accounts[1] }), "caller is not the owner");
+            const proxy = await TransparentProxy.at(token.address);
+            await expectRevert(proxy.upgradeTo(implementation.address, { from: accounts[1] }));
+        });
+
+        it("Should not upgrade to an address without code", async () => {
+            await expectRevert(proxyAdmin.upgrade(token.address, accounts[3]), "implementation is not a contract");
+        });
+    });
+
+    describe("upgrade", () => {
+        it("Should keep the balances and the allowances of the token", async () => {
+            await token.transfer(accounts[1], 300);
+            await token.approve(accounts[2], 50, { from: accounts[1] });
+            const previousLayout = storageLayout(FungibleTokenUpgradeable, requireArtifact);
+
+            const { implementation } = await upgradeProxy(deploy, proxyAdmin, token.address, FungibleTokenV2Mock, TOKEN_ARGS,
+                previousLayout, requireArtifact);
+            const upgraded = await FungibleTokenV2Mock.at(token.address);
+
+            assert.equal(await proxyAdmin.getProxyImplementation(token.address), implementation.address);
+            assert.equal(await upgraded.version(), "2");
+            assert.equal(await upgraded.balanceOf(accounts[0]), totalSupply - 300);
+            assert.equal(await upgraded.balanceOf(accounts[1]), 300);
+            assert.equal(await upgraded.allowance(accounts[1], accounts[2]), 50);
+            assert.equal(await upgraded.totalSupply(), totalSupply);
+            assert.equal(await upgraded.getOwner(), accounts[0]);
+        });
+
+        it("Should run the new functions on the previous state", async () => {
+            await upgradeProxy(deploy, proxyAdmin, token.address, FungibleTokenV2Mock, TOKEN_ARGS,
+                storageLayout(FungibleTokenUpgradeable, requireArtifact), requireArtifact);
+            const upgraded = await FungibleTokenV2Mock.at(token.address);
+
+            const mint = await upgraded.mint(accounts[3], 25);
+
+            expectEvent(mint, "Transfer", { from: "0x0000000000000000000000000000000000000000", to: accounts[3], value: 25 });
+            assert.equal(await upgraded.totalSupply(), Number(totalSupply) + 25);
+            assert.equal(await upgraded.minted(), 25, "The appended variable starts at 0");
+            await expectRevert(upgraded.mint(accounts[3], 25, { from: accounts[1] }), "Not the owner");
+        });
+
+        it("Should emit Upgraded from the proxy", async () => {
+            const implementation = await FungibleTokenV2Mock.new(...TOKEN_ARGS);
+            const proxy = await TransparentProxy.at(token.address);
+
+            const receipt = await proxyAdmin.upgrade(token.address, implementation.address);
+            const events = await proxy.getPastEvents("Upgraded", { fromBlock: receipt.receipt.blockNumber });
+
+            assert.equal(events.length, 1);
+            assert.equal(events[0].args.implementation, implementation.address);
+        });
+
+        it("Should keep the owners of the NFTs", async () => {
+            await nft.mint(accounts[1], 7);
+            await nft.approve(accounts[2], 7, { from: accounts[1] });
+
+            await upgradeProxy(deploy, proxyAdmin, nft.address, NFT, [], storageLayout(NFT, requireArtifact), requireArtifact);
+
+            assert.equal(await nft.ownerOf(7), accounts[1]);
+            assert.equal(await nft.balanceOf(accounts[1]), 1);
+            assert.equal(await nft.getApproved(7), accounts[2]);
+        });
+
+        it("Should refuse an implementation with an incompatible storage layout", async () => {
+            const previousLayout = storageLayout(FungibleTokenUpgradeable, requireArtifact);
+
+            const error = await upgradeProxy(deploy, proxyAdmin, token.address, FungibleTokenBadLayoutMock, [], previousLayout,
+                requireArtifact).then(() => null, (caught) => caught);
+
+            assert.isNotNull(error, "The upgrade should be refused");
+            assert.include(error.message, "The storage layout of FungibleTokenBadLayoutMock is not compatible");
+            assert.include(error.message, "name (string) is replaced by balanceOf (mapping(address => uint256)) at position 0");
+            assert.equal(await proxyAdmin.getProxyImplementation(token.address), tokenImplementation.address);
+        });
+
+        it("Should call the new implementation when upgrading", async () => {
+            const implementation = await FungibleTokenV2Mock.new(...TOKEN_ARGS);
+            const upgraded = await FungibleTokenV2Mock.at(token.address);
+
+            // The call runs with the `ProxyAdmin` as sender, which doesn't own the token
+            const mint = upgraded.contract.methods.mint(accounts[3], 25).encodeABI();
+            await expectRevert(proxyAdmin.upgradeAndCall(token.address, implementation.address, mint), "Not the owner");
+
+            const version = upgraded.contract.methods.version().encodeABI();
+            await proxyAdmin.upgradeAndCall(token.address, implementation.address, version);
+            assert.equal(await upgraded.version(), "2");
+        });
+    });
+
+    describe("administration", () => {
+        it("Should hand a proxy to another admin", async () => {
+            const proxy = await TransparentProxy.at(token.address);
+
+            await expectRevert(proxyAdmin.changeProxyAdmin(token.address, accounts[5], { from: accounts[1] }), "caller is not the owner");
+            await expectRevert(proxyAdmin.changeProxyAdmin(token.address, "0x0000000000000000000000000000000000000000"), "admin = zero address");
+            const receipt = await proxyAdmin.changeProxyAdmin(token.address, accounts[5]);
+            const events = await proxy.getPastEvents("AdminChanged", { fromBlock: receipt.receipt.blockNumber });
+
+            assert.equal(events[0].args.previousAdmin, proxyAdmin.address);
+            assert.equal(events[0].args.newAdmin, accounts[5]);
+            assert.equal(await proxy.admin.call({ from: accounts[5] }), accounts[5]);
+            await expectRevert(proxyAdmin.getProxyImplementation(token.address), "not the admin of the proxy");
+        });
+
+        it("Should transfer the right to upgrade", async () => {
+            const implementation = await FungibleTokenV2Mock.new(...TOKEN_ARGS);
+
+            await expectRevert(proxyAdmin.transferOwnership("0x0000000000000000000000000000000000000000"), "owner = zero address");
+            const transfer = await proxyAdmin.transferOwnership(accounts[1]);
+
+            expectEvent(transfer, "OwnershipTransferred", { previousOwner: accounts[0], newOwner: accounts[1] });
+            assert.equal(await proxyAdmin.owner(), accounts[1]);
+            await expectRevert(proxyAdmin.upgrade(token.address, implementation.address), "caller is not the owner");
+            await proxyAdmin.upgrade(token.address, implementation.address, { from: accounts[1] });
+            assert.equal(await proxyAdmin.getProxyImplementation(token.address), implementation.address);
+        });
+
+        it("Should not let the admin send BNB to the implementation", async () => {
+            const admin = accounts[5];
+            const proxy = await TransparentProxy.new(tokenImplementation.address, admin, "0x");
+
+            await expectRevert(proxy.sendTransaction({ from: admin, value: 1 }), "admin cannot call the implementation");
+            // The token has no `receive` function
+            await expectRevert(proxy.sendTransaction({ from: accounts[1], value: 1 }));
+        });
+    });
+});
+
+describe("storageLayout", () => {
+    const requireArtifact = (contractName) => artifacts.require(contractName);
+
+    it("Should list the state variables in the order of their slots", () => {
+        assert.deepEqual(storageLayout(FungibleTokenUpgradeable, requireArtifact).map(({ label }) => label), [
+            "name", "symbol", "totalSupply", "decimals", "balanceOf", "allowance", "getOwner", "initialized",
+        ]);
+    });
+
+    it("Should put the variables of the inherited contracts first", () => {
+        const layout = storageLayout(FungibleTokenV2Mock, requireArtifact);
+
+        assert.deepEqual(layout[0], { contract: "FungibleToken", label: "name", type: "string" });
+        assert.deepEqual(layout[layout.length - 1], { contract: "FungibleTokenV2Mock", label: "minted", type: "uint256" });
+    });
+
+    it("Should accept variables appended after the previous ones", () => {
+        const previous = [{ label: "a", type: "uint256" }];
+        assert.deepEqual(storageLayoutErrors(previous, [...previous, { label: "b", type: "bool" }]), []);
+    });
+
+    it("Should report removed, reordered and retyped variables", () => {
+        const previous = [{ label: "a", type: "uint256" }, { label: "b", type: "address" }, { label: "c", type: "bool" }];
+        const next = [{ label: "a", type: "uint128" }, { label: "c", type: "bool" }];
+
+        assert.deepEqual(storageLayoutErrors(previous, next), [
+            "a changed type from uint256 to uint128",
+            "b (address) is replaced by c (bool) at position 1",
+            "c (bool) was removed",
+        ]);
+    });
+});
@@ -0,0 +1,218 @@
+const http = require("http");
+
+const { FailoverProvider, rpcUrls } = require("../lib/rpc");
+
+/**
+ * Starts a local stand-in JSON-RPC server. `handler` receives the request and the index of the request on this server,
+ * and returns a JSON-RPC result, or `undefined` to leave the request without answer.
+ */
+async function startServer(handler) {
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+            const payload = JSON.parse(body);
+            server.calls.push(payload.method);
+            const reply = handler(payload, server.calls.length - 1);
+            if (reply === undefined) {
+                return;
+            }
+            if (reply.status) {
+                res.writeHead(reply.status);
+                return res.end();
+            }
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ jsonrpc: "2.0", id: payload.id, ...reply }));
+        });
+    });
+    server.calls = [];
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    server.url = `http://127.0.0.1:${server.address().port}`;
+    return server;
+}
+
+const healthy = (chainId) => (payload) =>
+    payload.method === "eth_chainId" ? { result: `0x${chainId.toString(16)}` } : { result: "0x10" };
+
+const send = (provider, method, params = []) =>
+    new Promise((resolve, reject) =>
+        provider.sendAsync({ jsonrpc: "2.0", id: 1, method, params }, (error, response) => (error ? reject(error) : resolve(response)))
+    );
+
+describe("FailoverProvider", function () {
+    // Some endpoints are left without answer until the request times out
+    this.timeout(10000);
+
+    const options = { timeout: 200, retries: 2, backoff: 10, cooldown: 60000, healthCheck: false };
+    let servers;
+
+    beforeEach(() => {
+        servers = [];
+    });
+
+    afterEach(async () => {
+        for (const server of servers) {
+            server.closeAllConnections();
+            await new Promise((resolve) => server.close(resolve));
+        }
+    });
+
+    async function server(handler) {
+        const started = await startServer(handler);
+        servers.push(started);
+        return started;
+    }
+
+    it("Should use the first endpoint while it answers", async () => {
+        const first = await server(healthy(97));
+        const second = await server(healthy(97));
+        const provider = new FailoverProvider([first.url, second.url], options);
+
+        const response = await send(provider, "eth_blockNumber");
+
+        assert.equal(response.result, "0x10");
+        assert.deepEqual(first.calls, ["eth_blockNumber"]);
+        assert.deepEqual(second.calls, []);
+    });
+
+    it("Should fail over when an endpoint returns an HTTP error", async () => {
+        const failing = await server(() => ({ status: 503 }));
+        const backup = await server(healthy(97));
+        const provider = new FailoverProvider([failing.url, backup.url], options);
+
+        const response = await send(provider, "eth_blockNumber");
+
+        assert.equal(response.result, "0x10");
+        assert.deepEqual(failing.calls, ["eth_blockNumber"]);
+        assert.deepEqual(backup.calls, ["eth_blockNumber"]);
+    });
+
+    it("Should fail over when an endpoint times out and skip it afterwards", async () => {
+        const hanging = await server(() => undefined);
+        const backup = await server(healthy(97));
+        const provider = new FailoverProvider([hanging.url, backup.url], options);
+
+        await send(provider, "eth_blockNumber");
+        await send(provider, "eth_gasPrice");
+
+        assert.deepEqual(hanging.calls, ["eth_blockNumber"]);
+        assert.deepEqual(backup.calls, ["eth_blockNumber", "eth_gasPrice"]);
+    });
+
+    it("Should not broadcast a transaction again after a timeout", async () => {
+        const hanging = await server(() => undefined);
+        const backup = await server(healthy(97));
+        const provider = new FailoverProvider([hanging.url, backup.url], options);
+
+        let error = null;
+        try {
+            await send(provider, "eth_sendRawTransaction", ["0x1234"]);
+        } catch (caught) {
+            error = caught;
+        }
+
+        assert.isNotNull(error, "The broadcast should fail");
+        assert.include(error.message, `while broadcasting ${web3.utils.keccak256("0x1234")}`);
+        assert.deepEqual(backup.calls, [], "The transaction is not sent to the next endpoint");
+    });
+
+    it("Should broadcast a transaction to the next endpoint when the first one is down", async () => {
+        const backup = await server(healthy(97));
+        const provider = new FailoverProvider(["http://127.0.0.1:1", backup.url], options);
+
+        await send(provider, "eth_sendRawTransaction", ["0x1234"]);
+
+        assert.deepEqual(backup.calls, ["eth_sendRawTransaction"]);
+    });
+
+    it("Should fail over when an endpoint is down", async () => {
+        const backup = await server(healthy(97));
+        const provider = new FailoverProvider(["http://127.0.0.1:1", backup.url], options);
+
+        const response = await send(provider, "eth_blockNumber");
+
+        assert.equal(response.result, "0x10");
+    });
+
+    it("Should retry with backoff until an endpoint recovers", async () => {
+        const flaky = await server((payload, index) => (index < 2 ? { status: 502 } : { result: "0x10" }));
+        const provider = new FailoverProvider([flaky.url], options);
+
+        const response = await send(provider, "eth_blockNumber");
+
+        assert.equal(response.result, "0x10");
+        assert.equal(flaky.calls.length, 3);
+    });
+
+    it("Should give up once every round failed", async () => {
+        const failing = await server(() => ({ status: 500 }));
+        const provider = new FailoverProvider([failing.url], options);
+
+        try {
+            await send(provider, "eth_blockNumber");
+            assert.fail("Expected an error to be thrown");
+        } catch (error) {
+            assert.include(error.message, "All RPC endpoints failed after 3 rounds");
+        }
+        assert.equal(failing.calls.length, 3);
+    });
+
+    it("Should return JSON-RPC errors without failing over", async () => {
+        const reverting = await server(() => ({ error: { code: -32000, message: "execution reverted" } }));
+        const backup = await server(healthy(97));
+        const provider = new FailoverProvider([reverting.url, backup.url], options);
+
+        const response = await send(provider, "eth_call");
+
+        assert.equal(response.error.message, "execution reverted");
+        assert.deepEqual(backup.calls, []);
+    });
+
+    it("Should report endpoints on the wrong chain as unhealthy", async () => {
+        const mainnet = await server(healthy(56));
+        const testnet = await server(healthy(97));
+        const provider = new FailoverProvider([mainnet.url, testnet.url], { ...options, chainId: 97, healthCheck: true });
+
+        const health = await provider.checkHealth();
+        assert.deepEqual(health.map((endpoint) => endpoint.healthy), [false, true]);
+
+        await send(provider, "eth_blockNumber");
+        assert.deepEqual(testnet.calls.slice(-1), ["eth_blockNumber"]);
+        assert.notInclude(mainnet.calls, "eth_blockNumber");
+    });
+
+    it("Should never use an endpoint on the wrong chain, even once the others failed", async () => {
+        const mainnet = await server(healthy(56));
+        const testnet = await server((payload, index) => (index === 1 ? { status: 503 } : healthy(97)(payload)));
+        const provider = new FailoverProvider([mainnet.url, testnet.url], { ...options, chainId: 97, healthCheck: true, cooldown: 0 });
+
+        const response = await send(provider, "eth_blockNumber");
+
+        assert.equal(response.result, "0x10");
+        assert.deepEqual(testnet.calls, ["eth_chainId", "eth_blockNumber", "eth_blockNumber"]);
+        assert.deepEqual(mainnet.calls, ["eth_chainId"]);
+    });
+
+    it("Should fail when no endpoint is on the expected chain", async () => {
+        const mainnet = await server(healthy(56));
+        const provider = new FailoverProvider([mainnet.url], { ...options, chainId: 97, healthCheck: true });
+
+        let error = null;
+        try {
+            await send(provider, "eth_blockNumber");
+        } catch (caught) {
+            error = caught;
+        }
+
+        assert.isNotNull(error, "The request should fail");
+        assert.include(error.message, "No RPC endpoint on chain 97");
+        assert.deepEqual(mainnet.calls, ["eth_chainId"]);
+    });
+
+    it("Should read the list of URLs from the environment", () => {
+        const env = { TESTNET_RPC_URLS: "http://a:8545, http://b:8545" };
+
+        assert.deepEqual(rpcUrls("testnet", ["http://default"], env), ["http://a:8545", "http://b:8545"]);
+        assert.deepEqual(rpcUrls("bsc", ["http://default"], env), ["http://default"]);
+    });
+});
@@ -0,0 +1,147 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { DEFAULT_MNEMONIC } = require("../lib/local_chain");
+const { DEFAULT_HD_PATH, createSigner, decryptKeystore, providerOptions, resolveCredentials } = require("../lib/signer");
+
+const PRIVATE_KEY = "4f3edf983ac636a65a842ce7c78d9aa706d3b113bce9c46f30d7d21715b23b1d";
+const OTHER_KEY = "6cbed15c793ce57650b9877cf6fa156fbef513c4e6134f022a85b1ffdd59b2a1";
+
+describe("resolveCredentials", () => {
+    let dir;
+    let secretPath;
+    let keystorePath;
+
+    const resolve = (network, env) => resolveCredentials(network, { env, secretPath });
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "signer-"));
+        secretPath = path.join(dir, ".secret");
+        keystorePath = path.join(dir, "keystore.json");
+        fs.writeFileSync(keystorePath, JSON.stringify(web3.eth.accounts.encrypt(`0x${OTHER_KEY}`, "passphrase", { n: 1024 })));
+    });
+
+    afterEach(() => {
+        fs.rmSync(secretPath, { force: true });
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should use the shared sources in order", () => {
+        const env = { PRIVATE_KEY: `0x${PRIVATE_KEY.toUpperCase()}`, MNEMONIC: DEFAULT_MNEMONIC, KEYSTORE_PATH: keystorePath, KEYSTORE_PASSPHRASE: "passphrase" };
+
+        assert.deepEqual(resolve("testnet", env), { privateKey: PRIVATE_KEY, source: "PRIVATE_KEY" });
+        assert.deepEqual(resolve("testnet", { ...env, PRIVATE_KEY: undefined }), { mnemonic: DEFAULT_MNEMONIC, source: "MNEMONIC" });
+        assert.deepEqual(resolve("testnet", { KEYSTORE_PATH: keystorePath, KEYSTORE_PASSPHRASE: "passphrase" }), { privateKey: OTHER_KEY, source: keystorePath });
+    });
+
+    it("Should prefer the variable of the network to the shared one", () => {
+        assert.deepEqual(resolve("bsc", { PRIVATE_KEY, BSC_PRIVATE_KEY: OTHER_KEY }), { privateKey: OTHER_KEY, source: "PRIVATE_KEY" });
+        assert.deepEqual(resolve("testnet", { PRIVATE_KEY, BSC_PRIVATE_KEY: OTHER_KEY }), { privateKey: PRIVATE_KEY, source: "PRIVATE_KEY" });
+    });
+
+    it("Should prefer any source of the network to the shared sources", () => {
+        assert.deepEqual(resolve("bsc", { PRIVATE_KEY, BSC_MNEMONIC: DEFAULT_MNEMONIC }), { mnemonic: DEFAULT_MNEMONIC, source: "MNEMONIC" });
+
+        const env = { MNEMONIC: DEFAULT_MNEMONIC, BSC_KEYSTORE_PATH: keystorePath, KEYSTORE_PASSPHRASE: "passphrase" };
+        assert.deepEqual(resolve("bsc", env), { privateKey: OTHER_KEY, source: keystorePath });
+        assert.deepEqual(resolve("testnet", env), { mnemonic: DEFAULT_MNEMONIC, source: "MNEMONIC" });
+    });
+
+    it("Should require the passphrase of a keystore", () => {
+        assert.throws(() => resolve("bsc", { BSC_KEYSTORE_PATH: keystorePath }), `KEYSTORE_PASSPHRASE is required to decrypt ${keystorePath}`);
+        assert.throws(() => resolve("bsc", { BSC_KEYSTORE_PATH: keystorePath, BSC_KEYSTORE_PASSPHRASE: "wrong" }), "Wrong keystore passphrase");
+    });
+
+    it("Should fall back to the .secret file", () => {
+        fs.writeFileSync(secretPath, `${DEFAULT_MNEMONIC}\n`);
+        assert.deepEqual(resolve("testnet", {}), { mnemonic: DEFAULT_MNEMONIC, source: secretPath });
+
+        fs.writeFileSync(secretPath, `0x${PRIVATE_KEY}\n`);
+        assert.deepEqual(resolve("testnet", {}), { privateKey: PRIVATE_KEY, source: secretPath });
+
+        assert.equal(resolve("testnet", { MNEMONIC: DEFAULT_MNEMONIC }).source, "MNEMONIC", "The environment comes first");
+    });
+
+    it("Should reject a malformed private key and missing credentials", () => {
+        assert.throws(() => resolve("testnet", { PRIVATE_KEY: "0x1234" }), "Private key must be 32 bytes written in hexadecimal");
+        assert.throws(() => resolve("testnet", {}), `No credentials for network "testnet"`);
+    });
+});
+
+describe("decryptKeystore", () => {
+    const privateKey = `0x${PRIVATE_KEY}`;
+
+    it("Should decrypt scrypt and pbkdf2 keystores", () => {
+        const scrypt = web3.eth.accounts.encrypt(privateKey, "passphrase", { n: 1024 });
+        const pbkdf2 = web3.eth.accounts.encrypt(privateKey, "passphrase", { kdf: "pbkdf2", c: 1000 });
+
+        assert.equal(decryptKeystore(scrypt, "passphrase"), PRIVATE_KEY);
+        assert.equal(decryptKeystore(JSON.stringify(pbkdf2), "passphrase"), PRIVATE_KEY);
+    });
+
+    it("Should reject a wrong passphrase", () => {
+        const keystore = web3.eth.accounts.encrypt(privateKey, "passphrase", { n: 1024 });
+
+        assert.throws(() => decryptKeystore(keystore, "Passphrase"), "Wrong keystore passphrase");
+    });
+
+    it("Should reject unsupported keystores", () => {
+        const keystore = web3.eth.accounts.encrypt(privateKey, "passphrase", { n: 1024 });
+
+        assert.throws(() => decryptKeystore({ ...keystore, version: 1 }, "passphrase"), "Only version 3 keystore files are supported");
+        assert.throws(
+            () => decryptKeystore({ ...keystore, crypto: { ...keystore.crypto, kdf: "argon2" } }, "passphrase"),
+            "Unsupported keystore key derivation function: argon2"
+        );
+        assert.throws(
+            () => decryptKeystore({ ...keystore, crypto: { ...keystore.crypto, cipher: "aes-128-cbc" } }, "passphrase"),
+            "Unsupported keystore cipher: aes-128-cbc"
+        );
+    });
+});
+
+describe("providerOptions", () => {
+    const url = "http://127.0.0.1:8545";
+    const options = (env) => providerOptions("testnet", url, { env, secretPath: path.join(os.tmpdir(), "missing-secret") });
+
+    it("Should give the private key", () => {
+        assert.deepEqual(options({ PRIVATE_KEY }), { privateKeys: [PRIVATE_KEY], providerOrUrl: url });
+    });
+
+    it("Should derive the accounts of a mnemonic from the default path", () => {
+        assert.deepEqual(options({ MNEMONIC: DEFAULT_MNEMONIC }), {
+            mnemonic: { phrase: DEFAULT_MNEMONIC },
+            derivationPath: DEFAULT_HD_PATH,
+            addressIndex: 0,
+            numberOfAddresses: 1,
+            providerOrUrl: url,
+        });
+    });
+
+    it("Should read the derivation settings of the network", () => {
+        const env = { MNEMONIC: DEFAULT_MNEMONIC, HD_PATH: "m/44'/714'/0'/0/", ACCOUNT_INDEX: "9", TESTNET_ACCOUNT_INDEX: "2", ACCOUNT_COUNT: "3" };
+
+        assert.deepInclude(options(env), { derivationPath: "m/44'/714'/0'/0/", addressIndex: 2, numberOfAddresses: 3 });
+    });
+
+    it("Should reject invalid account settings", () => {
+        assert.throws(() => options({ MNEMONIC: DEFAULT_MNEMONIC, ACCOUNT_INDEX: "-1" }), "ACCOUNT_INDEX must be an integer greater than or equal to 0");
+        assert.throws(() => options({ MNEMONIC: DEFAULT_MNEMONIC, ACCOUNT_INDEX: "1.5" }), "ACCOUNT_INDEX must be an integer");
+        assert.throws(() => options({ MNEMONIC: DEFAULT_MNEMONIC, ACCOUNT_COUNT: "0" }), "ACCOUNT_COUNT must be an integer greater than 0");
+    });
+});
+
+describe("createSigner", () => {
+    it("Should read the credentials from the given environment", () => {
+        const provider = createSigner("testnet", web3.currentProvider.host, { PRIVATE_KEY: OTHER_KEY });
+        try {
+            assert.equal(provider.getAddress(0), web3.eth.accounts.privateKeyToAccount(`0x${OTHER_KEY}`).address.toLowerCase());
+        } finally {
+            provider.engine.stop();
+        }
+    });
+});
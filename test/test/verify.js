@@ -0,0 +1,204 @@
+const http = require("http");
+const path = require("path");
+
+const FungibleToken = artifacts.require("FungibleToken");
+const NFT = artifacts.require("NFT");
+
+const {
+    VerificationClient,
+    VerificationError,
+    encodeConstructorArgs,
+    flattenSource,
+    licenseType,
+    verificationRequest,
+    verifyApiUrl,
+} = require("../lib/verify");
+
+const CONTRACTS_DIR = path.join(__dirname, "..", "contracts");
+
+/**
+ * Starts a local stand-in of the explorer API. `handler` receives the fields of each request, from the query string
+ * or the form body, and returns the JSON response or `{ httpStatus }`.
+ */
+async function startExplorer(handler) {
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+            const query = new URL(req.url, "http://localhost").searchParams;
+            const fields = Object.fromEntries(req.method === "POST" ? new URLSearchParams(body) : query);
+            server.requests.push({ method: req.method, fields });
+            const reply = handler(fields, server.requests.length - 1);
+            if (reply.httpStatus) {
+                res.writeHead(reply.httpStatus);
+                return res.end();
+            }
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(reply));
+        });
+    });
+    server.requests = [];
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    server.url = `http://127.0.0.1:${server.address().port}/api`;
+    return server;
+}
+
+const ok = (result) => ({ status: "1", message: "OK", result });
+const notOk = (result) => ({ status: "0", message: "NOTOK", result });
+
+describe("flattenSource", () => {
+    it("Should put the imported files before the contract, once each", () => {
+        const source = flattenSource(path.join(CONTRACTS_DIR, "NFT.sol"));
+
+        const ierc165 = source.indexOf("interface IERC165");
+        const ibep721 = source.indexOf("interface IBEP721 is IERC165");
+        const nft = source.indexOf("contract NFT is IBEP721");
+        assert.isAbove(ierc165, -1);
+        assert.isAbove(ibep721, ierc165, "IBEP721 comes after IERC165");
+        assert.isAbove(nft, ibep721, "NFT comes after IBEP721");
+        assert.equal(source.split("interface IERC165").length, 2, "IERC165 is imported by both files but appears once");
+    });
+
+    it("Should keep a single license identifier and pragma, without the imports", () => {
+        const source = flattenSource(path.join(CONTRACTS_DIR, "Selector.sol"));
+
+        assert.equal(source.match(/SPDX-License-Identifier/g).length, 1);
+        assert.equal(source.match(/pragma solidity/g).length, 1);
+        assert.notMatch(source, /^\s*import /m);
+        assert.match(source, /^\/\/ SPDX-License-Identifier: MIT\npragma solidity \^0\.8\.18;/);
+        assert.equal(licenseType(source), 3, "MIT is license 3");
+    });
+
+    it("Should leave a file without imports unchanged apart from the header", () => {
+        const source = flattenSource(path.join(CONTRACTS_DIR, "HelloWorld.sol"));
+
+        assert.include(source, "// File: HelloWorld.sol");
+        assert.include(source, 'emit PrintHelloWorld("Hello World!");');
+    });
+});
+
+describe("encodeConstructorArgs", () => {
+    it("Should encode the arguments of the constructor", () => {
+        const encoded = encodeConstructorArgs(web3, FungibleToken.abi, ["TestToken", "TT", "10000", 18]);
+
+        assert.notMatch(encoded, /^0x/);
+        assert.deepEqual(
+            Object.values(web3.eth.abi.decodeParameters(["string", "string", "uint256", "uint8"], `0x${encoded}`)).slice(0, 4),
+            ["TestToken", "TT", "10000", "18"]
+        );
+    });
+
+    it("Should give an empty string without a constructor", () => {
+        assert.equal(encodeConstructorArgs(web3, NFT.abi, []), "");
+    });
+
+    it("Should reject a wrong number of arguments", () => {
+        assert.throws(() => encodeConstructorArgs(web3, FungibleToken.abi, ["TestToken"]), /takes 4 arguments, 1 given/);
+    });
+});
+
+describe("verificationRequest", () => {
+    it("Should take the compiler version and settings from the artifact", () => {
+        const fields = verificationRequest(NFT, "0x0000000000000000000000000000000000000001", "source", "");
+
+        assert.match(fields.compilerversion, /^v0\.8\.18\+commit\.[0-9a-f]{8}$/);
+        assert.equal(fields.contractname, "NFT");
+        assert.equal(fields.codeformat, "solidity-single-file");
+        assert.equal(fields.optimizationUsed, 0);
+        assert.equal(fields.constructorArguements, "");
+    });
+
+    it("Should read the API URL of a network from the environment", () => {
+        assert.equal(verifyApiUrl("testnet", {}), "https://api-testnet.bscscan.com/api");
+        assert.equal(verifyApiUrl("testnet", { TESTNET_VERIFY_API_URL: "http://127.0.0.1:1/api" }), "http://127.0.0.1:1/api");
+        assert.throws(() => verifyApiUrl("development", {}), /DEVELOPMENT_VERIFY_API_URL/);
+    });
+});
+
+describe("VerificationClient", () => {
+    const options = { interval: 1, attempts: 3, timeout: 1000 };
+    const fields = { module: "contract", action: "verifysourcecode", contractname: "NFT", sourceCode: "contract NFT {}" };
+    let explorer;
+
+    afterEach(async () => {
+        explorer.closeAllConnections();
+        await new Promise((resolve) => explorer.close(resolve));
+    });
+
+    it("Should submit the source and poll until it is verified", async () => {
+        explorer = await startExplorer((request, index) =>
+            request.action === "verifysourcecode" ? ok("guid-1") : index < 2 ? notOk("Pending in queue") : ok("Pass - Verified")
+        );
+        const client = new VerificationClient(explorer.url, "KEY", options);
+
+        assert.equal(await client.verify(fields), "Pass - Verified");
+        assert.deepEqual(explorer.requests.map(({ method, fields: { action } }) => `${method} ${action}`), [
+            "POST verifysourcecode",
+            "GET checkverifystatus",
+            "GET checkverifystatus",
+        ]);
+        assert.equal(explorer.requests[0].fields.sourceCode, "contract NFT {}");
+        assert.equal(explorer.requests[0].fields.apikey, "KEY");
+        assert.equal(explorer.requests[1].fields.guid, "guid-1");
+    });
+
+    it("Should retry the submission until the explorer indexed the contract", async () => {
+        explorer = await startExplorer((request, index) =>
+            request.action === "checkverifystatus" ? ok("Pass - Verified")
+                : index === 0 ? notOk("Unable to locate ContractCode at 0x01") : ok("guid-2")
+        );
+        const client = new VerificationClient(explorer.url, "KEY", options);
+
+        assert.equal(await client.verify(fields), "Pass - Verified");
+        assert.equal(explorer.requests.filter(({ method }) => method === "POST").length, 2);
+    });
+
+    it("Should accept a contract that is already verified", async () => {
+        explorer = await startExplorer(() => notOk("Contract source code already verified"));
+        const client = new VerificationClient(explorer.url, "KEY", options);
+
+        assert.equal(await client.verify(fields), "Already Verified");
+        assert.equal(explorer.requests.length, 1);
+    });
+
+    it("Should throw the reason given by the explorer when the verification fails", async () => {
+        explorer = await startExplorer((request) =>
+            request.action === "verifysourcecode" ? ok("guid-3") : notOk("Fail - Unable to verify")
+        );
+        const client = new VerificationClient(explorer.url, "KEY", options);
+
+        try {
+            await client.verify(fields);
+            assert.fail("The verification should fail");
+        } catch (error) {
+            assert.instanceOf(error, VerificationError);
+            assert.equal(error.message, "Fail - Unable to verify");
+        }
+    });
+
+    it("Should give up when the verification stays pending", async () => {
+        explorer = await startExplorer((request) =>
+            request.action === "verifysourcecode" ? ok("guid-4") : notOk("Pending in queue")
+        );
+        const client = new VerificationClient(explorer.url, "KEY", options);
+
+        try {
+            await client.verify(fields);
+            assert.fail("The verification should time out");
+        } catch (error) {
+            assert.include(error.message, "still pending after 3 checks");
+        }
+    });
+
+    it("Should report HTTP errors", async () => {
+        explorer = await startExplorer(() => ({ httpStatus: 502 }));
+        const client = new VerificationClient(explorer.url, "KEY", options);
+
+        try {
+            await client.verify(fields);
+            assert.fail("The submission should fail");
+        } catch (error) {
+            assert.equal(error.message, `${explorer.url}: HTTP 502`);
+        }
+    });
+});
@@ -0,0 +1,132 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const Ballot = artifacts.require("Ballot");
+
+const { BallotClient } = require("../lib/clients/ballot");
+const { VoterRollImport, parseVoterList, writeVoterRollReport } = require("../lib/voter_roll");
+
+const lines = (...values) => values.join("\n");
+
+describe("parseVoterList", () => {
+    const address = "0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1";
+
+    it("Should read the first column, skipping the header, comments and blank lines", () => {
+        const entries = parseVoterList(web3, lines("address,name", "# board", "", `${address},Alice`, address.toLowerCase()));
+
+        assert.deepEqual(entries, [
+            { line: 4, address },
+            { line: 5, address },
+        ]);
+    });
+
+    it("Should report every invalid address", () => {
+        const badChecksum = address.replace("F8", "f8");
+
+        assert.throws(
+            () => parseVoterList(web3, lines(address, `${badChecksum},Bob`, "Carol", "0x0000000000000000000000000000000000000000")),
+            [
+                "Invalid voter list:",
+                `  line 2: ${badChecksum} has an invalid checksum`,
+                "  line 3: Carol is not an address",
+                "  line 4: the zero address can't vote",
+            ].join("\n")
+        );
+        assert.throws(() => parseVoterList(web3, "address\n"), "The voter list has no voter");
+    });
+});
+
+contract("VoterRollImport", function (accounts) {
+    const chairperson = accounts[0];
+    let ballot;
+    let client;
+
+    const entriesOf = (...addresses) => parseVoterList(web3, lines(...addresses));
+    const importer = (from = chairperson) => new VoterRollImport(web3, client, from, { batchSize: 2 });
+
+    beforeEach(async () => {
+        ballot = await Ballot.new(["Alice", "Bob"]);
+        client = new BallotClient(web3, ballot.address, { abi: Ballot.abi });
+        await ballot.giveRightToVote(accounts[1]);
+        await ballot.giveRightToVote(accounts[7]);
+    });
+
+    it("Should skip the registered and repeated voters", async () => {
+        const plan = await importer().prepare(entriesOf(accounts[1], accounts[2], accounts[3], accounts[2], chairperson));
+
+        assert.deepEqual(plan.toGrant.map(({ address }) => address), [accounts[2], accounts[3]]);
+        assert.deepEqual(plan.skipped, [
+            { line: 1, address: accounts[1], reason: "already a voter" },
+            { line: 4, address: accounts[2], reason: "listed on line 2" },
+            { line: 5, address: chairperson, reason: "already a voter" },
+        ]);
+        assert.deepEqual(plan.notListed, [accounts[7]]);
+    });
+
+    it("Should refuse to import from another account than the chairperson", async () => {
+        let error = null;
+        await importer(accounts[1]).prepare(entriesOf(accounts[2])).catch((caught) => (error = caught));
+
+        assert.equal(error && error.message, `Only the chairperson ${chairperson} can give the right to vote, not ${accounts[1]}`);
+    });
+
+    it("Should give the right to vote by batches", async () => {
+        const voters = accounts.slice(2, 7);
+        const voterRoll = importer();
+
+        const result = await voterRoll.run(await voterRoll.prepare(entriesOf(accounts[1], ...voters)));
+
+        assert.deepEqual(result.granted.map(({ address }) => address), voters);
+        assert.deepEqual(result.skipped.map(({ address }) => address), [accounts[1]]);
+        assert.deepEqual(result.failed, []);
+        assert.deepEqual(await ballot.getVoterAddress(), [chairperson, accounts[1], accounts[7], ...voters]);
+        for (const voter of voters) {
+            assert.equal((await ballot.getVoterDetails(voter)).weight, 1);
+        }
+    });
+
+    it("Should send nothing when run again", async () => {
+        const entries = entriesOf(accounts[2], accounts[3]);
+        await importer().run(await importer().prepare(entries));
+        const nonce = await web3.eth.getTransactionCount(chairperson);
+
+        const plan = await importer().prepare(entries);
+        const result = await importer().run(plan);
+
+        assert.deepEqual(plan.toGrant, []);
+        assert.equal(result.skipped.length, 2);
+        assert.equal(await web3.eth.getTransactionCount(chairperson), nonce);
+    });
+
+    it("Should skip a voter registered after the comparison", async () => {
+        const voterRoll = importer();
+        const plan = await voterRoll.prepare(entriesOf(accounts[2], accounts[3]));
+        await ballot.giveRightToVote(accounts[2]);
+        const nonce = await web3.eth.getTransactionCount(chairperson);
+
+        const result = await voterRoll.run(plan);
+
+        assert.deepEqual(result.skipped, [{ line: 1, address: accounts[2], reason: "already a voter" }]);
+        assert.deepEqual(result.granted.map(({ address }) => address), [accounts[3]]);
+        assert.equal(await web3.eth.getTransactionCount(chairperson), nonce + 1, "No transaction reverted");
+    });
+
+    it("Should write the reconciliation report", async () => {
+        const file = path.join(os.tmpdir(), `voter-roll-${process.pid}.json`);
+        const voterRoll = importer();
+        const plan = await voterRoll.prepare(entriesOf(accounts[2], accounts[1]));
+        const result = await voterRoll.run(plan);
+
+        writeVoterRollReport(file, { network: "development", ballot: ballot.address }, plan, result);
+        const report = JSON.parse(fs.readFileSync(file, "utf8"));
+        fs.rmSync(file);
+
+        assert.deepEqual(report.summary, { granted: 1, skipped: 1, failed: 0, notListed: 1 });
+        assert.equal(report.ballot, ballot.address);
+        assert.equal(report.granted[0].address, accounts[2]);
+        assert.match(report.granted[0].transactionHash, /^0x[0-9a-f]{64}$/);
+        assert.deepEqual(report.skipped, [{ line: 2, address: accounts[1], reason: "already a voter" }]);
+        assert.deepEqual(report.notListed, [accounts[7]]);
+    });
+});
@@ -18,9 +18,12 @@
  *
  */
 
-const HDWalletProvider = require('@truffle/hdwallet-provider');
-const fs = require('fs');
-const mnemonic = fs.readFileSync(".secret").toString().trim();
+// Credentials are resolved when a remote network is selected, see `lib/signer.js`
+const { createSigner } = require('./lib/signer');
+// Each remote network fails over between several RPC endpoints, see `lib/rpc.js`
+const { createFailoverProvider } = require('./lib/rpc');
+// The tests record their gas usage and check it against `config/gas-baseline.json`
+const { gasReporterHooks } = require('./test/helpers/gas_reporter');
 
 module.exports = {
   /**
@@ -39,6 +42,7 @@ module.exports = {
     // You should run a client (like ganache-cli, geth or parity) in a separate terminal
     // tab if you use this network and you must also set the `host`, `port` and `network_id`
     // options below to some value.
+    // `npm test` starts a local chain on this host and port for the tests, see `scripts/test.js`.
     //
     development: {
      host: "127.0.0.1",     // Localhost (default: none)
@@ -46,18 +50,29 @@ module.exports = {
      network_id: "*",       // Any network (default: none)
     },
     testnet: {
-      provider: () => new HDWalletProvider(mnemonic, `https://data-seed-prebsc-2-s1.binance.org:8545`),
+      provider: () => createSigner("testnet", createFailoverProvider("testnet", [
+        "https://data-seed-prebsc-2-s1.binance.org:8545",
+        "https://data-seed-prebsc-1-s1.binance.org:8545",
+        "https://data-seed-prebsc-1-s2.binance.org:8545",
+      ], { chainId: 97 })),
       network_id: 97,
       confirmations: 10,
       timeoutBlocks: 200,
       skipDryRun: true
     },
     bsc: {
-      provider: () => new HDWalletProvider(mnemonic, `https://bsc-dataseed1.binance.org`),
+      provider: () => createSigner("bsc", createFailoverProvider("bsc", [
+        "https://bsc-dataseed1.binance.org",
+        "https://bsc-dataseed2.binance.org",
+        "https://bsc-dataseed3.binance.org",
+        "https://bsc-dataseed4.binance.org",
+      ], { chainId: 56 })),
       network_id: 56,
       confirmations: 10,
       timeoutBlocks: 200,
-      skipDryRun: true
+      // Mainnet migrations must pass on a local fork first, see `lib/mainnet_guard.js`
+      skipDryRun: false,
+      production: true
     },
     // Another network with more advanced options...
     // advanced: {
@@ -89,6 +104,7 @@ module.exports = {
   // Set default mocha options here, use special reporters etc.
   mocha: {
     // timeout: 100000
+    rootHooks: gasReporterHooks(),
   },
 
   // Configure your compilers
@@ -106,6 +122,9 @@ module.exports = {
     }
   },
 
+  // `truffle run coverage` measures the coverage of the contracts by the tests, see `.solcover.js`
+  plugins: ['solidity-coverage'],
+
   // Truffle DB is currently disabled by default; to enable it, change enabled:
   // false to enabled: true. The default storage location can also be
   // overridden by specifying the adapter settings, as shown in the commented code below.